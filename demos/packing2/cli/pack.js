@@ -0,0 +1,107 @@
+#!/usr/bin/env node
+/**
+ * Headless packing run
+ * Usage: node demos/packing2/cli/pack.js --trees 25 --iterations 5000 --seed 7 --anneal 20000 --out submission_025.csv
+ */
+import { parseArgs } from 'node:util';
+import { readFile, writeFile } from 'node:fs/promises';
+import { HeadlessRunner } from '../js/headless/HeadlessRunner.js';
+import { TreeGeometry } from '../js/geometry/TreeGeometry.js';
+import { SubmissionExporter } from '../js/io/SubmissionExporter.js';
+import { Logger } from '../js/utils/Logger.js';
+
+const USAGE = 'Usage: pack.js --trees <n> [--iterations <frames>] [--seed <int>] [--anneal <moves>] [--shape <file.json>] [--physics <file.json>] [--out <file.csv>] [--quiet]';
+
+/**
+ * Parse a positive integer option
+ * @param {string} name - Option name
+ * @param {string} value - Raw value
+ * @returns {number} Parsed integer
+ */
+function parseInteger(name, value) {
+    const parsed = Number(value);
+    if (!Number.isInteger(parsed) || parsed < 0) {
+        throw new Error(`--${name} must be a non-negative integer, got "${value}"`);
+    }
+    return parsed;
+}
+
+async function main() {
+    const { values } = parseArgs({
+        options: {
+            trees: { type: 'string', short: 'n' },
+            iterations: { type: 'string', short: 'i', default: '5000' },
+            seed: { type: 'string', short: 's', default: '1' },
+            anneal: { type: 'string', short: 'a', default: '0' },
+            shape: { type: 'string' },
+            physics: { type: 'string' },
+            out: { type: 'string', short: 'o' },
+            quiet: { type: 'boolean', short: 'q', default: false },
+            help: { type: 'boolean', short: 'h', default: false }
+        }
+    });
+
+    if (values.help || values.trees === undefined) {
+        console.log(USAGE);
+        process.exitCode = values.help ? 0 : 1;
+        return;
+    }
+
+    const treeCount = parseInteger('trees', values.trees);
+    const iterations = parseInteger('iterations', values.iterations);
+    const seed = parseInteger('seed', values.seed);
+    const annealIterations = parseInteger('anneal', values.anneal);
+    const polygon = values.shape === undefined
+        ? undefined
+        : TreeGeometry.parsePolygonJSON(await readFile(values.shape, 'utf8'));
+    const physics = values.physics === undefined
+        ? undefined
+        : JSON.parse(await readFile(values.physics, 'utf8'));
+
+    const logger = new Logger();
+    if (values.quiet) {
+        logger.log = () => {};
+    }
+
+    const runner = new HeadlessRunner({ treeCount, seed, polygon, physics, logger });
+    let result = await runner.run(iterations, (scoreData, frame) => {
+        if (frame % 1000 === 0) {
+            logger.info(`frame ${frame}: score ${scoreData.score.toFixed(4)}, best ${scoreData.bestScore.toFixed(4)}, collisions ${scoreData.collisionCount}`);
+        }
+    });
+
+    if (annealIterations > 0) {
+        const refined = await runner.refine({ iterations: annealIterations });
+        if (refined) {
+            logger.info(`annealing: side ${refined.initialSide.toFixed(4)} -> ${refined.side.toFixed(4)}`);
+            result = runner.getResult();
+        }
+    }
+
+    if (values.out) {
+        const exporter = new SubmissionExporter(runner.treeGeometry);
+        await writeFile(values.out, exporter.exportLayout(result.layout, treeCount));
+    }
+
+    console.log(JSON.stringify({
+        treeCount: result.treeCount,
+        seed: result.seed,
+        physics: result.physics,
+        frames: result.frames,
+        score: result.score,
+        side: result.side,
+        valid: result.valid,
+        overlaps: result.overlaps,
+        out: values.out ?? null
+    }));
+
+    if (!result.valid) {
+        process.exitCode = 2;
+    }
+}
+
+main().catch((error) => {
+    console.error(error.message);
+    console.error(USAGE);
+    process.exitCode = 1;
+});
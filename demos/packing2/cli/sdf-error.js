@@ -0,0 +1,62 @@
+#!/usr/bin/env node
+/**
+ * Report how far the baked signed distance field deviates from the exact polygon
+ * Usage: node demos/packing2/cli/sdf-error.js --resolution 128 256 512 --samples 400 --shape tree.json
+ */
+import { parseArgs } from 'node:util';
+import { readFile } from 'node:fs/promises';
+import { TreeGeometry } from '../js/geometry/TreeGeometry.js';
+import { SignedDistanceField } from '../js/geometry/SignedDistanceField.js';
+import { SDF_RESOLUTION, SDF_ERROR_SAMPLES } from '../js/constants.js';
+
+const USAGE = 'Usage: sdf-error.js [--resolution <texels> ...] [--samples <per side>] [--shape <file.json>]';
+
+/**
+ * Parse a positive integer option
+ * @param {string} name - Option name
+ * @param {string} value - Raw value
+ * @returns {number} Parsed integer
+ */
+function parseInteger(name, value) {
+    const parsed = Number(value);
+    if (!Number.isInteger(parsed) || parsed < 1) {
+        throw new Error(`--${name} must be a positive integer, got "${value}"`);
+    }
+    return parsed;
+}
+
+async function main() {
+    const { values, positionals } = parseArgs({
+        allowPositionals: true,
+        options: {
+            resolution: { type: 'string', short: 'r', multiple: true },
+            samples: { type: 'string', short: 's', default: String(SDF_ERROR_SAMPLES) },
+            shape: { type: 'string' },
+            help: { type: 'boolean', short: 'h', default: false }
+        }
+    });
+
+    if (values.help) {
+        console.log(USAGE);
+        return;
+    }
+
+    // Extra resolutions may follow the first one: --resolution 128 256 512
+    const resolutions = [...(values.resolution ?? []), ...positionals].map(value => parseInteger('resolution', value));
+    const samples = parseInteger('samples', values.samples);
+    const polygon = values.shape === undefined
+        ? undefined
+        : TreeGeometry.parsePolygonJSON(await readFile(values.shape, 'utf8'));
+    const treeGeometry = new TreeGeometry(polygon);
+
+    for (const resolution of resolutions.length > 0 ? resolutions : [SDF_RESOLUTION]) {
+        const field = new SignedDistanceField(treeGeometry, resolution);
+        console.log(JSON.stringify({ samples, ...field.measureError(samples) }));
+    }
+}
+
+main().catch((error) => {
+    console.error(error.message);
+    console.error(USAGE);
+    process.exitCode = 1;
+});
@@ -1,4 +1,4 @@
-import { DELTA_TIME, LOG_FRAME_INTERVAL } from './constants.js';
+import { DELTA_TIME, LOG_FRAME_INTERVAL, MAX_LOGGED_OVERLAPS, REFINE_STAGNATION_LIMIT, SDF_ERROR_SAMPLES } from './constants.js';
 
 /**
  * Main application orchestrator for the Tree Packer
@@ -16,6 +16,8 @@ export class TreePackerApp {
         this.deviceManager = null;
         this.bufferManager = null;
         this.pipelineManager = null;
+        this.scoreReducer = null;
+        this.signedDistanceField = null; // Baked when the distance field solver is first chosen
 
         // Simulation components
         this.physicsSimulator = null;
@@ -27,6 +29,18 @@ export class TreePackerApp {
         // UI components
         this.uiManager = null;
 
+        // Import/export components
+        this.submissionExporter = null;
+        this.submissionImporter = null;
+
+        // Batch components
+        this.batchSolver = null;
+
+        // Refinement components
+        this.annealingRefiner = null;
+        this.isRefining = false;
+        this.stagnationEscaper = null;
+
         // Canvas elements
         this.gpuCanvas = null;
         this.overlayCanvas = null;
@@ -35,6 +49,8 @@ export class TreePackerApp {
         this.animationId = null;
         this.isRunning = false;
         this.frameCount = 0;
+        this.substepController = null;
+        this.lastFrameTimestamp = null;
 
         // Score and feedback data
         this.currentProbX = 0.5; // Default compression probability
@@ -73,6 +89,11 @@ export class TreePackerApp {
             this.treeGeometry = new (await import('./geometry/TreeGeometry.js')).TreeGeometry();
             this.parameters = new (await import('./simulation/SimulationParameters.js')).SimulationParameters();
             this.performanceMonitor = new (await import('./monitoring/PerformanceMonitor.js')).PerformanceMonitor();
+            this.submissionExporter = new (await import('./io/SubmissionExporter.js')).SubmissionExporter(this.treeGeometry);
+            this.submissionImporter = new (await import('./io/SubmissionImporter.js')).SubmissionImporter(this.treeGeometry);
+            this.batchSolver = new (await import('./simulation/BatchSolver.js')).BatchSolver(this);
+            this.batchSolver.load();
+            this.annealingRefiner = new (await import('./simulation/AnnealingRefiner.js')).AnnealingRefiner(this.treeGeometry);
 
             // Initialize WebGPU components
             console.log('Initializing WebGPU components...');
@@ -91,6 +112,19 @@ export class TreePackerApp {
                 this.treeGeometry,
                 this.logger
             );
+            this.scoreReducer = new (await import('./webgpu/ScoreReducer.js')).ScoreReducer(
+                this.deviceManager,
+                this.pipelineManager,
+                this.bufferManager
+            );
+            this.physicsSimulator.setScoreReducer(this.scoreReducer);
+            this.stagnationEscaper = new (await import('./simulation/StagnationEscaper.js')).StagnationEscaper(
+                this.physicsSimulator,
+                this.parameters,
+                this.logger,
+                { seed: this.parameters.get('seed') }
+            );
+            this.substepController = new (await import('./simulation/SubstepController.js')).SubstepController();
 
             // Initialize rendering components
             console.log('Initializing rendering components...');
@@ -113,6 +147,7 @@ export class TreePackerApp {
                 this.performanceMonitor,
                 this
             );
+            this.uiManager.updateBatch(this.batchSolver.getStatus());
 
             // Setup components
             console.log('Setting up components...');
@@ -120,7 +155,7 @@ export class TreePackerApp {
 
             // Initialize simulation (like original)
             console.log('Initializing simulation...');
-            this.physicsSimulator.reset(); // Spawn initial trees
+            this.resetSimulation(); // Spawn initial trees
             this.startRenderLoop(); // Start render loop for continuous rendering
 
             this.logger.info('Tree Packer application initialized successfully');
@@ -189,10 +224,16 @@ export class TreePackerApp {
         const deltaTime = DELTA_TIME;
         this.frameCount++;
 
+        // The tree buffers are being replaced; step once the resize is done
+        if (this.physicsSimulator.isResizing()) {
+            this.logger.info('Layout resize in progress, step skipped');
+            return;
+        }
+
         // Handle simulation reset if needed
         if (this.physicsSimulator.needsResetSimulation()) {
             console.log('Resetting simulation...');
-            this.physicsSimulator.reset();
+            this.resetSimulation();
         }
 
             // Update uniforms with current parameters
@@ -206,10 +247,11 @@ export class TreePackerApp {
                 compression: effectiveCompression // Use ratcheted compression
             };
 
-            this.physicsSimulator.updateUniforms(deltaTime, this.frameCount, uniformParams);
+            this.physicsSimulator.updateUniforms(deltaTime, this.physicsSimulator.stepCount, uniformParams);
 
         // Render frame always for stepping (single step, so always render)
         this.renderer.renderFrame(deltaTime, this.frameCount, additionalParams, false, true);
+        this.physicsSimulator.advanceStep(additionalParams.substeps);
 
         this.logger.info(`Stepped to frame ${this.frameCount}`);
     }
@@ -219,19 +261,26 @@ export class TreePackerApp {
      */
     startRenderLoop() {
         const renderLoop = async (timestamp) => {
-            // Always update uniforms and UI, but only run physics when playing
-            const additionalParams = this.getAdditionalUniformParams();
-            this.physicsSimulator.setFeedbackFrameCount(this.frameCount);
-            this.physicsSimulator.updateUniforms(DELTA_TIME, this.frameCount, additionalParams);
+            this.updateSubsteps(timestamp);
 
-            // Handle simulation reset if needed
-            if (this.physicsSimulator.needsResetSimulation()) {
+            // A layout resize reads, replaces and refills the tree buffers: until it is done,
+            // hold any reset and leave the buffers alone (the uniforms already carry the new count)
+            const resizing = this.physicsSimulator.isResizing();
+
+            // Always update uniforms and UI, but only run physics when playing
+            // Handle simulation reset first so the uniforms carry the restarted step count
+            if (!resizing && this.physicsSimulator.needsResetSimulation()) {
                 console.log('Resetting simulation...');
-                this.physicsSimulator.reset();
+                this.resetSimulation();
             }
 
+            const additionalParams = this.getAdditionalUniformParams();
+            this.physicsSimulator.setFeedbackFrameCount(this.frameCount);
+            this.physicsSimulator.updateUniforms(DELTA_TIME, this.physicsSimulator.stepCount, additionalParams);
+
             // Run physics simulation if playing (like original step())
-            if (this.isRunning) {
+            const runPhysics = this.isRunning && !resizing;
+            if (runPhysics) {
                 // Note: Physics is run in the renderer.renderFrame call
                 // Update score every 10 frames (like original updateScore())
                 if (this.frameCount % 10 === 0) {
@@ -247,7 +296,12 @@ export class TreePackerApp {
 
             if (shouldRender) {
                 // Render frame always (like original render()) - run physics only when playing
-                this.renderer.renderFrame(DELTA_TIME, this.frameCount, additionalParams, false, this.isRunning);
+                if (!resizing) {
+                    this.renderer.renderFrame(DELTA_TIME, this.frameCount, additionalParams, false, runPhysics);
+                }
+                if (runPhysics) {
+                    this.physicsSimulator.advanceStep(additionalParams.substeps);
+                }
 
                 // Update performance monitor and UI on render frames
                 this.performanceMonitor.update(timestamp);
@@ -268,6 +322,24 @@ export class TreePackerApp {
         this.animationId = requestAnimationFrame(renderLoop);
     }
 
+    /**
+     * Let the adaptive mode pick this frame's substep count from the time since the last frame
+     * @param {number} timestamp - requestAnimationFrame timestamp
+     */
+    updateSubsteps(timestamp) {
+        const frameTime = this.lastFrameTimestamp === null ? 0 : timestamp - this.lastFrameTimestamp;
+        this.lastFrameTimestamp = timestamp;
+
+        if (!this.parameters.get('adaptiveSubsteps') || !this.isRunning) {
+            this.substepController.reset();
+            this.substepController.recordFrame(frameTime);
+            return;
+        }
+
+        const substeps = this.parameters.get('substeps');
+        this.parameters.set('substeps', this.substepController.update(frameTime, substeps));
+    }
+
     /**
      * Get additional parameters for uniforms (compression probabilities, etc.)
      * @returns {Object} Additional uniform parameters
@@ -276,15 +348,20 @@ export class TreePackerApp {
         // Use calculated probX from score feedback, fallback to 0.5
         let probX = this.currentProbX || 0.5;
         let probY = 1.0 - probX; // probY is inverse of probX for aspect ratio control
-        let centerX = 0.0;
-        let centerY = 0.0;
+
+        // Compress toward the centre of the latest scoring square, not the world origin
+        const { centerX, centerY, targetHalfSide } = this.physicsSimulator.getCompressionTarget(this.currentScoreData);
 
         return {
             probX,
             probY,
             centerX,
             centerY,
+            targetHalfSide,
             treeCount: this.parameters.get('treeCount'),
+            gridBroadphase: this.parameters.get('gridBroadphase'),
+            tiledCollisions: this.parameters.get('tiledCollisions'),
+            substeps: this.parameters.get('substeps'),
             // Apply compression ratchet: stop compression if colliding
             effectiveCompression: this.getEffectiveCompression()
         };
@@ -361,6 +438,23 @@ export class TreePackerApp {
         if (this.scoreHistory.length > 50) {
             this.scoreHistory.shift(); // Keep only last 50 scores
         }
+
+        // Hand a plateaued layout to the CPU annealer, once per REFINE_STAGNATION_LIMIT updates without progress
+        const stagnation = scoreData.stagnationCount;
+        if (this.parameters.get('autoRefine') && stagnation > 0 && stagnation % REFINE_STAGNATION_LIMIT === 0) {
+            this.refineLayout();
+        }
+
+        // Perturb a stalled layout and track whether the perturbation led to a new best
+        if (this.stagnationEscaper) {
+            this.stagnationEscaper.onScoreUpdate(scoreData);
+        }
+
+        // Let the batch solver track progress and advance to the next size
+        if (this.batchSolver && this.batchSolver.isActive) {
+            this.batchSolver.onScoreUpdate(scoreData);
+            this.uiManager.updateBatch(this.batchSolver.getStatus());
+        }
     }
 
     /**
@@ -394,7 +488,9 @@ export class TreePackerApp {
             direction: this.windDirection
         };
 
-        this.overlayRenderer.drawOverlay(bounds, probX, scoreHistory, stagnationCount, windData);
+        const walls = this.physicsSimulator.getWalls();
+
+        this.overlayRenderer.drawOverlay(bounds, probX, scoreHistory, stagnationCount, windData, walls);
     }
 
     /**
@@ -426,11 +522,309 @@ export class TreePackerApp {
     }
 
     /**
-     * Handle tree count change - update buffers, bind groups, and mark for reset
+     * Respawn the trees and reseed the stagnation escaper, so a seed replays the same run
+     */
+    resetSimulation() {
+        this.physicsSimulator.reset();
+        this.stagnationEscaper.reset(this.parameters.get('seed'));
+    }
+
+    /**
+     * Export the current layout as a Kaggle submission CSV
+     * @returns {Promise<string|null>} CSV text, or null if the export failed
+     */
+    async exportSubmission() {
+        try {
+            const treeData = await this.physicsSimulator.readLayout();
+            return this.downloadSubmission(treeData, '');
+        } catch (error) {
+            this.logger.error(`Export failed: ${error.message}`);
+            return null;
+        }
+    }
+
+    /**
+     * Export the best collision-free layout snapshot as a Kaggle submission CSV
+     * @returns {Promise<string|null>} CSV text, or null if there is no snapshot or the export failed
+     */
+    async exportBestSubmission() {
+        try {
+            const treeData = await this.physicsSimulator.readBestLayout();
+            if (!treeData) {
+                throw new Error('no collision-free layout found yet');
+            }
+            return this.downloadSubmission(treeData, '_best');
+        } catch (error) {
+            this.logger.error(`Export failed: ${error.message}`);
+            return null;
+        }
+    }
+
+    /**
+     * Validate a layout, then download it as a submission CSV
+     * A JSON file with the same name records the settings the run used, so it can
+     * be reproduced (the CLI takes its physics object as --physics).
+     * @param {Float32Array} treeData - Layout for the current tree count
+     * @param {string} suffix - File name suffix before the extension
+     * @returns {string} CSV text
+     */
+    downloadSubmission(treeData, suffix) {
+        const treeCount = this.parameters.get('treeCount');
+        if (!this.checkOverlaps(treeData, treeCount)) {
+            throw new Error('layout has overlapping trees');
+        }
+        const csv = this.submissionExporter.exportLayout(treeData, treeCount);
+        const seed = this.parameters.get('seed');
+        const name = `submission_${String(treeCount).padStart(3, '0')}_seed${seed}${suffix}`;
+
+        this.submissionExporter.download(csv, `${name}.csv`);
+        this.submissionExporter.download(JSON.stringify(this.getRunSettings(), null, 2), `${name}.json`, 'application/json');
+        this.logger.success(`Exported ${treeCount} trees (seed ${seed}) as submission CSV`);
+        return csv;
+    }
+
+    /**
+     * Settings that reproduce the current run
+     * @returns {Object} Settings {treeCount, seed, spawnStrategy, physics}
+     */
+    getRunSettings() {
+        return {
+            treeCount: this.parameters.get('treeCount'),
+            seed: this.parameters.get('seed'),
+            spawnStrategy: this.parameters.get('spawnStrategy'),
+            physics: this.parameters.getPhysics()
+        };
+    }
+
+    /**
+     * Put the best collision-free layout back into the simulation
+     * @returns {boolean} True if a best layout was restored
+     */
+    restoreBestLayout() {
+        if (!this.physicsSimulator.restoreBestLayout()) {
+            this.logger.warn('No collision-free layout to restore yet');
+            return false;
+        }
+        return true;
+    }
+
+    /**
+     * Run the exact overlap validator on a layout and log any overlapping pairs
+     * @param {Float32Array} treeData - Tree data
+     * @param {number} treeCount - Number of trees
+     * @returns {boolean} True if no trees overlap
+     */
+    checkOverlaps(treeData, treeCount) {
+        const report = this.physicsSimulator.overlapValidator.validate(treeData, treeCount);
+        if (report.valid) return true;
+
+        report.overlaps.slice(0, MAX_LOGGED_OVERLAPS).forEach(({ i, j, depth }) => {
+            this.logger.warn(`Trees ${i} and ${j} overlap (depth ${depth.toExponential(2)})`);
+        });
+        this.logger.warn(
+            `${report.overlaps.length} overlapping pairs, max depth ${report.maxDepth.toExponential(2)}`
+        );
+        return false;
+    }
+
+    /**
+     * Import a submission CSV and resume packing from its layout for the current tree count
+     * @param {string} csvText - Submission CSV text
+     * @returns {boolean} True if a layout was loaded
+     */
+    importSubmission(csvText) {
+        try {
+            const treeCount = this.parameters.get('treeCount');
+            this.submissionImporter.parse(csvText);
+            const treeData = this.submissionImporter.getLayout(treeCount);
+
+            this.physicsSimulator.loadLayout(treeData);
+            this.currentScoreData = null;
+            this.scoreHistory = [];
+            this.logger.success(`Imported ${treeCount}-tree layout from submission`);
+            return true;
+        } catch (error) {
+            this.logger.error(`Import failed: ${error.message}`);
+            return false;
+        }
+    }
+
+    /**
+     * Replace the packed shape and rebuild everything derived from it
+     * Geometry buffers and pipelines are regenerated (the shaders embed the outline)
+     * and the simulation restarts from a fresh spawn.
+     * @param {Array<number>} points - Outline as x,y pairs
+     * @returns {Promise<boolean>} True if the shape was applied
+     */
+    async setTreeShape(points) {
+        try {
+            this.treeGeometry.setPolygon(points);
+
+            this.bufferManager.createGeometryBuffers(this.treeGeometry);
+            await this.pipelineManager.initPipelines();
+            this.pipelineManager.updateBindGroup(this.bufferManager);
+            await this.updateSignedDistanceField();
+
+            this.physicsSimulator.markForReset();
+            this.currentScoreData = null;
+            this.scoreHistory = [];
+            this.logger.success(`Loaded ${this.treeGeometry.getPolygonVertexCount() - 1}-point shape`);
+            return true;
+        } catch (error) {
+            this.logger.error(`Shape change failed: ${error.message}`);
+            return false;
+        }
+    }
+
+    /**
+     * Anneal the current layout on the CPU and push it back if it beats the GPU best
+     * Starts from the current layout, or from the best snapshot while the current one overlaps
+     * @returns {Promise<boolean>} True if the refined layout replaced the GPU layout
+     */
+    async refineLayout() {
+        if (this.isRefining) return false;
+
+        this.isRefining = true;
+        try {
+            const treeCount = this.parameters.get('treeCount');
+            let treeData = await this.physicsSimulator.readLayout();
+            if (!this.physicsSimulator.overlapValidator.validate(treeData, treeCount).valid) {
+                treeData = await this.physicsSimulator.readBestLayout();
+            }
+            if (!treeData) {
+                throw new Error('no collision-free layout to start from');
+            }
+
+            const result = await this.annealingRefiner.refine(treeData, treeCount, {
+                iterations: this.parameters.get('annealIterations'),
+                startTemperature: this.parameters.get('annealStartTemperature'),
+                endTemperature: this.parameters.get('annealEndTemperature'),
+                seed: this.parameters.get('seed') + this.physicsSimulator.stepCount
+            });
+
+            // The tree count may have changed while the annealer was yielding
+            if (treeCount !== this.parameters.get('treeCount')) return false;
+
+            const gpuSide = Math.sqrt(this.physicsSimulator.bestScore * treeCount);
+            if (!(result.side < gpuSide)) {
+                this.logger.info(`Refinement found side ${result.side.toFixed(4)}, GPU best is ${gpuSide.toFixed(4)}`);
+                return false;
+            }
+
+            const scoreData = this.physicsSimulator.applyLayout(result.layout);
+            this.updateProbX(scoreData.probX);
+            this.handleScoreUpdate(scoreData);
+            this.logger.success(`Refined side ${result.initialSide.toFixed(4)} -> ${result.side.toFixed(4)}`);
+            return true;
+        } catch (error) {
+            this.logger.error(`Refinement failed: ${error.message}`);
+            return false;
+        } finally {
+            this.isRefining = false;
+        }
+    }
+
+    /**
+     * Start or resume the batch over all puzzle sizes
+     * @returns {boolean} True if the batch started
+     */
+    startBatch() {
+        const started = this.batchSolver.start();
+        this.uiManager.updateBatch(this.batchSolver.getStatus());
+        return started;
+    }
+
+    /**
+     * Stop the batch, keeping finished results
+     */
+    stopBatch() {
+        this.batchSolver.stop();
+        this.uiManager.updateBatch(this.batchSolver.getStatus());
+    }
+
+    /**
+     * Discard all stored batch results
+     */
+    clearBatch() {
+        this.batchSolver.stop();
+        this.batchSolver.clear();
+        this.uiManager.updateBatch(this.batchSolver.getStatus());
+        this.logger.info('Batch results cleared');
+    }
+
+    /**
+     * Export all finished batch results as one submission CSV
+     * @returns {string|null} CSV text, or null if there was nothing to export
+     */
+    exportBatchSubmission() {
+        try {
+            const treeCounts = Object.keys(this.batchSolver.results).map(Number).sort((a, b) => a - b);
+            if (treeCounts.length === 0) {
+                throw new Error('no finished batch results');
+            }
+
+            const rows = treeCounts.flatMap(treeCount =>
+                this.submissionExporter.buildRows(this.batchSolver.getLayout(treeCount), treeCount)
+            );
+            const csv = this.submissionExporter.toCSV(rows);
+
+            // Each size's score and the settings it was solved with, alongside the CSV
+            const settings = Object.fromEntries(treeCounts.map(treeCount => {
+                const { score, seed, physics } = this.batchSolver.results[treeCount];
+                return [treeCount, { score, seed, physics }];
+            }));
+
+            this.submissionExporter.download(csv, 'submission.csv');
+            this.submissionExporter.download(JSON.stringify({ results: settings }, null, 2), 'submission.json', 'application/json');
+            this.logger.success(
+                `Exported ${treeCounts.length} batch layouts, total ${this.batchSolver.getTotalScore().toFixed(4)}`
+            );
+            return csv;
+        } catch (error) {
+            this.logger.error(`Batch export failed: ${error.message}`);
+            return null;
+        }
+    }
+
+    /**
+     * Bake the shape's signed distance field, upload it and rebind it
+     * Only the distance field solver reads the field, so nothing is baked until it
+     * is chosen, nor while the field still matches the shape and resolution.
+     * Logs a coarse check of how far the field deviates from the exact polygon;
+     * cli/sdf-error.js runs the full check.
+     * @returns {Promise<boolean>} True if a field was baked
+     */
+    async updateSignedDistanceField() {
+        const resolution = this.parameters.get('sdfResolution');
+        if (this.parameters.get('contactSolver') !== 'sdf' || this.signedDistanceField?.matches(this.treeGeometry, resolution)) {
+            return false;
+        }
+
+        const field = new (await import('./geometry/SignedDistanceField.js')).SignedDistanceField(this.treeGeometry, resolution);
+        this.signedDistanceField = field;
+        this.bufferManager.createSdfTexture(field);
+        this.pipelineManager.updateBindGroup(this.bufferManager);
+
+        const { maxError, meanError } = field.measureError(SDF_ERROR_SAMPLES / 4);
+        this.logger.info(
+            `Distance field ${field.resolution}x${field.resolution}: max error ${maxError.toFixed(4)}, mean ${meanError.toFixed(5)}`
+        );
+        return true;
+    }
+
+    /**
+     * Handle tree count change - update buffers and bind groups
+     * With preserveLayout the current trees are kept and trees are added or
+     * removed; otherwise the simulation is marked for reset. The batch solver
+     * respawns every size, so it always takes the plain resize.
      * @param {number} newTreeCount - New tree count
+     * @returns {Promise<void>} Resolves once the buffers match the new count
      */
-    handleTreeCountChange(newTreeCount) {
-        const resized = this.physicsSimulator.handleTreeCountChange(newTreeCount);
+    async handleTreeCountChange(newTreeCount) {
+        const preserve = this.parameters.get('preserveLayout') && !this.batchSolver?.isActive;
+        const resized = preserve
+            ? await this.physicsSimulator.resizeLayout(newTreeCount)
+            : this.physicsSimulator.handleTreeCountChange(newTreeCount);
         if (resized) {
             // Update bind groups when buffers are resized
             this.pipelineManager.updateBindGroup(this.bufferManager);
@@ -10,12 +10,110 @@ export const LEGACY_FLOATS_PER_TREE = 10; // Legacy implementation: position:2,
 export const TARGET_FPS = 60;
 export const DELTA_TIME = 1.0 / TARGET_FPS; // Fixed timestep for stability
 
+// Physics substeps per animation frame
+export const MAX_SUBSTEPS = 64; // Upper bound for the substeps parameter and the adaptive mode
+export const SUBSTEP_BUDGET_SLACK = 0.1; // Overrun tolerated before backing off (absorbs vsync jitter)
+export const SUBSTEP_SMOOTHING = 0.2; // Weight of the newest frame time in the running average
+export const SUBSTEP_MAX_FRAME_GAP_MS = 250; // Longer gaps (hidden tab) are not frame times
+
 // Tree count limits
-export const MAX_TREE_COUNT = 200; // Maximum number of trees for load calculations
+export const MAX_TREE_COUNT = 200; // Largest puzzle size, used for batch mode and load calculations
+export const MAX_SIMULATION_TREE_COUNT = 5000; // Upper bound for the simulation (grid broadphase keeps collisions near-linear)
 
 // Buffer size constants
 export const BYTES_PER_FLOAT = 4; // Size of a Float32 in bytes
-export const PARAMETERS_FLOAT_COUNT = 8; // Number of floats in parameter buffer
+export const BYTES_PER_UINT = 4; // Size of a Uint32 in bytes
+
+// Params uniform layout, one 4-byte slot per field in order. SimulationParameters.getUniforms(),
+// the WGSL Params struct and CpuPhysicsKernel all follow this list
+export const UNIFORM_FIELDS = [
+    { name: 'zoom', type: 'f32' },
+    { name: 'compression', type: 'f32' },
+    { name: 'probX', type: 'f32' },
+    { name: 'time', type: 'f32' },
+    { name: 'aspect', type: 'f32' },
+    { name: 'seed', type: 'u32' }, // Hash salt, stored as raw u32 bits
+    { name: 'wallHalf', type: 'f32' }, // Square container half side; 0 disables the walls
+    { name: 'wallCenterX', type: 'f32' },
+    { name: 'wallCenterY', type: 'f32' },
+    { name: 'centerX', type: 'f32' }, // Compression target: centre of the latest scoring square
+    { name: 'centerY', type: 'f32' },
+    { name: 'targetHalfSide', type: 'f32' }, // Half side of that square; 0 until the first score
+    { name: 'pullAnisotropy', type: 'f32' },
+    { name: 'contactThreshold', type: 'f32' }, // Contact response, see PHYSICS_PARAMETERS
+    { name: 'forceGain', type: 'f32' },
+    { name: 'forceClamp', type: 'f32' },
+    { name: 'torqueGain', type: 'f32' },
+    { name: 'relaxationRate', type: 'f32' },
+    { name: 'searchRadius', type: 'f32' },
+    { name: 'timeStep', type: 'f32' },
+    { name: 'linearDamping', type: 'f32' },
+    { name: 'angularDamping', type: 'f32' },
+    { name: 'contactSolver', type: 'u32' }, // Index into CONTACT_SOLVERS
+    { name: 'treeCount', type: 'u32' } // Trees in use; bounds the score reduction
+];
+export const UNIFORM_INDEX = Object.fromEntries(UNIFORM_FIELDS.map(({ name }, index) => [name, index]));
+export const PARAMETERS_FLOAT_COUNT = Math.ceil(UNIFORM_FIELDS.length / 4) * 4; // Padded to the 16-byte uniform alignment
+
+// Compute workgroups
+export const COMPUTE_WORKGROUP_SIZE = 64; // Default invocations per workgroup for the per-tree passes
+export const COMPUTE_WORKGROUP_SIZES = [32, 64, 128, 256]; // Supported sizes; a 256-tree collision tile takes 12 KiB of the 16 KiB workgroup storage
+
+// Spatial grid broadphase
+export const GRID_CELL_SIZE = 2.5; // Two shape radii, so touching neighbours lie in the 3x3 cell block
+export const GRID_DIMENSION = 42; // Cells per side: covers the |pos| < 50 collision zone plus one cell
+export const GRID_CELL_COUNT = GRID_DIMENSION * GRID_DIMENSION;
+export const GRID_SCAN_WORKGROUP_SIZE = 256; // Threads in the single-workgroup prefix sum
+
+// Contact physics defaults, tunable at runtime through SimulationParameters
+export const CONTACT_THRESHOLD = 0.02; // Vertex-to-outline distance below which a contact pushes back
+export const CONTACT_FORCE_GAIN = 30.0; // Push per unit of penetration past the threshold
+export const CONTACT_FORCE_CLAMP = 1.0; // Largest push from one vertex contact
+export const CONTACT_TORQUE_GAIN = 3.0; // Spin per unit of contact torque
+export const RELAXATION_RATE = 1.0; // Scales every contact and wall push
+export const SEARCH_RADIUS = GRID_CELL_SIZE; // Centre distance beyond which pairs are skipped; the grid needs it <= GRID_CELL_SIZE
+export const PHYSICS_TIME_STEP = 0.016; // Integration step per compute pass
+export const LINEAR_DAMPING = 0.90; // Velocity kept per step
+export const ANGULAR_DAMPING = 0.80; // Angular velocity kept per step
+export const CONTACT_SOLVERS = ['vertex', 'sat', 'sdf']; // Vertex penalty forces, separating-axis contacts between convex parts, or vertex forces from the baked distance field
+export const PHYSICS_PARAMETERS = [
+    'contactSolver',
+    'contactThreshold',
+    'forceGain',
+    'forceClamp',
+    'torqueGain',
+    'relaxationRate',
+    'searchRadius',
+    'timeStep',
+    'linearDamping',
+    'angularDamping',
+    'sdfResolution'
+]; // SimulationParameters keys that shape the physics, stored with each run
+
+// Custom shapes
+export const MAX_SHAPE_RADIUS = GRID_CELL_SIZE / 2; // Two shapes must fit inside one grid cell
+export const MAX_SHAPE_POINTS = 64; // Distinct polygon points; each shader loops over every edge
+
+// Transform pass scratch: per tree, the AABB min and max followed by the world-space outline
+export const WORLD_SLOTS_PER_TREE = MAX_SHAPE_POINTS + 2; // vec2f slots, sized for any shape so the buffer only follows the tree count
+
+// Signed distance field
+export const SDF_RESOLUTION = 256; // Default texels per side
+export const MIN_SDF_RESOLUTION = 16;
+export const MAX_SDF_RESOLUTION = 512; // Baking runs on the main thread, about a second at this size
+export const SDF_MARGIN = 0.25; // Border around the shape, wider than the largest contact threshold
+export const SDF_ERROR_SAMPLES = 400; // Check points per side when measuring the baked field against the polygon
+
+// GPU score reduction
+export const SCORE_RESULT_FLOAT_COUNT = 8; // minX, maxX, minY, maxY, windX, windY, collisions (u32), padding
+export const SCORE_REDUCE_WORKGROUP_SIZE = 256; // Threads in the single-workgroup reduction
+export const SCORE_READ_BUFFER_COUNT = 2; // Staging buffers, so one can map while the next is filled
+
+// Collision kernel benchmark (benchmark.html)
+export const BENCHMARK_TREE_COUNTS = [200, 1000, 5000];
+export const BENCHMARK_KERNELS = ['brute', 'tiled']; // Brute-force step reading neighbours from storage, or through workgroup tiles
+export const BENCHMARK_STEPS = 50; // Timed physics steps per kernel and tree count
+export const BENCHMARK_WARMUP_STEPS = 5; // Untimed steps first, so pipeline compilation is not measured
 
 // Debug/logging constants
 export const LOG_FRAME_INTERVAL = 60; // Log every 60 frames
@@ -26,3 +124,63 @@ export const DECIMAL_PLACES_VALUES = 2; // Decimal places for compress/relax val
 
 // Performance monitoring
 export const PERFORMANCE_HISTORY_SIZE = 60; // Keep 60 frames of history for smoothing
+
+// Batch solver
+export const BATCH_STAGNATION_LIMIT = 100; // Score updates without improvement before moving to the next n
+export const BATCH_MAX_SCORE_UPDATES = 1000; // Hard cap on score updates spent on a single n
+export const BATCH_STORAGE_KEY = 'treePacker.batchResults'; // localStorage key for finished results
+
+// Simulated annealing refinement
+export const ANNEAL_ITERATIONS = 20000; // Proposed moves per refinement run
+export const ANNEAL_START_TEMPERATURE = 0.05; // In side-length units: uphill moves of this size are accepted with p = 1/e
+export const ANNEAL_END_TEMPERATURE = 0.0001; // Geometric schedule from start to end temperature
+export const ANNEAL_TRANSLATE_STEP = 0.1; // Largest translation at the start temperature (shrinks with the temperature)
+export const ANNEAL_ROTATE_STEP = 0.3; // Largest rotation in radians at the start temperature
+export const ANNEAL_YIELD_INTERVAL = 1000; // Moves between yields to the event loop
+export const REFINE_STAGNATION_LIMIT = 50; // Score updates without improvement before auto refinement runs
+
+// Stagnation escape
+export const ESCAPE_STRATEGIES = ['kick', 'rotate', 'expand', 'reinsert']; // Perturbations tried when packing stalls
+export const ESCAPE_STAGNATION_THRESHOLD = 30; // Score updates without improvement between escapes
+export const ESCAPE_KICK_SPEED = 1.5; // Largest velocity kick (the shader caps speed at 2.0)
+export const ESCAPE_KICK_SPIN = 3.0; // Largest angular velocity kick (the shader caps spin at 5.0)
+export const ESCAPE_ROTATE_FRACTION = 0.2; // Share of trees turned by the rotate strategy
+export const ESCAPE_ROTATE_ANGLE = Math.PI / 4; // Largest turn in radians
+export const ESCAPE_EXPAND_FACTOR = 1.05; // Positions scale about the layout centre by this factor
+export const ESCAPE_REINSERT_ATTEMPTS = 500; // Random placements tried for the removed boundary tree
+
+// Compression pull
+export const PULL_ANISOTROPY = 1.0; // Extra pull on trees at the far ends of the long side, relative to the centre
+export const MAX_PULL_REACH = 2.0; // Cap on distance from the target in half sides, so stragglers are not flung in
+export const ORIGIN_ANCHOR = 0.1; // Share of the way from the scoring square's centre to the origin where the target sits; keeps the cluster on the origin-centred grid
+
+// Spawn
+export const SPAWN_STRATEGIES = ['random', 'hexagonal', 'pairs', 'spiral', 'ring', 'bottomLeftFill', 'extendBest']; // Starting layouts offered by reset
+export const SPAWN_GAP = 0.01; // Clearance between neighbours in the lattice, spiral and ring spawns
+export const SPAWN_APPROACH_STEP = 0.02; // Coarse step when finding how close two trees can sit; refined by bisection
+export const SPAWN_BISECTIONS = 20; // Halvings that refine each measured spacing
+export const GOLDEN_ANGLE = Math.PI * (3 - Math.sqrt(5)); // Turn between consecutive trees of the phyllotaxis spiral
+export const BLF_ROTATIONS = 8; // Candidate rotations per tree, evenly spaced over a full turn
+export const BLF_START_COLUMNS = 6; // Drop positions tried across the current bounding square per rotation
+export const BLF_SLIDE_STEP = 0.05; // Coarse slide step, below the thinnest part of the tree so no tree is stepped over
+export const BLF_BISECTIONS = 10; // Halvings that refine each contact found by the coarse slide
+export const BLF_MAX_SLIDES = 8; // Down-then-left passes per candidate placement
+export const BLF_GAP = 1e-4; // Clearance kept at every contact so float32 positions stay overlap-free
+export const BLF_CACHE_SIZE = 32; // Bottom-left-fill layouts kept so resets at the same size and seed skip the rebuild
+
+// Incremental resize
+export const RESIZE_GRID_SPACING = 0.05; // Spacing of the candidate positions searched for gaps when trees are added
+export const RESIZE_MAX_GRID_POINTS = 40000; // Cap on candidate positions; the spacing widens for large layouts
+export const RESIZE_ROTATIONS = 8; // Candidate rotations per added tree, evenly spaced over a full turn
+export const RESIZE_MAX_ATTEMPTS = 256; // Exact overlap checks per added tree in gaps, then again on the perimeter
+export const RESIZE_POLE_SAMPLES = 64; // Samples per side when finding the deepest point of the shape
+export const RESIZE_PROBES = 16; // Interior points of the shape checked against the clearance field per candidate
+
+// Square container
+export const CONTAINER_MODES = ['gravity', 'square']; // Pull toward the origin, or squeeze with moving walls
+export const WALL_SHRINK_RATE = 0.002; // Fraction of the side the walls move in per collision-free score update (times compression)
+export const WALL_BACKOFF_RATE = 0.005; // Fraction of the side the walls move out per score update with collisions
+export const WALL_FIT_MARGIN = 0.05; // Slack around the layout when the walls are first placed
+
+// Overlap validation
+export const MAX_LOGGED_OVERLAPS = 10; // Overlapping pairs listed individually in the log
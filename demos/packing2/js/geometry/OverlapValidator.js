@@ -0,0 +1,309 @@
+import { FLOATS_PER_TREE } from '../constants.js';
+
+/**
+ * Exact CPU overlap check for finished layouts
+ * The GPU collision test only samples polygon vertices against a distance
+ * threshold; this validator runs segment intersection and point-in-polygon
+ * tests in double precision for every pair of trees whose bounds overlap.
+ * Trees that merely touch are not reported.
+ */
+export class OverlapValidator {
+    /**
+     * @param {TreeGeometry} treeGeometry - Tree geometry providing the polygon
+     * @param {Object} options - Validator options
+     * @param {number} options.tolerance - Distance below which points count as touching (default: 1e-12)
+     */
+    constructor(treeGeometry, options = {}) {
+        this.treeGeometry = treeGeometry;
+        this.tolerance = options.tolerance ?? 1e-12;
+    }
+
+    /**
+     * Validate every pair of trees in a layout
+     * @param {Float32Array} treeData - Tree buffer contents (FLOATS_PER_TREE floats per tree)
+     * @param {number} treeCount - Number of trees in the layout
+     * @returns {Object} Report {valid, overlaps: [{i, j, depth}], maxDepth}
+     */
+    validate(treeData, treeCount) {
+        const polygons = [];
+        for (let i = 0; i < treeCount; i++) {
+            const offset = i * FLOATS_PER_TREE;
+            polygons.push(this.transformPolygon(treeData[offset], treeData[offset + 1], treeData[offset + 4]));
+        }
+
+        // Sweep along x so only pairs with overlapping bounds are tested
+        const order = polygons.map((_, i) => i).sort((a, b) => polygons[a].minX - polygons[b].minX);
+        const overlaps = [];
+        let maxDepth = 0;
+
+        for (let a = 0; a < order.length; a++) {
+            const polyA = polygons[order[a]];
+            for (let b = a + 1; b < order.length; b++) {
+                const polyB = polygons[order[b]];
+                if (polyB.minX >= polyA.maxX) break;
+                if (polyB.minY >= polyA.maxY || polyA.minY >= polyB.maxY) continue;
+
+                const { overlapping, depth } = this.checkPair(polyA, polyB);
+                if (overlapping) {
+                    overlaps.push({
+                        i: Math.min(order[a], order[b]),
+                        j: Math.max(order[a], order[b]),
+                        depth
+                    });
+                    maxDepth = Math.max(maxDepth, depth);
+                }
+            }
+        }
+
+        overlaps.sort((p, q) => p.i - q.i || p.j - q.j);
+        return { valid: overlaps.length === 0, overlaps, maxDepth };
+    }
+
+    /**
+     * Rotate and translate the tree polygon into world space
+     * @param {number} x - World position x
+     * @param {number} y - World position y
+     * @param {number} rotation - Rotation in radians (counter-clockwise)
+     * @returns {Object} Polygon {points, minX, maxX, minY, maxY}
+     */
+    transformPolygon(x, y, rotation) {
+        const polygon = this.treeGeometry.getPolygon();
+        let count = polygon.length;
+
+        // The polygon repeats its first vertex to close the loop; drop the duplicate
+        if (count >= 4 && polygon[0] === polygon[count - 2] && polygon[1] === polygon[count - 1]) {
+            count -= 2;
+        }
+
+        const cosR = Math.cos(rotation);
+        const sinR = Math.sin(rotation);
+        const points = new Float64Array(count);
+        let minX = Infinity, maxX = -Infinity, minY = Infinity, maxY = -Infinity;
+
+        for (let i = 0; i < count; i += 2) {
+            const wx = x + polygon[i] * cosR - polygon[i + 1] * sinR;
+            const wy = y + polygon[i] * sinR + polygon[i + 1] * cosR;
+            points[i] = wx;
+            points[i + 1] = wy;
+            if (wx < minX) minX = wx;
+            if (wx > maxX) maxX = wx;
+            if (wy < minY) minY = wy;
+            if (wy > maxY) maxY = wy;
+        }
+
+        return { points, minX, maxX, minY, maxY };
+    }
+
+    /**
+     * Check one world-space polygon against a set of others
+     * @param {Object} polygon - Polygon from transformPolygon()
+     * @param {Array<Object>} polygons - Polygons from transformPolygon()
+     * @param {number} skipIndex - Index in polygons to ignore, e.g. the tree being moved (default: -1)
+     * @returns {boolean} True if the polygon overlaps any of the others
+     */
+    overlapsAny(polygon, polygons, skipIndex = -1) {
+        for (let j = 0; j < polygons.length; j++) {
+            if (j === skipIndex) continue;
+            const other = polygons[j];
+            if (other.minX >= polygon.maxX || polygon.minX >= other.maxX) continue;
+            if (other.minY >= polygon.maxY || polygon.minY >= other.maxY) continue;
+            if (this.checkPair(polygon, other).overlapping) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    /**
+     * Test two world-space polygons for interior overlap
+     * Penetration depth is the deepest sampled boundary point of either polygon
+     * measured to the other polygon's boundary
+     * @param {Object} polyA - Polygon from transformPolygon()
+     * @param {Object} polyB - Polygon from transformPolygon()
+     * @returns {Object} Result {overlapping, depth}
+     */
+    checkPair(polyA, polyB) {
+        const inA = this._samplePoints(polyA.points, polyB.points);
+        const inB = this._samplePoints(polyB.points, polyA.points);
+        const depth = Math.max(inA.depth, inB.depth);
+
+        // A polygon with no sample outside the other lies within it (e.g. coincident trees)
+        const overlapping = inA.inside || inB.inside || !inA.outside || !inB.outside ||
+            this._edgesCross(polyA.points, polyB.points);
+
+        return { overlapping, depth: overlapping ? depth : 0 };
+    }
+
+    /**
+     * Classify boundary samples of one polygon against another
+     * Samples are the vertices plus the midpoint of every piece an edge is
+     * split into by the other polygon's edges, so each piece is either fully
+     * inside, fully outside or on the other boundary
+     * @param {Float64Array} points - Sampled polygon
+     * @param {Float64Array} other - Polygon tested against
+     * @returns {Object} {inside, outside, depth}
+     * @private
+     */
+    _samplePoints(points, other) {
+        let inside = false;
+        let outside = false;
+        let depth = 0;
+
+        const classify = (px, py) => {
+            const distance = this._boundaryDistance(px, py, other);
+            if (distance <= this.tolerance) return; // on the boundary: touching only
+
+            if (this._containsPoint(px, py, other)) {
+                inside = true;
+                depth = Math.max(depth, distance);
+            } else {
+                outside = true;
+            }
+        };
+
+        for (let i = 0; i < points.length; i += 2) {
+            const next = (i + 2) % points.length;
+            const ax = points[i], ay = points[i + 1];
+            const ex = points[next] - ax, ey = points[next + 1] - ay;
+
+            classify(ax, ay);
+
+            const splits = this._edgeSplits(ax, ay, ex, ey, other);
+            for (let k = 1; k < splits.length; k++) {
+                const t = (splits[k - 1] + splits[k]) / 2;
+                classify(ax + t * ex, ay + t * ey);
+            }
+        }
+
+        return { inside, outside, depth };
+    }
+
+    /**
+     * Find where the other polygon's edges cut the segment a + t·e
+     * @param {number} ax - Segment start x
+     * @param {number} ay - Segment start y
+     * @param {number} ex - Segment direction x
+     * @param {number} ey - Segment direction y
+     * @param {Float64Array} other - Cutting polygon
+     * @returns {Array<number>} Sorted parameters in [0, 1], including both ends
+     * @private
+     */
+    _edgeSplits(ax, ay, ex, ey, other) {
+        const splits = [0, 1];
+
+        for (let j = 0; j < other.length; j += 2) {
+            const j2 = (j + 2) % other.length;
+            const cx = other[j], cy = other[j + 1];
+            const fx = other[j2] - cx, fy = other[j2 + 1] - cy;
+            const denom = ex * fy - ey * fx;
+
+            if (denom === 0) {
+                // Parallel edges: split at the projections of the other edge's ends
+                [[cx, cy], [cx + fx, cy + fy]].forEach(([qx, qy]) => {
+                    const lengthSq = ex * ex + ey * ey;
+                    const t = lengthSq > 0 ? ((qx - ax) * ex + (qy - ay) * ey) / lengthSq : 0;
+                    if (t > 0 && t < 1) splits.push(t);
+                });
+                continue;
+            }
+
+            const t = ((cx - ax) * fy - (cy - ay) * fx) / denom;
+            const u = ((cx - ax) * ey - (cy - ay) * ex) / denom;
+            if (t > 0 && t < 1 && u >= 0 && u <= 1) splits.push(t);
+        }
+
+        return splits.sort((p, q) => p - q);
+    }
+
+    /**
+     * Check for a proper crossing between any edge of A and any edge of B
+     * @param {Float64Array} pointsA - First polygon
+     * @param {Float64Array} pointsB - Second polygon
+     * @returns {boolean} True if two edges cross at interior points
+     * @private
+     */
+    _edgesCross(pointsA, pointsB) {
+        const tol = this.tolerance;
+
+        for (let i = 0; i < pointsA.length; i += 2) {
+            const i2 = (i + 2) % pointsA.length;
+            const ax = pointsA[i], ay = pointsA[i + 1];
+            const bx = pointsA[i2], by = pointsA[i2 + 1];
+
+            for (let j = 0; j < pointsB.length; j += 2) {
+                const j2 = (j + 2) % pointsB.length;
+                const cx = pointsB[j], cy = pointsB[j + 1];
+                const dx = pointsB[j2], dy = pointsB[j2 + 1];
+
+                const d1 = this._orientation(ax, ay, bx, by, cx, cy);
+                const d2 = this._orientation(ax, ay, bx, by, dx, dy);
+                const d3 = this._orientation(cx, cy, dx, dy, ax, ay);
+                const d4 = this._orientation(cx, cy, dx, dy, bx, by);
+
+                if (((d1 > tol && d2 < -tol) || (d1 < -tol && d2 > tol)) &&
+                    ((d3 > tol && d4 < -tol) || (d3 < -tol && d4 > tol))) {
+                    return true;
+                }
+            }
+        }
+
+        return false;
+    }
+
+    /**
+     * Twice the signed area of triangle (a, b, c)
+     * @param {number} ax - Point a x
+     * @param {number} ay - Point a y
+     * @param {number} bx - Point b x
+     * @param {number} by - Point b y
+     * @param {number} cx - Point c x
+     * @param {number} cy - Point c y
+     * @returns {number} Positive when c is left of a→b
+     * @private
+     */
+    _orientation(ax, ay, bx, by, cx, cy) {
+        return (bx - ax) * (cy - ay) - (by - ay) * (cx - ax);
+    }
+
+    /**
+     * Even-odd point-in-polygon test
+     * @param {number} px - Point x
+     * @param {number} py - Point y
+     * @param {Float64Array} points - Polygon as x,y pairs
+     * @returns {boolean} True if the point is inside
+     * @private
+     */
+    _containsPoint(px, py, points) {
+        let inside = false;
+        for (let i = 0, j = points.length - 2; i < points.length; j = i, i += 2) {
+            const xi = points[i], yi = points[i + 1];
+            const xj = points[j], yj = points[j + 1];
+            if ((yi > py) !== (yj > py) && px < (xj - xi) * (py - yi) / (yj - yi) + xi) {
+                inside = !inside;
+            }
+        }
+        return inside;
+    }
+
+    /**
+     * Shortest distance from a point to the polygon boundary
+     * @param {number} px - Point x
+     * @param {number} py - Point y
+     * @param {Float64Array} points - Polygon as x,y pairs
+     * @returns {number} Distance
+     * @private
+     */
+    _boundaryDistance(px, py, points) {
+        let best = Infinity;
+        for (let i = 0, j = points.length - 2; i < points.length; j = i, i += 2) {
+            const ax = points[j], ay = points[j + 1];
+            const ex = points[i] - ax, ey = points[i + 1] - ay;
+            const lengthSq = ex * ex + ey * ey;
+            const t = lengthSq > 0 ? Math.max(0, Math.min(1, ((px - ax) * ex + (py - ay) * ey) / lengthSq)) : 0;
+            const dx = px - (ax + t * ex);
+            const dy = py - (ay + t * ey);
+            best = Math.min(best, Math.hypot(dx, dy));
+        }
+        return best;
+    }
+}
@@ -0,0 +1,159 @@
+import { SDF_RESOLUTION, SDF_MARGIN, SDF_ERROR_SAMPLES } from '../constants.js';
+
+/**
+ * Signed distance field of the tree shape baked onto a square grid
+ * Each texel holds the exact signed distance at its centre and the unit gradient
+ * (the outward contact normal), laid out as rgba32float for the compute shader.
+ * Lookups interpolate bilinearly between the four surrounding texels, the same way
+ * the shader's sample_sdf does, so the CPU kernel sees the same field as the GPU.
+ */
+export class SignedDistanceField {
+    /**
+     * @param {TreeGeometry} treeGeometry - Shape to bake
+     * @param {number} resolution - Texels per side (default: SDF_RESOLUTION)
+     */
+    constructor(treeGeometry, resolution = SDF_RESOLUTION) {
+        if (!Number.isInteger(resolution) || resolution < 2) {
+            throw new Error(`Invalid SDF resolution: ${resolution}`);
+        }
+
+        this.treeGeometry = treeGeometry;
+        this.polygon = treeGeometry.polygon;
+        this.resolution = resolution;
+        this.extent = SignedDistanceField.getExtent(treeGeometry);
+        this.spacing = (2 * this.extent) / (resolution - 1);
+        this.data = this._bake();
+    }
+
+    /**
+     * Half side of the square the field covers: the shape plus SDF_MARGIN
+     * @param {TreeGeometry} treeGeometry - Shape to bake
+     * @returns {number} Half side, centred on the tree origin
+     */
+    static getExtent(treeGeometry) {
+        const polygon = treeGeometry.getPolygon();
+        let reach = 0;
+        for (let i = 0; i < polygon.length; i++) {
+            reach = Math.max(reach, Math.abs(polygon[i]));
+        }
+        return reach + SDF_MARGIN;
+    }
+
+    /**
+     * Whether this field was baked for a shape and resolution
+     * @param {TreeGeometry} treeGeometry - Current shape
+     * @param {number} resolution - Requested texels per side
+     * @returns {boolean} True if the field can be reused
+     */
+    matches(treeGeometry, resolution) {
+        return this.treeGeometry === treeGeometry && this.polygon === treeGeometry.polygon && this.resolution === resolution;
+    }
+
+    /**
+     * Fill the texels with distance and gradient
+     * The gradient comes from central differences half a texel apart, so it stays
+     * smooth across the texel and is normalized to a unit contact normal.
+     * @returns {Float32Array} resolution * resolution texels of (distance, gradX, gradY, 0)
+     * @private
+     */
+    _bake() {
+        const { resolution, extent, spacing } = this;
+        const data = new Float32Array(resolution * resolution * 4);
+        const h = spacing / 2;
+        const distance = (x, y) => this.treeGeometry.signedDistance(x, y);
+
+        for (let j = 0; j < resolution; j++) {
+            const y = -extent + j * spacing;
+            for (let i = 0; i < resolution; i++) {
+                const x = -extent + i * spacing;
+                const gradX = distance(x + h, y) - distance(x - h, y);
+                const gradY = distance(x, y + h) - distance(x, y - h);
+                const length = Math.hypot(gradX, gradY);
+
+                const offset = (j * resolution + i) * 4;
+                data[offset] = distance(x, y);
+                data[offset + 1] = length > 0 ? gradX / length : 0;
+                data[offset + 2] = length > 0 ? gradY / length : 0;
+            }
+        }
+        return data;
+    }
+
+    /**
+     * Interpolated distance and gradient at a tree-local point (shader sample_sdf)
+     * Points outside the baked square are further than SDF_MARGIN from the shape
+     * and report a distance of 1000 with no gradient.
+     * @param {number} x - Point x in tree-local space
+     * @param {number} y - Point y in tree-local space
+     * @returns {Array<number>} [distance, gradX, gradY]
+     */
+    sample(x, y) {
+        const { resolution, extent, data } = this;
+        const u = (x + extent) / (2 * extent) * (resolution - 1);
+        const v = (y + extent) / (2 * extent) * (resolution - 1);
+        if (!(u >= 0 && v >= 0 && u <= resolution - 1 && v <= resolution - 1)) {
+            return [1000.0, 0.0, 0.0];
+        }
+
+        const i = Math.min(Math.floor(u), resolution - 2);
+        const j = Math.min(Math.floor(v), resolution - 2);
+        const fu = u - i, fv = v - j;
+        const texel = (di, dj, channel) => data[((j + dj) * resolution + i + di) * 4 + channel];
+
+        return [0, 1, 2].map(channel => {
+            const bottom = texel(0, 0, channel) + (texel(1, 0, channel) - texel(0, 0, channel)) * fu;
+            const top = texel(0, 1, channel) + (texel(1, 1, channel) - texel(0, 1, channel)) * fu;
+            return bottom + (top - bottom) * fv;
+        });
+    }
+
+    /**
+     * Compare the baked field with the exact polygon distance
+     * Distance errors are sampled over the whole field on a grid offset from the
+     * texel centres; normal errors only within SDF_MARGIN of the outline, where
+     * contacts are resolved.
+     * @param {number} samples - Check points per side (default: SDF_ERROR_SAMPLES)
+     * @returns {Object} Report {resolution, extent, maxError, meanError, maxErrorAt: {x, y}, maxNormalError, meanNormalError}; normal errors in radians
+     */
+    measureError(samples = SDF_ERROR_SAMPLES) {
+        const { extent } = this;
+        const h = 1e-6;
+        let maxError = 0, errorSum = 0, maxErrorAt = { x: 0, y: 0 };
+        let maxNormalError = 0, normalErrorSum = 0, normalCount = 0;
+
+        for (let b = 0; b < samples; b++) {
+            const y = -extent + (b + 0.5) / samples * 2 * extent;
+            for (let a = 0; a < samples; a++) {
+                const x = -extent + (a + 0.5) / samples * 2 * extent;
+                const exact = this.treeGeometry.signedDistance(x, y);
+                const [distance, gradX, gradY] = this.sample(x, y);
+
+                const error = Math.abs(distance - exact);
+                errorSum += error;
+                if (error > maxError) {
+                    maxError = error;
+                    maxErrorAt = { x, y };
+                }
+
+                if (Math.abs(exact) <= SDF_MARGIN) {
+                    const exactX = this.treeGeometry.signedDistance(x + h, y) - this.treeGeometry.signedDistance(x - h, y);
+                    const exactY = this.treeGeometry.signedDistance(x, y + h) - this.treeGeometry.signedDistance(x, y - h);
+                    const angle = Math.abs(Math.atan2(exactX * gradY - exactY * gradX, exactX * gradX + exactY * gradY));
+                    maxNormalError = Math.max(maxNormalError, angle);
+                    normalErrorSum += angle;
+                    normalCount++;
+                }
+            }
+        }
+
+        return {
+            resolution: this.resolution,
+            extent,
+            maxError,
+            meanError: errorSum / (samples * samples),
+            maxErrorAt,
+            maxNormalError,
+            meanNormalError: normalCount > 0 ? normalErrorSum / normalCount : 0
+        };
+    }
+}
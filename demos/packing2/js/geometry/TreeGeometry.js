@@ -1,11 +1,23 @@
+import { FLOATS_PER_TREE, MAX_SHAPE_RADIUS, MAX_SHAPE_POINTS } from '../constants.js';
+
 /**
  * Tree geometry definition and vertex/index generation
  * Centralizes tree polygon data to eliminate duplication between CPU and GPU
  */
 export class TreeGeometry {
-    constructor() {
-        // Tree geometry (detailed Christmas tree shape from original_working.html)
-        this.polygon = [
+    /**
+     * @param {Array<number>} polygon - Closed or open outline as x,y pairs (default: the Christmas tree)
+     */
+    constructor(polygon = TreeGeometry.treePolygon()) {
+        this.setPolygon(polygon);
+    }
+
+    /**
+     * Default outline: the detailed Christmas tree shape from original_working.html
+     * @returns {Array<number>} Closed polygon as x,y pairs
+     */
+    static treePolygon() {
+        return [
             0.0, 0.8,     // top center
             0.125, 0.5,   // top right branch
             0.0625, 0.5,  // top right inner
@@ -23,56 +35,275 @@ export class TreeGeometry {
             -0.125, 0.5,  // top left branch
             0.0, 0.8      // back to top center
         ];
+    }
 
-        // Validate polygon data
-        if (this.polygon.length % 2 !== 0) {
+    /**
+     * Parse a shape file into a flat x,y list
+     * Accepts [x0, y0, x1, y1, ...], [[x, y], ...], [{x, y}, ...] or an object
+     * holding one of those under "polygon" or "points"
+     * @param {string} text - JSON text
+     * @returns {Array<number>} Coordinates as x,y pairs (not yet validated)
+     */
+    static parsePolygonJSON(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            throw new Error(`Invalid shape JSON: ${error.message}`);
+        }
+
+        if (data !== null && typeof data === 'object' && !Array.isArray(data)) {
+            data = data.polygon ?? data.points;
+        }
+        if (!Array.isArray(data)) {
+            throw new Error('Invalid shape JSON: expected an array of points');
+        }
+
+        return data.flatMap(point => {
+            if (typeof point === 'number') return [point];
+            if (Array.isArray(point) && point.length === 2) return point;
+            if (point !== null && typeof point === 'object' && 'x' in point && 'y' in point) return [point.x, point.y];
+            throw new Error(`Invalid shape JSON: unrecognized point ${JSON.stringify(point)}`);
+        });
+    }
+
+    /**
+     * Replace the outline, validate it and regenerate the render geometry
+     * The outline is closed automatically if its last point differs from the first.
+     * Shaders and buffers built from the previous outline must be rebuilt by the caller.
+     * @param {Array<number>|Float32Array} points - Outline as x,y pairs
+     */
+    setPolygon(points) {
+        const polygon = Array.from(points, Number);
+
+        if (polygon.length % 2 !== 0) {
             throw new Error('Invalid polygon data: length must be even (pairs of x,y coordinates)');
         }
+        if (!polygon.every(Number.isFinite)) {
+            throw new Error('Invalid polygon data: coordinates must be finite numbers');
+        }
+
+        // The shaders walk edge i from point i to point i + 1, so the first point is repeated at the end
+        const n = polygon.length;
+        if (n >= 2 && (polygon[0] !== polygon[n - 2] || polygon[1] !== polygon[n - 1])) {
+            polygon.push(polygon[0], polygon[1]);
+        }
 
-        // Generate vertices and indices for rendering
+        this._validatePolygon(polygon);
+
+        this.polygon = polygon;
         this._generateGeometry();
+        this.convexParts = this._generateConvexParts();
+    }
+
+    /**
+     * Check that a closed outline is a simple polygon the simulation can handle
+     * @param {Array<number>} polygon - Closed outline as x,y pairs
+     * @private
+     */
+    _validatePolygon(polygon) {
+        const count = polygon.length / 2 - 1; // Distinct points
+        if (count < 3) {
+            throw new Error('Invalid polygon: needs at least 3 distinct points');
+        }
+        if (count > MAX_SHAPE_POINTS) {
+            throw new Error(`Invalid polygon: at most ${MAX_SHAPE_POINTS} points are supported, got ${count}`);
+        }
+
+        // The grid broadphase assumes two shapes fit inside one cell
+        for (let i = 0; i < count; i++) {
+            if (Math.hypot(polygon[i * 2], polygon[i * 2 + 1]) > MAX_SHAPE_RADIUS) {
+                throw new Error(`Invalid polygon: point ${i} lies more than ${MAX_SHAPE_RADIUS} from the origin`);
+            }
+        }
+
+        for (let i = 0; i < count; i++) {
+            if (polygon[i * 2] === polygon[i * 2 + 2] && polygon[i * 2 + 1] === polygon[i * 2 + 3]) {
+                throw new Error(`Invalid polygon: edge ${i} has zero length`);
+            }
+        }
+
+        if (TreeGeometry._signedArea(polygon) === 0) {
+            throw new Error('Invalid polygon: area is zero');
+        }
+
+        const point = (i) => [polygon[(i % count) * 2], polygon[(i % count) * 2 + 1]];
+        for (let i = 0; i < count; i++) {
+            const [ax, ay] = point(i);
+            const [bx, by] = point(i + 1);
+
+            // Adjacent edges only share their common point unless the outline folds back on itself
+            const [cx, cy] = point(i + 2);
+            const cross = (bx - ax) * (cy - by) - (by - ay) * (cx - bx);
+            const dot = (bx - ax) * (cx - bx) + (by - ay) * (cy - by);
+            if (cross === 0 && dot < 0) {
+                throw new Error(`Invalid polygon: edges ${i} and ${(i + 1) % count} fold back on each other`);
+            }
+
+            for (let j = i + 2; j < count; j++) {
+                if (i === 0 && j === count - 1) continue; // Adjacent through the closing point
+                const [px, py] = point(j);
+                const [qx, qy] = point(j + 1);
+                if (TreeGeometry._segmentsIntersect(ax, ay, bx, by, px, py, qx, qy)) {
+                    throw new Error(`Invalid polygon: edges ${i} and ${j} intersect (polygon must be simple)`);
+                }
+            }
+        }
     }
 
     /**
      * Generate vertices and indices for triangle-based rendering
+     * Triangulates the outline by ear clipping, so any simple polygon works
      * @private
      */
     _generateGeometry() {
-        // Convert the detailed tree polygon into triangles for filled rendering
         this.vertices = [];
         this.indices = [];
 
-        // Add all polygon points as vertices (16 points total)
+        // Add all polygon points as vertices (including the closing point)
         for (let i = 0; i < this.polygon.length; i += 2) {
             this.vertices.push(this.polygon[i], this.polygon[i + 1]);
         }
 
-        // Create triangles to fill the tree shape
-        // Divide into sections and triangulate each part
+        const count = this.polygon.length / 2 - 1;
+        const orientation = Math.sign(TreeGeometry._signedArea(this.polygon));
+        const x = (i) => this.polygon[i * 2];
+        const y = (i) => this.polygon[i * 2 + 1];
+        const turn = (a, b, c) => ((x(b) - x(a)) * (y(c) - y(b)) - (y(b) - y(a)) * (x(c) - x(b))) * orientation;
 
-        // Top section (points 0-3)
-        this.indices.push(0, 1, 2);
-        this.indices.push(0, 2, 3);
+        const remaining = Array.from({ length: count }, (_, i) => i);
+        while (remaining.length > 3) {
+            const ear = remaining.findIndex((b, k) => {
+                const a = remaining[(k + remaining.length - 1) % remaining.length];
+                const c = remaining[(k + 1) % remaining.length];
+                if (turn(a, b, c) <= 0) return false; // Reflex or collinear corner
 
-        // Upper right section (points 3-6)
-        this.indices.push(3, 4, 5);
-        this.indices.push(3, 5, 6);
+                // No other remaining point may lie inside or on the candidate triangle
+                return remaining.every(p => p === a || p === b || p === c ||
+                    turn(a, b, p) < 0 || turn(b, c, p) < 0 || turn(c, a, p) < 0);
+            });
 
-        // Lower right section (points 6-8)
-        this.indices.push(6, 7, 8);
+            if (ear !== -1) {
+                const a = remaining[(ear + remaining.length - 1) % remaining.length];
+                const c = remaining[(ear + 1) % remaining.length];
+                this.indices.push(a, remaining[ear], c);
+                remaining.splice(ear, 1);
+                continue;
+            }
 
-        // Bottom trunk section (points 7-9)
-        this.indices.push(7, 8, 9);
+            // Only collinear corners are left to clip; they add no area
+            const flat = remaining.findIndex((b, k) => turn(
+                remaining[(k + remaining.length - 1) % remaining.length], b, remaining[(k + 1) % remaining.length]
+            ) === 0);
+            if (flat === -1) {
+                throw new Error('Invalid polygon: triangulation failed');
+            }
+            remaining.splice(flat, 1);
+        }
 
-        // Lower left section (points 9-12)
-        this.indices.push(9, 10, 11);
-        this.indices.push(9, 11, 12);
+        if (turn(remaining[0], remaining[1], remaining[2]) > 0) {
+            this.indices.push(remaining[0], remaining[1], remaining[2]);
+        }
+    }
 
-        // Upper left section (points 12-15, connecting back to 0)
-        this.indices.push(12, 13, 14);
-        this.indices.push(12, 14, 15);
-        this.indices.push(14, 15, 0);
-        this.indices.push(15, 0, 1);
+    /**
+     * Split the outline into convex parts for the separating-axis solver
+     * Merges the ear-clipping triangles across shared diagonals while the merged
+     * polygon stays convex (Hertel-Mehlhorn), which gives at most four times the
+     * minimum number of parts.
+     * @returns {Array<Object>} Parts {points, centerX, centerY, radius}; points are counter-clockwise x,y pairs
+     * @private
+     */
+    _generateConvexParts() {
+        const orientation = Math.sign(TreeGeometry._signedArea(this.polygon));
+        const x = (i) => this.polygon[i * 2];
+        const y = (i) => this.polygon[i * 2 + 1];
+        const turn = (a, b, c) => ((x(b) - x(a)) * (y(c) - y(b)) - (y(b) - y(a)) * (x(c) - x(b))) * orientation;
+        const isConvex = (part) => part.every((b, k) =>
+            turn(part[(k + part.length - 1) % part.length], b, part[(k + 1) % part.length]) >= 0);
+
+        // Parts hold point indices in the outline's winding order
+        const parts = [];
+        for (let t = 0; t < this.indices.length; t += 3) {
+            parts.push(this.indices.slice(t, t + 3));
+        }
+
+        // Merge part q into part p along an edge a -> b of p (b -> a in q)
+        const merge = (p, q) => {
+            for (let k = 0; k < p.length; k++) {
+                const a = p[k];
+                const b = p[(k + 1) % p.length];
+                const m = q.indexOf(b);
+                if (m === -1 || q[(m + 1) % q.length] !== a) continue;
+
+                const rotatedP = [...p.slice(k + 1), ...p.slice(0, k + 1)];       // b ... a
+                const rotatedQ = [...q.slice(m + 1), ...q.slice(0, m + 1)];       // a ... b
+                const merged = [...rotatedP, ...rotatedQ.slice(1, -1)];
+                return isConvex(merged) ? merged : null;
+            }
+            return null;
+        };
+
+        let changed = true;
+        while (changed) {
+            changed = false;
+            for (let i = 0; i < parts.length && !changed; i++) {
+                for (let j = i + 1; j < parts.length && !changed; j++) {
+                    const merged = merge(parts[i], parts[j]);
+                    if (merged) {
+                        parts[i] = merged;
+                        parts.splice(j, 1);
+                        changed = true;
+                    }
+                }
+            }
+        }
+
+        return parts.map(part => {
+            const ordered = orientation > 0 ? part : [...part].reverse();
+            const points = ordered.flatMap(i => [x(i), y(i)]);
+            const centerX = ordered.reduce((sum, i) => sum + x(i), 0) / ordered.length;
+            const centerY = ordered.reduce((sum, i) => sum + y(i), 0) / ordered.length;
+            const radius = Math.max(...ordered.map(i => Math.hypot(x(i) - centerX, y(i) - centerY)));
+            return { points, centerX, centerY, radius };
+        });
+    }
+
+    /**
+     * Twice the signed area of a closed outline (positive when counter-clockwise)
+     * @param {Array<number>} polygon - Closed outline as x,y pairs
+     * @returns {number} Twice the signed area
+     * @private
+     */
+    static _signedArea(polygon) {
+        let area = 0;
+        for (let i = 0; i < polygon.length - 2; i += 2) {
+            area += polygon[i] * polygon[i + 3] - polygon[i + 2] * polygon[i + 1];
+        }
+        return area;
+    }
+
+    /**
+     * Test whether two closed segments share any point
+     * @returns {boolean} True if segments AB and PQ touch or cross
+     * @private
+     */
+    static _segmentsIntersect(ax, ay, bx, by, px, py, qx, qy) {
+        const orient = (ox, oy, ux, uy, vx, vy) => Math.sign((ux - ox) * (vy - oy) - (uy - oy) * (vx - ox));
+        const onSegment = (ox, oy, ux, uy, vx, vy) =>
+            Math.min(ox, ux) <= vx && vx <= Math.max(ox, ux) && Math.min(oy, uy) <= vy && vy <= Math.max(oy, uy);
+
+        const d1 = orient(px, py, qx, qy, ax, ay);
+        const d2 = orient(px, py, qx, qy, bx, by);
+        const d3 = orient(ax, ay, bx, by, px, py);
+        const d4 = orient(ax, ay, bx, by, qx, qy);
+
+        if (d1 * d2 < 0 && d3 * d4 < 0) return true;
+        if (d1 === 0 && onSegment(px, py, qx, qy, ax, ay)) return true;
+        if (d2 === 0 && onSegment(px, py, qx, qy, bx, by)) return true;
+        if (d3 === 0 && onSegment(ax, ay, bx, by, px, py)) return true;
+        if (d4 === 0 && onSegment(ax, ay, bx, by, qx, qy)) return true;
+        return false;
     }
 
     /**
@@ -83,6 +314,81 @@ export class TreeGeometry {
         return new Float32Array(this.polygon);
     }
 
+    /**
+     * Get the polygon rotated and translated into world space (double precision)
+     * @param {number} x - World position x
+     * @param {number} y - World position y
+     * @param {number} rotation - Rotation in radians (counter-clockwise)
+     * @returns {Array<number>} World-space vertices as x,y pairs
+     */
+    getTransformedPolygon(x, y, rotation) {
+        const cosR = Math.cos(rotation);
+        const sinR = Math.sin(rotation);
+        const transformed = new Array(this.polygon.length);
+
+        for (let i = 0; i < this.polygon.length; i += 2) {
+            const vx = this.polygon[i];
+            const vy = this.polygon[i + 1];
+            transformed[i] = x + vx * cosR - vy * sinR;
+            transformed[i + 1] = y + vx * sinR + vy * cosR;
+        }
+
+        return transformed;
+    }
+
+    /**
+     * Exact signed distance from a tree-local point to the outline (double precision)
+     * @param {number} x - Point x in tree-local space
+     * @param {number} y - Point y in tree-local space
+     * @returns {number} Distance to the nearest edge, negative inside the polygon
+     */
+    signedDistance(x, y) {
+        const polygon = this.polygon;
+        let best = Infinity;
+        let winding = 0;
+
+        for (let i = 0; i < polygon.length - 2; i += 2) {
+            const ax = polygon[i], ay = polygon[i + 1];
+            const bx = polygon[i + 2], by = polygon[i + 3];
+            const ex = bx - ax, ey = by - ay;
+            const px = x - ax, py = y - ay;
+            const h = Math.min(Math.max((px * ex + py * ey) / (ex * ex + ey * ey), 0), 1);
+            best = Math.min(best, Math.hypot(px - ex * h, py - ey * h));
+
+            const side = ex * py - ey * px;
+            if (ay <= y) {
+                if (by > y && side > 0) winding++;
+            } else if (by <= y && side < 0) {
+                winding--;
+            }
+        }
+
+        return winding !== 0 ? -best : best;
+    }
+
+    /**
+     * Calculate exact polygon bounds of a whole layout
+     * @param {Float32Array} treeData - Tree buffer contents (FLOATS_PER_TREE floats per tree)
+     * @param {number} treeCount - Number of trees in the layout
+     * @returns {Object} Bounds {minX, maxX, minY, maxY}
+     */
+    getLayoutBounds(treeData, treeCount) {
+        let minX = Infinity, maxX = -Infinity, minY = Infinity, maxY = -Infinity;
+
+        for (let i = 0; i < treeCount; i++) {
+            const offset = i * FLOATS_PER_TREE;
+            const world = this.getTransformedPolygon(treeData[offset], treeData[offset + 1], treeData[offset + 4]);
+            for (let j = 0; j < world.length; j += 2) {
+                if (world[j] < minX) minX = world[j];
+                if (world[j] > maxX) maxX = world[j];
+                if (world[j + 1] < minY) minY = world[j + 1];
+                if (world[j + 1] > maxY) maxY = world[j + 1];
+            }
+        }
+
+        return { minX, maxX, minY, maxY };
+    }
+
     /**
      * Get vertices for rendering (triangle-based)
      * @returns {Float32Array} Vertex positions as x,y pairs
@@ -99,6 +405,14 @@ export class TreeGeometry {
         return new Uint32Array(this.indices);
     }
 
+    /**
+     * Get the convex parts of the outline (used by the separating-axis solver)
+     * @returns {Array<Object>} Parts {points, centerX, centerY, radius}; points are counter-clockwise x,y pairs
+     */
+    getConvexParts() {
+        return this.convexParts.map(part => ({ ...part, points: [...part.points] }));
+    }
+
     /**
      * Get the radius used for collision detection (approximate)
      * @returns {number} Collision radius
@@ -0,0 +1,161 @@
+import { FLOATS_PER_TREE, BYTES_PER_FLOAT, PARAMETERS_FLOAT_COUNT } from '../constants.js';
+
+/**
+ * CPU stand-in for BufferManager
+ * Buffers are plain Float32Arrays and the compute pass runs on a CpuPhysicsKernel,
+ * so PhysicsSimulator works unchanged outside the browser
+ */
+export class HeadlessBufferManager {
+    /**
+     * @param {CpuPhysicsKernel} kernel - Kernel that advances the tree buffer
+     */
+    constructor(kernel) {
+        this.kernel = kernel;
+        this.treeBuffer = null;
+        this.bestTreeBuffer = null;
+        this.uniformBuffer = null;
+    }
+
+    /**
+     * Initialize all buffers
+     * @param {number} treeCount - Number of trees to allocate for
+     */
+    initBuffers(treeCount) {
+        this.createTreeBuffer(treeCount);
+        this.createBestTreeBuffer(treeCount);
+        this.createUniformBuffer();
+    }
+
+    /**
+     * Create tree data buffer
+     * @param {number} treeCount - Number of trees
+     */
+    createTreeBuffer(treeCount) {
+        this.treeBuffer = new Float32Array(treeCount * FLOATS_PER_TREE);
+    }
+
+    /**
+     * Create the buffer holding the best validated layout
+     * @param {number} treeCount - Number of trees
+     */
+    createBestTreeBuffer(treeCount) {
+        this.bestTreeBuffer = new Float32Array(treeCount * FLOATS_PER_TREE);
+    }
+
+    /**
+     * Create uniform buffer for simulation parameters
+     */
+    createUniformBuffer() {
+        this.uniformBuffer = new Float32Array(PARAMETERS_FLOAT_COUNT);
+    }
+
+    /**
+     * Write data to a buffer
+     * @param {Float32Array} buffer - Target buffer
+     * @param {ArrayBufferView} data - Data to write
+     * @param {number} offset - Offset in bytes (default: 0)
+     */
+    writeBuffer(buffer, data, offset = 0) {
+        buffer.set(data, offset / BYTES_PER_FLOAT);
+    }
+
+    /**
+     * Copy one buffer into another
+     * @param {Float32Array} source - Source buffer
+     * @param {Float32Array} destination - Destination buffer (at least as large as the source)
+     */
+    copyBuffer(source, destination) {
+        destination.set(source);
+    }
+
+    /**
+     * Run one compute pass over the tree buffer
+     */
+    dispatchCompute() {
+        this.kernel.step(this.treeBuffer, this.uniformBuffer);
+    }
+
+    /**
+     * Copy the tree buffer contents
+     * @returns {Promise<Float32Array>} Copy of the tree buffer contents
+     */
+    async readTreeBuffer() {
+        return this.treeBuffer.slice();
+    }
+
+    /**
+     * Copy the best layout buffer contents
+     * @returns {Promise<Float32Array>} Copy of the best layout buffer contents
+     */
+    async readBestTreeBuffer() {
+        return this.bestTreeBuffer.slice();
+    }
+
+    /**
+     * Get tree buffer
+     * @returns {Float32Array} Tree data buffer
+     */
+    getTreeBuffer() {
+        return this.treeBuffer;
+    }
+
+    /**
+     * Get best layout buffer
+     * @returns {Float32Array} Snapshot of the best validated layout
+     */
+    getBestTreeBuffer() {
+        return this.bestTreeBuffer;
+    }
+
+    /**
+     * Get uniform buffer
+     * @returns {Float32Array} Uniform buffer
+     */
+    getUniformBuffer() {
+        return this.uniformBuffer;
+    }
+
+    /**
+     * Resize tree buffers for new tree count
+     * @param {number} newTreeCount - New number of trees
+     * @returns {boolean} True if buffers were resized
+     */
+    resizeTreeBuffers(newTreeCount) {
+        if (this.treeBuffer && this.treeBuffer.length === newTreeCount * FLOATS_PER_TREE) {
+            return false;
+        }
+
+        this.createTreeBuffer(newTreeCount);
+        this.createBestTreeBuffer(newTreeCount);
+        return true;
+    }
+
+    /**
+     * Resize tree buffers, carrying runs of the current trees over
+     * @param {number} newTreeCount - New number of trees
+     * @param {Array<Object>} runs - Consecutive trees to keep {start, count}, packed from the start
+     * @returns {boolean} True if buffers were resized
+     */
+    resizeTreeBuffersPreserving(newTreeCount, runs) {
+        const oldTreeBuffer = this.treeBuffer;
+        if (!this.resizeTreeBuffers(newTreeCount)) {
+            return false;
+        }
+
+        let destination = 0;
+        for (const { start, count } of runs) {
+            this.treeBuffer.set(oldTreeBuffer.subarray(start * FLOATS_PER_TREE, (start + count) * FLOATS_PER_TREE), destination * FLOATS_PER_TREE);
+            destination += count;
+        }
+        return true;
+    }
+
+    /**
+     * Release buffers
+     */
+    destroy() {
+        this.treeBuffer = null;
+        this.bestTreeBuffer = null;
+        this.uniformBuffer = null;
+    }
+}
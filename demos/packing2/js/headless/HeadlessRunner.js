@@ -0,0 +1,173 @@
+import { DELTA_TIME, FLOATS_PER_TREE } from '../constants.js';
+import { TreeGeometry } from '../geometry/TreeGeometry.js';
+import { SimulationParameters } from '../simulation/SimulationParameters.js';
+import { PhysicsSimulator } from '../simulation/PhysicsSimulator.js';
+import { CpuPhysicsKernel } from '../simulation/CpuPhysicsKernel.js';
+import { AnnealingRefiner } from '../simulation/AnnealingRefiner.js';
+import { HeadlessBufferManager } from './HeadlessBufferManager.js';
+import { Logger } from '../utils/Logger.js';
+
+/**
+ * Runs the packing simulation without a browser or GPU
+ * Drives PhysicsSimulator the way TreePackerApp's render loop does, with the
+ * compute pass executed by CpuPhysicsKernel
+ */
+export class HeadlessRunner {
+    /**
+     * @param {Object} options - Runner options
+     * @param {number} options.treeCount - Number of trees to pack
+     * @param {number} options.seed - Seed for the initial spawn (default: 1)
+     * @param {Array<number>} options.polygon - Shape outline as x,y pairs (default: the Christmas tree)
+     * @param {Object} options.physics - Physics parameter overrides keyed by PHYSICS_PARAMETERS names
+     * @param {Logger} options.logger - Logger (default: new Logger())
+     */
+    constructor(options = {}) {
+        this.seed = options.seed ?? 1;
+        this.logger = options.logger ?? new Logger();
+
+        this.treeGeometry = new TreeGeometry(options.polygon);
+        this.parameters = new SimulationParameters();
+        if (options.treeCount !== undefined && !this.parameters.set('treeCount', options.treeCount)) {
+            throw new Error(`Invalid tree count: ${options.treeCount}`);
+        }
+        if (!this.parameters.set('seed', this.seed)) {
+            throw new Error(`Invalid seed: ${this.seed}`);
+        }
+        if (options.physics) {
+            this.parameters.setPhysics(options.physics);
+        }
+
+        this.bufferManager = new HeadlessBufferManager(new CpuPhysicsKernel(this.treeGeometry, {
+            sdfResolution: this.parameters.get('sdfResolution')
+        }));
+        this.bufferManager.initBuffers(this.parameters.get('treeCount'));
+
+        this.physicsSimulator = new PhysicsSimulator(
+            this.bufferManager,
+            this.parameters,
+            this.treeGeometry,
+            this.logger
+        );
+
+        // Loop state
+        this.frameCount = 0;
+        this.currentProbX = 0.5;
+        this.currentScoreData = null;
+
+        this.physicsSimulator.reset();
+    }
+
+    /**
+     * Advance one frame: uniforms, compute pass and (every 10 frames) score feedback
+     * @returns {Promise<Object|null>} Score data if a score update ran this frame
+     */
+    async step() {
+        this.physicsSimulator.updateUniforms(DELTA_TIME, this.physicsSimulator.stepCount, {
+            probX: this.currentProbX,
+            ...this.physicsSimulator.getCompressionTarget(this.currentScoreData)
+        });
+        this.bufferManager.dispatchCompute();
+        this.physicsSimulator.advanceStep();
+
+        let scoreData = null;
+        if (this.frameCount % 10 === 0) {
+            scoreData = await this.physicsSimulator.updateScore();
+            if (scoreData) {
+                this.handleScoreUpdate(scoreData);
+            }
+        }
+
+        this.frameCount++;
+        return scoreData;
+    }
+
+    /**
+     * Run a fixed number of frames
+     * @param {number} iterations - Number of frames to simulate
+     * @param {Function} onScoreUpdate - Optional callback (scoreData, frameCount)
+     * @returns {Promise<Object>} Final result (see getResult())
+     */
+    async run(iterations, onScoreUpdate = null) {
+        for (let i = 0; i < iterations; i++) {
+            const scoreData = await this.step();
+            if (scoreData && onScoreUpdate) {
+                onScoreUpdate(scoreData, this.frameCount);
+            }
+        }
+        return this.getResult();
+    }
+
+    /**
+     * Anneal the best layout on the CPU and keep it if the bounding square shrinks
+     * @param {Object} options - Schedule overrides for AnnealingRefiner.refine()
+     * @returns {Promise<Object|null>} Refiner result, or null if there was no overlap-free layout
+     */
+    async refine(options = {}) {
+        const layout = this.getBestLayout();
+        if (!layout) {
+            return null;
+        }
+
+        const treeCount = this.parameters.get('treeCount');
+        const refiner = new AnnealingRefiner(this.treeGeometry);
+        const result = await refiner.refine(layout, treeCount, { seed: this.seed, yieldInterval: 0, ...options });
+        if (result.side < result.initialSide) {
+            this.handleScoreUpdate(this.physicsSimulator.applyLayout(result.layout));
+        }
+        return result;
+    }
+
+    /**
+     * Track feedback from a score update
+     * @param {Object} scoreData - Score data from PhysicsSimulator
+     */
+    handleScoreUpdate(scoreData) {
+        this.currentScoreData = scoreData;
+        this.currentProbX = scoreData.probX;
+    }
+
+    /**
+     * Get the current layout trimmed to the tree count
+     * @returns {Float32Array} Tree data
+     */
+    getLayout() {
+        const treeCount = this.parameters.get('treeCount');
+        return this.bufferManager.getTreeBuffer().slice(0, treeCount * FLOATS_PER_TREE);
+    }
+
+    /**
+     * Get the best validated layout the simulator has stored
+     * @returns {Float32Array|null} Tree data, or null if no overlap-free layout was found
+     */
+    getBestLayout() {
+        if (!this.physicsSimulator.hasBestLayout) {
+            return null;
+        }
+        const treeCount = this.parameters.get('treeCount');
+        return this.bufferManager.getBestTreeBuffer().slice(0, treeCount * FLOATS_PER_TREE);
+    }
+
+    /**
+     * Summarize the run, preferring the best overlap-free layout seen
+     * @returns {Object} Result {treeCount, seed, physics, frames, layout, score, side, valid, overlaps}
+     */
+    getResult() {
+        const treeCount = this.parameters.get('treeCount');
+        const layout = this.getBestLayout() ?? this.getLayout();
+        const report = this.physicsSimulator.overlapValidator.validate(layout, treeCount);
+        const { minX, maxX, minY, maxY } = this.treeGeometry.getLayoutBounds(layout, treeCount);
+        const side = Math.max(maxX - minX, maxY - minY);
+
+        return {
+            treeCount,
+            seed: this.seed,
+            physics: this.parameters.getPhysics(),
+            frames: this.frameCount,
+            layout,
+            score: (side * side) / treeCount,
+            side,
+            valid: report.valid,
+            overlaps: report.overlaps.length
+        };
+    }
+}
@@ -0,0 +1,116 @@
+import { FLOATS_PER_TREE } from '../constants.js';
+
+/**
+ * Converts packed layouts into the Kaggle submission CSV format
+ * Rows look like `id,x,y,deg` with ids `NNN_i` and `s`-prefixed values
+ */
+export class SubmissionExporter {
+    /**
+     * @param {TreeGeometry} treeGeometry - Tree geometry used for exact bounds
+     * @param {Object} options - Exporter options
+     * @param {number} options.precision - Decimal places written per value (default: 12)
+     */
+    constructor(treeGeometry, options = {}) {
+        this.treeGeometry = treeGeometry;
+        this.precision = options.precision ?? 12;
+    }
+
+    /**
+     * Format a puzzle/tree id in competition form (e.g. `007_3`)
+     * @param {number} treeCount - Puzzle size n
+     * @param {number} index - Tree index within the puzzle
+     * @returns {string} Row id
+     */
+    static formatId(treeCount, index) {
+        return `${String(treeCount).padStart(3, '0')}_${index}`;
+    }
+
+    /**
+     * Convert a rotation in radians to degrees in [0, 360)
+     * @param {number} radians - Rotation in radians
+     * @returns {number} Rotation in degrees
+     */
+    static toDegrees(radians) {
+        const degrees = (radians * 180 / Math.PI) % 360;
+        return degrees < 0 ? degrees + 360 : degrees;
+    }
+
+    /**
+     * Format a value with the competition's `s` string prefix
+     * @param {number} value - Numeric value
+     * @returns {string} Prefixed value
+     */
+    formatValue(value) {
+        // Avoid writing "-0" for values that round to zero
+        const fixed = value.toFixed(this.precision);
+        return `s${Number(fixed) === 0 ? (0).toFixed(this.precision) : fixed}`;
+    }
+
+    /**
+     * Build submission rows for one layout
+     * Positions are translated so the bounding square starts at the origin
+     * @param {Float32Array} treeData - Tree buffer contents
+     * @param {number} treeCount - Number of trees in the layout
+     * @returns {Array<Object>} Rows {id, x, y, deg}
+     */
+    buildRows(treeData, treeCount) {
+        if (treeData.length < treeCount * FLOATS_PER_TREE) {
+            throw new Error(`Layout too short: expected ${treeCount * FLOATS_PER_TREE} floats, got ${treeData.length}`);
+        }
+
+        const { minX, minY } = this.treeGeometry.getLayoutBounds(treeData, treeCount);
+        const rows = [];
+
+        for (let i = 0; i < treeCount; i++) {
+            const offset = i * FLOATS_PER_TREE;
+            rows.push({
+                id: SubmissionExporter.formatId(treeCount, i),
+                x: treeData[offset] - minX,
+                y: treeData[offset + 1] - minY,
+                deg: SubmissionExporter.toDegrees(treeData[offset + 4])
+            });
+        }
+
+        return rows;
+    }
+
+    /**
+     * Serialize rows to CSV text
+     * @param {Array<Object>} rows - Rows {id, x, y, deg}
+     * @param {boolean} includeHeader - Whether to write the `id,x,y,deg` header
+     * @returns {string} CSV text
+     */
+    toCSV(rows, includeHeader = true) {
+        const lines = includeHeader ? ['id,x,y,deg'] : [];
+        rows.forEach(({ id, x, y, deg }) => {
+            lines.push(`${id},${this.formatValue(x)},${this.formatValue(y)},${this.formatValue(deg)}`);
+        });
+        return lines.join('\n') + '\n';
+    }
+
+    /**
+     * Export a single layout as submission CSV text
+     * @param {Float32Array} treeData - Tree buffer contents
+     * @param {number} treeCount - Number of trees in the layout
+     * @returns {string} CSV text
+     */
+    exportLayout(treeData, treeCount) {
+        return this.toCSV(this.buildRows(treeData, treeCount));
+    }
+
+    /**
+     * Trigger a browser download of CSV text
+     * @param {string} csv - CSV text
+     * @param {string} filename - Suggested file name
+     * @param {string} type - MIME type (default: 'text/csv')
+     */
+    download(csv, filename, type = 'text/csv') {
+        const blob = new Blob([csv], { type });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        link.click();
+        URL.revokeObjectURL(url);
+    }
+}
@@ -0,0 +1,125 @@
+import { FLOATS_PER_TREE } from '../constants.js';
+
+/**
+ * Parses Kaggle submission CSVs back into tree buffer layouts
+ * Accepts `id,x,y,deg` rows with optional `s`-prefixed string values
+ */
+export class SubmissionImporter {
+    /**
+     * @param {TreeGeometry} treeGeometry - Tree geometry used to recentre layouts
+     */
+    constructor(treeGeometry) {
+        this.treeGeometry = treeGeometry;
+
+        // Parsed rows grouped by puzzle size: Map<n, Array<{index, x, y, deg}>>
+        this.puzzles = new Map();
+    }
+
+    /**
+     * Parse a competition value, stripping the `s` prefix if present
+     * @param {string} raw - Raw CSV field
+     * @returns {number} Parsed number
+     */
+    static parseValue(raw) {
+        const text = raw.trim().replace(/^"|"$/g, '');
+        const value = Number(text.startsWith('s') ? text.slice(1) : text);
+        if (!Number.isFinite(value)) {
+            throw new Error(`Invalid numeric value "${raw}"`);
+        }
+        return value;
+    }
+
+    /**
+     * Parse CSV text and group rows by puzzle size
+     * @param {string} text - CSV text with an `id,x,y,deg` header
+     * @returns {Map<number, Array<Object>>} Rows grouped by puzzle size
+     */
+    parse(text) {
+        const lines = text.split(/\r?\n/).filter(line => line.trim() !== '');
+        if (lines.length === 0) {
+            throw new Error('Submission is empty');
+        }
+
+        const header = lines[0].split(',').map(field => field.trim().toLowerCase());
+        const columns = ['id', 'x', 'y', 'deg'].map(name => header.indexOf(name));
+        if (columns.includes(-1)) {
+            throw new Error('Submission header must contain id, x, y and deg columns');
+        }
+        const [idCol, xCol, yCol, degCol] = columns;
+
+        this.puzzles = new Map();
+        for (let lineIndex = 1; lineIndex < lines.length; lineIndex++) {
+            const fields = lines[lineIndex].split(',');
+            const match = /^(\d+)_(\d+)$/.exec((fields[idCol] || '').trim().replace(/^"|"$/g, ''));
+            if (!match) {
+                throw new Error(`Invalid id on line ${lineIndex + 1}: "${fields[idCol]}"`);
+            }
+
+            const treeCount = parseInt(match[1], 10);
+            if (!this.puzzles.has(treeCount)) {
+                this.puzzles.set(treeCount, []);
+            }
+            this.puzzles.get(treeCount).push({
+                index: parseInt(match[2], 10),
+                x: SubmissionImporter.parseValue(fields[xCol]),
+                y: SubmissionImporter.parseValue(fields[yCol]),
+                deg: SubmissionImporter.parseValue(fields[degCol])
+            });
+        }
+
+        return this.puzzles;
+    }
+
+    /**
+     * Get the puzzle sizes present in the parsed submission
+     * @returns {Array<number>} Sorted puzzle sizes
+     */
+    getTreeCounts() {
+        return [...this.puzzles.keys()].sort((a, b) => a - b);
+    }
+
+    /**
+     * Build a tree buffer layout for one puzzle size
+     * The layout is recentred so its bounding box is centred on the origin,
+     * which is where the compute shader's gravity pulls
+     * @param {number} treeCount - Puzzle size n
+     * @returns {Float32Array} Tree data (FLOATS_PER_TREE floats per tree)
+     */
+    getLayout(treeCount) {
+        const rows = this.puzzles.get(treeCount);
+        if (!rows) {
+            throw new Error(`Submission has no rows for ${treeCount} trees`);
+        }
+        if (rows.length !== treeCount) {
+            throw new Error(`Submission has ${rows.length} rows for ${treeCount} trees`);
+        }
+
+        // Work in double precision until the final Float32 conversion
+        const layout = new Float64Array(treeCount * FLOATS_PER_TREE);
+        const seen = new Set();
+
+        rows.forEach(({ index, x, y, deg }) => {
+            if (index >= treeCount || seen.has(index)) {
+                throw new Error(`Invalid tree index ${index} for ${treeCount} trees`);
+            }
+            seen.add(index);
+
+            const offset = index * FLOATS_PER_TREE;
+            layout[offset + 0] = x; // position.x
+            layout[offset + 1] = y; // position.y
+            layout[offset + 4] = deg * Math.PI / 180; // rotation
+        });
+
+        // Centre the layout's exact bounds on the origin
+        const { minX, maxX, minY, maxY } = this.treeGeometry.getLayoutBounds(layout, treeCount);
+        const centerX = (minX + maxX) / 2;
+        const centerY = (minY + maxY) / 2;
+        for (let i = 0; i < treeCount; i++) {
+            const offset = i * FLOATS_PER_TREE;
+            layout[offset] -= centerX;
+            layout[offset + 1] -= centerY;
+        }
+
+        return new Float32Array(layout);
+    }
+}
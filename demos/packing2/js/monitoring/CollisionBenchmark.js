@@ -0,0 +1,131 @@
+import {
+    DELTA_TIME,
+    COMPUTE_WORKGROUP_SIZE,
+    BENCHMARK_TREE_COUNTS,
+    BENCHMARK_KERNELS,
+    BENCHMARK_STEPS,
+    BENCHMARK_WARMUP_STEPS
+} from '../constants.js';
+import { BufferManager } from '../webgpu/BufferManager.js';
+import { PipelineManager } from '../webgpu/PipelineManager.js';
+import { Renderer } from '../rendering/Renderer.js';
+import { SpawnPlanner } from '../simulation/SpawnPlanner.js';
+import { SimulationParameters } from '../simulation/SimulationParameters.js';
+import { SignedDistanceField } from '../geometry/SignedDistanceField.js';
+
+/**
+ * Times the brute-force collision kernels on the GPU
+ * Every kernel starts from the same random spawn with default physics, runs a few
+ * untimed steps, then submits the timed steps as one command buffer and waits for
+ * the queue to drain. The grid broadphase is off so only the O(N²) loop is measured.
+ */
+export class CollisionBenchmark {
+    /**
+     * @param {WebGPUDeviceManager} deviceManager - Initialized device manager
+     * @param {TreeGeometry} treeGeometry - Shape to simulate
+     */
+    constructor(deviceManager, treeGeometry) {
+        this.deviceManager = deviceManager;
+        this.treeGeometry = treeGeometry;
+        this.parameters = new SimulationParameters();
+        this.signedDistanceField = null;
+    }
+
+    /**
+     * Measure every kernel at every tree count
+     * @param {Object} options - Benchmark options
+     * @param {Array<number>} options.treeCounts - Tree counts (default: BENCHMARK_TREE_COUNTS)
+     * @param {Array<string>} options.kernels - Kernels from BENCHMARK_KERNELS (default: all)
+     * @param {number} options.workgroupSize - Invocations per workgroup (default: COMPUTE_WORKGROUP_SIZE)
+     * @param {number} options.steps - Timed steps per measurement (default: BENCHMARK_STEPS)
+     * @param {Function} options.onResult - Called with each result as it completes
+     * @returns {Promise<Array<Object>>} Results {treeCount, kernel, workgroupSize, steps, msPerStep}
+     */
+    async run({
+        treeCounts = BENCHMARK_TREE_COUNTS,
+        kernels = BENCHMARK_KERNELS,
+        workgroupSize = COMPUTE_WORKGROUP_SIZE,
+        steps = BENCHMARK_STEPS,
+        onResult = () => {}
+    } = {}) {
+        for (const kernel of kernels) {
+            if (!BENCHMARK_KERNELS.includes(kernel)) {
+                throw new Error(`Unknown benchmark kernel: ${kernel}`);
+            }
+        }
+
+        const pipelineManager = new PipelineManager(this.deviceManager, this.treeGeometry, workgroupSize);
+        this.signedDistanceField ??= new SignedDistanceField(this.treeGeometry, this.parameters.get('sdfResolution'));
+
+        const results = [];
+        for (const treeCount of treeCounts) {
+            const bufferManager = new BufferManager(this.deviceManager);
+            bufferManager.initBuffers(treeCount, this.treeGeometry);
+            bufferManager.createSdfTexture(this.signedDistanceField);
+
+            // Pipelines are built once, against the first tree count's buffers; later counts rebind
+            pipelineManager.updateBindGroup(bufferManager);
+            if (!pipelineManager.getComputePipeline()) {
+                await pipelineManager.initPipelines();
+            }
+            const renderer = new Renderer(this.deviceManager, pipelineManager, bufferManager, this.treeGeometry);
+
+            try {
+                for (const kernel of kernels) {
+                    const msPerStep = await this.measure(renderer, bufferManager, kernel, treeCount, steps);
+                    const result = { treeCount, kernel, workgroupSize, steps, msPerStep };
+                    results.push(result);
+                    onResult(result);
+                }
+            } finally {
+                bufferManager.destroy();
+            }
+        }
+        pipelineManager.destroy();
+        return results;
+    }
+
+    /**
+     * Time one kernel at one tree count
+     * @param {Renderer} renderer - Renderer encoding the compute passes
+     * @param {BufferManager} bufferManager - Buffers sized for treeCount
+     * @param {string} kernel - Kernel from BENCHMARK_KERNELS
+     * @param {number} treeCount - Number of trees
+     * @param {number} steps - Timed steps
+     * @returns {Promise<number>} Milliseconds per physics step
+     */
+    async measure(renderer, bufferManager, kernel, treeCount, steps) {
+        const device = this.deviceManager.getDevice();
+        const params = { treeCount, gridBroadphase: false, tiledCollisions: kernel === 'tiled' };
+
+        bufferManager.writeBuffer(bufferManager.getTreeBuffer(), SpawnPlanner.createRandomLayout(treeCount, this.parameters.get('seed')));
+        bufferManager.writeBuffer(bufferManager.getUniformBuffer(), this.parameters.getUniforms(DELTA_TIME, 0));
+
+        device.queue.submit([this._encodeSteps(renderer, params, BENCHMARK_WARMUP_STEPS)]);
+        await device.queue.onSubmittedWorkDone();
+
+        // Encode before starting the clock so only GPU execution is timed
+        const commandBuffer = this._encodeSteps(renderer, params, steps);
+        const start = performance.now();
+        device.queue.submit([commandBuffer]);
+        await device.queue.onSubmittedWorkDone();
+        return (performance.now() - start) / steps;
+    }
+
+    /**
+     * Encode physics steps into one command buffer
+     * @param {Renderer} renderer - Renderer encoding the compute passes
+     * @param {Object} params - Dispatch parameters for Renderer.renderComputePass()
+     * @param {number} steps - Steps to encode
+     * @returns {GPUCommandBuffer} Finished command buffer
+     * @private
+     */
+    _encodeSteps(renderer, params, steps) {
+        const commandEncoder = this.deviceManager.getDevice().createCommandEncoder();
+        for (let i = 0; i < steps; i++) {
+            renderer.renderComputePass(commandEncoder, params);
+            renderer.swapTreeBuffers();
+        }
+        return commandEncoder.finish();
+    }
+}
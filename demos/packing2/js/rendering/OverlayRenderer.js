@@ -16,8 +16,9 @@ export class OverlayRenderer {
      * @param {Array} scoreHistory - Array of recent scores for graph
      * @param {number} stagnationCount - Frames since last improvement
      * @param {Object} windData - Wind data {magnitude, direction}
+     * @param {Object} walls - Square container walls {centerX, centerY, side}, or null in gravity mode
      */
-    drawOverlay(bounds, probX, scoreHistory = [], stagnationCount = 0, windData = null) {
+    drawOverlay(bounds, probX, scoreHistory = [], stagnationCount = 0, windData = null, walls = null) {
         const ctx = this.ctx;
         const cw = ctx.canvas.width;
         const ch = ctx.canvas.height;
@@ -76,6 +77,16 @@ export class OverlayRenderer {
         ctx.strokeRect(sp1.x, sp2.y, sp2.x - sp1.x, sp1.y - sp2.y);
         ctx.setLineDash([]);
 
+        // Draw Container Walls (Orange)
+        if (walls) {
+            const half = walls.side / 2;
+            const wp1 = toScreen(walls.centerX - half, walls.centerY - half);
+            const wp2 = toScreen(walls.centerX + half, walls.centerY + half);
+            ctx.strokeStyle = "#ff9f43";
+            ctx.lineWidth = 4;
+            ctx.strokeRect(wp1.x, wp2.y, wp2.x - wp1.x, wp1.y - wp2.y);
+        }
+
         // Draw Compression Arrows
         ctx.fillStyle = "rgba(255, 80, 80, 0.9)";
         ctx.strokeStyle = "rgba(255, 80, 80, 0.9)";
@@ -99,11 +110,12 @@ export class OverlayRenderer {
             ctx.fill();
         };
 
-        if (probX > 0.55) {
+        // In the square container the walls do the squeezing, so no arrows
+        if (!walls && probX > 0.55) {
             // Squeezing X (Width is too big) -> Horizontal Arrows In
             drawArrow(minSx - pad - arrowLen, midSy, arrowLen, 0);
             drawArrow(maxSx + pad + arrowLen, midSy, -arrowLen, 0);
-        } else if (probX < 0.45) {
+        } else if (!walls && probX < 0.45) {
             // Squeezing Y (Height is too big) -> Vertical Arrows In
             drawArrow(midSx, minSy - pad - arrowLen, 0, arrowLen);
             drawArrow(midSx, maxSy + pad + arrowLen, 0, -arrowLen);
@@ -1,3 +1,5 @@
+import { PARAMETERS_FLOAT_COUNT, BYTES_PER_FLOAT } from '../constants.js';
+
 /**
  * WebGPU rendering operations
  */
@@ -14,7 +16,7 @@ export class Renderer {
      * Render a complete frame including compute and render passes
      * @param {number} deltaTime - Time since last frame
      * @param {number} frameCount - Current frame count
-     * @param {Object} additionalParams - Additional parameters for uniforms
+     * @param {Object} additionalParams - Additional parameters for uniforms (substeps sets the compute passes per frame)
      * @param {boolean} shouldReadBack - Whether to copy data for CPU feedback
      * @param {boolean} shouldRunPhysics - Whether to run physics simulation
      * @returns {GPUCommandEncoder} The command encoder (for potential extensions)
@@ -23,9 +25,18 @@ export class Renderer {
         // Create command encoder for both compute and render passes
         const commandEncoder = this.deviceManager.getDevice().createCommandEncoder();
 
-        // Compute pass (physics simulation) - only if requested
+        // Compute passes (physics simulation) - only if requested
+        // Each substep after the first copies its own uniforms in, so time advances per pass
         if (shouldRunPhysics) {
-            this.renderComputePass(commandEncoder, additionalParams);
+            const substeps = additionalParams.substeps || 1;
+            const blockSize = PARAMETERS_FLOAT_COUNT * BYTES_PER_FLOAT;
+            for (let i = 0; i < substeps; i++) {
+                if (i > 0) {
+                    commandEncoder.copyBufferToBuffer(this.bufferManager.getSubstepUniformBuffer(), i * blockSize, this.bufferManager.getUniformBuffer(), 0, blockSize);
+                }
+                this.renderComputePass(commandEncoder, additionalParams);
+                this.swapTreeBuffers();
+            }
         }
 
         // Optionally copy data back to CPU for feedback loop
@@ -41,27 +52,66 @@ export class Renderer {
 
     /**
      * Execute compute pass for physics simulation
+     * The transform pass runs first. With additionalParams.gridBroadphase set, trees
+     * are binned into the spatial grid (count, prefix sum, scatter) before the grid physics step;
+     * otherwise additionalParams.tiledCollisions picks the tiled brute-force step
      * @param {GPUCommandEncoder} commandEncoder - Command encoder
      * @param {Object} additionalParams - Additional uniform parameters
      */
     renderComputePass(commandEncoder, additionalParams) {
         console.log('[Renderer] Creating compute pass...');
 
+        // One invocation per tree
+        const treeCount = additionalParams.treeCount || 3;
+        const workgroups = Math.ceil(treeCount / this.pipelineManager.getWorkgroupSize());
+        const useGrid = Boolean(additionalParams.gridBroadphase);
+
+        if (useGrid) {
+            commandEncoder.clearBuffer(this.bufferManager.getGridBuffers().cellCounts);
+        }
+
         const computePassEncoder = commandEncoder.beginComputePass();
-        computePassEncoder.setPipeline(this.pipelineManager.getComputePipeline());
         computePassEncoder.setBindGroup(0, this.pipelineManager.getBindGroup());
 
-        // Dispatch compute workgroups (64 threads per workgroup)
-        const treeCount = additionalParams.treeCount || 3;
-        const workgroups = Math.ceil(treeCount / 64);
-        console.log(`[Renderer] Dispatching ${workgroups} workgroups for ${treeCount} trees`);
-
+        // World-space outlines and bounding boxes for the collision step
+        computePassEncoder.setPipeline(this.pipelineManager.getTransformPipeline());
         computePassEncoder.dispatchWorkgroups(workgroups);
 
+        if (useGrid) {
+            const gridPipelines = this.pipelineManager.getGridPipelines();
+            computePassEncoder.setBindGroup(1, this.pipelineManager.getGridBindGroup());
+            console.log(`[Renderer] Dispatching grid broadphase and ${workgroups} workgroups for ${treeCount} trees`);
+
+            computePassEncoder.setPipeline(gridPipelines.count);
+            computePassEncoder.dispatchWorkgroups(workgroups);
+            computePassEncoder.setPipeline(gridPipelines.scan);
+            computePassEncoder.dispatchWorkgroups(1);
+            computePassEncoder.setPipeline(gridPipelines.scatter);
+            computePassEncoder.dispatchWorkgroups(workgroups);
+            computePassEncoder.setPipeline(gridPipelines.physics);
+            computePassEncoder.dispatchWorkgroups(workgroups);
+        } else {
+            console.log(`[Renderer] Dispatching ${workgroups} workgroups for ${treeCount} trees`);
+            computePassEncoder.setPipeline(additionalParams.tiledCollisions
+                ? this.pipelineManager.getTiledPipeline()
+                : this.pipelineManager.getComputePipeline());
+            computePassEncoder.dispatchWorkgroups(workgroups);
+        }
+
         computePassEncoder.end();
         console.log('[Renderer] Compute pass ended');
     }
 
+    /**
+     * Make the state the last compute pass wrote the latest one
+     * Passes encoded afterwards (the next substep, feedback copy, drawing, score reduction)
+     * bind the swapped buffers
+     */
+    swapTreeBuffers() {
+        this.bufferManager.swapTreeBuffers();
+        this.pipelineManager.swapBindGroups();
+    }
+
     /**
      * Copy tree buffer data back to CPU for feedback loop
      * @param {GPUCommandEncoder} commandEncoder - Command encoder
@@ -102,11 +152,12 @@ export class Renderer {
         renderPass.setBindGroup(0, this.pipelineManager.getRenderBindGroup());
         // No vertex/index buffers - using hardcoded geometry like original
 
-        // Instanced rendering - 16 vertices per tree instance (like original)
+        // Instanced rendering - one line-strip vertex per polygon point per tree instance
         const treeCount = additionalParams.treeCount || 3;
-        console.log(`[Renderer] Drawing 16 vertices, ${treeCount} instances`);
+        const vertexCount = this.treeGeometry.getPolygonVertexCount();
+        console.log(`[Renderer] Drawing ${vertexCount} vertices, ${treeCount} instances`);
 
-        renderPass.draw(16, treeCount);
+        renderPass.draw(vertexCount, treeCount);
 
         renderPass.end();
         console.log('[Renderer] Render pass ended');
@@ -0,0 +1,156 @@
+import {
+    FLOATS_PER_TREE,
+    ANNEAL_ITERATIONS,
+    ANNEAL_START_TEMPERATURE,
+    ANNEAL_END_TEMPERATURE,
+    ANNEAL_TRANSLATE_STEP,
+    ANNEAL_ROTATE_STEP,
+    ANNEAL_YIELD_INTERVAL
+} from '../constants.js';
+import { OverlapValidator } from '../geometry/OverlapValidator.js';
+import { Random } from '../utils/Random.js';
+
+/**
+ * CPU simulated-annealing refinement of a finished layout
+ * Each move translates or rotates one tree; moves that make any pair overlap
+ * are rejected exactly, the rest are accepted by the Metropolis rule on the
+ * side of the bounding square. Step sizes shrink with the temperature, so the
+ * run goes from reshuffling to fine-tuning.
+ */
+export class AnnealingRefiner {
+    /**
+     * @param {TreeGeometry} treeGeometry - Tree geometry providing the polygon
+     * @param {Object} options - Default schedule (see refine())
+     */
+    constructor(treeGeometry, options = {}) {
+        this.treeGeometry = treeGeometry;
+        this.validator = new OverlapValidator(treeGeometry);
+        this.options = {
+            iterations: ANNEAL_ITERATIONS,
+            startTemperature: ANNEAL_START_TEMPERATURE,
+            endTemperature: ANNEAL_END_TEMPERATURE,
+            translateStep: ANNEAL_TRANSLATE_STEP,
+            rotateStep: ANNEAL_ROTATE_STEP,
+            seed: 1,
+            yieldInterval: ANNEAL_YIELD_INTERVAL,
+            ...options
+        };
+    }
+
+    /**
+     * Anneal a layout and return the smallest bounding square found
+     * @param {Float32Array} treeData - Overlap-free layout (FLOATS_PER_TREE floats per tree)
+     * @param {number} treeCount - Number of trees in the layout
+     * @param {Object} options - Overrides for the default schedule
+     * @param {number} options.iterations - Proposed moves
+     * @param {number} options.startTemperature - Initial temperature (side-length units)
+     * @param {number} options.endTemperature - Final temperature
+     * @param {number} options.translateStep - Largest translation at the start temperature
+     * @param {number} options.rotateStep - Largest rotation (radians) at the start temperature
+     * @param {number} options.seed - Seed for move selection
+     * @param {number} options.yieldInterval - Moves between yields to the event loop (0 never yields)
+     * @returns {Promise<Object>} Result {layout, side, initialSide, accepted, iterations}
+     */
+    async refine(treeData, treeCount, options = {}) {
+        const { iterations, startTemperature, endTemperature, translateStep, rotateStep, seed, yieldInterval } =
+            { ...this.options, ...options };
+
+        if (!(startTemperature > 0 && endTemperature > 0)) {
+            throw new Error('Annealing temperatures must be positive');
+        }
+        if (!this.validator.validate(treeData, treeCount).valid) {
+            throw new Error('Starting layout has overlapping trees');
+        }
+
+        const xs = new Float64Array(treeCount);
+        const ys = new Float64Array(treeCount);
+        const rotations = new Float64Array(treeCount);
+        const polygons = [];
+        for (let i = 0; i < treeCount; i++) {
+            const offset = i * FLOATS_PER_TREE;
+            xs[i] = treeData[offset];
+            ys[i] = treeData[offset + 1];
+            rotations[i] = treeData[offset + 4];
+            polygons.push(this.validator.transformPolygon(xs[i], ys[i], rotations[i]));
+        }
+
+        const random = new Random(seed);
+        const initialSide = AnnealingRefiner.squareSide(polygons);
+        let side = initialSide;
+        let best = { side, xs: xs.slice(), ys: ys.slice(), rotations: rotations.slice() };
+        let accepted = 0;
+
+        for (let k = 0; k < iterations; k++) {
+            if (yieldInterval > 0 && k > 0 && k % yieldInterval === 0) {
+                await new Promise(resolve => setTimeout(resolve, 0));
+            }
+
+            const temperature = startTemperature * Math.pow(endTemperature / startTemperature, k / iterations);
+            const scale = temperature / startTemperature;
+
+            // Propose in float32 so the accepted layout is exactly what the tree buffer will hold
+            const i = Math.floor(random.next() * treeCount);
+            let x = xs[i], y = ys[i], rotation = rotations[i];
+            if (random.next() < 0.5) {
+                x = Math.fround(x + (random.next() * 2 - 1) * translateStep * scale);
+                y = Math.fround(y + (random.next() * 2 - 1) * translateStep * scale);
+            } else {
+                rotation = Math.fround(rotation + (random.next() * 2 - 1) * rotateStep * scale);
+            }
+
+            const polygon = this.validator.transformPolygon(x, y, rotation);
+            if (this.validator.overlapsAny(polygon, polygons, i)) {
+                continue;
+            }
+
+            const previous = polygons[i];
+            polygons[i] = polygon;
+            const candidateSide = AnnealingRefiner.squareSide(polygons);
+            const delta = candidateSide - side;
+
+            if (delta <= 0 || random.next() < Math.exp(-delta / temperature)) {
+                xs[i] = x;
+                ys[i] = y;
+                rotations[i] = rotation;
+                side = candidateSide;
+                accepted++;
+                if (side < best.side) {
+                    best = { side, xs: xs.slice(), ys: ys.slice(), rotations: rotations.slice() };
+                }
+            } else {
+                polygons[i] = previous;
+            }
+        }
+
+        // Start from the input so padding and any extra trees carry over; the refined trees are at rest
+        const layout = treeData.slice(0, treeCount * FLOATS_PER_TREE);
+        for (let i = 0; i < treeCount; i++) {
+            const offset = i * FLOATS_PER_TREE;
+            layout[offset] = best.xs[i];
+            layout[offset + 1] = best.ys[i];
+            layout[offset + 2] = 0.0;
+            layout[offset + 3] = 0.0;
+            layout[offset + 4] = best.rotations[i];
+            layout[offset + 5] = 0.0;
+            layout[offset + 6] = 0.0;
+        }
+
+        return { layout, side: best.side, initialSide, accepted, iterations };
+    }
+
+    /**
+     * Side of the axis-aligned bounding square of a set of polygons
+     * @param {Array<Object>} polygons - Polygons from transformPolygon()
+     * @returns {number} Bounding square side
+     */
+    static squareSide(polygons) {
+        let minX = Infinity, maxX = -Infinity, minY = Infinity, maxY = -Infinity;
+        for (const polygon of polygons) {
+            if (polygon.minX < minX) minX = polygon.minX;
+            if (polygon.maxX > maxX) maxX = polygon.maxX;
+            if (polygon.minY < minY) minY = polygon.minY;
+            if (polygon.maxY > maxY) maxY = polygon.maxY;
+        }
+        return Math.max(maxX - minX, maxY - minY);
+    }
+}
@@ -0,0 +1,309 @@
+import {
+    FLOATS_PER_TREE,
+    MAX_TREE_COUNT,
+    BATCH_STAGNATION_LIMIT,
+    BATCH_MAX_SCORE_UPDATES,
+    BATCH_STORAGE_KEY
+} from '../constants.js';
+
+/**
+ * Batch mode that packs every puzzle size from 1 to MAX_TREE_COUNT in turn
+ * Keeps the best collision-free layout per size and persists finished sizes
+ * so an interrupted batch resumes where it stopped
+ */
+export class BatchSolver {
+    /**
+     * @param {TreePackerApp} app - Application driving the simulation
+     * @param {Object} options - Batch options
+     * @param {Storage} options.storage - Persistence backend (default: localStorage)
+     * @param {string} options.storageKey - Storage key for results
+     * @param {number} options.stagnationLimit - Score updates without improvement before advancing
+     * @param {number} options.maxScoreUpdates - Maximum score updates spent on one size
+     * @param {number} options.maxTreeCount - Last puzzle size to solve
+     */
+    constructor(app, options = {}) {
+        this.app = app;
+        this.storage = options.storage !== undefined
+            ? options.storage
+            : (typeof localStorage !== 'undefined' ? localStorage : null);
+        this.storageKey = options.storageKey ?? BATCH_STORAGE_KEY;
+        this.stagnationLimit = options.stagnationLimit ?? BATCH_STAGNATION_LIMIT;
+        this.maxScoreUpdates = options.maxScoreUpdates ?? BATCH_MAX_SCORE_UPDATES;
+        this.maxTreeCount = options.maxTreeCount ?? MAX_TREE_COUNT;
+
+        // Finished results keyed by puzzle size: {score, side, seed, physics, trees: [[x, y, rot], ...]}
+        this.results = {};
+
+        // Current size state
+        this.isActive = false;
+        this.currentTreeCount = null;
+        this.scoreUpdates = 0;
+        this.currentBest = null;
+        this.isCapturing = false;
+        this.isFinishing = false;
+
+        // Latest capture; finishing a size waits for it so its final improvement is kept
+        this.pendingCapture = Promise.resolve();
+    }
+
+    /**
+     * Load persisted results from storage
+     * @returns {Object} Results keyed by puzzle size
+     */
+    load() {
+        this.results = {};
+        if (!this.storage) return this.results;
+
+        try {
+            const raw = this.storage.getItem(this.storageKey);
+            if (raw) {
+                this.results = JSON.parse(raw).results || {};
+            }
+        } catch (error) {
+            this.app.logger.warn(`Ignoring unreadable batch results: ${error.message}`);
+        }
+        return this.results;
+    }
+
+    /**
+     * Persist results to storage
+     */
+    save() {
+        if (!this.storage) return;
+
+        try {
+            this.storage.setItem(this.storageKey, JSON.stringify({ version: 1, results: this.results }));
+        } catch (error) {
+            this.app.logger.error(`Failed to save batch results: ${error.message}`);
+        }
+    }
+
+    /**
+     * Discard all finished results
+     */
+    clear() {
+        this.results = {};
+        if (this.storage) {
+            this.storage.removeItem(this.storageKey);
+        }
+    }
+
+    /**
+     * Start or resume the batch from the first unsolved size
+     * @returns {boolean} True if there was a size left to solve
+     */
+    start() {
+        this.load();
+        const next = this.getNextTreeCount(1);
+        if (next === null) {
+            this.app.logger.info(`Batch already complete: total ${this.getTotalScore().toFixed(4)}`);
+            return false;
+        }
+
+        this.isActive = true;
+        this.app.logger.info(`Batch started at n=${next} (${this.getSolvedCount()} sizes already solved)`);
+        this.beginTreeCount(next);
+        return true;
+    }
+
+    /**
+     * Stop the batch, keeping finished results
+     */
+    stop() {
+        if (!this.isActive) return;
+
+        this.isActive = false;
+        this.currentTreeCount = null;
+        this.currentBest = null;
+        this.app.stop();
+        this.app.logger.info('Batch stopped');
+    }
+
+    /**
+     * Find the next size without a stored result
+     * @param {number} from - First size to consider
+     * @returns {number|null} Next unsolved size, or null when all are solved
+     */
+    getNextTreeCount(from) {
+        for (let n = from; n <= this.maxTreeCount; n++) {
+            if (!this.results[n]) return n;
+        }
+        return null;
+    }
+
+    /**
+     * Switch the simulation to a new size and restart it
+     * @param {number} treeCount - Puzzle size n
+     */
+    beginTreeCount(treeCount) {
+        this.currentTreeCount = treeCount;
+        this.scoreUpdates = 0;
+        this.currentBest = null;
+
+        // Changing the tree count pauses the app, so restart it afterwards
+        this.app.parameters.set('treeCount', treeCount);
+        this.app.reset();
+        this.app.start();
+    }
+
+    /**
+     * Handle a score update from the feedback loop
+     * @param {Object} scoreData - Score data from PhysicsSimulator
+     * @returns {Promise<void>} Resolves once the update, and any size it finished, is handled
+     */
+    async onScoreUpdate(scoreData) {
+        if (!this.isActive || !scoreData || this.isFinishing) return;
+
+        this.scoreUpdates++;
+
+        const bestScore = this.currentBest ? this.currentBest.score : Infinity;
+        if (scoreData.collisionCount === 0 && scoreData.score < bestScore && !this.isCapturing) {
+            this.pendingCapture = this.captureLayout();
+        }
+
+        // Stopping rule: stagnation or hard cap on time spent at this size
+        if (scoreData.stagnationCount >= this.stagnationLimit || this.scoreUpdates >= this.maxScoreUpdates) {
+            // A capture may still be reading back this size's best layout; let it land first
+            this.isFinishing = true;
+            try {
+                await this.pendingCapture;
+            } finally {
+                this.isFinishing = false;
+            }
+            if (this.isActive) {
+                this.finishTreeCount();
+            }
+        }
+    }
+
+    /**
+     * Read the current layout back and keep it if it is exactly overlap-free and better
+     * @returns {Promise<void>}
+     */
+    async captureLayout() {
+        if (this.isCapturing) return;
+
+        this.isCapturing = true;
+        const treeCount = this.currentTreeCount;
+        try {
+            const layout = await this.app.physicsSimulator.readLayout();
+
+            // The layout may have moved since the score was computed; re-check it
+            if (treeCount !== this.currentTreeCount || layout.length !== treeCount * FLOATS_PER_TREE) return;
+            if (!this.app.physicsSimulator.overlapValidator.validate(layout, treeCount).valid) return;
+
+            const { minX, maxX, minY, maxY } = this.app.treeGeometry.getLayoutBounds(layout, treeCount);
+            const side = Math.max(maxX - minX, maxY - minY);
+            const score = (side * side) / treeCount;
+
+            if (!this.currentBest || score < this.currentBest.score) {
+                this.currentBest = { score, side, layout };
+            }
+        } catch (error) {
+            this.app.logger.error(`Batch capture failed: ${error.message}`);
+        } finally {
+            this.isCapturing = false;
+        }
+    }
+
+    /**
+     * Store the best layout for the current size and move on to the next
+     */
+    finishTreeCount() {
+        const treeCount = this.currentTreeCount;
+
+        if (this.currentBest) {
+            this.results[treeCount] = {
+                score: this.currentBest.score,
+                side: this.currentBest.side,
+                seed: this.app.parameters.get('seed'),
+                physics: this.app.parameters.getPhysics(),
+                trees: BatchSolver.packTrees(this.currentBest.layout, treeCount)
+            };
+            this.save();
+            this.app.logger.success(
+                `Batch n=${treeCount}: score ${this.currentBest.score.toFixed(4)}, total ${this.getTotalScore().toFixed(4)}`
+            );
+        } else {
+            this.app.logger.warn(`Batch n=${treeCount}: no collision-free layout found, will retry on resume`);
+        }
+
+        const next = this.getNextTreeCount(treeCount + 1);
+        if (next === null) {
+            this.app.logger.success(`Batch complete: total ${this.getTotalScore().toFixed(4)}`);
+            this.stop();
+            return;
+        }
+        this.beginTreeCount(next);
+    }
+
+    /**
+     * Sum of the best scores of all finished sizes
+     * @returns {number} Running competition total
+     */
+    getTotalScore() {
+        return Object.values(this.results).reduce((sum, result) => sum + result.score, 0);
+    }
+
+    /**
+     * Number of finished sizes
+     * @returns {number} Solved size count
+     */
+    getSolvedCount() {
+        return Object.keys(this.results).length;
+    }
+
+    /**
+     * Get the stored layout for a finished size
+     * @param {number} treeCount - Puzzle size n
+     * @returns {Float32Array|null} Tree data, or null if the size is unsolved
+     */
+    getLayout(treeCount) {
+        const result = this.results[treeCount];
+        return result ? BatchSolver.unpackTrees(result.trees) : null;
+    }
+
+    /**
+     * Get batch progress for display
+     * @returns {Object} Status {isActive, treeCount, solved, total}
+     */
+    getStatus() {
+        return {
+            isActive: this.isActive,
+            treeCount: this.currentTreeCount,
+            solved: this.getSolvedCount(),
+            total: this.getTotalScore()
+        };
+    }
+
+    /**
+     * Compact a layout to [x, y, rot] triples for storage
+     * @param {Float32Array} layout - Tree data
+     * @param {number} treeCount - Number of trees
+     * @returns {Array<Array<number>>} Compact tree list
+     */
+    static packTrees(layout, treeCount) {
+        const trees = [];
+        for (let i = 0; i < treeCount; i++) {
+            const offset = i * FLOATS_PER_TREE;
+            trees.push([layout[offset], layout[offset + 1], layout[offset + 4]]);
+        }
+        return trees;
+    }
+
+    /**
+     * Expand stored [x, y, rot] triples back into tree data
+     * @param {Array<Array<number>>} trees - Compact tree list
+     * @returns {Float32Array} Tree data
+     */
+    static unpackTrees(trees) {
+        const layout = new Float32Array(trees.length * FLOATS_PER_TREE);
+        trees.forEach(([x, y, rot], i) => {
+            const offset = i * FLOATS_PER_TREE;
+            layout[offset] = x;
+            layout[offset + 1] = y;
+            layout[offset + 4] = rot;
+        });
+        return layout;
+    }
+}
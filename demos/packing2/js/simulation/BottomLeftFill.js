@@ -0,0 +1,310 @@
+import {
+    FLOATS_PER_TREE,
+    BLF_ROTATIONS,
+    BLF_START_COLUMNS,
+    BLF_SLIDE_STEP,
+    BLF_BISECTIONS,
+    BLF_MAX_SLIDES,
+    BLF_GAP
+} from '../constants.js';
+import { OverlapValidator } from '../geometry/OverlapValidator.js';
+import { Random } from '../utils/Random.js';
+
+/**
+ * Greedy bottom-left-fill constructive placement
+ * Trees are placed one at a time. Each candidate rotation is dropped from a few
+ * columns above the layout and slid down, then left, until it touches a placed
+ * tree or the floor and left wall; the candidate that grows the bounding square
+ * least is kept. The result is overlap-free and already dense, so the physics
+ * starts from a packing instead of collapsing a cloud.
+ */
+export class BottomLeftFill {
+    /**
+     * @param {TreeGeometry} treeGeometry - Tree geometry providing the polygon
+     * @param {Object} options - Placement options
+     * @param {number} options.rotations - Candidate rotations per tree (default: BLF_ROTATIONS)
+     * @param {number} options.columns - Drop columns per rotation (default: BLF_START_COLUMNS)
+     */
+    constructor(treeGeometry, options = {}) {
+        this.treeGeometry = treeGeometry;
+        this.validator = new OverlapValidator(treeGeometry);
+        this.rotations = options.rotations ?? BLF_ROTATIONS;
+        this.columns = options.columns ?? BLF_START_COLUMNS;
+    }
+
+    /**
+     * Place every tree and centre the layout on the origin
+     * @param {number} treeCount - Number of trees
+     * @param {number} seed - Seed for the drop column offsets (default: 1)
+     * @returns {Float32Array} Overlap-free layout with FLOATS_PER_TREE floats per tree, at rest
+     */
+    createLayout(treeCount, seed = 1) {
+        const random = new Random(seed);
+        const placed = [];
+        const positions = [];
+        let bounds = { minX: Infinity, maxX: -Infinity, minY: Infinity, maxY: -Infinity };
+
+        for (let k = 0; k < treeCount; k++) {
+            const top = placed.length > 0 ? bounds.maxY : 0;
+            // Drop across the current bounding square, so the narrow side fills before the square grows
+            const side = placed.length > 0 ? Math.max(bounds.maxX - bounds.minX, bounds.maxY - bounds.minY) : 0;
+            let best = null;
+
+            for (let r = 0; r < this.rotations; r++) {
+                const rotation = Math.fround(r * 2 * Math.PI / this.rotations);
+                const shape = this.validator.transformPolygon(0, 0, rotation);
+                const span = Math.max(side - (shape.maxX - shape.minX), 0);
+                const offset = random.next();
+
+                for (let c = 0; c < this.columns; c++) {
+                    // Start clear of everything, with the tree's left edge in this column
+                    const startX = (c + offset) / this.columns * span - shape.minX;
+                    const startY = top + BLF_GAP - shape.minY;
+                    const candidate = this._slide(placed, startX, startY, rotation);
+                    const grown = BottomLeftFill._squareSide(bounds, candidate.polygon);
+
+                    const better = !best || grown < best.side - 1e-9 ||
+                        (grown <= best.side + 1e-9 && (candidate.y < best.y || (candidate.y === best.y && candidate.x < best.x)));
+                    if (better) {
+                        best = { ...candidate, rotation, side: grown };
+                    }
+                }
+            }
+
+            placed.push(best.polygon);
+            positions.push(best);
+            bounds = BottomLeftFill._union(bounds, best.polygon);
+        }
+
+        const centerX = (bounds.minX + bounds.maxX) / 2;
+        const centerY = (bounds.minY + bounds.maxY) / 2;
+        const layout = new Float32Array(treeCount * FLOATS_PER_TREE);
+        for (let i = 0; i < treeCount; i++) {
+            const offset = i * FLOATS_PER_TREE;
+            layout[offset] = positions[i].x - centerX;
+            layout[offset + 1] = positions[i].y - centerY;
+            layout[offset + 4] = positions[i].rotation;
+        }
+        return layout;
+    }
+
+    /**
+     * Slide a tree down, then left, until neither move gets further
+     * @param {Array<Object>} placed - Polygons of the trees placed so far
+     * @param {number} x - Start position x
+     * @param {number} y - Start position y
+     * @param {number} rotation - Rotation in radians
+     * @returns {Object} Resting placement {x, y, polygon}
+     * @private
+     */
+    _slide(placed, x, y, rotation) {
+        for (let pass = 0; pass < BLF_MAX_SLIDES; pass++) {
+            const down = this._travel(placed, x, y, rotation, 0, -1);
+            y -= down;
+            const left = this._travel(placed, x, y, rotation, -1, 0);
+            x -= left;
+            if (down < BLF_GAP && left < BLF_GAP) break;
+        }
+        return { x, y, polygon: this.validator.transformPolygon(x, y, rotation) };
+    }
+
+    /**
+     * How far a tree can move in one direction before it touches a tree or a wall
+     * Walls are the lines x = 0 and y = 0. Contacts with trees are found with a
+     * coarse march and refined by bisection, then backed off by BLF_GAP.
+     * @param {Array<Object>} placed - Polygons of the trees placed so far
+     * @param {number} x - Position x
+     * @param {number} y - Position y
+     * @param {number} rotation - Rotation in radians
+     * @param {number} dirX - Unit direction x (-1 or 0)
+     * @param {number} dirY - Unit direction y (-1 or 0)
+     * @returns {number} Free travel distance
+     * @private
+     */
+    _travel(placed, x, y, rotation, dirX, dirY) {
+        const polygon = this.validator.transformPolygon(x, y, rotation);
+        const limit = dirX < 0 ? polygon.minX : polygon.minY;
+        if (limit <= 0) {
+            return 0;
+        }
+
+        // Only trees in the swept corridor can stop the slide, and none before its bounds are reached
+        const obstacles = placed.filter(other => dirX < 0
+            ? other.maxY > polygon.minY && other.minY < polygon.maxY && other.minX < polygon.maxX
+            : other.maxX > polygon.minX && other.minX < polygon.maxX && other.minY < polygon.maxY);
+        const clear = obstacles.reduce((gap, other) => Math.min(gap, dirX < 0 ? polygon.minX - other.maxX : polygon.minY - other.maxY), limit);
+        const blocked = distance => {
+            const dx = dirX * distance, dy = dirY * distance;
+            let moved = null;
+            for (const other of obstacles) {
+                // Bounds first, so the shifted polygon is only built when something is near
+                if (polygon.minX + dx > other.maxX || other.minX > polygon.maxX + dx ||
+                    polygon.minY + dy > other.maxY || other.minY > polygon.maxY + dy) {
+                    continue;
+                }
+                moved = moved ?? BottomLeftFill._translate(polygon, dx, dy);
+                if (BottomLeftFill._overlaps(moved, other)) {
+                    return true;
+                }
+            }
+            return false;
+        };
+
+        let free = Math.max(clear, 0);
+        let hit = -1;
+        while (free < limit) {
+            const distance = Math.min(free + BLF_SLIDE_STEP, limit);
+            if (blocked(distance)) {
+                hit = distance;
+                break;
+            }
+            free = distance;
+        }
+        if (hit < 0) {
+            return limit;
+        }
+
+        for (let i = 0; i < BLF_BISECTIONS; i++) {
+            const mid = (free + hit) / 2;
+            if (blocked(mid)) {
+                hit = mid;
+            } else {
+                free = mid;
+            }
+        }
+        return Math.max(free - BLF_GAP, 0);
+    }
+
+    /**
+     * Shift a polygon without rotating it again
+     * @param {Object} polygon - Polygon from transformPolygon()
+     * @param {number} dx - Shift along x
+     * @param {number} dy - Shift along y
+     * @returns {Object} Shifted polygon {points, minX, maxX, minY, maxY}
+     * @private
+     */
+    static _translate(polygon, dx, dy) {
+        const points = new Float64Array(polygon.points.length);
+        for (let i = 0; i < points.length; i += 2) {
+            points[i] = polygon.points[i] + dx;
+            points[i + 1] = polygon.points[i + 1] + dy;
+        }
+        return {
+            points,
+            minX: polygon.minX + dx,
+            maxX: polygon.maxX + dx,
+            minY: polygon.minY + dy,
+            maxY: polygon.maxY + dy
+        };
+    }
+
+    /**
+     * Conservative overlap test: touching counts as overlapping
+     * Cheaper than the validator's exact test, which is safe here because every
+     * contact is backed off by BLF_GAP.
+     * @param {Object} a - Polygon from transformPolygon()
+     * @param {Object} b - Polygon from transformPolygon()
+     * @returns {boolean} True if the polygons overlap or touch
+     * @private
+     */
+    static _overlaps(a, b) {
+        if (a.minX > b.maxX || b.minX > a.maxX || a.minY > b.maxY || b.minY > a.maxY) {
+            return false;
+        }
+
+        const p = a.points, q = b.points;
+        for (let i = 0; i < p.length; i += 2) {
+            const i2 = (i + 2) % p.length;
+            // Edges of a outside b's bounds cannot meet b
+            const eMinX = Math.min(p[i], p[i2]), eMaxX = Math.max(p[i], p[i2]);
+            const eMinY = Math.min(p[i + 1], p[i2 + 1]), eMaxY = Math.max(p[i + 1], p[i2 + 1]);
+            if (eMaxX < b.minX || eMinX > b.maxX || eMaxY < b.minY || eMinY > b.maxY) {
+                continue;
+            }
+            for (let j = 0; j < q.length; j += 2) {
+                const j2 = (j + 2) % q.length;
+                // Nor can edges whose bounds miss this one
+                if ((q[j] < eMinX && q[j2] < eMinX) || (q[j] > eMaxX && q[j2] > eMaxX) ||
+                    (q[j + 1] < eMinY && q[j2 + 1] < eMinY) || (q[j + 1] > eMaxY && q[j2 + 1] > eMaxY)) {
+                    continue;
+                }
+                if (BottomLeftFill._segmentsTouch(p[i], p[i + 1], p[i2], p[i2 + 1], q[j], q[j + 1], q[j2], q[j2 + 1])) {
+                    return true;
+                }
+            }
+        }
+
+        // No boundaries meet: overlap only if one polygon lies inside the other
+        return BottomLeftFill._contains(q, p[0], p[1]) || BottomLeftFill._contains(p, q[0], q[1]);
+    }
+
+    /**
+     * Whether segments AB and CD share any point
+     * @returns {boolean} True if the segments touch or cross
+     * @private
+     */
+    static _segmentsTouch(ax, ay, bx, by, cx, cy, dx, dy) {
+        const d1 = (bx - ax) * (cy - ay) - (by - ay) * (cx - ax);
+        const d2 = (bx - ax) * (dy - ay) - (by - ay) * (dx - ax);
+        const d3 = (dx - cx) * (ay - cy) - (dy - cy) * (ax - cx);
+        const d4 = (dx - cx) * (by - cy) - (dy - cy) * (bx - cx);
+        if (((d1 > 0 && d2 > 0) || (d1 < 0 && d2 < 0)) || ((d3 > 0 && d4 > 0) || (d3 < 0 && d4 < 0))) {
+            return false;
+        }
+        if (d1 !== 0 || d2 !== 0 || d3 !== 0 || d4 !== 0) {
+            return true;
+        }
+
+        // Collinear: touch only if the projections overlap
+        return Math.max(Math.min(ax, bx), Math.min(cx, dx)) <= Math.min(Math.max(ax, bx), Math.max(cx, dx)) &&
+            Math.max(Math.min(ay, by), Math.min(cy, dy)) <= Math.min(Math.max(ay, by), Math.max(cy, dy));
+    }
+
+    /**
+     * Even-odd point-in-polygon test
+     * @param {Float64Array} points - Polygon as x,y pairs
+     * @param {number} px - Point x
+     * @param {number} py - Point y
+     * @returns {boolean} True if the point is inside
+     * @private
+     */
+    static _contains(points, px, py) {
+        let inside = false;
+        for (let i = 0, j = points.length - 2; i < points.length; j = i, i += 2) {
+            const xi = points[i], yi = points[i + 1];
+            const xj = points[j], yj = points[j + 1];
+            if ((yi > py) !== (yj > py) && px < (xj - xi) * (py - yi) / (yj - yi) + xi) {
+                inside = !inside;
+            }
+        }
+        return inside;
+    }
+
+    /**
+     * Side of the bounding square once a polygon is added
+     * @param {Object} bounds - Bounds {minX, maxX, minY, maxY} of the placed trees
+     * @param {Object} polygon - Polygon from transformPolygon()
+     * @returns {number} Bounding square side
+     * @private
+     */
+    static _squareSide(bounds, polygon) {
+        const { minX, maxX, minY, maxY } = BottomLeftFill._union(bounds, polygon);
+        return Math.max(maxX - minX, maxY - minY);
+    }
+
+    /**
+     * Grow bounds to cover a polygon
+     * @param {Object} bounds - Bounds {minX, maxX, minY, maxY}
+     * @param {Object} polygon - Polygon from transformPolygon()
+     * @returns {Object} Combined bounds
+     * @private
+     */
+    static _union(bounds, polygon) {
+        return {
+            minX: Math.min(bounds.minX, polygon.minX),
+            maxX: Math.max(bounds.maxX, polygon.maxX),
+            minY: Math.min(bounds.minY, polygon.minY),
+            maxY: Math.max(bounds.maxY, polygon.maxY)
+        };
+    }
+}
@@ -0,0 +1,493 @@
+import { FLOATS_PER_TREE, UNIFORM_INDEX, MAX_PULL_REACH, CONTACT_SOLVERS, SDF_RESOLUTION } from '../constants.js';
+import { SignedDistanceField } from '../geometry/SignedDistanceField.js';
+
+/**
+ * Pure JavaScript port of the packing compute shader
+ * Mirrors PipelineManager.getComputeShaderCode() step for step: the world-space
+ * transform pass, gravity toward the scoring square with probX bias (or square
+ * container walls), bounding box rejection and polygon collision with the
+ * vertex, separating-axis or distance field solver, damping
+ * and integration. Every tree reads the state from the
+ * start of the step, so results do not depend on update order.
+ */
+export class CpuPhysicsKernel {
+    /**
+     * @param {TreeGeometry} treeGeometry - Tree geometry providing the collision polygon
+     * @param {Object} options - Kernel options
+     * @param {number} options.sdfResolution - Texels per side of the distance field (default: SDF_RESOLUTION)
+     */
+    constructor(treeGeometry, options = {}) {
+        this.treeGeometry = treeGeometry;
+
+        // Not a uniform: the shader samples a texture baked at this resolution
+        this.sdfResolution = options.sdfResolution ?? SDF_RESOLUTION;
+
+        // Baked on first use and again when the shape or resolution changes
+        this.signedDistanceField = null;
+    }
+
+    /**
+     * Shader hash: PCG-style integer hash mapped to [0, 1]
+     * @param {number} u - Unsigned 32-bit input
+     * @returns {number} Hash value in [0, 1]
+     */
+    static hash(u) {
+        let x = (Math.imul(u >>> 0, 747796405) + 2891336453) >>> 0;
+        x = Math.imul(((x >>> ((x >>> 28) + 4)) ^ x) >>> 0, 277803737) >>> 0;
+        return ((x ^ (x >>> 22)) >>> 0) / 4294967295.0;
+    }
+
+    /**
+     * Advance all trees by one physics step in place
+     * @param {Float32Array} trees - Tree buffer (FLOATS_PER_TREE floats per tree)
+     * @param {Float32Array} uniforms - Uniform buffer laid out as UNIFORM_FIELDS
+     */
+    step(trees, uniforms) {
+        const count = Math.floor(trees.length / FLOATS_PER_TREE);
+        const snapshot = trees.slice(0, count * FLOATS_PER_TREE);
+        const polygon = this.treeGeometry.getPolygon();
+        const edgeCount = polygon.length / 2 - 1;
+
+        const compression = uniforms[UNIFORM_INDEX.compression];
+        const probX = uniforms[UNIFORM_INDEX.probX];
+        const time = Math.trunc(uniforms[UNIFORM_INDEX.time]) >>> 0;
+        const words = new Uint32Array(uniforms.buffer, uniforms.byteOffset, uniforms.length);
+        const seed = words[UNIFORM_INDEX.seed];
+        const solver = CONTACT_SOLVERS[words[UNIFORM_INDEX.contactSolver]];
+        const satSolver = solver === 'sat';
+        const parts = satSolver ? this.treeGeometry.getConvexParts() : null;
+        const field = solver === 'sdf' ? this.getSignedDistanceField(this.sdfResolution) : null;
+        const wallHalf = uniforms[UNIFORM_INDEX.wallHalf];
+        const wallCenterX = uniforms[UNIFORM_INDEX.wallCenterX];
+        const wallCenterY = uniforms[UNIFORM_INDEX.wallCenterY];
+        const centerX = uniforms[UNIFORM_INDEX.centerX];
+        const centerY = uniforms[UNIFORM_INDEX.centerY];
+        const targetHalfSide = uniforms[UNIFORM_INDEX.targetHalfSide];
+        const pullAnisotropy = uniforms[UNIFORM_INDEX.pullAnisotropy];
+        const contactThreshold = uniforms[UNIFORM_INDEX.contactThreshold];
+        const torqueGain = uniforms[UNIFORM_INDEX.torqueGain];
+        const searchRadius = uniforms[UNIFORM_INDEX.searchRadius];
+        const dt = uniforms[UNIFORM_INDEX.timeStep];
+        const linearDamping = uniforms[UNIFORM_INDEX.linearDamping];
+        const angularDamping = uniforms[UNIFORM_INDEX.angularDamping];
+
+        // Transform pass: world-space outlines and bounding boxes of every tree
+        const { world, bounds } = this._transformTrees(snapshot, count, polygon, edgeCount);
+
+        for (let i = 0; i < count; i++) {
+            const o = i * FLOATS_PER_TREE;
+            const px = snapshot[o], py = snapshot[o + 1];
+            let vx = snapshot[o + 2], vy = snapshot[o + 3];
+            let rot = snapshot[o + 4], angVel = snapshot[o + 5];
+            let col = 0.0;
+
+            // 1. Stabilized gravity (the square container replaces it)
+            if (wallHalf <= 0.0) {
+                const rnd = CpuPhysicsKernel.hash(((i + time) ^ seed) >>> 0);
+                const gravityStrength = this._clamp(compression * 0.005, 0.0, 0.2);
+                const relX = this._clamp(px - centerX, -20.0, 20.0);
+                const relY = this._clamp(py - centerY, -20.0, 20.0);
+
+                // Anisotropic boost for trees far out along the long side
+                let boostX = 1.0, boostY = 1.0;
+                if (targetHalfSide > 0.0) {
+                    boostX += pullAnisotropy * Math.min(Math.abs(relX) / targetHalfSide, MAX_PULL_REACH);
+                    boostY += pullAnisotropy * Math.min(Math.abs(relY) / targetHalfSide, MAX_PULL_REACH);
+                }
+                const xPull = relX * gravityStrength * boostX;
+                const yPull = relY * gravityStrength * boostY;
+                const jitter = (CpuPhysicsKernel.hash(((Math.imul(i, 2) + time) ^ seed) >>> 0) - 0.5) * gravityStrength * 0.5;
+
+                if (rnd < probX) {
+                    vx -= xPull;
+                    vy += jitter;
+                } else {
+                    vy -= yPull;
+                    vx += jitter;
+                }
+            }
+
+            const w = i * edgeCount * 2; // This tree's outline in the transform pass output
+
+            // 2. Collision (analytic)
+            if (Math.hypot(px, py) < 50.0) {
+                for (let j = 0; j < count; j++) {
+                    if (i === j) continue;
+                    const q = j * FLOATS_PER_TREE;
+                    const ox = snapshot[q], oy = snapshot[q + 1];
+                    if (Math.hypot(px - ox, py - oy) > searchRadius) continue;
+                    if (!this._boundsOverlap(bounds, i, j, contactThreshold)) continue;
+
+                    if (satSolver) {
+                        const contact = this._collideSat(parts, px, py, rot, ox, oy, snapshot[q + 4], uniforms);
+                        vx += contact.vx;
+                        vy += contact.vy;
+                        angVel += contact.angVel;
+                        if (contact.col) col = 1.0;
+                        continue;
+                    }
+
+                    const c = Math.cos(-snapshot[q + 4]), s = Math.sin(-snapshot[q + 4]);
+
+                    for (let v = 0; v < edgeCount; v++) {
+                        const wx = world[w + v * 2], wy = world[w + v * 2 + 1];
+                        const dx = wx - ox, dy = wy - oy;
+                        const localX = dx * c - dy * s;
+                        const localY = dx * s + dy * c;
+
+                        if (field) {
+                            const [dist, gradX, gradY] = field.sample(localX, localY);
+                            if (dist >= contactThreshold) continue;
+                            if (dist < 0.0) col = 1.0;
+
+                            // Smooth normal: the field gradient rotated back to world space
+                            const normalX = gradX * c + gradY * s;
+                            const normalY = -gradX * s + gradY * c;
+                            const length = Math.hypot(normalX, normalY);
+                            if (length === 0) continue;
+                            const contactX = normalX / length, contactY = normalY / length;
+
+                            const safeForce = this._contactForce(contactThreshold - dist, uniforms);
+                            vx += contactX * safeForce;
+                            vy += contactY * safeForce;
+
+                            const armX = wx - px, armY = wy - py;
+                            const torque = armX * contactY - armY * contactX;
+                            angVel += this._clamp(torque * safeForce * torqueGain, -1.0, 1.0);
+                            continue;
+                        }
+
+                        let dist = this._distanceToPolygon(localX, localY, polygon, edgeCount);
+                        if (this._isInside(localX, localY, polygon, edgeCount)) dist = -dist;
+
+                        if (dist < contactThreshold) {
+                            // Only real penetration counts as a collision; the margin just pushes
+                            if (dist < 0.0) col = 1.0;
+                            const length = Math.hypot(dx, dy);
+                            if (length === 0) continue;
+                            const contactX = dx / length, contactY = dy / length;
+
+                            // Force clamp
+                            const safeForce = this._contactForce(contactThreshold - dist, uniforms);
+                            vx += contactX * safeForce;
+                            vy += contactY * safeForce;
+
+                            // Torque damping
+                            const armX = wx - px, armY = wy - py;
+                            const torque = armX * contactY - armY * contactX;
+                            angVel += this._clamp(torque * safeForce * torqueGain, -1.0, 1.0);
+                        }
+                    }
+                }
+            }
+
+            // Square container walls
+            if (wallHalf > 0.0) {
+                for (let v = 0; v < edgeCount; v++) {
+                    const wx = world[w + v * 2], wy = world[w + v * 2 + 1];
+                    const relX = wx - wallCenterX, relY = wy - wallCenterY;
+                    const axes = [
+                        [-Math.sign(relX), 0.0, wallHalf - Math.abs(relX)],
+                        [0.0, -Math.sign(relY), wallHalf - Math.abs(relY)]
+                    ];
+
+                    for (const [normalX, normalY, gap] of axes) {
+                        if (gap >= contactThreshold) continue;
+                        if (gap < 0.0) col = 1.0;
+
+                        const safeForce = this._contactForce(contactThreshold - gap, uniforms);
+                        vx += normalX * safeForce;
+                        vy += normalY * safeForce;
+
+                        const armX = wx - px, armY = wy - py;
+                        const torque = armX * normalY - armY * normalX;
+                        angVel += this._clamp(torque * safeForce * torqueGain, -1.0, 1.0);
+                    }
+                }
+            }
+
+            // 3. Integration
+            vx *= linearDamping;
+            vy *= linearDamping;
+            const speed = Math.hypot(vx, vy);
+            if (speed > 2.0) {
+                vx = vx / speed * 2.0;
+                vy = vy / speed * 2.0;
+            }
+            let nx = px + vx * dt;
+            let ny = py + vy * dt;
+
+            angVel = this._clamp(angVel * angularDamping, -5.0, 5.0);
+            rot += angVel * dt;
+
+            if (Math.abs(nx) > 100.0 || Math.abs(ny) > 100.0) {
+                nx = 0; ny = 0; vx = 0; vy = 0;
+            }
+
+            trees[o] = nx;
+            trees[o + 1] = ny;
+            trees[o + 2] = vx;
+            trees[o + 3] = vy;
+            trees[o + 4] = rot;
+            trees[o + 5] = angVel;
+            trees[o + 6] = col;
+        }
+    }
+
+    /**
+     * Get the baked distance field for the current shape
+     * @param {number} resolution - Texels per side
+     * @returns {SignedDistanceField} Field, rebaked if the shape or resolution changed
+     */
+    getSignedDistanceField(resolution) {
+        if (!this.signedDistanceField?.matches(this.treeGeometry, resolution)) {
+            this.signedDistanceField = new SignedDistanceField(this.treeGeometry, resolution);
+        }
+        return this.signedDistanceField;
+    }
+
+    /**
+     * Clamped contact push scaled by the relaxation rate (shader contact_force)
+     * @param {number} depth - Distance past the contact threshold
+     * @param {Float32Array} uniforms - Uniform buffer laid out as UNIFORM_FIELDS
+     * @returns {number} Push magnitude
+     * @private
+     */
+    _contactForce(depth, uniforms) {
+        const force = Math.min(depth * uniforms[UNIFORM_INDEX.forceGain], uniforms[UNIFORM_INDEX.forceClamp]);
+        return force * uniforms[UNIFORM_INDEX.relaxationRate];
+    }
+
+    /**
+     * World-space outline vertices and bounding box of every tree (shader transform_trees)
+     * @param {Float32Array} snapshot - Tree state at the start of the step
+     * @param {number} count - Number of trees
+     * @param {Float32Array} polygon - Closed outline from TreeGeometry.getPolygon()
+     * @param {number} edgeCount - Distinct outline vertices
+     * @returns {{world: Float64Array, bounds: Float64Array}} edgeCount (x, y) pairs and (minX, minY, maxX, maxY) per tree
+     * @private
+     */
+    _transformTrees(snapshot, count, polygon, edgeCount) {
+        const world = new Float64Array(count * edgeCount * 2);
+        const bounds = new Float64Array(count * 4);
+
+        for (let i = 0; i < count; i++) {
+            const o = i * FLOATS_PER_TREE;
+            const px = snapshot[o], py = snapshot[o + 1];
+            const c = Math.cos(snapshot[o + 4]), s = Math.sin(snapshot[o + 4]);
+            let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+
+            for (let v = 0; v < edgeCount; v++) {
+                const lx = polygon[v * 2], ly = polygon[v * 2 + 1];
+                const wx = px + lx * c - ly * s;
+                const wy = py + lx * s + ly * c;
+                world[(i * edgeCount + v) * 2] = wx;
+                world[(i * edgeCount + v) * 2 + 1] = wy;
+                minX = Math.min(minX, wx);
+                minY = Math.min(minY, wy);
+                maxX = Math.max(maxX, wx);
+                maxY = Math.max(maxY, wy);
+            }
+            bounds.set([minX, minY, maxX, maxY], i * 4);
+        }
+        return { world, bounds };
+    }
+
+    /**
+     * Whether two trees' bounding boxes overlap once grown by the contact threshold (shader bounds_overlap)
+     * @param {Float64Array} bounds - Boxes from _transformTrees()
+     * @param {number} i - First tree
+     * @param {number} j - Second tree
+     * @param {number} margin - Contact threshold
+     * @returns {boolean} True if the pair may be in contact
+     * @private
+     */
+    _boundsOverlap(bounds, i, j, margin) {
+        const a = i * 4, b = j * 4;
+        return bounds[a] - margin <= bounds[b + 2] + margin && bounds[b] - margin <= bounds[a + 2] + margin &&
+            bounds[a + 1] - margin <= bounds[b + 3] + margin && bounds[b + 1] - margin <= bounds[a + 3] + margin;
+    }
+
+    /**
+     * Separating-axis contacts between the convex parts of two trees (shader collide_sat)
+     * @param {Array<Object>} parts - Convex parts from TreeGeometry.getConvexParts()
+     * @param {number} px - My position x
+     * @param {number} py - My position y
+     * @param {number} rot - My rotation
+     * @param {number} ox - Neighbour position x
+     * @param {number} oy - Neighbour position y
+     * @param {number} otherRot - Neighbour rotation
+     * @param {Float32Array} uniforms - Uniform buffer laid out as UNIFORM_FIELDS
+     * @returns {Object} Velocity and spin changes {vx, vy, angVel} and whether any part overlaps {col}
+     * @private
+     */
+    _collideSat(parts, px, py, rot, ox, oy, otherRot, uniforms) {
+        const contactThreshold = uniforms[UNIFORM_INDEX.contactThreshold];
+        const torqueGain = uniforms[UNIFORM_INDEX.torqueGain];
+        const mine = parts.map(part => this._transformPart(part, px, py, rot));
+        const theirs = parts.map(part => this._transformPart(part, ox, oy, otherRot));
+        const result = { vx: 0.0, vy: 0.0, angVel: 0.0, col: false };
+
+        for (const a of mine) {
+            for (const b of theirs) {
+                if (Math.hypot(a.centerX - b.centerX, a.centerY - b.centerY) > a.radius + b.radius + contactThreshold) continue;
+
+                // Reference face on the neighbour: push along its normal from my deepest vertex
+                const other = this._faceSeparation(b.points, a.points);
+                let separation = other.separation;
+                let normalX = other.normalX, normalY = other.normalY;
+                let [contactX, contactY] = this._deepestPoint(a.points, normalX, normalY);
+
+                // Reference face on me: push against my normal at the neighbour's deepest vertex
+                const own = this._faceSeparation(a.points, b.points);
+                if (own.separation > separation) {
+                    separation = own.separation;
+                    normalX = -own.normalX;
+                    normalY = -own.normalY;
+                    [contactX, contactY] = this._deepestPoint(b.points, own.normalX, own.normalY);
+                }
+
+                if (separation >= contactThreshold) continue;
+                if (separation < 0.0) result.col = true;
+
+                const safeForce = this._contactForce(contactThreshold - separation, uniforms);
+                result.vx += normalX * safeForce;
+                result.vy += normalY * safeForce;
+
+                const armX = contactX - px, armY = contactY - py;
+                const torque = armX * normalY - armY * normalX;
+                result.angVel += this._clamp(torque * safeForce * torqueGain, -1.0, 1.0);
+            }
+        }
+        return result;
+    }
+
+    /**
+     * Move a convex part into world space
+     * @param {Object} part - Part {points, centerX, centerY, radius} in tree-local space
+     * @param {number} x - World position x
+     * @param {number} y - World position y
+     * @param {number} rotation - Rotation in radians
+     * @returns {Object} Part {points, centerX, centerY, radius} in world space
+     * @private
+     */
+    _transformPart(part, x, y, rotation) {
+        const c = Math.cos(rotation), s = Math.sin(rotation);
+        const points = new Float64Array(part.points.length);
+        for (let i = 0; i < points.length; i += 2) {
+            const lx = part.points[i], ly = part.points[i + 1];
+            points[i] = x + lx * c - ly * s;
+            points[i + 1] = y + lx * s + ly * c;
+        }
+        return {
+            points,
+            centerX: x + part.centerX * c - part.centerY * s,
+            centerY: y + part.centerX * s + part.centerY * c,
+            radius: part.radius
+        };
+    }
+
+    /**
+     * Largest gap between the faces of convex part a and part b (shader face_separation)
+     * @param {Float64Array} a - Counter-clockwise world points of the reference part
+     * @param {Float64Array} b - World points of the other part
+     * @returns {Object} {separation, normalX, normalY}; the normal points out of part a
+     * @private
+     */
+    _faceSeparation(a, b) {
+        const best = { separation: -1000.0, normalX: 0.0, normalY: 0.0 };
+        const count = a.length / 2;
+        for (let i = 0; i < count; i++) {
+            const k = ((i + 1) % count) * 2;
+            const pX = a[i * 2], pY = a[i * 2 + 1];
+            const length = Math.hypot(a[k] - pX, a[k + 1] - pY);
+            const normalX = (a[k + 1] - pY) / length;
+            const normalY = (pX - a[k]) / length;
+
+            let minB = 1000.0;
+            for (let j = 0; j < b.length; j += 2) {
+                minB = Math.min(minB, b[j] * normalX + b[j + 1] * normalY);
+            }
+            const separation = minB - (pX * normalX + pY * normalY);
+            if (separation > best.separation) {
+                best.separation = separation;
+                best.normalX = normalX;
+                best.normalY = normalY;
+            }
+        }
+        return best;
+    }
+
+    /**
+     * Vertex of a part that reaches furthest against a direction (shader deepest_point)
+     * @param {Float64Array} points - World points of the part
+     * @param {number} normalX - Direction x
+     * @param {number} normalY - Direction y
+     * @returns {Array<number>} Vertex [x, y]
+     * @private
+     */
+    _deepestPoint(points, normalX, normalY) {
+        let best = 0;
+        for (let i = 2; i < points.length; i += 2) {
+            if (points[i] * normalX + points[i + 1] * normalY < points[best] * normalX + points[best + 1] * normalY) best = i;
+        }
+        return [points[best], points[best + 1]];
+    }
+
+    /**
+     * Unsigned distance from a local point to the polygon outline (shader sdSegment loop)
+     * @param {number} x - Point x in tree-local space
+     * @param {number} y - Point y in tree-local space
+     * @param {Float32Array} polygon - Closed polygon as x,y pairs
+     * @param {number} edgeCount - Number of edges
+     * @returns {number} Distance
+     * @private
+     */
+    _distanceToPolygon(x, y, polygon, edgeCount) {
+        let best = 1000.0;
+        for (let k = 0; k < edgeCount; k++) {
+            const ax = polygon[k * 2], ay = polygon[k * 2 + 1];
+            const bax = polygon[k * 2 + 2] - ax, bay = polygon[k * 2 + 3] - ay;
+            const pax = x - ax, pay = y - ay;
+            const h = this._clamp((pax * bax + pay * bay) / (bax * bax + bay * bay), 0.0, 1.0);
+            best = Math.min(best, Math.hypot(pax - bax * h, pay - bay * h));
+        }
+        return best;
+    }
+
+    /**
+     * Winding-number point-in-polygon test (shader isInside)
+     * @param {number} x - Point x in tree-local space
+     * @param {number} y - Point y in tree-local space
+     * @param {Float32Array} polygon - Closed polygon as x,y pairs
+     * @param {number} edgeCount - Number of edges
+     * @returns {boolean} True if the point is inside
+     * @private
+     */
+    _isInside(x, y, polygon, edgeCount) {
+        let wn = 0;
+        for (let k = 0; k < edgeCount; k++) {
+            const ax = polygon[k * 2], ay = polygon[k * 2 + 1];
+            const bx = polygon[k * 2 + 2], by = polygon[k * 2 + 3];
+            const side = (bx - ax) * (y - ay) - (by - ay) * (x - ax);
+            if (ay <= y) {
+                if (by > y && side > 0.0) wn++;
+            } else if (by <= y && side < 0.0) {
+                wn--;
+            }
+        }
+        return wn !== 0;
+    }
+
+    /**
+     * WGSL clamp()
+     * @param {number} value - Input value
+     * @param {number} min - Lower bound
+     * @param {number} max - Upper bound
+     * @returns {number} Clamped value
+     * @private
+     */
+    _clamp(value, min, max) {
+        return Math.min(Math.max(value, min), max);
+    }
+}
@@ -0,0 +1,416 @@
+import {
+    FLOATS_PER_TREE,
+    RESIZE_GRID_SPACING,
+    RESIZE_MAX_GRID_POINTS,
+    RESIZE_ROTATIONS,
+    RESIZE_MAX_ATTEMPTS,
+    RESIZE_POLE_SAMPLES,
+    RESIZE_PROBES
+} from '../constants.js';
+import { OverlapValidator } from '../geometry/OverlapValidator.js';
+import { SpawnPlanner } from './SpawnPlanner.js';
+
+/**
+ * Chooses which trees to drop or where to add trees when the tree count changes
+ * Shrinking greedily removes the tree whose removal tightens the bounding square
+ * most. Growing searches a grid of candidate positions for the deepest point of
+ * the shape (its pole): a position is free only if it is at least the pole depth
+ * from every tree, which rules out most of a dense layout cheaply. In each
+ * candidate rotation a few more interior probes must be as far from every tree as
+ * they are from the outline; survivors are checked exactly, least square growth
+ * first, so gaps are filled before the perimeter.
+ */
+export class LayoutResizer {
+    /**
+     * @param {TreeGeometry} treeGeometry - Tree geometry providing the polygon
+     * @param {Object} options - Search options
+     * @param {number} options.rotations - Candidate rotations per added tree (default: RESIZE_ROTATIONS)
+     * @param {number} options.spacing - Candidate grid spacing (default: RESIZE_GRID_SPACING)
+     * @param {number} options.maxGridPoints - Cap on candidate positions (default: RESIZE_MAX_GRID_POINTS)
+     */
+    constructor(treeGeometry, options = {}) {
+        this.treeGeometry = treeGeometry;
+        this.validator = new OverlapValidator(treeGeometry);
+        this.spawnPlanner = new SpawnPlanner(treeGeometry);
+        this.rotations = options.rotations ?? RESIZE_ROTATIONS;
+        this.spacing = options.spacing ?? RESIZE_GRID_SPACING;
+        this.maxGridPoints = options.maxGridPoints ?? RESIZE_MAX_GRID_POINTS;
+
+        // Pole and candidate rotations of the shape, rebuilt when the polygon changes
+        this.shapeCache = null;
+    }
+
+    /**
+     * Pick the trees that stay when shrinking
+     * Trees are removed one at a time; when no single removal shrinks the square
+     * the tree furthest from the layout centre goes.
+     * @param {Float32Array} treeData - Current layout
+     * @param {number} treeCount - Trees in the current layout
+     * @param {number} newTreeCount - Trees to keep
+     * @returns {Array<number>} Ascending indices of the kept trees
+     */
+    selectSurvivors(treeData, treeCount, newTreeCount) {
+        const boxes = [];
+        for (let i = 0; i < treeCount; i++) {
+            const offset = i * FLOATS_PER_TREE;
+            boxes.push(this.validator.transformPolygon(treeData[offset], treeData[offset + 1], treeData[offset + 4]));
+        }
+
+        const removed = new Uint8Array(treeCount);
+        for (let k = newTreeCount; k < treeCount; k++) {
+            const minX = LayoutResizer._extremes(boxes, removed, box => box.minX);
+            const maxX = LayoutResizer._extremes(boxes, removed, box => -box.maxX);
+            const minY = LayoutResizer._extremes(boxes, removed, box => box.minY);
+            const maxY = LayoutResizer._extremes(boxes, removed, box => -box.maxY);
+            const centerX = (minX.first - maxX.first) / 2;
+            const centerY = (minY.first - maxY.first) / 2;
+
+            let best = -1, bestSide = Infinity, bestDistance = -Infinity;
+            for (let i = 0; i < treeCount; i++) {
+                if (removed[i]) continue;
+                // Without tree i each extreme falls back to the runner-up if i held it
+                const side = Math.max(
+                    -minX.without(i) - maxX.without(i),
+                    -minY.without(i) - maxY.without(i)
+                );
+                const box = boxes[i];
+                const distance = Math.hypot((box.minX + box.maxX) / 2 - centerX, (box.minY + box.maxY) / 2 - centerY);
+                if (side < bestSide - 1e-12 || (side <= bestSide + 1e-12 && distance > bestDistance)) {
+                    best = i;
+                    bestSide = side;
+                    bestDistance = distance;
+                }
+            }
+            removed[best] = 1;
+        }
+
+        const survivors = [];
+        for (let i = 0; i < treeCount; i++) {
+            if (!removed[i]) survivors.push(i);
+        }
+        return survivors;
+    }
+
+    /**
+     * Place the trees added when growing
+     * The existing trees stay where they are; each new tree goes where it grows
+     * the bounding square least, nearest the centre among equals.
+     * @param {Float32Array} treeData - Current layout
+     * @param {number} treeCount - Trees in the current layout
+     * @param {number} newTreeCount - Trees after growing
+     * @returns {Float32Array} The newTreeCount - treeCount added trees, FLOATS_PER_TREE floats each, at rest
+     */
+    placeNewTrees(treeData, treeCount, newTreeCount) {
+        const layout = new Float32Array(newTreeCount * FLOATS_PER_TREE);
+        layout.set(treeData.subarray(0, treeCount * FLOATS_PER_TREE));
+
+        const poses = [];
+        const polygons = [];
+        for (let i = 0; i < treeCount; i++) {
+            const offset = i * FLOATS_PER_TREE;
+            poses.push({ x: layout[offset], y: layout[offset + 1], rotation: layout[offset + 4] });
+            polygons.push(this.validator.transformPolygon(layout[offset], layout[offset + 1], layout[offset + 4]));
+        }
+
+        const { pole, shapes } = this._shapes();
+
+        let field = null;
+        for (let count = treeCount; count < newTreeCount; count++) {
+            const bounds = LayoutResizer._bounds(polygons);
+            if (!field || !LayoutResizer._sameBounds(field.bounds, bounds)) {
+                field = this._createField(poses, polygons, bounds, pole);
+            }
+
+            const placement = this._findPlacement(field, polygons, bounds, shapes, pole) ??
+                this._perimeterPlacement(layout, count);
+
+            const offset = count * FLOATS_PER_TREE;
+            layout[offset] = placement.x;
+            layout[offset + 1] = placement.y;
+            layout[offset + 4] = placement.rotation;
+
+            const pose = { x: layout[offset], y: layout[offset + 1], rotation: layout[offset + 4] };
+            const polygon = this.validator.transformPolygon(pose.x, pose.y, pose.rotation);
+            poses.push(pose);
+            polygons.push(polygon);
+            this._stamp(field, polygon, pose, pole.depth);
+        }
+
+        return layout.slice(treeCount * FLOATS_PER_TREE);
+    }
+
+    /**
+     * Pole and candidate rotations for the current shape
+     * Computed once per polygon: the pole search alone samples the whole shape.
+     * @returns {Object} {pole, shapes}: pole from _pole(); shapes {rotation, poleX, poleY, box, probes}
+     *   hold the rotated pole offset, bounds and probes of each candidate rotation
+     * @private
+     */
+    _shapes() {
+        const polygon = this.treeGeometry.polygon;
+        if (this.shapeCache?.polygon === polygon) {
+            return this.shapeCache;
+        }
+
+        const pole = this._pole();
+        const shapes = [];
+        for (let r = 0; r < this.rotations; r++) {
+            const rotation = Math.fround(r * 2 * Math.PI / this.rotations);
+            const cosR = Math.cos(rotation), sinR = Math.sin(rotation);
+            shapes.push({
+                rotation,
+                poleX: pole.x * cosR - pole.y * sinR,
+                poleY: pole.x * sinR + pole.y * cosR,
+                box: this.validator.transformPolygon(0, 0, rotation),
+                // Probes relative to the pole, rotated into place
+                probes: pole.probes.map(probe => ({
+                    dx: (probe.x - pole.x) * cosR - (probe.y - pole.y) * sinR,
+                    dy: (probe.x - pole.x) * sinR + (probe.y - pole.y) * cosR,
+                    depth: probe.depth
+                }))
+            });
+        }
+
+        this.shapeCache = { polygon, pole, shapes };
+        return this.shapeCache;
+    }
+
+    /**
+     * Deepest point of the shape: the tree-local point furthest inside the outline
+     * Also picks RESIZE_PROBES interior points spread over the shape, each the
+     * furthest from those already picked, starting at the pole.
+     * @returns {Object} Pole {x, y, depth, reach, probes}; reach is the furthest vertex
+     *   from the pole, probes are interior points {x, y, depth}
+     * @private
+     */
+    _pole() {
+        const { points, minX, maxX, minY, maxY } = this.validator.transformPolygon(0, 0, 0);
+        const interior = [];
+        let pole = { x: 0, y: 0, depth: 0 };
+        for (let j = 0; j <= RESIZE_POLE_SAMPLES; j++) {
+            const y = minY + (maxY - minY) * j / RESIZE_POLE_SAMPLES;
+            for (let i = 0; i <= RESIZE_POLE_SAMPLES; i++) {
+                const x = minX + (maxX - minX) * i / RESIZE_POLE_SAMPLES;
+                const depth = -this.treeGeometry.signedDistance(x, y);
+                if (depth > 0) {
+                    interior.push({ x, y, depth });
+                }
+                if (depth > pole.depth) {
+                    pole = { x, y, depth };
+                }
+            }
+        }
+
+        const probes = [pole];
+        const gaps = interior.map(point => Math.hypot(point.x - pole.x, point.y - pole.y));
+        while (probes.length < Math.min(RESIZE_PROBES, interior.length)) {
+            let next = 0;
+            for (let k = 1; k < interior.length; k++) {
+                if (gaps[k] > gaps[next]) next = k;
+            }
+            const probe = interior[next];
+            probes.push(probe);
+            interior.forEach((point, k) => {
+                gaps[k] = Math.min(gaps[k], Math.hypot(point.x - probe.x, point.y - probe.y));
+            });
+        }
+
+        let reach = 0;
+        for (let i = 0; i < points.length; i += 2) {
+            reach = Math.max(reach, Math.hypot(points[i] - pole.x, points[i + 1] - pole.y));
+        }
+        return { ...pole, reach, probes };
+    }
+
+    /**
+     * Grid of candidate pole positions over the layout plus a band a tree wide
+     * Each point holds its clearance: the distance to the nearest tree, or
+     * Infinity when no tree is within the pole depth.
+     * @param {Array<Object>} poses - Placed trees {x, y, rotation}
+     * @param {Array<Object>} polygons - Their polygons from transformPolygon()
+     * @param {Object} bounds - Layout bounds {minX, maxX, minY, maxY}, or null when empty
+     * @param {Object} pole - Pole from _pole()
+     * @returns {Object} Field {bounds, originX, originY, spacing, nx, ny, clearance}
+     * @private
+     */
+    _createField(poses, polygons, bounds, pole) {
+        const margin = pole.reach + this.spacing;
+        const area = bounds ?? { minX: 0, maxX: 0, minY: 0, maxY: 0 };
+        const originX = area.minX - margin;
+        const originY = area.minY - margin;
+        const width = area.maxX - area.minX + 2 * margin;
+        const height = area.maxY - area.minY + 2 * margin;
+        const spacing = Math.max(this.spacing, Math.sqrt(width * height / this.maxGridPoints));
+        const nx = Math.floor(width / spacing) + 1;
+        const ny = Math.floor(height / spacing) + 1;
+
+        const field = { bounds, originX, originY, spacing, nx, ny, clearance: new Float32Array(nx * ny).fill(Infinity) };
+        polygons.forEach((polygon, i) => this._stamp(field, polygon, poses[i], pole.depth));
+        return field;
+    }
+
+    /**
+     * Lower the clearance of the grid points near one tree
+     * Only points within the pole depth of the tree's box can lose their clearance.
+     * @param {Object} field - Field from _createField()
+     * @param {Object} polygon - Polygon from transformPolygon()
+     * @param {Object} pose - Tree {x, y, rotation}
+     * @param {number} depth - Pole depth
+     * @private
+     */
+    _stamp(field, polygon, { x, y, rotation }, depth) {
+        const { originX, originY, spacing, nx, ny, clearance } = field;
+        const i0 = Math.max(Math.ceil((polygon.minX - depth - originX) / spacing), 0);
+        const i1 = Math.min(Math.floor((polygon.maxX + depth - originX) / spacing), nx - 1);
+        const j0 = Math.max(Math.ceil((polygon.minY - depth - originY) / spacing), 0);
+        const j1 = Math.min(Math.floor((polygon.maxY + depth - originY) / spacing), ny - 1);
+        const cosR = Math.cos(rotation), sinR = Math.sin(rotation);
+
+        for (let j = j0; j <= j1; j++) {
+            const dy = originY + j * spacing - y;
+            for (let i = i0; i <= i1; i++) {
+                const dx = originX + i * spacing - x;
+                // Into tree-local space, where the outline's signed distance is known
+                const distance = this.treeGeometry.signedDistance(dx * cosR + dy * sinR, -dx * sinR + dy * cosR);
+                const k = j * nx + i;
+                if (distance < clearance[k]) clearance[k] = distance;
+            }
+        }
+    }
+
+    /**
+     * Best free placement on the field, checked exactly against nearby trees
+     * @param {Object} field - Field from _createField()
+     * @param {Array<Object>} polygons - Polygons of the placed trees
+     * @param {Object} bounds - Layout bounds, or null when empty
+     * @param {Array<Object>} shapes - Candidate rotations {rotation, poleX, poleY, box}
+     * @param {Object} pole - Pole from _pole()
+     * @returns {Object|null} Placement {x, y, rotation}, or null if every attempt overlapped
+     * @private
+     */
+    _findPlacement(field, polygons, bounds, shapes, pole) {
+        const { originX, originY, spacing, nx, ny, clearance } = field;
+        const area = bounds ?? { minX: Infinity, maxX: -Infinity, minY: Infinity, maxY: -Infinity };
+        const side = bounds ? Math.max(area.maxX - area.minX, area.maxY - area.minY) : 0;
+        const centerX = bounds ? (area.minX + area.maxX) / 2 : 0;
+        const centerY = bounds ? (area.minY + area.maxY) / 2 : 0;
+
+        // A probe at depth d inside a free tree is at least d from every other tree;
+        // it is read at the nearest grid point, up to half a diagonal away
+        const slack = spacing * Math.SQRT1_2;
+        const probesClear = (i, j, shape) => shape.probes.every(({ dx, dy, depth }) => {
+            const pi = i + Math.round(dx / spacing), pj = j + Math.round(dy / spacing);
+            return pi < 0 || pi >= nx || pj < 0 || pj >= ny || clearance[pj * nx + pi] >= depth - slack;
+        });
+
+        const candidates = [];
+        for (let j = 0; j < ny; j++) {
+            for (let i = 0; i < nx; i++) {
+                if (clearance[j * nx + i] < pole.depth) continue;
+                const px = originX + i * spacing, py = originY + j * spacing;
+                for (const shape of shapes) {
+                    if (!probesClear(i, j, shape)) continue;
+                    const x = Math.fround(px - shape.poleX), y = Math.fround(py - shape.poleY);
+                    const grown = Math.max(
+                        Math.max(area.maxX, x + shape.box.maxX) - Math.min(area.minX, x + shape.box.minX),
+                        Math.max(area.maxY, y + shape.box.maxY) - Math.min(area.minY, y + shape.box.minY)
+                    );
+                    candidates.push({ x, y, rotation: shape.rotation, growth: grown - side, distance: Math.hypot(x - centerX, y - centerY) });
+                }
+            }
+        }
+
+        // Gaps and the perimeter get separate attempt budgets: a dense layout has many
+        // pockets the pole fits in but the tree does not, and they must not use up the perimeter's
+        const gaps = candidates.filter(candidate => candidate.growth <= 1e-9);
+        const perimeter = candidates.filter(candidate => candidate.growth > 1e-9);
+        return this._tryCandidates(gaps, polygons) ?? this._tryCandidates(perimeter, polygons);
+    }
+
+    /**
+     * Check candidates exactly, best first, until one is free
+     * @param {Array<Object>} candidates - Candidates {x, y, rotation, growth, distance}
+     * @param {Array<Object>} polygons - Polygons of the placed trees
+     * @returns {Object|null} Placement {x, y, rotation}, or null after RESIZE_MAX_ATTEMPTS overlaps
+     * @private
+     */
+    _tryCandidates(candidates, polygons) {
+        candidates.sort((a, b) => (Math.abs(a.growth - b.growth) > 1e-9 ? a.growth - b.growth : a.distance - b.distance));
+        for (const { x, y, rotation } of candidates.slice(0, RESIZE_MAX_ATTEMPTS)) {
+            const polygon = this.validator.transformPolygon(x, y, rotation);
+            if (!this.validator.overlapsAny(polygon, polygons)) {
+                return { x, y, rotation };
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Fallback when no free position was found: beside the shorter side of the layout
+     * @param {Float32Array} layout - Layout with count placed trees
+     * @param {number} count - Trees placed so far
+     * @returns {Object} Placement {x, y, rotation}
+     * @private
+     */
+    _perimeterPlacement(layout, count) {
+        const extended = this.spawnPlanner.extendLayout(layout.subarray(0, count * FLOATS_PER_TREE), count + 1);
+        const offset = count * FLOATS_PER_TREE;
+        return { x: extended[offset], y: extended[offset + 1], rotation: extended[offset + 4] };
+    }
+
+    /**
+     * Smallest and runner-up value of a key over the trees still in the layout
+     * @param {Array<Object>} boxes - Tree bounds
+     * @param {Uint8Array} removed - Flags of removed trees
+     * @param {Function} key - Value to minimize
+     * @returns {Object} {first, without(i)}: the minimum, and the minimum once tree i is gone
+     * @private
+     */
+    static _extremes(boxes, removed, key) {
+        let first = Infinity, second = Infinity, firstIndex = -1;
+        for (let i = 0; i < boxes.length; i++) {
+            if (removed[i]) continue;
+            const value = key(boxes[i]);
+            if (value < first) {
+                second = first;
+                first = value;
+                firstIndex = i;
+            } else if (value < second) {
+                second = value;
+            }
+        }
+        return { first, without: i => (i === firstIndex ? second : first) };
+    }
+
+    /**
+     * Bounds of a set of polygons
+     * @param {Array<Object>} polygons - Polygons from transformPolygon()
+     * @returns {Object|null} Bounds {minX, maxX, minY, maxY}, or null when empty
+     * @private
+     */
+    static _bounds(polygons) {
+        if (polygons.length === 0) {
+            return null;
+        }
+        let minX = Infinity, maxX = -Infinity, minY = Infinity, maxY = -Infinity;
+        for (const polygon of polygons) {
+            if (polygon.minX < minX) minX = polygon.minX;
+            if (polygon.maxX > maxX) maxX = polygon.maxX;
+            if (polygon.minY < minY) minY = polygon.minY;
+            if (polygon.maxY > maxY) maxY = polygon.maxY;
+        }
+        return { minX, maxX, minY, maxY };
+    }
+
+    /**
+     * Whether two bounds are identical (both may be null)
+     * @returns {boolean} True if the field built for a can be reused for b
+     * @private
+     */
+    static _sameBounds(a, b) {
+        if (!a || !b) {
+            return a === b;
+        }
+        return a.minX === b.minX && a.maxX === b.maxX && a.minY === b.minY && a.maxY === b.maxY;
+    }
+}
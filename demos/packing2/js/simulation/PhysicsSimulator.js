@@ -1,4 +1,8 @@
-import { FLOATS_PER_TREE } from '../constants.js';
+import { FLOATS_PER_TREE, BYTES_PER_FLOAT, ORIGIN_ANCHOR, PARAMETERS_FLOAT_COUNT } from '../constants.js';
+import { OverlapValidator } from '../geometry/OverlapValidator.js';
+import { SquareContainer } from './SquareContainer.js';
+import { SpawnPlanner } from './SpawnPlanner.js';
+import { LayoutResizer } from './LayoutResizer.js';
 
 /**
  * Physics simulation management and CPU feedback loop
@@ -10,6 +14,7 @@ export class PhysicsSimulator {
         this.parameters = simulationParameters;
         this.treeGeometry = treeGeometry;
         this.logger = logger;
+        this.overlapValidator = new OverlapValidator(treeGeometry);
 
         // Feedback loop state
         this.feedbackFrameCount = 0;
@@ -18,9 +23,65 @@ export class PhysicsSimulator {
         this.needsReset = false;
         this.isProcessingFeedback = false;
 
+        // Bumped by every reset and resize; score readbacks started before the latest one are dropped
+        this.layoutGeneration = 0;
+
         // Score tracking
         this.bestScore = Infinity;
         this.stagnationCount = 0;
+
+        // Whether the best layout buffer holds the layout behind bestScore
+        this.hasBestLayout = false;
+
+        // Physics steps since the last reset; drives the shader hash so runs replay exactly
+        this.stepCount = 0;
+
+        // Optional GPU score reduction (see setScoreReducer)
+        this.scoreReducer = null;
+
+        // Walls for the 'square' container mode
+        this.squareContainer = new SquareContainer();
+
+        // Starting layouts for reset(), and a copy of the best layout at each tree count for 'extendBest'
+        this.spawnPlanner = new SpawnPlanner(treeGeometry);
+        this.bestLayouts = new Map();
+
+        // Adds and removes trees for resizeLayout(); resizes are queued so each sees the last one's buffers,
+        // and a queued resize that a later request supersedes is skipped
+        this.layoutResizer = new LayoutResizer(treeGeometry);
+        this.pendingResize = Promise.resolve();
+        this.pendingResizeCount = 0;
+        this.latestResizeRequest = 0;
+    }
+
+    /**
+     * Build the starting layout for the current spawn strategy
+     * @param {number} treeCount - Number of trees
+     * @param {number} seed - Random seed
+     * @returns {Float32Array} Layout with FLOATS_PER_TREE floats per tree, at rest
+     */
+    createSpawnLayout(treeCount, seed) {
+        const strategy = this.parameters.get('spawnStrategy');
+        if (strategy !== 'extendBest') {
+            return this.spawnPlanner.createLayout(strategy, treeCount, seed);
+        }
+
+        const previous = this.getStoredBestLayout(treeCount - 1);
+        if (!previous) {
+            this.logger.info(`No best layout for ${treeCount - 1} trees yet; spawning at random`);
+            return SpawnPlanner.createRandomLayout(treeCount, seed);
+        }
+        return this.spawnPlanner.createLayout(strategy, treeCount, seed, previous);
+    }
+
+    /**
+     * Best layout found at a tree count during this session
+     * @param {number} treeCount - Number of trees
+     * @returns {Float32Array|null} Layout, or null if none was found for the current shape
+     */
+    getStoredBestLayout(treeCount) {
+        const entry = this.bestLayouts.get(treeCount);
+        return entry && entry.polygon === this.treeGeometry.polygon ? entry.layout : null;
     }
 
     /**
@@ -29,33 +90,85 @@ export class PhysicsSimulator {
     reset() {
         // Cancel any pending feedback processing
         this.isProcessingFeedback = false;
-        const treeCount = this.parameters.get('treeCount');
-        const treeData = new Float32Array(treeCount * FLOATS_PER_TREE);
-        const spread = Math.sqrt(treeCount) * 2.0;
-
-        for (let i = 0; i < treeCount; i++) {
-            const offset = i * FLOATS_PER_TREE;
-            // Match original spawn logic: only initialize position and rotation
-            treeData[offset + 0] = (Math.random() - 0.5) * spread; // position.x
-            treeData[offset + 1] = (Math.random() - 0.5) * spread; // position.y
-            treeData[offset + 2] = 0.0; // velocity.x (0)
-            treeData[offset + 3] = 0.0; // velocity.y (0)
-            treeData[offset + 4] = Math.random() * 6.28; // rotation (0-2π)
-            treeData[offset + 5] = 0.0; // angular_velocity (0)
-            treeData[offset + 6] = 0.0; // collision flag (0)
-            treeData[offset + 7] = 0.0; // padding (0)
-        }
+        this.layoutGeneration++;
+        const treeData = this.createSpawnLayout(this.parameters.get('treeCount'), this.parameters.get('seed'));
 
         this.bufferManager.writeBuffer(this.bufferManager.getTreeBuffer(), treeData);
 
         // Reset score tracking
         this.bestScore = Infinity;
         this.stagnationCount = 0;
+        this.stepCount = 0;
+        this.hasBestLayout = false;
+        this.squareContainer.reset();
 
         this.logger.info('Simulation reset');
         this.needsReset = false;
     }
 
+    /**
+     * Replace the random spawn with an existing layout
+     * @param {Float32Array} treeData - Layout with FLOATS_PER_TREE floats per tree
+     */
+    loadLayout(treeData) {
+        const treeCount = this.parameters.get('treeCount');
+        const expectedSize = treeCount * FLOATS_PER_TREE;
+        if (treeData.length !== expectedSize) {
+            throw new Error(`Layout size mismatch: expected ${expectedSize} floats, got ${treeData.length}`);
+        }
+
+        // Cancel any pending feedback processing
+        this.isProcessingFeedback = false;
+        this.layoutGeneration++;
+        this.bufferManager.writeBuffer(this.bufferManager.getTreeBuffer(), treeData);
+
+        // Reset score tracking for the new starting point
+        this.bestScore = Infinity;
+        this.stagnationCount = 0;
+        this.stepCount = 0;
+        this.hasBestLayout = false;
+        this.squareContainer.reset();
+
+        this.logger.info(`Loaded layout with ${treeCount} trees`);
+        this.needsReset = false;
+    }
+
+    /**
+     * Write an improved layout into the tree buffer and score it
+     * Unlike loadLayout() score tracking carries on, so a better layout becomes the new best
+     * @param {Float32Array} treeData - Layout with FLOATS_PER_TREE floats per tree
+     * @returns {Object|null} Score data for the layout
+     */
+    applyLayout(treeData) {
+        const treeCount = this.parameters.get('treeCount');
+        const expectedSize = treeCount * FLOATS_PER_TREE;
+        if (treeData.length !== expectedSize) {
+            throw new Error(`Layout size mismatch: expected ${expectedSize} floats, got ${treeData.length}`);
+        }
+
+        // Cancel any pending feedback processing
+        this.isProcessingFeedback = false;
+        this.bufferManager.writeBuffer(this.bufferManager.getTreeBuffer(), treeData);
+        return this.computeScore(treeData);
+    }
+
+    /**
+     * Write a perturbed layout into the tree buffer without scoring it
+     * Score tracking carries on; the perturbed layout is usually worse than the best
+     * @param {Float32Array} treeData - Layout with FLOATS_PER_TREE floats per tree
+     */
+    replaceLayout(treeData) {
+        const treeCount = this.parameters.get('treeCount');
+        const expectedSize = treeCount * FLOATS_PER_TREE;
+        if (treeData.length !== expectedSize) {
+            throw new Error(`Layout size mismatch: expected ${expectedSize} floats, got ${treeData.length}`);
+        }
+
+        // Cancel any pending feedback processing
+        this.isProcessingFeedback = false;
+        this.bufferManager.writeBuffer(this.bufferManager.getTreeBuffer(), treeData);
+    }
+
     /**
      * Check if simulation needs reset
      * @returns {boolean} True if reset is needed
@@ -64,6 +177,16 @@ export class PhysicsSimulator {
         return this.needsReset;
     }
 
+    /**
+     * Check if a layout resize is queued or running
+     * While it is, the tree buffers are being read, replaced and refilled: the
+     * caller must not reset, step or draw the trees.
+     * @returns {boolean} True until every resizeLayout() call has settled
+     */
+    isResizing() {
+        return this.pendingResizeCount > 0;
+    }
+
     /**
      * Mark simulation for reset
      */
@@ -71,8 +194,18 @@ export class PhysicsSimulator {
         this.needsReset = true;
     }
 
+    /**
+     * Count physics steps that were dispatched with the current uniforms
+     * @param {number} count - Steps dispatched (default: 1)
+     */
+    advanceStep(count = 1) {
+        this.stepCount += count;
+    }
+
     /**
      * Update uniform buffer with current parameters
+     * With additionalParams.substeps above one, substep k also gets its own block
+     * with time frameCount + k, so each pass salts the gravity hash like a single step would.
      * @param {number} deltaTime - Time since last frame
      * @param {number} frameCount - Current frame count
      * @param {Object} additionalParams - Additional parameters for feedback
@@ -82,159 +215,353 @@ export class PhysicsSimulator {
             probX = 1.0,
             probY = 1.0,
             centerX = 0.0,
-            centerY = 0.0
+            centerY = 0.0,
+            targetHalfSide = 0.0,
+            substeps = 1
         } = additionalParams;
-
-        const uniforms = this.parameters.getUniforms(deltaTime, frameCount, {
+        const extra = {
             probX,
             probY,
             centerX,
-            centerY
-        });
+            centerY,
+            targetHalfSide,
+            ...this.squareContainer.getUniformParams()
+        };
 
+        const uniforms = this.parameters.getUniforms(deltaTime, frameCount, extra);
         this.bufferManager.writeBuffer(this.bufferManager.getUniformBuffer(), uniforms);
+
+        if (substeps > 1) {
+            const blocks = new Float32Array(substeps * PARAMETERS_FLOAT_COUNT);
+            blocks.set(uniforms);
+            for (let k = 1; k < substeps; k++) {
+                blocks.set(this.parameters.getUniforms(deltaTime, frameCount + k, extra), k * PARAMETERS_FLOAT_COUNT);
+            }
+            this.bufferManager.writeBuffer(this.bufferManager.getSubstepUniformBuffer(), blocks);
+        }
+    }
+
+    /**
+     * Use a GPU score reduction instead of reading the whole tree buffer back
+     * @param {ScoreReducer|null} scoreReducer - Reducer, or null for full CPU readback
+     */
+    setScoreReducer(scoreReducer) {
+        this.scoreReducer = scoreReducer;
     }
 
     /**
      * Calculate exact bounds and score using polygon geometry (matches original updateScore)
+     * With a score reducer only the reduced bounds are read back; the full layout is
+     * fetched just for candidate best scores, which must pass the overlap validator
      * @returns {Promise<Object>} Score data including bounds, score, collision count, and wind data
      */
     async updateScore() {
+        if (this.scoreReducer) {
+            return this.updateScoreFromReduction();
+        }
+
         if (this.isProcessingFeedback) {
             return null; // Already processing
         }
 
         this.isProcessingFeedback = true;
+        const generation = this.layoutGeneration;
         try {
-            const treeCount = this.parameters.get('treeCount');
-            const readBuffer = this.bufferManager.getReadBuffer();
-
-            // Copy tree data from GPU to CPU
-            const enc = this.bufferManager.getDevice().createCommandEncoder();
-            enc.copyBufferToBuffer(
-                this.bufferManager.getTreeBuffer(), 0,
-                readBuffer, 0,
-                this.bufferManager.getTreeBuffer().size
-            );
-            this.bufferManager.getDevice().queue.submit([enc.finish()]);
+            const treeData = await this.bufferManager.readTreeBuffer();
+            return generation === this.layoutGeneration ? this.computeScore(treeData) : null;
+        } catch (error) {
+            this.logger.error(`Score calculation error: ${error.message}`);
+            return null;
+        } finally {
+            this.isProcessingFeedback = false;
+        }
+    }
 
-            // Map the read buffer
-            await readBuffer.mapAsync(GPUMapMode.READ);
-            const treeData = new Float32Array(readBuffer.getMappedRange());
+    /**
+     * Score from the GPU reduction, falling back to the full layout for candidate bests
+     * @returns {Promise<Object|null>} Score data, or null if no staging buffer was free or
+     *     a reset or resize landed while reading back
+     */
+    async updateScoreFromReduction() {
+        const generation = this.layoutGeneration;
+        try {
+            const reduction = await this.scoreReducer.reduce();
+            if (!reduction || generation !== this.layoutGeneration) {
+                return null;
+            }
 
-            // Validate buffer size
-            const expectedSize = treeCount * FLOATS_PER_TREE;
-            if (treeData.length < expectedSize) {
-                throw new Error(`Buffer underflow: expected ${expectedSize} floats, got ${treeData.length}`);
+            const scoreData = this.scoreFromReduction(reduction);
+            if (scoreData.score < this.bestScore && scoreData.collisionCount === 0) {
+                // Candidate best: confirm it on the full layout
+                const treeData = await this.bufferManager.readTreeBuffer();
+                return generation === this.layoutGeneration ? this.computeScore(treeData) : null;
             }
 
-            // EXACT BOUNDS CALCULATION using polygon vertices
-            let minX = Infinity, maxX = -Infinity, minY = Infinity, maxY = -Infinity;
-            let collisionCount = 0;
+            return this.trackScore(scoreData, false);
+        } catch (error) {
+            this.logger.error(`Score calculation error: ${error.message}`);
+            return null;
+        }
+    }
 
-            // Wind calculation: net vector sum of tree pointy end directions
-            let windVectorX = 0;
-            let windVectorY = 0;
+    /**
+     * Compute exact bounds, score and wind from tree data already on the CPU
+     * The tree count is the buffer's own: the treeCount parameter changes before
+     * a resize has swapped the buffers.
+     * @param {Float32Array} treeData - Tree buffer contents
+     * @returns {Object|null} Score data, or null when there are no trees
+     */
+    computeScore(treeData) {
+        const treeCount = treeData.length / FLOATS_PER_TREE;
+        const reduction = this.reduceTrees(treeData, treeCount);
+        if (!reduction) {
+            return null;
+        }
 
-            for (let i = 0; i < treeCount; i++) {
-                const idx = i * FLOATS_PER_TREE;
-                const px = treeData[idx];     // position.x
-                const py = treeData[idx + 1]; // position.y
-                const rot = treeData[idx + 4]; // rotation
-                const col = treeData[idx + 6]; // collision flag
-
-                if (col > 0.5) collisionCount++;
-
-                // Calculate wind vector: direction of tree pointy end (top)
-                // For a tree, the pointy end is perpendicular to the trunk (rotation axis)
-                // In standard math coordinates, pointy end direction is rot + π/2
-                const pointyEndAngle = rot + Math.PI / 2;
-                const pointyEndDirX = Math.cos(pointyEndAngle);
-                const pointyEndDirY = Math.sin(pointyEndAngle);
-
-                // Add to wind vector sum
-                windVectorX += pointyEndDirX;
-                windVectorY += pointyEndDirY;
-
-                // Calculate extents of this tree using polygon vertices
-                const cosR = Math.cos(rot);
-                const sinR = Math.sin(rot);
-
-                // Get tree polygon vertices and rotate/translate them
-                const treePoly = this.treeGeometry.getPolygon();
-                for (let j = 0; j < treePoly.length; j += 2) {
-                    const vx = treePoly[j];     // vertex x
-                    const vy = treePoly[j + 1]; // vertex y
-
-                    // Rotate vertex
-                    const rx = vx * cosR - vy * sinR;
-                    const ry = vx * sinR + vy * cosR;
-
-                    // Translate to world position
-                    const wx = px + rx;
-                    const wy = py + ry;
-
-                    // Update bounds
-                    if (wx < minX) minX = wx;
-                    if (wx > maxX) maxX = wx;
-                    if (wy < minY) minY = wy;
-                    if (wy > maxY) maxY = wy;
-                }
-            }
+        const scoreData = this.scoreFromReduction(reduction, treeCount);
 
+        // Only exactly overlap-free layouts count as a best
+        const isBest = scoreData.score < this.bestScore &&
+            scoreData.collisionCount === 0 &&
+            this.overlapValidator.validate(treeData, treeCount).valid;
+        if (isBest) {
+            this.saveBestLayout(treeData);
+        }
+        return this.trackScore(scoreData, isBest);
+    }
 
-            readBuffer.unmap();
+    /**
+     * Store a validated layout in the best layout buffer
+     * The tree buffer has kept moving while this copy was read back, so the
+     * validated data itself is uploaded rather than copying the tree buffer again
+     * @param {Float32Array} treeData - Validated tree data, FLOATS_PER_TREE floats per tree
+     */
+    saveBestLayout(treeData) {
+        const treeCount = treeData.length / FLOATS_PER_TREE;
+        const layout = treeData.slice();
+        this.bufferManager.writeBuffer(this.bufferManager.getBestTreeBuffer(), layout);
+        this.hasBestLayout = true;
+
+        // Kept on the CPU so a later run at treeCount + 1 can start from it
+        this.bestLayouts.set(treeCount, { polygon: this.treeGeometry.polygon, layout });
+    }
 
-            if (minX !== Infinity) {
-                const w = maxX - minX;
-                const h = maxY - minY;
-                const side = Math.max(w, h);
+    /**
+     * Copy the best layout back into the tree buffer so packing resumes from it
+     * @returns {boolean} True if a best layout was restored
+     */
+    restoreBestLayout() {
+        if (!this.hasBestLayout) {
+            return false;
+        }
 
-                // Calculate compression probability for aspect ratio control
-                const probX = (w + h) > 0 ? w / (w + h) : 0.5;
+        // Cancel any pending feedback processing
+        this.isProcessingFeedback = false;
+        this.bufferManager.copyBuffer(this.bufferManager.getBestTreeBuffer(), this.bufferManager.getTreeBuffer());
+        this.stagnationCount = 0;
 
-                // Calculate score (matches original: side² / treeCount)
-                const score = (side * side) / treeCount;
+        this.logger.info(`Restored best layout (score ${this.bestScore.toFixed(4)})`);
+        return true;
+    }
 
-                // Track best score and stagnation
-                if (score < this.bestScore) {
-                    this.bestScore = score;
-                    this.stagnationCount = 0;
-                } else {
-                    this.stagnationCount++;
-                }
+    /**
+     * Read the best layout back from the GPU
+     * @returns {Promise<Float32Array|null>} Tree data trimmed to the current tree count, or null if none is stored
+     */
+    async readBestLayout() {
+        if (!this.hasBestLayout) {
+            return null;
+        }
+
+        const treeCount = this.parameters.get('treeCount');
+        const treeData = await this.bufferManager.readBestTreeBuffer();
+        return treeData.slice(0, treeCount * FLOATS_PER_TREE);
+    }
+
+    /**
+     * CPU version of the GPU score reduction: polygon bounds, wind sum and collision count
+     * @param {Float32Array} treeData - Tree buffer contents
+     * @param {number} treeCount - Trees to reduce (default: the treeCount parameter)
+     * @returns {Object|null} Reduction {minX, maxX, minY, maxY, windX, windY, collisionCount}, or null when there are no trees
+     */
+    reduceTrees(treeData, treeCount = this.parameters.get('treeCount')) {
+
+        // Validate buffer size
+        const expectedSize = treeCount * FLOATS_PER_TREE;
+        if (treeData.length < expectedSize) {
+            throw new Error(`Buffer underflow: expected ${expectedSize} floats, got ${treeData.length}`);
+        }
 
-                // Update current bounds for overlay rendering
-                this.currentBounds = { minX, maxX, minY, maxY };
-
-                // Calculate wind magnitude and direction
-                // Wind is the net vector in the direction of tree pointy ends
-                const windMagnitude = Math.sqrt(windVectorX * windVectorX + windVectorY * windVectorY) / treeCount;
-                const windDirection = Math.atan2(windVectorY, windVectorX);
-
-                return {
-                    bounds: this.currentBounds,
-                    score,
-                    bestScore: this.bestScore,
-                    collisionCount,
-                    probX,
-                    width: w,
-                    height: h,
-                    side,
-                    stagnationCount: this.stagnationCount,
-                    windMagnitude,
-                    windDirection
-                };
+        // EXACT BOUNDS CALCULATION using polygon vertices
+        let minX = Infinity, maxX = -Infinity, minY = Infinity, maxY = -Infinity;
+        let collisionCount = 0;
+
+        // Wind calculation: net vector sum of tree pointy end directions
+        let windX = 0;
+        let windY = 0;
+
+        // Get tree polygon vertices once; they are rotated/translated per tree
+        const treePoly = this.treeGeometry.getPolygon();
+
+        for (let i = 0; i < treeCount; i++) {
+            const idx = i * FLOATS_PER_TREE;
+            const px = treeData[idx];     // position.x
+            const py = treeData[idx + 1]; // position.y
+            const rot = treeData[idx + 4]; // rotation
+            const col = treeData[idx + 6]; // collision flag
+
+            if (col > 0.5) collisionCount++;
+
+            // Calculate wind vector: direction of tree pointy end (top)
+            // For a tree, the pointy end is perpendicular to the trunk (rotation axis)
+            // In standard math coordinates, pointy end direction is rot + π/2
+            const pointyEndAngle = rot + Math.PI / 2;
+            windX += Math.cos(pointyEndAngle);
+            windY += Math.sin(pointyEndAngle);
+
+            // Calculate extents of this tree using polygon vertices
+            const cosR = Math.cos(rot);
+            const sinR = Math.sin(rot);
+
+            for (let j = 0; j < treePoly.length; j += 2) {
+                const vx = treePoly[j];     // vertex x
+                const vy = treePoly[j + 1]; // vertex y
+
+                // Rotate vertex and translate to world position
+                const wx = px + vx * cosR - vy * sinR;
+                const wy = py + vx * sinR + vy * cosR;
+
+                // Update bounds
+                if (wx < minX) minX = wx;
+                if (wx > maxX) maxX = wx;
+                if (wy < minY) minY = wy;
+                if (wy > maxY) maxY = wy;
             }
+        }
 
+        if (minX === Infinity) {
             return null;
+        }
 
-        } catch (error) {
-            this.logger.error(`Score calculation error: ${error.message}`);
-            return null;
-        } finally {
-            this.isProcessingFeedback = false;
+        return { minX, maxX, minY, maxY, windX, windY, collisionCount };
+    }
+
+    /**
+     * Turn a bounds/wind/collision reduction into score data (without best tracking)
+     * @param {Object} reduction - Reduction from reduceTrees() or the GPU
+     * @param {number} treeCount - Trees in the reduction (default: the treeCount parameter)
+     * @returns {Object} Score data
+     */
+    scoreFromReduction(reduction, treeCount = this.parameters.get('treeCount')) {
+        const { minX, maxX, minY, maxY, windX, windY, collisionCount } = reduction;
+
+        const w = maxX - minX;
+        const h = maxY - minY;
+
+        // In the square container the box is the score, unless trees have been pushed through a wall
+        const walls = this.isSquareContainer() ? this.squareContainer.getWalls() : null;
+        const side = walls ? Math.max(walls.side, w, h) : Math.max(w, h);
+
+        // Calculate compression probability for aspect ratio control
+        const probX = (w + h) > 0 ? w / (w + h) : 0.5;
+
+        // Calculate score (matches original: side² / treeCount)
+        const score = (side * side) / treeCount;
+
+        // Calculate wind magnitude and direction
+        // Wind is the net vector in the direction of tree pointy ends
+        const windMagnitude = Math.sqrt(windX * windX + windY * windY) / treeCount;
+        const windDirection = Math.atan2(windY, windX);
+
+        return {
+            bounds: { minX, maxX, minY, maxY },
+            score,
+            collisionCount,
+            probX,
+            width: w,
+            height: h,
+            side,
+            windMagnitude,
+            windDirection
+        };
+    }
+
+    /**
+     * Record a score: update best score, stagnation and the overlay bounds
+     * @param {Object} scoreData - Score data from scoreFromReduction()
+     * @param {boolean} isBest - Whether the score is a new validated best
+     * @returns {Object} Score data with bestScore and stagnationCount
+     */
+    trackScore(scoreData, isBest) {
+        if (isBest) {
+            this.bestScore = scoreData.score;
+            this.stagnationCount = 0;
+        } else {
+            this.stagnationCount++;
         }
+
+        // Update current bounds for overlay rendering
+        this.currentBounds = scoreData.bounds;
+
+        // Move the walls in or out depending on collisions
+        if (this.isSquareContainer()) {
+            this.squareContainer.update(scoreData, this.parameters.get('compression'));
+        } else {
+            this.squareContainer.reset();
+        }
+
+        return {
+            ...scoreData,
+            bestScore: this.bestScore,
+            stagnationCount: this.stagnationCount
+        };
+    }
+
+    /**
+     * Whether the layout is packed by the square container instead of gravity
+     * @returns {boolean} True in 'square' container mode
+     */
+    isSquareContainer() {
+        return this.parameters.get('containerMode') === 'square';
+    }
+
+    /**
+     * Get the container walls for the overlay
+     * @returns {Object|null} Walls {centerX, centerY, side}, or null outside square mode
+     */
+    getWalls() {
+        return this.isSquareContainer() ? this.squareContainer.getWalls() : null;
+    }
+
+    /**
+     * Compression target for the uniforms: the scoring square of a score update
+     * The centre is moved ORIGIN_ANCHOR of the way to the origin, so a drifting
+     * cluster is pulled back towards the grid and collision zone, which are
+     * both centred on the origin.
+     * @param {Object|null} scoreData - Latest score data, or null before the first score
+     * @returns {Object} {centerX, centerY, targetHalfSide}; the origin with no reach before the first score
+     */
+    getCompressionTarget(scoreData) {
+        if (!scoreData || !scoreData.bounds) {
+            return { centerX: 0.0, centerY: 0.0, targetHalfSide: 0.0 };
+        }
+
+        const { minX, maxX, minY, maxY } = scoreData.bounds;
+        return {
+            centerX: (minX + maxX) / 2 * (1 - ORIGIN_ANCHOR),
+            centerY: (minY + maxY) / 2 * (1 - ORIGIN_ANCHOR),
+            targetHalfSide: scoreData.side / 2
+        };
+    }
+
+    /**
+     * Read the current layout back from the GPU
+     * @returns {Promise<Float32Array>} Tree data trimmed to the current tree count
+     */
+    async readLayout() {
+        const treeCount = this.parameters.get('treeCount');
+        const treeData = await this.bufferManager.readTreeBuffer();
+        return treeData.slice(0, treeCount * FLOATS_PER_TREE);
     }
 
     /**
@@ -372,8 +699,97 @@ export class PhysicsSimulator {
     handleTreeCountChange(newTreeCount) {
         const resized = this.bufferManager.resizeTreeBuffers(newTreeCount);
         if (resized) {
+            this.layoutGeneration++;
+            this.hasBestLayout = false;
             this.markForReset();
         }
         return resized;
     }
+
+    /**
+     * Change the tree count while keeping the current layout
+     * Shrinking drops the trees whose removal tightens the bounding square most;
+     * growing copies every tree into the new buffer and places the new trees in
+     * gaps, or on the perimeter. Falls back to handleTreeCountChange() on error.
+     * New trees are placed against the layout that was read back, so physics must
+     * stay paused until the resize settles (see isResizing()). Only the latest
+     * request is carried out: dragging the tree count slider queues one request
+     * per step, and the counts in between are skipped once they are stale.
+     * @param {number} newTreeCount - New tree count
+     * @returns {Promise<boolean>} True if buffers were resized; false if unchanged or superseded
+     */
+    resizeLayout(newTreeCount) {
+        this.pendingResizeCount++;
+        const request = ++this.latestResizeRequest;
+        const resize = this.pendingResize.then(async () => {
+            try {
+                if (request !== this.latestResizeRequest) {
+                    return false;
+                }
+                return await this._resizeLayoutNow(newTreeCount);
+            } catch (error) {
+                this.logger.error(`Layout resize failed, respawning: ${error.message}`);
+                return this.handleTreeCountChange(newTreeCount);
+            } finally {
+                this.pendingResizeCount--;
+            }
+        });
+
+        // Keep the queue alive even if this resize fails
+        this.pendingResize = resize.catch(() => {});
+        return resize;
+    }
+
+    /**
+     * Resize immediately; see resizeLayout()
+     * @param {number} newTreeCount - New tree count
+     * @returns {Promise<boolean>} True if buffers were resized
+     * @private
+     */
+    async _resizeLayoutNow(newTreeCount) {
+        const treeData = await this.bufferManager.readTreeBuffer();
+        const treeCount = treeData.length / FLOATS_PER_TREE;
+        if (newTreeCount === treeCount) {
+            return false;
+        }
+
+        let resized;
+        if (newTreeCount < treeCount) {
+            const survivors = this.layoutResizer.selectSurvivors(treeData, treeCount, newTreeCount);
+            resized = this.bufferManager.resizeTreeBuffersPreserving(newTreeCount, PhysicsSimulator.toRuns(survivors));
+        } else {
+            const added = this.layoutResizer.placeNewTrees(treeData, treeCount, newTreeCount);
+            resized = this.bufferManager.resizeTreeBuffersPreserving(newTreeCount, [{ start: 0, count: treeCount }]);
+            this.bufferManager.writeBuffer(this.bufferManager.getTreeBuffer(), added, treeCount * FLOATS_PER_TREE * BYTES_PER_FLOAT);
+        }
+
+        // The kept trees are a new starting point: the old best no longer matches the count
+        this.isProcessingFeedback = false;
+        this.layoutGeneration++;
+        this.bestScore = Infinity;
+        this.stagnationCount = 0;
+        this.hasBestLayout = false;
+        this.squareContainer.reset();
+
+        this.logger.info(`Resized layout from ${treeCount} to ${newTreeCount} trees`);
+        return resized;
+    }
+
+    /**
+     * Group ascending tree indices into runs of consecutive trees
+     * @param {Array<number>} indices - Ascending tree indices
+     * @returns {Array<Object>} Runs {start, count}
+     */
+    static toRuns(indices) {
+        const runs = [];
+        for (const index of indices) {
+            const last = runs[runs.length - 1];
+            if (last && last.start + last.count === index) {
+                last.count++;
+            } else {
+                runs.push({ start: index, count: 1 });
+            }
+        }
+        return runs;
+    }
 }
@@ -1,3 +1,33 @@
+import {
+    MAX_SIMULATION_TREE_COUNT,
+    ANNEAL_ITERATIONS,
+    ANNEAL_START_TEMPERATURE,
+    ANNEAL_END_TEMPERATURE,
+    ESCAPE_STRATEGIES,
+    ESCAPE_STAGNATION_THRESHOLD,
+    CONTAINER_MODES,
+    SPAWN_STRATEGIES,
+    PULL_ANISOTROPY,
+    GRID_CELL_SIZE,
+    CONTACT_THRESHOLD,
+    CONTACT_FORCE_GAIN,
+    CONTACT_FORCE_CLAMP,
+    CONTACT_TORQUE_GAIN,
+    RELAXATION_RATE,
+    SEARCH_RADIUS,
+    PHYSICS_TIME_STEP,
+    LINEAR_DAMPING,
+    ANGULAR_DAMPING,
+    CONTACT_SOLVERS,
+    SDF_RESOLUTION,
+    MIN_SDF_RESOLUTION,
+    MAX_SDF_RESOLUTION,
+    PHYSICS_PARAMETERS,
+    MAX_SUBSTEPS,
+    UNIFORM_FIELDS,
+    PARAMETERS_FLOAT_COUNT
+} from '../constants.js';
+
 /**
  * Simulation parameter management with validation
  */
@@ -7,21 +37,73 @@ export class SimulationParameters {
             treeCount: 10,
             zoom: 2.0,
             compression: 1.0,
-            relaxationRate: 1.0,
+            relaxationRate: RELAXATION_RATE,
             autoPack: true,
             aspect: 1.0,
-            renderFrequency: 1
+            renderFrequency: 1,
+            seed: 1,
+            spawnStrategy: 'random',
+            preserveLayout: true,
+            gridBroadphase: true,
+            tiledCollisions: false,
+            autoRefine: false,
+            annealIterations: ANNEAL_ITERATIONS,
+            annealStartTemperature: ANNEAL_START_TEMPERATURE,
+            annealEndTemperature: ANNEAL_END_TEMPERATURE,
+            autoEscape: false,
+            escapeThreshold: ESCAPE_STAGNATION_THRESHOLD,
+            escapeStrategy: 'cycle',
+            containerMode: 'gravity',
+            pullAnisotropy: PULL_ANISOTROPY,
+            contactSolver: 'vertex',
+            contactThreshold: CONTACT_THRESHOLD,
+            forceGain: CONTACT_FORCE_GAIN,
+            forceClamp: CONTACT_FORCE_CLAMP,
+            torqueGain: CONTACT_TORQUE_GAIN,
+            searchRadius: SEARCH_RADIUS,
+            timeStep: PHYSICS_TIME_STEP,
+            linearDamping: LINEAR_DAMPING,
+            angularDamping: ANGULAR_DAMPING,
+            sdfResolution: SDF_RESOLUTION,
+            substeps: 1,
+            adaptiveSubsteps: false
         };
 
         // Parameter constraints
         this._constraints = {
-            treeCount: { min: 1, max: 200, step: 1 },
+            treeCount: { min: 1, max: MAX_SIMULATION_TREE_COUNT, step: 1 },
             zoom: { min: 0.1, max: 10.0, step: 0.1 },
             compression: { min: 0.0, max: 5.0, step: 0.1 },
             relaxationRate: { min: 0.1, max: 2.0, step: 0.1 },
             autoPack: { type: 'boolean' },
             aspect: { min: 0.1, max: 10.0, step: 0.1 },
-            renderFrequency: { min: 1, max: 30, step: 1 }
+            renderFrequency: { min: 1, max: 30, step: 1 },
+            seed: { min: 0, max: 4294967295, step: 1, integer: true },
+            spawnStrategy: { type: 'enum', values: SPAWN_STRATEGIES },
+            preserveLayout: { type: 'boolean' }, // Keep the current trees when the tree count changes instead of respawning
+            gridBroadphase: { type: 'boolean' },
+            tiledCollisions: { type: 'boolean' }, // Brute-force step through workgroup memory tiles when the grid is off
+            autoRefine: { type: 'boolean' },
+            annealIterations: { min: 100, max: 1000000, step: 100, integer: true },
+            annealStartTemperature: { min: 0.000001, max: 10.0, step: 0.0001 },
+            annealEndTemperature: { min: 0.000001, max: 10.0, step: 0.0001 },
+            autoEscape: { type: 'boolean' },
+            escapeThreshold: { min: 5, max: 1000, step: 1, integer: true },
+            escapeStrategy: { type: 'enum', values: ['cycle', ...ESCAPE_STRATEGIES] },
+            containerMode: { type: 'enum', values: CONTAINER_MODES },
+            pullAnisotropy: { min: 0.0, max: 5.0, step: 0.1 },
+            contactSolver: { type: 'enum', values: CONTACT_SOLVERS },
+            contactThreshold: { min: 0.001, max: 0.2, step: 0.001 },
+            forceGain: { min: 0.0, max: 200.0, step: 1.0 },
+            forceClamp: { min: 0.01, max: 5.0, step: 0.01 },
+            torqueGain: { min: 0.0, max: 20.0, step: 0.1 },
+            searchRadius: { min: 0.1, max: GRID_CELL_SIZE, step: 0.05 }, // The grid only visits the 3x3 neighbouring cells
+            timeStep: { min: 0.001, max: 0.05, step: 0.001 },
+            linearDamping: { min: 0.0, max: 1.0, step: 0.01 },
+            angularDamping: { min: 0.0, max: 1.0, step: 0.01 },
+            sdfResolution: { min: MIN_SDF_RESOLUTION, max: MAX_SDF_RESOLUTION, step: 16, integer: true },
+            substeps: { min: 1, max: MAX_SUBSTEPS, step: 1, integer: true },
+            adaptiveSubsteps: { type: 'boolean' }
         };
 
         // Observers for parameter changes
@@ -82,8 +164,12 @@ export class SimulationParameters {
         if (constraint.type === 'boolean') {
             return typeof value === 'boolean';
         }
+        if (constraint.type === 'enum') {
+            return constraint.values.includes(value);
+        }
 
         if (typeof value !== 'number' || isNaN(value)) return false;
+        if (constraint.integer && !Number.isInteger(value)) return false;
 
         if (constraint.min !== undefined && value < constraint.min) return false;
         if (constraint.max !== undefined && value > constraint.max) return false;
@@ -91,6 +177,30 @@ export class SimulationParameters {
         return true;
     }
 
+    /**
+     * Get the physics parameters, for storing with a run
+     * @returns {Object} Values keyed by PHYSICS_PARAMETERS names
+     */
+    getPhysics() {
+        return Object.fromEntries(PHYSICS_PARAMETERS.map(key => [key, this._params[key]]));
+    }
+
+    /**
+     * Apply stored physics parameters; keys left out keep their current value
+     * @param {Object} values - Values keyed by PHYSICS_PARAMETERS names
+     * @throws {Error} If a key is not a physics parameter or a value is invalid
+     */
+    setPhysics(values) {
+        for (const [key, value] of Object.entries(values)) {
+            if (!PHYSICS_PARAMETERS.includes(key) || !this._validateParameter(key, value)) {
+                throw new Error(`Invalid physics parameter ${key}: ${value}`);
+            }
+        }
+        for (const [key, value] of Object.entries(values)) {
+            this.set(key, value);
+        }
+    }
+
     /**
      * Get parameter constraints for UI
      * @param {string} key - Parameter name
@@ -101,31 +211,56 @@ export class SimulationParameters {
     }
 
     /**
-     * Get uniform buffer data for GPU
+     * Get uniform buffer data for GPU, laid out as UNIFORM_FIELDS
      * @param {number} deltaTime - Time since last frame
      * @param {number} frameCount - Current frame count
-     * @param {Object} additionalParams - Additional parameters (probX, probY, centerX, centerY)
+     * @param {Object} additionalParams - Additional parameters (probX, probY, centerX, centerY, targetHalfSide, wallHalf, wallCenterX, wallCenterY)
      * @returns {Float32Array} Uniform data array
      */
     getUniforms(deltaTime, frameCount, additionalParams = {}) {
         const {
             probX = 0.5,
-            probY = 0.5,
             centerX = 0.0,
-            centerY = 0.0
+            centerY = 0.0,
+            targetHalfSide = 0.0,
+            wallHalf = 0.0,
+            wallCenterX = 0.0,
+            wallCenterY = 0.0
         } = additionalParams;
 
-        // Match original structure: zoom, compression, probX, time, aspect, _pad1, _pad2, _pad3
-        return new Float32Array([
-            this._params.zoom,
-            this._params.compression,
+        const values = {
+            zoom: this._params.zoom,
+            compression: this._params.compression,
             probX,
-            frameCount, // time
-            this._params.aspect,
-            0.0, // _pad1
-            0.0, // _pad2
-            0.0  // _pad3
-        ]);
+            time: frameCount,
+            aspect: this._params.aspect,
+            seed: this._params.seed,
+            wallHalf,
+            wallCenterX,
+            wallCenterY,
+            centerX,
+            centerY,
+            targetHalfSide,
+            pullAnisotropy: this._params.pullAnisotropy,
+            treeCount: this._params.treeCount
+        };
+        PHYSICS_PARAMETERS.forEach(key => {
+            values[key] = this._params[key];
+        });
+        values.contactSolver = CONTACT_SOLVERS.indexOf(this._params.contactSolver);
+
+        const uniforms = new Float32Array(PARAMETERS_FLOAT_COUNT);
+        // u32 fields (the shader hash salt, the solver index, the tree count) are stored as their bit pattern
+        const words = new Uint32Array(uniforms.buffer);
+        UNIFORM_FIELDS.forEach(({ name, type }, index) => {
+            if (type === 'u32') {
+                words[index] = values[name];
+            } else {
+                uniforms[index] = values[name];
+            }
+        });
+
+        return uniforms;
     }
 
     /**
@@ -168,9 +303,35 @@ export class SimulationParameters {
             treeCount: 10,
             zoom: 2.0,
             compression: 1.0,
-            relaxationRate: 1.0,
+            relaxationRate: RELAXATION_RATE,
             autoPack: true,
-            aspect: 1.0
+            aspect: 1.0,
+            seed: 1,
+            spawnStrategy: 'random',
+            preserveLayout: true,
+            gridBroadphase: true,
+            tiledCollisions: false,
+            autoRefine: false,
+            annealIterations: ANNEAL_ITERATIONS,
+            annealStartTemperature: ANNEAL_START_TEMPERATURE,
+            annealEndTemperature: ANNEAL_END_TEMPERATURE,
+            autoEscape: false,
+            escapeThreshold: ESCAPE_STAGNATION_THRESHOLD,
+            escapeStrategy: 'cycle',
+            containerMode: 'gravity',
+            pullAnisotropy: PULL_ANISOTROPY,
+            contactSolver: 'vertex',
+            contactThreshold: CONTACT_THRESHOLD,
+            forceGain: CONTACT_FORCE_GAIN,
+            forceClamp: CONTACT_FORCE_CLAMP,
+            torqueGain: CONTACT_TORQUE_GAIN,
+            searchRadius: SEARCH_RADIUS,
+            timeStep: PHYSICS_TIME_STEP,
+            linearDamping: LINEAR_DAMPING,
+            angularDamping: ANGULAR_DAMPING,
+            sdfResolution: SDF_RESOLUTION,
+            substeps: 1,
+            adaptiveSubsteps: false
         };
 
         Object.keys(defaults).forEach(key => {
@@ -0,0 +1,364 @@
+import { FLOATS_PER_TREE, SPAWN_GAP, SPAWN_APPROACH_STEP, SPAWN_BISECTIONS, GOLDEN_ANGLE, BLF_CACHE_SIZE } from '../constants.js';
+import { OverlapValidator } from '../geometry/OverlapValidator.js';
+import { Random } from '../utils/Random.js';
+import { BottomLeftFill } from './BottomLeftFill.js';
+
+/**
+ * Starting layouts for the spawn strategies in SPAWN_STRATEGIES
+ * Every strategy returns FLOATS_PER_TREE floats per tree with the trees at rest.
+ * The lattice spacings are measured on the current shape: neighbours are moved
+ * together until they touch and then kept SPAWN_GAP apart, so the hexagonal and
+ * pair lattices start overlap-free whatever the outline. The spiral is widened
+ * from the same spacing until it is overlap-free too.
+ */
+export class SpawnPlanner {
+    /**
+     * @param {TreeGeometry} treeGeometry - Tree geometry providing the polygon
+     */
+    constructor(treeGeometry) {
+        this.treeGeometry = treeGeometry;
+        this.validator = new OverlapValidator(treeGeometry);
+        this.bottomLeftFill = new BottomLeftFill(treeGeometry);
+
+        // Bottom-left-fill layouts by tree count and seed, oldest first, with the shape they were built for
+        this.bottomLeftFillCache = new Map();
+    }
+
+    /**
+     * Build the layout for a spawn strategy
+     * @param {string} strategy - Strategy from SPAWN_STRATEGIES; anything else scatters at random
+     * @param {number} treeCount - Number of trees
+     * @param {number} seed - Random seed (random and bottomLeftFill only)
+     * @param {Float32Array|null} previous - Layout of treeCount - 1 trees (extendBest only)
+     * @returns {Float32Array} Layout with FLOATS_PER_TREE floats per tree, at rest
+     */
+    createLayout(strategy, treeCount, seed, previous = null) {
+        switch (strategy) {
+            case 'hexagonal':
+                return this.createHexagonalLayout(treeCount);
+            case 'pairs':
+                return this.createPairLayout(treeCount);
+            case 'spiral':
+                return this.createSpiralLayout(treeCount);
+            case 'ring':
+                return this.createRingLayout(treeCount);
+            case 'bottomLeftFill':
+                return this.createBottomLeftFillLayout(treeCount, seed);
+            case 'extendBest':
+                if (!previous) {
+                    throw new Error(`Spawn strategy extendBest needs a layout of ${treeCount - 1} trees`);
+                }
+                return this.extendLayout(previous, treeCount);
+            default:
+                // 'random', the spawn used before there were strategies
+                return SpawnPlanner.createRandomLayout(treeCount, seed);
+        }
+    }
+
+    /**
+     * Bottom-left-fill layout, reused while the size, seed and shape stay the same
+     * Building one takes around a second for a few hundred trees, too long to
+     * repeat on every reset.
+     * @param {number} treeCount - Number of trees
+     * @param {number} seed - Seed for the drop column offsets
+     * @returns {Float32Array} Overlap-free layout centred on the origin, a copy the caller may modify
+     */
+    createBottomLeftFillLayout(treeCount, seed) {
+        const key = `${treeCount}:${seed}`;
+        let entry = this.bottomLeftFillCache.get(key);
+        if (!entry || entry.polygon !== this.treeGeometry.polygon) {
+            entry = { polygon: this.treeGeometry.polygon, layout: this.bottomLeftFill.createLayout(treeCount, seed) };
+        }
+
+        // Re-inserting keeps the map in least recently used order
+        this.bottomLeftFillCache.delete(key);
+        this.bottomLeftFillCache.set(key, entry);
+        if (this.bottomLeftFillCache.size > BLF_CACHE_SIZE) {
+            this.bottomLeftFillCache.delete(this.bottomLeftFillCache.keys().next().value);
+        }
+        return entry.layout.slice();
+    }
+
+    /**
+     * Scatter trees uniformly over a square that grows with the tree count
+     * @param {number} treeCount - Number of trees
+     * @param {number} seed - Random seed
+     * @returns {Float32Array} Layout with FLOATS_PER_TREE floats per tree, at rest
+     */
+    static createRandomLayout(treeCount, seed) {
+        const treeData = new Float32Array(treeCount * FLOATS_PER_TREE);
+        const spread = Math.sqrt(treeCount) * 2.0;
+        const random = new Random(seed);
+
+        for (let i = 0; i < treeCount; i++) {
+            const offset = i * FLOATS_PER_TREE;
+            // Match original spawn logic: only initialize position and rotation
+            treeData[offset + 0] = (random.next() - 0.5) * spread; // position.x
+            treeData[offset + 1] = (random.next() - 0.5) * spread; // position.y
+            treeData[offset + 4] = random.next() * 6.28; // rotation (0-2π)
+        }
+        return treeData;
+    }
+
+    /**
+     * Upright trees in rows, every other row shifted by half a spacing
+     * @param {number} treeCount - Number of trees
+     * @returns {Float32Array} Overlap-free layout centred on the origin
+     */
+    createHexagonalLayout(treeCount) {
+        const { spacing, rowHeight } = this._hexagonalSpacing();
+        return this._fillLattice(treeCount, [{ x: 0, y: 0, rotation: 0 }], spacing, rowHeight, spacing / 2);
+    }
+
+    /**
+     * Square grid of cells, each holding an upright tree and an inverted one beside it
+     * The inverted tree's box is aligned with the upright one before the two are
+     * pushed together, so the tiers interlock.
+     * @param {number} treeCount - Number of trees
+     * @returns {Float32Array} Overlap-free layout centred on the origin
+     */
+    createPairLayout(treeCount) {
+        // Turning by π maps [minY, maxY] to [-maxY, -minY]; shifting by minY + maxY lines the boxes up
+        const upright = this.validator.transformPolygon(0, 0, 0);
+        const up = { x: 0, y: 0, rotation: 0 };
+        const down = { x: 0, y: upright.minY + upright.maxY, rotation: Math.fround(Math.PI) };
+
+        const pair = [up, { ...down, x: this._approach([up], [down], 1, 0) }];
+        const width = this._approach(pair, pair, 1, 0);
+        const row = [-1, 0, 1].flatMap(column => pair.map(tree => ({ ...tree, x: tree.x + column * width })));
+        const height = this._approach(row, pair, 0, 1);
+
+        return this._fillLattice(treeCount, pair, width, height, 0);
+    }
+
+    /**
+     * Upright trees on a phyllotaxis (sunflower) spiral
+     * Tree i sits at radius ∝ √i, turned by the golden angle from tree i - 1. The
+     * spiral starts at the area per tree of a hexagonal cell and is widened until
+     * no two trees overlap, then by SPAWN_GAP at the lattice spacing.
+     * @param {number} treeCount - Number of trees
+     * @returns {Float32Array} Overlap-free layout centred on the origin
+     */
+    createSpiralLayout(treeCount) {
+        const { spacing, rowHeight } = this._hexagonalSpacing();
+        const overlapFree = scale => this.validator.validate(this._spiral(treeCount, scale), treeCount).valid;
+
+        // Double until clear, then bisect back towards the last scale that overlapped
+        let low = Math.sqrt(spacing * rowHeight / Math.PI);
+        let high = low;
+        while (!overlapFree(high)) {
+            low = high;
+            high *= 2;
+        }
+        for (let i = 0; i < SPAWN_BISECTIONS && low < high; i++) {
+            const mid = (low + high) / 2;
+            if (overlapFree(mid)) {
+                high = mid;
+            } else {
+                low = mid;
+            }
+        }
+
+        const padded = high * (1 + SPAWN_GAP / spacing);
+        return this._spiral(treeCount, overlapFree(padded) ? padded : high);
+    }
+
+    /**
+     * Concentric rings of trees pointing outward around one central tree
+     * Rings are a tree height apart and each holds as many trees as fit around it
+     * at the hexagonal spacing; the outermost ring spreads its trees evenly.
+     * @param {number} treeCount - Number of trees
+     * @returns {Float32Array} Layout centred on the origin
+     */
+    createRingLayout(treeCount) {
+        const { spacing } = this._hexagonalSpacing();
+        const upright = this.validator.transformPolygon(0, 0, 0);
+        const ringHeight = upright.maxY - upright.minY + SPAWN_GAP;
+
+        const trees = [{ x: 0, y: 0, rotation: 0 }];
+        for (let ring = 1; trees.length < treeCount; ring++) {
+            const radius = ring * ringHeight;
+            const count = Math.min(Math.floor(2 * Math.PI * radius / spacing), treeCount - trees.length);
+            for (let k = 0; k < count; k++) {
+                // The tip points along +y at rotation 0, so turn it to face away from the centre
+                const angle = 2 * Math.PI * k / count;
+                trees.push({ x: radius * Math.cos(angle), y: radius * Math.sin(angle), rotation: angle - Math.PI / 2 });
+            }
+        }
+        return this._toLayout(trees);
+    }
+
+    /**
+     * Add one upright tree to a layout, beside the middle of its shorter side
+     * Growing the shorter side keeps the bounding square as small as possible.
+     * The existing trees keep their positions and rotations.
+     * @param {Float32Array} previous - Layout of treeCount - 1 trees
+     * @param {number} treeCount - Number of trees in the result
+     * @returns {Float32Array} Layout with FLOATS_PER_TREE floats per tree, at rest
+     */
+    extendLayout(previous, treeCount) {
+        const previousCount = treeCount - 1;
+        if (previous.length < previousCount * FLOATS_PER_TREE) {
+            throw new Error(`Layout size mismatch: expected ${previousCount * FLOATS_PER_TREE} floats, got ${previous.length}`);
+        }
+
+        const layout = new Float32Array(treeCount * FLOATS_PER_TREE);
+        for (let i = 0; i < previousCount; i++) {
+            const offset = i * FLOATS_PER_TREE;
+            layout[offset] = previous[offset];
+            layout[offset + 1] = previous[offset + 1];
+            layout[offset + 4] = previous[offset + 4];
+        }
+        if (previousCount === 0) {
+            return layout;
+        }
+
+        const { minX, maxX, minY, maxY } = this.treeGeometry.getLayoutBounds(layout, previousCount);
+        const upright = this.validator.transformPolygon(0, 0, 0);
+        const offset = previousCount * FLOATS_PER_TREE;
+        if (maxX - minX <= maxY - minY) {
+            layout[offset] = maxX + SPAWN_GAP - upright.minX;
+            layout[offset + 1] = (minY + maxY) / 2 - (upright.minY + upright.maxY) / 2;
+        } else {
+            layout[offset] = (minX + maxX) / 2 - (upright.minX + upright.maxX) / 2;
+            layout[offset + 1] = maxY + SPAWN_GAP - upright.minY;
+        }
+        return layout;
+    }
+
+    /**
+     * Phyllotaxis spiral at a given scale
+     * @param {number} treeCount - Number of trees
+     * @param {number} scale - Radius of tree i is scale · √(i + 0.5)
+     * @returns {Float32Array} Layout centred on the origin
+     * @private
+     */
+    _spiral(treeCount, scale) {
+        const trees = [];
+        for (let i = 0; i < treeCount; i++) {
+            const radius = scale * Math.sqrt(i + 0.5);
+            const angle = i * GOLDEN_ANGLE;
+            trees.push({ x: radius * Math.cos(angle), y: radius * Math.sin(angle), rotation: 0 });
+        }
+        return this._toLayout(trees);
+    }
+
+    /**
+     * Spacing of the hexagonal lattice: along a row, and between shifted rows
+     * @returns {Object} {spacing, rowHeight}
+     * @private
+     */
+    _hexagonalSpacing() {
+        const tree = [{ x: 0, y: 0, rotation: 0 }];
+        const spacing = this._approach(tree, tree, 1, 0);
+        const row = [-1, 0, 1].map(column => ({ x: column * spacing, y: 0, rotation: 0 }));
+        const rowHeight = this._approach(row, [{ x: spacing / 2, y: 0, rotation: 0 }], 0, 1);
+        return { spacing, rowHeight };
+    }
+
+    /**
+     * Lay copies of a motif out in rows, choosing the column count that keeps the block square
+     * @param {number} treeCount - Number of trees
+     * @param {Array<Object>} motif - Trees {x, y, rotation} of one cell
+     * @param {number} width - Cell spacing along a row
+     * @param {number} height - Row spacing
+     * @param {number} rowShift - Sideways shift of every other row
+     * @returns {Float32Array} Layout centred on the origin
+     * @private
+     */
+    _fillLattice(treeCount, motif, width, height, rowShift) {
+        const cells = Math.ceil(treeCount / motif.length);
+        const sideFor = columns => Math.max(columns * width, Math.ceil(cells / columns) * height);
+        let columns = 1;
+        for (let k = 2; k <= cells; k++) {
+            if (sideFor(k) < sideFor(columns)) columns = k;
+        }
+
+        const trees = [];
+        for (let cell = 0; trees.length < treeCount; cell++) {
+            const row = Math.floor(cell / columns);
+            const originX = (cell % columns) * width + (row % 2) * rowShift;
+            const originY = row * height;
+            for (const tree of motif.slice(0, treeCount - trees.length)) {
+                trees.push({ x: originX + tree.x, y: originY + tree.y, rotation: tree.rotation });
+            }
+        }
+        return this._toLayout(trees);
+    }
+
+    /**
+     * Smallest shift along a direction that keeps a group of trees clear of another
+     * The moving trees start beyond any contact and close in with a coarse march;
+     * the first contact is refined by bisection and SPAWN_GAP is added.
+     * @param {Array<Object>} fixed - Trees {x, y, rotation} that stay put
+     * @param {Array<Object>} moving - Trees {x, y, rotation} shifted by distance · direction
+     * @param {number} dirX - Unit direction x
+     * @param {number} dirY - Unit direction y
+     * @returns {number} Shift distance
+     * @private
+     */
+    _approach(fixed, moving, dirX, dirY) {
+        const place = (tree, distance) => this.validator.transformPolygon(tree.x + dirX * distance, tree.y + dirY * distance, tree.rotation);
+        const polygons = fixed.map(tree => place(tree, 0));
+        const overlaps = distance => moving.some(tree => this.validator.overlapsAny(place(tree, distance), polygons));
+
+        // Further apart than both groups are wide, nothing can touch
+        const extent = group => {
+            const placed = group.map(tree => place(tree, 0));
+            return dirX !== 0
+                ? Math.max(...placed.map(p => p.maxX)) - Math.min(...placed.map(p => p.minX))
+                : Math.max(...placed.map(p => p.maxY)) - Math.min(...placed.map(p => p.minY));
+        };
+
+        let free = extent(fixed) + extent(moving);
+        let hit = -1;
+        while (free > 0) {
+            const distance = Math.max(free - SPAWN_APPROACH_STEP, 0);
+            if (overlaps(distance)) {
+                hit = distance;
+                break;
+            }
+            free = distance;
+        }
+        if (hit < 0) {
+            return SPAWN_GAP;
+        }
+
+        for (let i = 0; i < SPAWN_BISECTIONS; i++) {
+            const mid = (free + hit) / 2;
+            if (overlaps(mid)) {
+                hit = mid;
+            } else {
+                free = mid;
+            }
+        }
+        return free + SPAWN_GAP;
+    }
+
+    /**
+     * Write trees into a layout centred on the origin
+     * @param {Array<Object>} trees - Trees {x, y, rotation}
+     * @returns {Float32Array} Layout with FLOATS_PER_TREE floats per tree, at rest
+     * @private
+     */
+    _toLayout(trees) {
+        const layout = new Float32Array(trees.length * FLOATS_PER_TREE);
+        trees.forEach((tree, i) => {
+            layout[i * FLOATS_PER_TREE] = tree.x;
+            layout[i * FLOATS_PER_TREE + 1] = tree.y;
+            layout[i * FLOATS_PER_TREE + 4] = tree.rotation;
+        });
+        if (trees.length === 0) {
+            return layout;
+        }
+
+        const { minX, maxX, minY, maxY } = this.treeGeometry.getLayoutBounds(layout, trees.length);
+        const centerX = (minX + maxX) / 2;
+        const centerY = (minY + maxY) / 2;
+        for (let i = 0; i < trees.length; i++) {
+            layout[i * FLOATS_PER_TREE] -= centerX;
+            layout[i * FLOATS_PER_TREE + 1] -= centerY;
+        }
+        return layout;
+    }
+}
@@ -0,0 +1,89 @@
+import { WALL_SHRINK_RATE, WALL_BACKOFF_RATE, WALL_FIT_MARGIN } from '../constants.js';
+
+/**
+ * Square box with hard walls for the 'square' container mode
+ * The walls are placed around the layout on the first score update, then move in
+ * while the layout is collision-free and back off while trees penetrate each
+ * other or a wall. Contacts within the margin push but are not collisions, so a
+ * packed layout keeps closing. The compute shader treats the walls as contacts.
+ */
+export class SquareContainer {
+    /**
+     * @param {Object} options - Wall tuning
+     * @param {number} options.shrinkRate - Fraction of the side to move in per collision-free update (default: WALL_SHRINK_RATE)
+     * @param {number} options.backoffRate - Fraction of the side to move out per update with collisions (default: WALL_BACKOFF_RATE)
+     * @param {number} options.fitMargin - Slack around the layout when the walls are placed (default: WALL_FIT_MARGIN)
+     */
+    constructor(options = {}) {
+        this.shrinkRate = options.shrinkRate ?? WALL_SHRINK_RATE;
+        this.backoffRate = options.backoffRate ?? WALL_BACKOFF_RATE;
+        this.fitMargin = options.fitMargin ?? WALL_FIT_MARGIN;
+        this.reset();
+    }
+
+    /**
+     * Remove the walls; they are placed again on the next update
+     */
+    reset() {
+        this.side = null;
+        this.centerX = 0.0;
+        this.centerY = 0.0;
+    }
+
+    /**
+     * Whether the walls have been placed
+     * @returns {boolean} True if the walls constrain the layout
+     */
+    isActive() {
+        return this.side !== null;
+    }
+
+    /**
+     * Place the walls around a layout
+     * @param {Object} bounds - Layout bounds {minX, maxX, minY, maxY}
+     */
+    fit(bounds) {
+        const { minX, maxX, minY, maxY } = bounds;
+        this.centerX = (minX + maxX) / 2;
+        this.centerY = (minY + maxY) / 2;
+        this.side = Math.max(maxX - minX, maxY - minY) * (1 + this.fitMargin);
+    }
+
+    /**
+     * Move the walls after a score update
+     * @param {Object} scoreData - Score data with bounds and collisionCount (trees that penetrate)
+     * @param {number} compression - Compression parameter, scales the inward speed
+     */
+    update(scoreData, compression) {
+        if (!this.isActive()) {
+            this.fit(scoreData.bounds);
+        } else if (scoreData.collisionCount > 0) {
+            this.side *= 1 + this.backoffRate;
+        } else {
+            this.side *= 1 - this.shrinkRate * compression;
+        }
+    }
+
+    /**
+     * Wall values for SimulationParameters.getUniforms()
+     * @returns {Object} {wallHalf, wallCenterX, wallCenterY}; wallHalf is 0 while inactive
+     */
+    getUniformParams() {
+        return {
+            wallHalf: this.isActive() ? this.side / 2 : 0.0,
+            wallCenterX: this.centerX,
+            wallCenterY: this.centerY
+        };
+    }
+
+    /**
+     * Wall square for the overlay
+     * @returns {Object|null} Walls {centerX, centerY, side}, or null while inactive
+     */
+    getWalls() {
+        if (!this.isActive()) {
+            return null;
+        }
+        return { centerX: this.centerX, centerY: this.centerY, side: this.side };
+    }
+}
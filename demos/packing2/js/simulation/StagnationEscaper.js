@@ -0,0 +1,336 @@
+import {
+    FLOATS_PER_TREE,
+    ESCAPE_STRATEGIES,
+    ESCAPE_KICK_SPEED,
+    ESCAPE_KICK_SPIN,
+    ESCAPE_ROTATE_FRACTION,
+    ESCAPE_ROTATE_ANGLE,
+    ESCAPE_EXPAND_FACTOR,
+    ESCAPE_REINSERT_ATTEMPTS
+} from '../constants.js';
+import { Random } from '../utils/Random.js';
+
+/**
+ * Perturbs a stalled layout so the GPU relaxation can find a better one
+ * Fires every escapeThreshold score updates without improvement while autoEscape
+ * is on. An escape counts as a success if a new best score arrives before the
+ * next one fires; success rates are kept per strategy and tree count.
+ */
+export class StagnationEscaper {
+    /**
+     * @param {PhysicsSimulator} physicsSimulator - Simulator owning the layout
+     * @param {SimulationParameters} simulationParameters - Provides autoEscape, escapeThreshold and escapeStrategy
+     * @param {Logger} logger - Logger for escapes and success rates
+     * @param {Object} options - Strategy tuning
+     * @param {number} options.kickSpeed - Largest velocity kick (default: ESCAPE_KICK_SPEED)
+     * @param {number} options.kickSpin - Largest angular velocity kick (default: ESCAPE_KICK_SPIN)
+     * @param {number} options.rotateFraction - Share of trees the rotate strategy turns (default: ESCAPE_ROTATE_FRACTION)
+     * @param {number} options.rotateAngle - Largest turn in radians (default: ESCAPE_ROTATE_ANGLE)
+     * @param {number} options.expandFactor - Scale applied about the layout centre (default: ESCAPE_EXPAND_FACTOR)
+     * @param {number} options.reinsertAttempts - Placements tried for a removed tree (default: ESCAPE_REINSERT_ATTEMPTS)
+     * @param {number} options.seed - Seed for the perturbations (default: 1)
+     */
+    constructor(physicsSimulator, simulationParameters, logger, options = {}) {
+        this.physicsSimulator = physicsSimulator;
+        this.parameters = simulationParameters;
+        this.logger = logger;
+        this.options = {
+            kickSpeed: ESCAPE_KICK_SPEED,
+            kickSpin: ESCAPE_KICK_SPIN,
+            rotateFraction: ESCAPE_ROTATE_FRACTION,
+            rotateAngle: ESCAPE_ROTATE_ANGLE,
+            expandFactor: ESCAPE_EXPAND_FACTOR,
+            reinsertAttempts: ESCAPE_REINSERT_ATTEMPTS,
+            ...options
+        };
+        this.random = new Random(options.seed ?? 1);
+
+        // Next strategy in 'cycle' mode
+        this.cycleIndex = 0;
+
+        // Escape awaiting its outcome: {strategy, treeCount, bestScore}
+        this.pending = null;
+        this.isEscaping = false;
+
+        // Outcomes: stats[strategy][treeCount] = {attempts, successes}
+        this.stats = {};
+    }
+
+    /**
+     * Resolve the pending escape and fire a new one when stagnation reaches the threshold
+     * @param {Object} scoreData - Score data from PhysicsSimulator
+     * @returns {Promise<string|null>|null} Promise for the strategy applied, or null if none fired
+     */
+    onScoreUpdate(scoreData) {
+        if (!scoreData) return null;
+
+        if (this.pending) {
+            if (scoreData.bestScore < this.pending.bestScore) {
+                this.resolvePending(true);
+            } else if (scoreData.bestScore > this.pending.bestScore) {
+                // The best only rises when score tracking restarts (reset, resize or load)
+                this.cancelPending();
+            }
+        }
+
+        const stagnation = scoreData.stagnationCount;
+        const threshold = this.parameters.get('escapeThreshold');
+        if (!this.parameters.get('autoEscape') || stagnation === 0 || stagnation % threshold !== 0) {
+            return null;
+        }
+
+        if (this.pending) {
+            this.resolvePending(false);
+        }
+        return this.escape(this.nextStrategy(), scoreData.bestScore);
+    }
+
+    /**
+     * Pick the strategy for the next escape
+     * @returns {string} Strategy name
+     */
+    nextStrategy() {
+        const mode = this.parameters.get('escapeStrategy');
+        if (mode !== 'cycle') {
+            return mode;
+        }
+        const strategy = ESCAPE_STRATEGIES[this.cycleIndex];
+        this.cycleIndex = (this.cycleIndex + 1) % ESCAPE_STRATEGIES.length;
+        return strategy;
+    }
+
+    /**
+     * Read the layout, apply one strategy and write the result back
+     * @param {string} strategy - One of ESCAPE_STRATEGIES
+     * @param {number} bestScore - Best score when the escape fired
+     * @returns {Promise<string|null>} Strategy applied, or null if it could not be applied
+     */
+    async escape(strategy, bestScore = this.physicsSimulator.bestScore) {
+        if (this.isEscaping) return null;
+
+        this.isEscaping = true;
+        try {
+            const treeCount = this.parameters.get('treeCount');
+            const treeData = await this.physicsSimulator.readLayout();
+
+            if (!this.applyStrategy(strategy, treeData, treeCount)) {
+                this.logger.warn(`Escape '${strategy}' could not be applied at n=${treeCount}`);
+                return null;
+            }
+
+            this.physicsSimulator.replaceLayout(treeData);
+            this.pending = { strategy, treeCount, bestScore };
+            this.logger.info(`Escape '${strategy}' applied at n=${treeCount}`);
+            return strategy;
+        } catch (error) {
+            this.logger.error(`Escape '${strategy}' failed: ${error.message}`);
+            return null;
+        } finally {
+            this.isEscaping = false;
+        }
+    }
+
+    /**
+     * Apply a strategy to a layout in place
+     * @param {string} strategy - One of ESCAPE_STRATEGIES
+     * @param {Float32Array} treeData - Layout (FLOATS_PER_TREE floats per tree)
+     * @param {number} treeCount - Number of trees
+     * @returns {boolean} True if the layout was changed
+     */
+    applyStrategy(strategy, treeData, treeCount) {
+        switch (strategy) {
+            case 'kick': return this.kick(treeData, treeCount);
+            case 'rotate': return this.rotateSubset(treeData, treeCount);
+            case 'expand': return this.expand(treeData, treeCount);
+            case 'reinsert': return this.reinsertBoundaryTree(treeData, treeCount);
+            default: throw new Error(`Unknown escape strategy: ${strategy}`);
+        }
+    }
+
+    /**
+     * Give every tree a random velocity and spin
+     * @param {Float32Array} treeData - Layout
+     * @param {number} treeCount - Number of trees
+     * @returns {boolean} True
+     */
+    kick(treeData, treeCount) {
+        const { kickSpeed, kickSpin } = this.options;
+        for (let i = 0; i < treeCount; i++) {
+            const offset = i * FLOATS_PER_TREE;
+            const angle = this.random.next() * Math.PI * 2;
+            const speed = this.random.next() * kickSpeed;
+            treeData[offset + 2] += Math.cos(angle) * speed;
+            treeData[offset + 3] += Math.sin(angle) * speed;
+            treeData[offset + 5] += (this.random.next() * 2 - 1) * kickSpin;
+        }
+        return true;
+    }
+
+    /**
+     * Turn a random subset of trees in place
+     * @param {Float32Array} treeData - Layout
+     * @param {number} treeCount - Number of trees
+     * @returns {boolean} True
+     */
+    rotateSubset(treeData, treeCount) {
+        const { rotateFraction, rotateAngle } = this.options;
+        const count = Math.max(1, Math.round(treeCount * rotateFraction));
+
+        // Partial Fisher-Yates shuffle picks distinct trees
+        const order = Array.from({ length: treeCount }, (_, i) => i);
+        for (let k = 0; k < count; k++) {
+            const swap = k + Math.floor(this.random.next() * (treeCount - k));
+            [order[k], order[swap]] = [order[swap], order[k]];
+            treeData[order[k] * FLOATS_PER_TREE + 4] += (this.random.next() * 2 - 1) * rotateAngle;
+        }
+        return true;
+    }
+
+    /**
+     * Spread the layout about its centre so compression can re-pack it
+     * @param {Float32Array} treeData - Layout
+     * @param {number} treeCount - Number of trees
+     * @returns {boolean} True
+     */
+    expand(treeData, treeCount) {
+        const { minX, maxX, minY, maxY } = this.physicsSimulator.treeGeometry.getLayoutBounds(treeData, treeCount);
+        const centerX = (minX + maxX) / 2;
+        const centerY = (minY + maxY) / 2;
+
+        for (let i = 0; i < treeCount; i++) {
+            const offset = i * FLOATS_PER_TREE;
+            treeData[offset] = centerX + (treeData[offset] - centerX) * this.options.expandFactor;
+            treeData[offset + 1] = centerY + (treeData[offset + 1] - centerY) * this.options.expandFactor;
+        }
+        return true;
+    }
+
+    /**
+     * Take out the boundary tree whose removal shrinks the bounding square most
+     * and put it back at a random free spot inside the remaining bounds
+     * @param {Float32Array} treeData - Layout
+     * @param {number} treeCount - Number of trees
+     * @returns {boolean} True if a free spot was found
+     */
+    reinsertBoundaryTree(treeData, treeCount) {
+        if (treeCount < 2) return false;
+
+        const validator = this.physicsSimulator.overlapValidator;
+        const polygons = [];
+        for (let i = 0; i < treeCount; i++) {
+            const offset = i * FLOATS_PER_TREE;
+            polygons.push(validator.transformPolygon(treeData[offset], treeData[offset + 1], treeData[offset + 4]));
+        }
+
+        const worst = StagnationEscaper.worstBoundaryTree(polygons);
+        const others = polygons.filter((_, i) => i !== worst);
+        const bounds = StagnationEscaper.combinedBounds(others);
+
+        for (let attempt = 0; attempt < this.options.reinsertAttempts; attempt++) {
+            const x = Math.fround(bounds.minX + this.random.next() * (bounds.maxX - bounds.minX));
+            const y = Math.fround(bounds.minY + this.random.next() * (bounds.maxY - bounds.minY));
+            const rotation = Math.fround(this.random.next() * Math.PI * 2);
+
+            if (!validator.overlapsAny(validator.transformPolygon(x, y, rotation), others)) {
+                const offset = worst * FLOATS_PER_TREE;
+                treeData[offset] = x;
+                treeData[offset + 1] = y;
+                treeData[offset + 2] = 0.0;
+                treeData[offset + 3] = 0.0;
+                treeData[offset + 4] = rotation;
+                treeData[offset + 5] = 0.0;
+                return true;
+            }
+        }
+        return false;
+    }
+
+    /**
+     * Record the outcome of the pending escape and log the strategy's success rate
+     * @param {boolean} success - Whether a new best arrived after the escape
+     */
+    resolvePending(success) {
+        const { strategy, treeCount } = this.pending;
+        this.pending = null;
+
+        this.stats[strategy] ??= {};
+        const entry = this.stats[strategy][treeCount] ??= { attempts: 0, successes: 0 };
+        entry.attempts++;
+        if (success) entry.successes++;
+
+        const rate = (100 * entry.successes / entry.attempts).toFixed(0);
+        this.logger.info(
+            `Escape '${strategy}' at n=${treeCount} ${success ? 'helped' : 'did not help'}: ` +
+            `${entry.successes}/${entry.attempts} successful (${rate}%)`
+        );
+    }
+
+    /**
+     * Forget the pending escape without recording an outcome
+     */
+    cancelPending() {
+        this.pending = null;
+    }
+
+    /**
+     * Start over for a new run: reseed the perturbations and restart the strategy cycle
+     * Success statistics are kept across runs
+     * @param {number} seed - Seed for the perturbations
+     */
+    reset(seed) {
+        this.random = new Random(seed);
+        this.cycleIndex = 0;
+        this.cancelPending();
+    }
+
+    /**
+     * Get success statistics
+     * @returns {Object} stats[strategy][treeCount] = {attempts, successes}
+     */
+    getStats() {
+        return JSON.parse(JSON.stringify(this.stats));
+    }
+
+    /**
+     * Find the tree whose removal shrinks the bounding square most
+     * Only trees touching the bounding box can change it
+     * @param {Array<Object>} polygons - Polygons from OverlapValidator.transformPolygon()
+     * @returns {number} Index of the tree
+     */
+    static worstBoundaryTree(polygons) {
+        const bounds = StagnationEscaper.combinedBounds(polygons);
+        let worst = 0;
+        let bestSide = Infinity;
+
+        polygons.forEach((polygon, i) => {
+            const touches = polygon.minX === bounds.minX || polygon.maxX === bounds.maxX ||
+                polygon.minY === bounds.minY || polygon.maxY === bounds.maxY;
+            if (!touches) return;
+
+            const rest = StagnationEscaper.combinedBounds(polygons.filter((_, j) => j !== i));
+            const side = Math.max(rest.maxX - rest.minX, rest.maxY - rest.minY);
+            if (side < bestSide) {
+                bestSide = side;
+                worst = i;
+            }
+        });
+
+        return worst;
+    }
+
+    /**
+     * Combined bounds of a set of polygons
+     * @param {Array<Object>} polygons - Polygons with minX, maxX, minY, maxY
+     * @returns {Object} Bounds {minX, maxX, minY, maxY}
+     */
+    static combinedBounds(polygons) {
+        let minX = Infinity, maxX = -Infinity, minY = Infinity, maxY = -Infinity;
+        for (const polygon of polygons) {
+            if (polygon.minX < minX) minX = polygon.minX;
+            if (polygon.maxX > maxX) maxX = polygon.maxX;
+            if (polygon.minY < minY) minY = polygon.minY;
+            if (polygon.maxY > maxY) maxY = polygon.maxY;
+        }
+        return { minX, maxX, minY, maxY };
+    }
+}
@@ -0,0 +1,84 @@
+import {
+    MAX_SUBSTEPS,
+    SUBSTEP_BUDGET_SLACK,
+    SUBSTEP_SMOOTHING,
+    SUBSTEP_MAX_FRAME_GAP_MS
+} from '../constants.js';
+
+/**
+ * Adaptive substep count for the render loop
+ * Adds one substep while smoothed frame times stay inside the frame budget and
+ * backs off by a quarter once they overrun it, so the GPU is kept busy without
+ * dropping the display below its refresh rate. The budget is the shortest
+ * requestAnimationFrame interval seen, which is the display's refresh interval.
+ */
+export class SubstepController {
+    /**
+     * @param {Object} options - Controller tuning
+     * @param {number} options.budgetMs - Frame time to fill (default: the measured refresh interval)
+     * @param {number} options.slack - Relative overrun tolerated before backing off (default: SUBSTEP_BUDGET_SLACK)
+     * @param {number} options.smoothing - Weight of the newest frame time in the average (default: SUBSTEP_SMOOTHING)
+     * @param {number} options.maxSubsteps - Upper bound on the substep count (default: MAX_SUBSTEPS)
+     */
+    constructor(options = {}) {
+        this.budgetMs = options.budgetMs ?? null;
+        this.slack = options.slack ?? SUBSTEP_BUDGET_SLACK;
+        this.smoothing = options.smoothing ?? SUBSTEP_SMOOTHING;
+        this.maxSubsteps = options.maxSubsteps ?? MAX_SUBSTEPS;
+
+        // Shortest frame interval seen; kept across reset() since the display does not change
+        this.shortestFrameTime = null;
+        this.reset();
+    }
+
+    /**
+     * Forget the frame time history
+     */
+    reset() {
+        this.averageFrameTime = null;
+    }
+
+    /**
+     * Note a frame's duration without adapting, so idle frames measure the refresh interval too
+     * @param {number} frameTime - Time since the previous frame in milliseconds
+     */
+    recordFrame(frameTime) {
+        if (!(frameTime > 0) || frameTime > SUBSTEP_MAX_FRAME_GAP_MS) {
+            return;
+        }
+        this.shortestFrameTime = Math.min(this.shortestFrameTime ?? Infinity, frameTime);
+    }
+
+    /**
+     * Frame time the adaptive mode fills with compute passes
+     * @returns {number|null} Fixed budget, else the measured refresh interval; null before any frame
+     */
+    getBudget() {
+        return this.budgetMs ?? this.shortestFrameTime;
+    }
+
+    /**
+     * Pick the substep count for the next frame
+     * Gaps longer than SUBSTEP_MAX_FRAME_GAP_MS (hidden tab, breakpoint) are ignored.
+     * @param {number} frameTime - Time since the previous frame in milliseconds
+     * @param {number} substeps - Substeps used for that frame
+     * @returns {number} Substeps for the next frame
+     */
+    update(frameTime, substeps) {
+        if (!(frameTime > 0) || frameTime > SUBSTEP_MAX_FRAME_GAP_MS) {
+            return substeps;
+        }
+        this.recordFrame(frameTime);
+
+        this.averageFrameTime = this.averageFrameTime === null
+            ? frameTime
+            : this.averageFrameTime + (frameTime - this.averageFrameTime) * this.smoothing;
+
+        if (this.averageFrameTime > this.getBudget() * (1 + this.slack)) {
+            // Start the average over so one slow stretch does not cause repeated backoffs
+            this.averageFrameTime = null;
+            return Math.max(1, Math.floor(substeps * 0.75));
+        }
+        return Math.min(substeps + 1, this.maxSubsteps);
+    }
+}
@@ -0,0 +1,170 @@
+import { MAX_SHAPE_RADIUS } from '../constants.js';
+
+/**
+ * Point-by-point polygon editor drawn on a small canvas
+ * The canvas shows the square [-MAX_SHAPE_RADIUS, MAX_SHAPE_RADIUS] in shape
+ * coordinates (y up); clicks append points, which are snapped to a fine grid.
+ */
+export class ShapeEditor {
+    /**
+     * @param {HTMLCanvasElement} canvas - Editor canvas
+     * @param {Object} options - Editor options
+     * @param {number} options.snap - Grid spacing points are rounded to (default: 0.025)
+     */
+    constructor(canvas, options = {}) {
+        this.canvas = canvas;
+        this.ctx = canvas.getContext('2d');
+        this.snap = options.snap ?? 0.025;
+
+        // Open outline as [{x, y}]; the closing edge is implied
+        this.points = [];
+    }
+
+    /**
+     * Convert a canvas pixel position to shape coordinates
+     * @param {number} px - Canvas x in pixels
+     * @param {number} py - Canvas y in pixels
+     * @returns {Object} Shape point {x, y}
+     */
+    canvasToShape(px, py) {
+        return {
+            x: (px / this.canvas.width * 2 - 1) * MAX_SHAPE_RADIUS,
+            y: (1 - py / this.canvas.height * 2) * MAX_SHAPE_RADIUS
+        };
+    }
+
+    /**
+     * Convert shape coordinates to a canvas pixel position
+     * @param {number} x - Shape x
+     * @param {number} y - Shape y
+     * @returns {Object} Canvas point {x, y}
+     */
+    shapeToCanvas(x, y) {
+        return {
+            x: (x / MAX_SHAPE_RADIUS + 1) * 0.5 * this.canvas.width,
+            y: (1 - y / MAX_SHAPE_RADIUS) * 0.5 * this.canvas.height
+        };
+    }
+
+    /**
+     * Append the point under a mouse click
+     * @param {MouseEvent} event - Click event on the canvas
+     */
+    handleClick(event) {
+        const rect = this.canvas.getBoundingClientRect();
+        const scaleX = rect.width ? this.canvas.width / rect.width : 1;
+        const scaleY = rect.height ? this.canvas.height / rect.height : 1;
+        const { x, y } = this.canvasToShape(
+            (event.clientX - rect.left) * scaleX,
+            (event.clientY - rect.top) * scaleY
+        );
+        this.addPoint(x, y);
+    }
+
+    /**
+     * Append a point, snapped to the editor grid
+     * @param {number} x - Shape x
+     * @param {number} y - Shape y
+     */
+    addPoint(x, y) {
+        const round = (value) => Number((Math.round(value / this.snap) * this.snap).toFixed(6));
+        this.points.push({ x: round(x), y: round(y) });
+        this.draw();
+    }
+
+    /**
+     * Remove the most recent point
+     */
+    undo() {
+        this.points.pop();
+        this.draw();
+    }
+
+    /**
+     * Remove all points
+     */
+    clear() {
+        this.points = [];
+        this.draw();
+    }
+
+    /**
+     * Load an outline into the editor
+     * @param {Array<number>|Float32Array} polygon - Outline as x,y pairs, closed or open
+     */
+    setPoints(polygon) {
+        let count = polygon.length;
+        // Drop the repeated closing point; the editor keeps the outline open
+        if (count >= 4 && polygon[0] === polygon[count - 2] && polygon[1] === polygon[count - 1]) {
+            count -= 2;
+        }
+
+        this.points = [];
+        for (let i = 0; i + 1 < count; i += 2) {
+            this.points.push({ x: polygon[i], y: polygon[i + 1] });
+        }
+        this.draw();
+    }
+
+    /**
+     * Get the edited outline
+     * @returns {Array<number>} Open outline as x,y pairs
+     */
+    getPoints() {
+        return this.points.flatMap(({ x, y }) => [x, y]);
+    }
+
+    /**
+     * Redraw the grid, the allowed radius and the outline
+     */
+    draw() {
+        const ctx = this.ctx;
+        if (!ctx) return;
+
+        const cw = this.canvas.width;
+        const ch = this.canvas.height;
+        ctx.clearRect(0, 0, cw, ch);
+
+        // Axes through the shape origin (the tree's rotation centre)
+        const origin = this.shapeToCanvas(0, 0);
+        ctx.strokeStyle = '#333';
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.moveTo(0, origin.y);
+        ctx.lineTo(cw, origin.y);
+        ctx.moveTo(origin.x, 0);
+        ctx.lineTo(origin.x, ch);
+        ctx.stroke();
+
+        // Points must stay inside this circle
+        ctx.strokeStyle = '#555';
+        ctx.setLineDash([4, 4]);
+        ctx.beginPath();
+        ctx.arc(origin.x, origin.y, cw / 2, 0, Math.PI * 2);
+        ctx.stroke();
+        ctx.setLineDash([]);
+
+        if (this.points.length === 0) return;
+
+        const screen = this.points.map(({ x, y }) => this.shapeToCanvas(x, y));
+
+        ctx.strokeStyle = '#4fd1c5';
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        screen.forEach((p, i) => (i === 0 ? ctx.moveTo(p.x, p.y) : ctx.lineTo(p.x, p.y)));
+        ctx.stroke();
+
+        // Closing edge the geometry will add
+        if (screen.length > 2) {
+            ctx.setLineDash([4, 4]);
+            ctx.beginPath();
+            ctx.moveTo(screen[screen.length - 1].x, screen[screen.length - 1].y);
+            ctx.lineTo(screen[0].x, screen[0].y);
+            ctx.stroke();
+            ctx.setLineDash([]);
+        }
+
+        ctx.fillStyle = '#f6e05e';
+        screen.forEach(p => ctx.fillRect(p.x - 2, p.y - 2, 4, 4));
+    }
+}
@@ -1,4 +1,18 @@
 import { MAX_TREE_COUNT, DECIMAL_PLACES_RATIO, DECIMAL_PLACES_VALUES } from '../constants.js';
+import { TreeGeometry } from '../geometry/TreeGeometry.js';
+import { ShapeEditor } from './ShapeEditor.js';
+
+// Physics tuning sliders: parameter, element id prefix (<id>-slider, <id>-value) and displayed decimals
+const PHYSICS_SLIDERS = [
+    { key: 'contactThreshold', id: 'contact-threshold', decimals: 3 },
+    { key: 'forceGain', id: 'force-gain', decimals: 0 },
+    { key: 'forceClamp', id: 'force-clamp', decimals: 2 },
+    { key: 'torqueGain', id: 'torque-gain', decimals: 1 },
+    { key: 'searchRadius', id: 'search-radius', decimals: 2 },
+    { key: 'timeStep', id: 'time-step', decimals: 3 },
+    { key: 'linearDamping', id: 'linear-damping', decimals: 2 },
+    { key: 'angularDamping', id: 'angular-damping', decimals: 2 }
+];
 
 /**
  * UI element management and event handling with observer pattern
@@ -13,6 +27,9 @@ export class UIManager {
         // UI element references
         this.elements = {};
 
+        // Polygon editor in the shape panel
+        this.shapeEditor = null;
+
         // Parameter observer unsubscribe functions
         this.parameterUnsubscribers = [];
 
@@ -40,14 +57,49 @@ export class UIManager {
         this.elements.zoomValue = document.getElementById('zoom-value');
         this.elements.compressSlider = document.getElementById('compress-slider');
         this.elements.compressValue = document.getElementById('compress-value');
+        this.elements.anisotropySlider = document.getElementById('anisotropy-slider');
+        this.elements.anisotropyValue = document.getElementById('anisotropy-value');
         this.elements.relaxSlider = document.getElementById('relax-slider');
         this.elements.relaxValue = document.getElementById('relax-value');
+        this.elements.physicsSliders = {};
+        PHYSICS_SLIDERS.forEach(({ key, id }) => {
+            this.elements.physicsSliders[key] = {
+                slider: document.getElementById(`${id}-slider`),
+                value: document.getElementById(`${id}-value`)
+            };
+        });
         this.elements.renderFrequencySlider = document.getElementById('render-frequency-slider');
         this.elements.renderFrequencyValue = document.getElementById('render-frequency-value');
+        this.elements.substepsSlider = document.getElementById('substeps-slider');
+        this.elements.substepsValue = document.getElementById('substeps-value');
+        this.elements.adaptiveSubstepsBtn = document.getElementById('adaptive-substeps-btn');
+        this.elements.seedInput = document.getElementById('seed-input');
+        this.elements.newSeedBtn = document.getElementById('new-seed-btn');
+        this.elements.spawnStrategySelect = document.getElementById('spawn-strategy-select');
 
         // Buttons
         this.elements.autoPackBtn = document.getElementById('auto-pack-btn');
+        this.elements.gridBtn = document.getElementById('grid-btn');
+        this.elements.tiledBtn = document.getElementById('tiled-btn');
+        this.elements.containerBtn = document.getElementById('container-btn');
+        this.elements.preserveBtn = document.getElementById('preserve-btn');
+        this.elements.contactSolverSelect = document.getElementById('contact-solver-select');
+        this.elements.sdfResolutionSlider = document.getElementById('sdf-resolution-slider');
+        this.elements.sdfResolutionValue = document.getElementById('sdf-resolution-value');
+        this.elements.refineBtn = document.getElementById('refine-btn');
+        this.elements.autoRefineBtn = document.getElementById('auto-refine-btn');
+        this.elements.annealIterationsInput = document.getElementById('anneal-iterations-input');
+        this.elements.autoEscapeBtn = document.getElementById('auto-escape-btn');
+        this.elements.escapeStrategySelect = document.getElementById('escape-strategy-select');
         this.elements.resetBtn = document.getElementById('reset-btn');
+        this.elements.exportBtn = document.getElementById('export-btn');
+        this.elements.exportBestBtn = document.getElementById('export-best-btn');
+        this.elements.restoreBestBtn = document.getElementById('restore-best-btn');
+        this.elements.importBtn = document.getElementById('import-btn');
+        this.elements.importFile = document.getElementById('import-file');
+        this.elements.batchBtn = document.getElementById('batch-btn');
+        this.elements.batchExportBtn = document.getElementById('batch-export-btn');
+        this.elements.batchClearBtn = document.getElementById('batch-clear-btn');
         this.elements.debugBtn = document.getElementById('debug-btn');
         this.elements.minimizeBtn = document.getElementById('minimize-btn');
 
@@ -60,6 +112,21 @@ export class UIManager {
         this.elements.debugLog = document.getElementById('debug-log');
         this.elements.closeDebug = document.getElementById('close-debug');
 
+        // Shape panel
+        this.elements.shapeBtn = document.getElementById('shape-btn');
+        this.elements.shapePanel = document.getElementById('shape-panel');
+        this.elements.closeShape = document.getElementById('close-shape');
+        this.elements.shapeCanvas = document.getElementById('shape-canvas');
+        this.elements.shapeUndoBtn = document.getElementById('shape-undo-btn');
+        this.elements.shapeClearBtn = document.getElementById('shape-clear-btn');
+        this.elements.shapeTreeBtn = document.getElementById('shape-tree-btn');
+        this.elements.shapeLoadBtn = document.getElementById('shape-load-btn');
+        this.elements.shapeFile = document.getElementById('shape-file');
+        this.elements.shapeApplyBtn = document.getElementById('shape-apply-btn');
+        if (this.elements.shapeCanvas) {
+            this.shapeEditor = new ShapeEditor(this.elements.shapeCanvas);
+        }
+
         // Stats - legacy elements
         this.elements.treeCountEl = document.getElementById('tree-count');
         this.elements.packRatioEl = document.getElementById('pack-ratio');
@@ -70,6 +137,8 @@ export class UIManager {
         this.elements.hudStatus = document.getElementById('hudStatus');
         this.elements.hudCurrent = document.getElementById('hudCurrent');
         this.elements.hudBest = document.getElementById('hudBest');
+        this.elements.hudBatch = document.getElementById('hudBatch');
+        this.elements.hudSeed = document.getElementById('hudSeed');
 
         // Initialize HUD with default values
         this.initializeHUD();
@@ -103,29 +172,191 @@ export class UIManager {
             this.parameters.set('compression', value);
         });
 
+        // Pull anisotropy slider
+        this.addEventListener(this.elements.anisotropySlider, 'input', (e) => {
+            const value = parseFloat(e.target.value);
+            this.parameters.set('pullAnisotropy', value);
+        });
+
         // Relaxation rate slider
         this.addEventListener(this.elements.relaxSlider, 'input', (e) => {
             const value = parseFloat(e.target.value);
             this.parameters.set('relaxationRate', value);
         });
 
+        // Physics tuning sliders
+        PHYSICS_SLIDERS.forEach(({ key }) => {
+            this.addEventListener(this.elements.physicsSliders[key].slider, 'input', (e) => {
+                const value = parseFloat(e.target.value);
+                this.parameters.set(key, value);
+            });
+        });
+
         // Render frequency slider
         this.addEventListener(this.elements.renderFrequencySlider, 'input', (e) => {
             const value = parseInt(e.target.value);
             this.parameters.set('renderFrequency', value);
         });
 
+        // Substeps slider
+        this.addEventListener(this.elements.substepsSlider, 'input', (e) => {
+            const value = parseInt(e.target.value);
+            this.parameters.set('substeps', value);
+        });
+
+        // Adaptive substeps toggle
+        this.addEventListener(this.elements.adaptiveSubstepsBtn, 'click', () => {
+            const current = this.parameters.get('adaptiveSubsteps');
+            this.parameters.set('adaptiveSubsteps', !current);
+        });
+
+        // Seed input
+        this.addEventListener(this.elements.seedInput, 'change', (e) => {
+            const value = Number(e.target.value);
+            if (!this.parameters.set('seed', value)) {
+                e.target.value = this.parameters.get('seed'); // Restore the last valid seed
+            }
+        });
+
+        // New seed button picks a random seed (which restarts the run)
+        this.addEventListener(this.elements.newSeedBtn, 'click', () => {
+            this.parameters.set('seed', Math.floor(Math.random() * 4294967296));
+        });
+
+        // Spawn strategy (which restarts the run)
+        this.addEventListener(this.elements.spawnStrategySelect, 'change', (e) => {
+            if (!this.parameters.set('spawnStrategy', e.target.value)) {
+                e.target.value = this.parameters.get('spawnStrategy');
+            }
+        });
+
         // Auto pack button
         this.addEventListener(this.elements.autoPackBtn, 'click', () => {
             const current = this.parameters.get('autoPack');
             this.parameters.set('autoPack', !current);
         });
 
+        // Grid broadphase button
+        this.addEventListener(this.elements.gridBtn, 'click', () => {
+            const current = this.parameters.get('gridBroadphase');
+            this.parameters.set('gridBroadphase', !current);
+        });
+
+        // Tiled brute-force button (used while the grid is off)
+        this.addEventListener(this.elements.tiledBtn, 'click', () => {
+            const current = this.parameters.get('tiledCollisions');
+            this.parameters.set('tiledCollisions', !current);
+        });
+
+        // Keep layout button: tree count changes add or remove trees instead of respawning
+        this.addEventListener(this.elements.preserveBtn, 'click', () => {
+            const current = this.parameters.get('preserveLayout');
+            this.parameters.set('preserveLayout', !current);
+        });
+
+        // Square container button switches between gravity and the shrinking box
+        this.addEventListener(this.elements.containerBtn, 'click', () => {
+            const current = this.parameters.get('containerMode');
+            this.parameters.set('containerMode', current === 'square' ? 'gravity' : 'square');
+        });
+
+        // Contact solver
+        this.addEventListener(this.elements.contactSolverSelect, 'change', (e) => {
+            if (!this.parameters.set('contactSolver', e.target.value)) {
+                e.target.value = this.parameters.get('contactSolver');
+            }
+        });
+
+        // Distance field resolution (applied on release, since every change rebakes the field)
+        this.addEventListener(this.elements.sdfResolutionSlider, 'change', (e) => {
+            this.parameters.set('sdfResolution', parseInt(e.target.value));
+        });
+
+        // Refine button runs one annealing pass
+        this.addEventListener(this.elements.refineBtn, 'click', () => {
+            if (this.app) this.app.refineLayout();
+        });
+
+        // Auto refine button
+        this.addEventListener(this.elements.autoRefineBtn, 'click', () => {
+            const current = this.parameters.get('autoRefine');
+            this.parameters.set('autoRefine', !current);
+        });
+
+        // Annealing iteration budget
+        this.addEventListener(this.elements.annealIterationsInput, 'change', (e) => {
+            const value = Number(e.target.value);
+            if (!this.parameters.set('annealIterations', value)) {
+                e.target.value = this.parameters.get('annealIterations'); // Restore the last valid budget
+            }
+        });
+
+        // Auto escape button
+        this.addEventListener(this.elements.autoEscapeBtn, 'click', () => {
+            const current = this.parameters.get('autoEscape');
+            this.parameters.set('autoEscape', !current);
+        });
+
+        // Escape strategy
+        this.addEventListener(this.elements.escapeStrategySelect, 'change', (e) => {
+            if (!this.parameters.set('escapeStrategy', e.target.value)) {
+                e.target.value = this.parameters.get('escapeStrategy');
+            }
+        });
+
         // Reset button
         this.addEventListener(this.elements.resetBtn, 'click', () => {
             this.physicsSimulator.markForReset();
         });
 
+        // Export button
+        this.addEventListener(this.elements.exportBtn, 'click', () => {
+            if (this.app) this.app.exportSubmission();
+        });
+
+        // Export best button
+        this.addEventListener(this.elements.exportBestBtn, 'click', () => {
+            if (this.app) this.app.exportBestSubmission();
+        });
+
+        // Restore best button
+        this.addEventListener(this.elements.restoreBestBtn, 'click', () => {
+            if (this.app) this.app.restoreBestLayout();
+        });
+
+        // Import button opens the hidden file picker
+        this.addEventListener(this.elements.importBtn, 'click', () => {
+            if (this.elements.importFile) this.elements.importFile.click();
+        });
+
+        // Imported file selected
+        this.addEventListener(this.elements.importFile, 'change', async (e) => {
+            const file = e.target.files && e.target.files[0];
+            if (!file || !this.app) return;
+            this.app.importSubmission(await file.text());
+            e.target.value = ''; // Allow re-importing the same file
+        });
+
+        // Batch toggle
+        this.addEventListener(this.elements.batchBtn, 'click', () => {
+            if (!this.app) return;
+            if (this.app.batchSolver.isActive) {
+                this.app.stopBatch();
+            } else {
+                this.app.startBatch();
+            }
+        });
+
+        // Batch export button
+        this.addEventListener(this.elements.batchExportBtn, 'click', () => {
+            if (this.app) this.app.exportBatchSubmission();
+        });
+
+        // Batch clear button
+        this.addEventListener(this.elements.batchClearBtn, 'click', () => {
+            if (this.app) this.app.clearBatch();
+        });
+
         // Debug button
         this.addEventListener(this.elements.debugBtn, 'click', () => {
             if (this.elements.debugPanel) this.elements.debugPanel.style.display = 'block';
@@ -136,6 +367,55 @@ export class UIManager {
             if (this.elements.debugPanel) this.elements.debugPanel.style.display = 'none';
         });
 
+        // Shape button opens the editor on the current shape
+        this.addEventListener(this.elements.shapeBtn, 'click', () => {
+            if (this.shapeEditor && this.app) this.shapeEditor.setPoints(this.app.treeGeometry.polygon);
+            if (this.elements.shapePanel) this.elements.shapePanel.style.display = 'block';
+        });
+
+        // Close shape button
+        this.addEventListener(this.elements.closeShape, 'click', () => {
+            if (this.elements.shapePanel) this.elements.shapePanel.style.display = 'none';
+        });
+
+        // Clicking the editor canvas appends a point
+        this.addEventListener(this.elements.shapeCanvas, 'click', (e) => {
+            if (this.shapeEditor) this.shapeEditor.handleClick(e);
+        });
+
+        // Shape editing buttons
+        this.addEventListener(this.elements.shapeUndoBtn, 'click', () => {
+            if (this.shapeEditor) this.shapeEditor.undo();
+        });
+        this.addEventListener(this.elements.shapeClearBtn, 'click', () => {
+            if (this.shapeEditor) this.shapeEditor.clear();
+        });
+        this.addEventListener(this.elements.shapeTreeBtn, 'click', () => {
+            if (this.shapeEditor) this.shapeEditor.setPoints(TreeGeometry.treePolygon());
+        });
+
+        // Load button opens the hidden shape file picker
+        this.addEventListener(this.elements.shapeLoadBtn, 'click', () => {
+            if (this.elements.shapeFile) this.elements.shapeFile.click();
+        });
+
+        // Shape file selected: show it in the editor, ready to apply
+        this.addEventListener(this.elements.shapeFile, 'change', async (e) => {
+            const file = e.target.files && e.target.files[0];
+            if (!file || !this.shapeEditor) return;
+            try {
+                this.shapeEditor.setPoints(TreeGeometry.parsePolygonJSON(await file.text()));
+            } catch (error) {
+                if (this.app) this.app.logger.error(error.message);
+            }
+            e.target.value = ''; // Allow reloading the same file
+        });
+
+        // Apply the edited shape to the simulation
+        this.addEventListener(this.elements.shapeApplyBtn, 'click', () => {
+            if (this.shapeEditor && this.app) this.app.setTreeShape(this.shapeEditor.getPoints());
+        });
+
         // Minimize button
         this.addEventListener(this.elements.minimizeBtn, 'click', () => {
             this.toggleMinimize();
@@ -186,6 +466,15 @@ export class UIManager {
         });
         this.parameterUnsubscribers.push(compressUnsub);
 
+        // Pull anisotropy observer
+        const anisotropyUnsub = this.parameters.subscribe((key, value) => {
+            if (key === 'pullAnisotropy') {
+                if (this.elements.anisotropyValue) this.elements.anisotropyValue.textContent = value.toFixed(DECIMAL_PLACES_VALUES);
+                if (this.elements.anisotropySlider) this.elements.anisotropySlider.value = value;
+            }
+        });
+        this.parameterUnsubscribers.push(anisotropyUnsub);
+
         // Relaxation rate observer
         const relaxUnsub = this.parameters.subscribe((key, value) => {
             if (key === 'relaxationRate') {
@@ -195,6 +484,18 @@ export class UIManager {
         });
         this.parameterUnsubscribers.push(relaxUnsub);
 
+        // Physics tuning observers
+        PHYSICS_SLIDERS.forEach(({ key, decimals }) => {
+            const physicsUnsub = this.parameters.subscribe((changedKey, value) => {
+                if (changedKey === key) {
+                    const { slider, value: label } = this.elements.physicsSliders[key];
+                    if (label) label.textContent = value.toFixed(decimals);
+                    if (slider) slider.value = value;
+                }
+            });
+            this.parameterUnsubscribers.push(physicsUnsub);
+        });
+
         // Render frequency observer
         const renderFrequencyUnsub = this.parameters.subscribe((key, value) => {
             if (key === 'renderFrequency') {
@@ -204,6 +505,42 @@ export class UIManager {
         });
         this.parameterUnsubscribers.push(renderFrequencyUnsub);
 
+        // Substeps observer (the adaptive mode moves the slider too)
+        const substepsUnsub = this.parameters.subscribe((key, value) => {
+            if (key === 'substeps') {
+                if (this.elements.substepsValue) this.elements.substepsValue.textContent = value;
+                if (this.elements.substepsSlider) this.elements.substepsSlider.value = value;
+            }
+        });
+        this.parameterUnsubscribers.push(substepsUnsub);
+
+        // Adaptive substeps observer
+        const adaptiveSubstepsUnsub = this.parameters.subscribe((key, value) => {
+            if (key === 'adaptiveSubsteps') {
+                if (this.elements.adaptiveSubstepsBtn) this.elements.adaptiveSubstepsBtn.classList.toggle('active', value);
+            }
+        });
+        this.parameterUnsubscribers.push(adaptiveSubstepsUnsub);
+
+        // Seed observer: a new seed restarts the run so the layout matches the seed
+        const seedUnsub = this.parameters.subscribe((key, value) => {
+            if (key === 'seed') {
+                if (this.elements.seedInput) this.elements.seedInput.value = value;
+                if (this.elements.hudSeed) this.elements.hudSeed.textContent = value;
+                this.physicsSimulator.markForReset();
+            }
+        });
+        this.parameterUnsubscribers.push(seedUnsub);
+
+        // Spawn strategy observer: restart so the layout matches the strategy
+        const spawnUnsub = this.parameters.subscribe((key, value) => {
+            if (key === 'spawnStrategy') {
+                if (this.elements.spawnStrategySelect) this.elements.spawnStrategySelect.value = value;
+                this.physicsSimulator.markForReset();
+            }
+        });
+        this.parameterUnsubscribers.push(spawnUnsub);
+
         // Auto pack observer
         const autoPackUnsub = this.parameters.subscribe((key, value) => {
             if (key === 'autoPack') {
@@ -211,6 +548,73 @@ export class UIManager {
             }
         });
         this.parameterUnsubscribers.push(autoPackUnsub);
+
+        // Grid broadphase observer
+        const gridUnsub = this.parameters.subscribe((key, value) => {
+            if (key === 'gridBroadphase') {
+                if (this.elements.gridBtn) this.elements.gridBtn.classList.toggle('active', value);
+            }
+        });
+        this.parameterUnsubscribers.push(gridUnsub);
+
+        // Tiled brute-force observer
+        const tiledUnsub = this.parameters.subscribe((key, value) => {
+            if (key === 'tiledCollisions') {
+                if (this.elements.tiledBtn) this.elements.tiledBtn.classList.toggle('active', value);
+            }
+        });
+        this.parameterUnsubscribers.push(tiledUnsub);
+
+        // Keep layout observer
+        const preserveUnsub = this.parameters.subscribe((key, value) => {
+            if (key === 'preserveLayout') {
+                if (this.elements.preserveBtn) this.elements.preserveBtn.classList.toggle('active', value);
+            }
+        });
+        this.parameterUnsubscribers.push(preserveUnsub);
+
+        // Container mode observer
+        const containerUnsub = this.parameters.subscribe((key, value) => {
+            if (key === 'containerMode') {
+                if (this.elements.containerBtn) this.elements.containerBtn.classList.toggle('active', value === 'square');
+            }
+        });
+        this.parameterUnsubscribers.push(containerUnsub);
+
+        // Contact solver observer
+        const solverUnsub = this.parameters.subscribe((key, value) => {
+            if (key === 'contactSolver') {
+                if (this.elements.contactSolverSelect) this.elements.contactSolverSelect.value = value;
+                if (this.app) this.app.updateSignedDistanceField();
+            }
+        });
+        this.parameterUnsubscribers.push(solverUnsub);
+
+        // Distance field resolution observer
+        const sdfResolutionUnsub = this.parameters.subscribe((key, value) => {
+            if (key === 'sdfResolution') {
+                if (this.elements.sdfResolutionValue) this.elements.sdfResolutionValue.textContent = value;
+                if (this.elements.sdfResolutionSlider) this.elements.sdfResolutionSlider.value = value;
+                if (this.app) this.app.updateSignedDistanceField();
+            }
+        });
+        this.parameterUnsubscribers.push(sdfResolutionUnsub);
+
+        // Auto refine observer
+        const autoRefineUnsub = this.parameters.subscribe((key, value) => {
+            if (key === 'autoRefine') {
+                if (this.elements.autoRefineBtn) this.elements.autoRefineBtn.classList.toggle('active', value);
+            }
+        });
+        this.parameterUnsubscribers.push(autoRefineUnsub);
+
+        // Auto escape observer
+        const autoEscapeUnsub = this.parameters.subscribe((key, value) => {
+            if (key === 'autoEscape') {
+                if (this.elements.autoEscapeBtn) this.elements.autoEscapeBtn.classList.toggle('active', value);
+            }
+        });
+        this.parameterUnsubscribers.push(autoEscapeUnsub);
     }
 
     /**
@@ -263,6 +667,9 @@ export class UIManager {
         if (this.elements.hudFPS) {
             this.elements.hudFPS.textContent = "0";
         }
+        if (this.elements.hudSeed) {
+            this.elements.hudSeed.textContent = this.parameters.get('seed');
+        }
     }
 
     /**
@@ -295,6 +702,24 @@ export class UIManager {
         }
     }
 
+    /**
+     * Update batch progress display
+     * @param {Object} status - Batch status {isActive, treeCount, solved, total}
+     */
+    updateBatch(status) {
+        if (!status) return;
+
+        if (this.elements.batchBtn) {
+            this.elements.batchBtn.classList.toggle('active', status.isActive);
+        }
+        if (this.elements.hudBatch) {
+            const progress = `${status.solved}/${MAX_TREE_COUNT}`;
+            this.elements.hudBatch.textContent = status.solved > 0
+                ? `${progress} · ${status.total.toFixed(2)}`
+                : progress;
+        }
+    }
+
     /**
      * Update pack ratio specifically
      * @param {number} packRatio - Current packing ratio
@@ -0,0 +1,32 @@
+/**
+ * Small seeded pseudo-random generator (mulberry32)
+ * Gives reproducible spawns where Math.random() cannot be seeded
+ */
+export class Random {
+    /**
+     * @param {number} seed - 32-bit integer seed
+     */
+    constructor(seed = 0) {
+        this.seed = seed >>> 0;
+        this.state = this.seed;
+    }
+
+    /**
+     * Get the next value
+     * @returns {number} Uniform value in [0, 1)
+     */
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    /**
+     * Restart the sequence from the original seed
+     */
+    reset() {
+        this.state = this.seed;
+    }
+}
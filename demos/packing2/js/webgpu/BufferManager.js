@@ -1,4 +1,14 @@
-import { FLOATS_PER_TREE, BYTES_PER_FLOAT, PARAMETERS_FLOAT_COUNT } from '../constants.js';
+import {
+    FLOATS_PER_TREE,
+    BYTES_PER_FLOAT,
+    BYTES_PER_UINT,
+    PARAMETERS_FLOAT_COUNT,
+    GRID_CELL_COUNT,
+    SCORE_RESULT_FLOAT_COUNT,
+    SCORE_READ_BUFFER_COUNT,
+    WORLD_SLOTS_PER_TREE,
+    MAX_SUBSTEPS
+} from '../constants.js';
 
 /**
  * WebGPU buffer creation and management
@@ -9,12 +19,41 @@ export class BufferManager {
         this.device = deviceManager.getDevice();
 
         // Buffer references
+        // Tree state is ping-ponged: each step reads treeBuffer and writes nextTreeBuffer, then they swap
         this.treeBuffer = null;
+        this.nextTreeBuffer = null;
         this.uniformBuffer = null;
         this.vertexBuffer = null;
         this.indexBuffer = null;
         this.readBuffer = null;
         this.geometryBuffer = null;
+
+        // One uniform block per substep, copied into uniformBuffer ahead of each compute pass
+        this.substepUniformBuffer = null;
+
+        // Baked signed distance field of the shape (rgba32float: distance, gradient)
+        this.sdfTexture = null;
+        this.sdfTextureView = null;
+
+        // Snapshot of the best validated layout
+        this.bestTreeBuffer = null;
+
+        // Transform pass output: world-space outline and bounding box of each tree
+        this.worldBuffer = null;
+
+        // Spatial grid broadphase buffers
+        this.cellCountBuffer = null;
+        this.cellStartBuffer = null;
+        this.cellCursorBuffer = null;
+        this.sortedIndexBuffer = null;
+        this.treeCellBuffer = null;
+
+        // GPU score reduction result and its staging buffers
+        this.scoreResultBuffer = null;
+        this.scoreReadBuffers = [];
+
+        // Serializes readbacks so the shared read buffer is never mapped twice
+        this.pendingRead = Promise.resolve();
     }
 
     /**
@@ -28,21 +67,59 @@ export class BufferManager {
 
         this.createTreeBuffer(treeCount);
         this.createReadBuffer(treeCount);
+        this.createBestTreeBuffer(treeCount);
+        this.createWorldBuffer(treeCount);
         this.createUniformBuffer();
         this.createGeometryBuffers(treeGeometry);
+        this.createGridBuffers(treeCount);
+        this.createScoreBuffers();
+        this.createSdfTexture();
 
         console.log('[BufferManager] All buffers initialized successfully');
     }
 
     /**
-     * Create tree data buffer (position, rotation, velocity, etc.)
+     * Create the pair of tree data buffers (position, rotation, velocity, etc.)
      * @param {number} treeCount - Number of trees
      */
     createTreeBuffer(treeCount) {
         const treeDataSize = treeCount * FLOATS_PER_TREE * BYTES_PER_FLOAT;
-        this.treeBuffer = this.device.createBuffer({
+        const [latest, next] = [0, 1].map(() => this.device.createBuffer({
             size: treeDataSize,
             usage: GPUBufferUsage.STORAGE | GPUBufferUsage.VERTEX | GPUBufferUsage.COPY_DST | GPUBufferUsage.COPY_SRC
+        }));
+        this.treeBuffer = latest;
+        this.nextTreeBuffer = next;
+    }
+
+    /**
+     * Make the buffer the last step wrote into the latest tree state
+     * Called once per dispatched physics step, together with PipelineManager.swapBindGroups()
+     */
+    swapTreeBuffers() {
+        [this.treeBuffer, this.nextTreeBuffer] = [this.nextTreeBuffer, this.treeBuffer];
+    }
+
+    /**
+     * Create the buffer holding the best validated layout
+     * @param {number} treeCount - Number of trees
+     */
+    createBestTreeBuffer(treeCount) {
+        this.bestTreeBuffer = this.device.createBuffer({
+            size: treeCount * FLOATS_PER_TREE * BYTES_PER_FLOAT,
+            usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST | GPUBufferUsage.COPY_SRC
+        });
+    }
+
+    /**
+     * Create the transform pass scratch buffer
+     * Every tree gets WORLD_SLOTS_PER_TREE vec2f slots: AABB min, AABB max, then its outline
+     * @param {number} treeCount - Number of trees
+     */
+    createWorldBuffer(treeCount) {
+        this.worldBuffer = this.device.createBuffer({
+            size: treeCount * WORLD_SLOTS_PER_TREE * 2 * BYTES_PER_FLOAT,
+            usage: GPUBufferUsage.STORAGE
         });
     }
 
@@ -59,20 +136,74 @@ export class BufferManager {
     }
 
     /**
-     * Create uniform buffer for simulation parameters
+     * Create spatial grid buffers for the broadphase
+     * Cell buffers have a fixed size; per-tree buffers follow the tree count
+     * @param {number} treeCount - Number of trees
+     */
+    createGridBuffers(treeCount) {
+        if (!this.cellCountBuffer) {
+            this.cellCountBuffer = this.device.createBuffer({
+                size: GRID_CELL_COUNT * BYTES_PER_UINT,
+                usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST
+            });
+            // One extra entry holds the total so cell c spans [starts[c], starts[c + 1])
+            this.cellStartBuffer = this.device.createBuffer({
+                size: (GRID_CELL_COUNT + 1) * BYTES_PER_UINT,
+                usage: GPUBufferUsage.STORAGE
+            });
+            this.cellCursorBuffer = this.device.createBuffer({
+                size: GRID_CELL_COUNT * BYTES_PER_UINT,
+                usage: GPUBufferUsage.STORAGE
+            });
+        }
+
+        this.sortedIndexBuffer = this.device.createBuffer({
+            size: treeCount * BYTES_PER_UINT,
+            usage: GPUBufferUsage.STORAGE
+        });
+        this.treeCellBuffer = this.device.createBuffer({
+            size: treeCount * BYTES_PER_UINT,
+            usage: GPUBufferUsage.STORAGE
+        });
+    }
+
+    /**
+     * Create the score reduction result buffer and its double-buffered staging copies
+     */
+    createScoreBuffers() {
+        const size = SCORE_RESULT_FLOAT_COUNT * BYTES_PER_FLOAT;
+        this.scoreResultBuffer = this.device.createBuffer({
+            size,
+            usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_SRC
+        });
+        this.scoreReadBuffers = Array.from({ length: SCORE_READ_BUFFER_COUNT }, () => this.device.createBuffer({
+            size,
+            usage: GPUBufferUsage.COPY_DST | GPUBufferUsage.MAP_READ
+        }));
+    }
+
+    /**
+     * Create uniform buffer for simulation parameters, and the per-substep blocks copied into it
      */
     createUniformBuffer() {
         this.uniformBuffer = this.device.createBuffer({
             size: PARAMETERS_FLOAT_COUNT * BYTES_PER_FLOAT,
             usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST
         });
+        this.substepUniformBuffer = this.device.createBuffer({
+            size: MAX_SUBSTEPS * PARAMETERS_FLOAT_COUNT * BYTES_PER_FLOAT,
+            usage: GPUBufferUsage.COPY_SRC | GPUBufferUsage.COPY_DST
+        });
     }
 
     /**
      * Create vertex and index buffers for rendering
+     * Buffers from a previous shape are destroyed first
      * @param {TreeGeometry} treeGeometry - Tree geometry data
      */
     createGeometryBuffers(treeGeometry) {
+        [this.vertexBuffer, this.indexBuffer, this.geometryBuffer].forEach(buffer => buffer?.destroy());
+
         // Vertex buffer
         this.vertexBuffer = this.device.createBuffer({
             size: treeGeometry.getVertices().length * BYTES_PER_FLOAT,
@@ -101,6 +232,31 @@ export class BufferManager {
         this.geometryBuffer.unmap();
     }
 
+    /**
+     * Upload a baked signed distance field as a texture
+     * The texture from a previous shape or resolution is destroyed first. Without
+     * a field a 2x2 placeholder reading as far from the shape keeps the compute
+     * bind group complete until the distance field solver is chosen.
+     * @param {SignedDistanceField} field - Baked field (default: the placeholder)
+     */
+    createSdfTexture(field = { resolution: 2, data: new Float32Array(2 * 2 * 4).fill(1000) }) {
+        this.sdfTexture?.destroy();
+
+        const { resolution } = field;
+        this.sdfTexture = this.device.createTexture({
+            size: [resolution, resolution],
+            format: 'rgba32float',
+            usage: GPUTextureUsage.TEXTURE_BINDING | GPUTextureUsage.COPY_DST
+        });
+        this.device.queue.writeTexture(
+            { texture: this.sdfTexture },
+            field.data,
+            { bytesPerRow: resolution * 4 * BYTES_PER_FLOAT, rowsPerImage: resolution },
+            [resolution, resolution]
+        );
+        this.sdfTextureView = this.sdfTexture.createView();
+    }
+
     /**
      * Write data to a buffer
      * @param {GPUBuffer} buffer - Target buffer
@@ -134,14 +290,83 @@ export class BufferManager {
         return encoder;
     }
 
+    /**
+     * Copy one buffer into another on the GPU and submit immediately
+     * @param {GPUBuffer} source - Source buffer
+     * @param {GPUBuffer} destination - Destination buffer (at least as large as the source)
+     */
+    copyBuffer(source, destination) {
+        const encoder = this.copyBufferToBuffer(source, 0, destination, 0, source.size);
+        this.device.queue.submit([encoder.finish()]);
+    }
+
+    /**
+     * Copy the tree buffer back to the CPU
+     * @returns {Promise<Float32Array>} Copy of the tree buffer contents
+     */
+    readTreeBuffer() {
+        return this.readBack(() => this.treeBuffer);
+    }
+
+    /**
+     * Copy the best layout buffer back to the CPU
+     * @returns {Promise<Float32Array>} Copy of the best layout buffer contents
+     */
+    readBestTreeBuffer() {
+        return this.readBack(() => this.bestTreeBuffer);
+    }
+
+    /**
+     * Copy a tree-sized buffer back to the CPU through the shared read buffer
+     * Reads are queued so concurrent callers share the read buffer safely
+     * @param {Function} getSource - Returns the buffer to read once earlier reads are done
+     * @returns {Promise<Float32Array>} Copy of the buffer contents
+     */
+    readBack(getSource) {
+        const read = this.pendingRead.then(async () => {
+            const source = getSource();
+            const readBuffer = this.readBuffer;
+
+            const encoder = this.copyBufferToBuffer(source, 0, readBuffer, 0, source.size);
+            this.device.queue.submit([encoder.finish()]);
+
+            await readBuffer.mapAsync(GPUMapMode.READ);
+            try {
+                return new Float32Array(readBuffer.getMappedRange().slice(0));
+            } finally {
+                readBuffer.unmap();
+            }
+        });
+
+        // Keep the queue alive even if this read fails
+        this.pendingRead = read.catch(() => {});
+        return read;
+    }
+
     /**
      * Get tree buffer
-     * @returns {GPUBuffer} Tree data buffer
+     * @returns {GPUBuffer} Tree data buffer holding the latest state
      */
     getTreeBuffer() {
         return this.treeBuffer;
     }
 
+    /**
+     * Get the tree buffer the next physics step writes into
+     * @returns {GPUBuffer} Tree data buffer holding the previous state
+     */
+    getNextTreeBuffer() {
+        return this.nextTreeBuffer;
+    }
+
+    /**
+     * Get best layout buffer
+     * @returns {GPUBuffer} Snapshot of the best validated layout
+     */
+    getBestTreeBuffer() {
+        return this.bestTreeBuffer;
+    }
+
     /**
      * Get uniform buffer
      * @returns {GPUBuffer} Uniform buffer
@@ -150,6 +375,14 @@ export class BufferManager {
         return this.uniformBuffer;
     }
 
+    /**
+     * Get the per-substep uniform blocks
+     * @returns {GPUBuffer} MAX_SUBSTEPS blocks of PARAMETERS_FLOAT_COUNT floats
+     */
+    getSubstepUniformBuffer() {
+        return this.substepUniformBuffer;
+    }
+
     /**
      * Get vertex buffer
      * @returns {GPUBuffer} Vertex buffer
@@ -182,23 +415,126 @@ export class BufferManager {
         return this.geometryBuffer;
     }
 
+    /**
+     * Get the signed distance field texture view
+     * @returns {GPUTextureView} View of the baked field, or null before createSdfTexture()
+     */
+    getSdfTextureView() {
+        return this.sdfTextureView;
+    }
+
+    /**
+     * Get the transform pass scratch buffer
+     * @returns {GPUBuffer} World-space outlines and bounding boxes
+     */
+    getWorldBuffer() {
+        return this.worldBuffer;
+    }
+
+    /**
+     * Get spatial grid buffers
+     * @returns {{cellCounts: GPUBuffer, cellStarts: GPUBuffer, cellCursors: GPUBuffer, sortedIndices: GPUBuffer, treeCells: GPUBuffer}} Grid buffers
+     */
+    getGridBuffers() {
+        return {
+            cellCounts: this.cellCountBuffer,
+            cellStarts: this.cellStartBuffer,
+            cellCursors: this.cellCursorBuffer,
+            sortedIndices: this.sortedIndexBuffer,
+            treeCells: this.treeCellBuffer
+        };
+    }
+
+    /**
+     * Get score reduction result buffer
+     * @returns {GPUBuffer} Score result buffer
+     */
+    getScoreResultBuffer() {
+        return this.scoreResultBuffer;
+    }
+
+    /**
+     * Get score staging buffers
+     * @returns {GPUBuffer[]} Mappable copies of the score result
+     */
+    getScoreReadBuffers() {
+        return this.scoreReadBuffers;
+    }
+
     /**
      * Resize tree buffers for new tree count
+     * The buffers they replace are destroyed
      * @param {number} newTreeCount - New number of trees
      * @returns {boolean} True if buffers were resized
      */
     resizeTreeBuffers(newTreeCount) {
+        const oldTreeBuffers = [this.treeBuffer, this.nextTreeBuffer];
+        if (!this._replaceTreeSizedBuffers(newTreeCount)) {
+            return false;
+        }
+
+        // Destruction waits for work already submitted
+        oldTreeBuffers.forEach(buffer => buffer?.destroy());
+        return true;
+    }
+
+    /**
+     * Recreate every buffer sized by the tree count
+     * Destroys the old buffers except the tree pair, which the caller may still
+     * need to copy from and must destroy itself.
+     * @param {number} newTreeCount - New number of trees
+     * @returns {boolean} True if the tree count changed
+     * @private
+     */
+    _replaceTreeSizedBuffers(newTreeCount) {
         // Only resize if tree count actually changed
         const currentSize = this.treeBuffer?.size || 0;
         const newSize = newTreeCount * FLOATS_PER_TREE * BYTES_PER_FLOAT;
+        if (currentSize === newSize) {
+            return false;
+        }
+
+        [this.bestTreeBuffer, this.worldBuffer, this.sortedIndexBuffer, this.treeCellBuffer].forEach(buffer => buffer?.destroy());
+        // A queued readBack() may still map the old read buffer, so it goes once they finish
+        const oldReadBuffer = this.readBuffer;
+        this.pendingRead.then(() => oldReadBuffer?.destroy());
+
+        this.createTreeBuffer(newTreeCount);
+        this.createReadBuffer(newTreeCount);
+        this.createBestTreeBuffer(newTreeCount);
+        this.createWorldBuffer(newTreeCount);
+        this.createGridBuffers(newTreeCount);
+        return true;
+    }
 
-        if (currentSize !== newSize) {
-            this.createTreeBuffer(newTreeCount);
-            this.createReadBuffer(newTreeCount);
-            return true;
+    /**
+     * Resize tree buffers, carrying runs of the current trees over on the GPU
+     * Runs are packed one after another from the start of the new buffer; any
+     * trees past them are left zeroed for the caller to write.
+     * @param {number} newTreeCount - New number of trees
+     * @param {Array<Object>} runs - Consecutive trees to keep {start, count}
+     * @returns {boolean} True if buffers were resized
+     */
+    resizeTreeBuffersPreserving(newTreeCount, runs) {
+        const oldTreeBuffer = this.treeBuffer;
+        const oldNextTreeBuffer = this.nextTreeBuffer;
+        if (!this._replaceTreeSizedBuffers(newTreeCount)) {
+            return false;
+        }
+
+        const treeSize = FLOATS_PER_TREE * BYTES_PER_FLOAT;
+        const encoder = this.device.createCommandEncoder();
+        let destination = 0;
+        for (const { start, count } of runs) {
+            encoder.copyBufferToBuffer(oldTreeBuffer, start * treeSize, this.treeBuffer, destination * treeSize, count * treeSize);
+            destination += count;
         }
+        this.device.queue.submit([encoder.finish()]);
 
-        return false;
+        // Destruction waits for the copy already submitted
+        oldTreeBuffer?.destroy();
+        oldNextTreeBuffer?.destroy();
+        return true;
     }
 
     /**
@@ -207,11 +543,22 @@ export class BufferManager {
     destroy() {
         const buffers = [
             this.treeBuffer,
+            this.nextTreeBuffer,
             this.uniformBuffer,
+            this.substepUniformBuffer,
             this.vertexBuffer,
             this.indexBuffer,
             this.readBuffer,
-            this.geometryBuffer
+            this.geometryBuffer,
+            this.bestTreeBuffer,
+            this.worldBuffer,
+            this.cellCountBuffer,
+            this.cellStartBuffer,
+            this.cellCursorBuffer,
+            this.sortedIndexBuffer,
+            this.treeCellBuffer,
+            this.scoreResultBuffer,
+            ...this.scoreReadBuffers
         ];
 
         buffers.forEach(buffer => {
@@ -219,12 +566,26 @@ export class BufferManager {
                 buffer.destroy();
             }
         });
+        this.sdfTexture?.destroy();
 
         this.treeBuffer = null;
+        this.nextTreeBuffer = null;
         this.uniformBuffer = null;
+        this.substepUniformBuffer = null;
         this.vertexBuffer = null;
         this.indexBuffer = null;
         this.readBuffer = null;
         this.geometryBuffer = null;
+        this.bestTreeBuffer = null;
+        this.worldBuffer = null;
+        this.cellCountBuffer = null;
+        this.cellStartBuffer = null;
+        this.cellCursorBuffer = null;
+        this.sortedIndexBuffer = null;
+        this.treeCellBuffer = null;
+        this.scoreResultBuffer = null;
+        this.scoreReadBuffers = [];
+        this.sdfTexture = null;
+        this.sdfTextureView = null;
     }
 }
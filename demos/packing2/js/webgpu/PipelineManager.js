@@ -1,18 +1,60 @@
+import {
+    GRID_DIMENSION,
+    GRID_CELL_COUNT,
+    GRID_CELL_SIZE,
+    GRID_SCAN_WORKGROUP_SIZE,
+    SCORE_REDUCE_WORKGROUP_SIZE,
+    UNIFORM_FIELDS,
+    PARAMETERS_FLOAT_COUNT,
+    MAX_PULL_REACH,
+    WORLD_SLOTS_PER_TREE,
+    COMPUTE_WORKGROUP_SIZE,
+    COMPUTE_WORKGROUP_SIZES
+} from '../constants.js';
+import { SignedDistanceField } from '../geometry/SignedDistanceField.js';
+
 /**
  * WebGPU pipeline creation and management
  */
 export class PipelineManager {
-    constructor(deviceManager, treeGeometry) {
+    /**
+     * @param {WebGPUDeviceManager} deviceManager - Device manager
+     * @param {TreeGeometry} treeGeometry - Shape embedded in the shaders
+     * @param {number} workgroupSize - Invocations per workgroup for the per-tree passes, one of COMPUTE_WORKGROUP_SIZES
+     */
+    constructor(deviceManager, treeGeometry, workgroupSize = COMPUTE_WORKGROUP_SIZE) {
+        if (!COMPUTE_WORKGROUP_SIZES.includes(workgroupSize)) {
+            throw new Error(`Unsupported workgroup size: ${workgroupSize}`);
+        }
+
         this.deviceManager = deviceManager;
         this.device = deviceManager.getDevice();
         this.treeGeometry = treeGeometry;
+        this.workgroupSize = workgroupSize;
 
         this.computePipeline = null;
+        this.transformPipeline = null;
+        this.tiledPipeline = null;
         this.renderPipeline = null;
         this.computeBindGroupLayout = null;
         this.renderBindGroupLayout = null;
         this.computeBindGroup = null;
         this.renderBindGroup = null;
+
+        // Bind groups for the other ping-pong orientation, swapped in after each physics step
+        this.nextComputeBindGroup = null;
+        this.nextRenderBindGroup = null;
+        this.nextScoreBindGroup = null;
+
+        // Spatial grid broadphase: count, scan and scatter passes plus the grid physics step
+        this.gridPipelines = null;
+        this.gridBindGroupLayout = null;
+        this.gridBindGroup = null;
+
+        // GPU score reduction (bounds, wind and collision count)
+        this.scorePipeline = null;
+        this.scoreBindGroupLayout = null;
+        this.scoreBindGroup = null;
     }
 
     /**
@@ -31,6 +73,12 @@ export class PipelineManager {
         console.log('[PipelineManager] Creating compute pipeline...');
         await this.createComputePipeline();
 
+        console.log('[PipelineManager] Creating grid broadphase pipelines...');
+        await this.createGridPipelines();
+
+        console.log('[PipelineManager] Creating score reduction pipeline...');
+        await this.createScorePipeline();
+
         console.log('[PipelineManager] Creating render pipeline...');
         await this.createRenderPipeline();
 
@@ -65,9 +113,75 @@ export class PipelineManager {
                 entryPoint: 'main'
             }
         });
+        this.transformPipeline = this.device.createComputePipeline({
+            layout: computePipelineLayout,
+            compute: {
+                module: computeShader,
+                entryPoint: 'transform_trees'
+            }
+        });
+        this.tiledPipeline = this.device.createComputePipeline({
+            layout: computePipelineLayout,
+            compute: {
+                module: computeShader,
+                entryPoint: 'main_tiled'
+            }
+        });
         console.log('[PipelineManager] Compute pipeline created successfully');
     }
 
+    /**
+     * Create the spatial grid broadphase pipelines
+     * All four share the compute shader module and bind the grid buffers as group 1
+     */
+    async createGridPipelines() {
+        const computeShader = this.device.createShaderModule({
+            code: this.getComputeShaderCode()
+        });
+
+        const gridPipelineLayout = this.device.createPipelineLayout({
+            bindGroupLayouts: [this.computeBindGroupLayout, this.gridBindGroupLayout]
+        });
+
+        const createPipeline = (entryPoint) => this.device.createComputePipeline({
+            layout: gridPipelineLayout,
+            compute: {
+                module: computeShader,
+                entryPoint
+            }
+        });
+
+        this.gridPipelines = {
+            count: createPipeline('grid_count'),
+            scan: createPipeline('grid_scan'),
+            scatter: createPipeline('grid_scatter'),
+            physics: createPipeline('main_grid')
+        };
+        console.log('[PipelineManager] Grid broadphase pipelines created successfully');
+    }
+
+    /**
+     * Create the score reduction pipeline
+     */
+    async createScorePipeline() {
+        const scoreShader = this.device.createShaderModule({
+            code: this.getScoreShaderCode()
+        });
+
+        const scorePipelineLayout = this.device.createPipelineLayout({
+            bindGroupLayouts: [this.scoreBindGroupLayout]
+        });
+
+        this.scorePipeline = this.device.createComputePipeline({
+            layout: scorePipelineLayout,
+            compute: {
+                module: scoreShader,
+                entryPoint: 'reduce_score'
+            }
+        });
+        console.log('[PipelineManager] Score reduction pipeline created successfully');
+    }
+
     /**
      * Create render pipeline for instanced drawing
      */
@@ -114,18 +228,33 @@ export class PipelineManager {
      * Create bind group layouts
      */
     createBindGroupLayout() {
-        // Compute bind group layout (read-write access to tree buffer)
+        // Compute bind group layout (previous tree state, uniforms, next tree state, distance field, world transforms)
         this.computeBindGroupLayout = this.device.createBindGroupLayout({
             entries: [
                 {
                     binding: 0,
                     visibility: GPUShaderStage.COMPUTE,
-                    buffer: { type: 'storage' }
+                    buffer: { type: 'read-only-storage' }
                 },
                 {
                     binding: 1,
                     visibility: GPUShaderStage.COMPUTE,
                     buffer: { type: 'uniform' }
+                },
+                {
+                    binding: 2,
+                    visibility: GPUShaderStage.COMPUTE,
+                    buffer: { type: 'storage' }
+                },
+                {
+                    binding: 3,
+                    visibility: GPUShaderStage.COMPUTE,
+                    texture: { sampleType: 'unfilterable-float' }
+                },
+                {
+                    binding: 4,
+                    visibility: GPUShaderStage.COMPUTE,
+                    buffer: { type: 'storage' }
                 }
             ]
         });
@@ -145,6 +274,27 @@ export class PipelineManager {
                 }
             ]
         });
+
+        // Grid bind group layout (cell counts, cell starts, cell cursors, sorted indices, tree cells)
+        this.gridBindGroupLayout = this.device.createBindGroupLayout({
+            entries: [0, 1, 2, 3, 4].map(binding => ({
+                binding,
+                visibility: GPUShaderStage.COMPUTE,
+                buffer: { type: 'storage' }
+            }))
+        });
+
+        // Score bind group layout (tree buffer, reduction result)
+        this.scoreBindGroupLayout = this.device.createBindGroupLayout({
+            entries: [
+                ...[0, 1].map(binding => ({
+                    binding,
+                    visibility: GPUShaderStage.COMPUTE,
+                    buffer: { type: 'storage' }
+                })),
+                { binding: 2, visibility: GPUShaderStage.COMPUTE, buffer: { type: 'uniform' } }
+            ]
+        });
     }
 
     /**
@@ -159,21 +309,115 @@ export class PipelineManager {
             this.renderBindGroup = null;
         }
 
-        // Create compute bind group (read-write tree buffer)
-        this.computeBindGroup = this.device.createBindGroup({
+        this.createTreeBindGroups(this.bufferManager);
+
+        if (this.gridBindGroupLayout && this.bufferManager) {
+            this.gridBindGroup = this.createGridBindGroup(this.bufferManager);
+        }
+        if (this.scoreBindGroupLayout && this.bufferManager) {
+            this.scoreBindGroup = this.createScoreBindGroup(this.bufferManager);
+            this.nextScoreBindGroup = this.createScoreBindGroup(this.bufferManager, this.bufferManager.getNextTreeBuffer());
+        }
+    }
+
+    /**
+     * Create the compute and render bind groups for both ping-pong orientations
+     * The active groups read the latest tree buffer; the next groups take over after a swap
+     * @param {BufferManager} bufferManager - Buffer manager instance
+     */
+    createTreeBindGroups(bufferManager) {
+        const latest = bufferManager?.getTreeBuffer();
+        const next = bufferManager?.getNextTreeBuffer();
+        const uniforms = bufferManager?.getUniformBuffer();
+        const sdfView = bufferManager?.getSdfTextureView();
+        const world = bufferManager?.getWorldBuffer();
+
+        this.computeBindGroup = this.createComputeBindGroup(latest, next, uniforms, sdfView, world);
+        this.renderBindGroup = this.createRenderBindGroup(latest, uniforms);
+        this.nextComputeBindGroup = this.createComputeBindGroup(next, latest, uniforms, sdfView, world);
+        this.nextRenderBindGroup = this.createRenderBindGroup(next, uniforms);
+    }
+
+    /**
+     * Create a compute bind group that steps one tree buffer into the other
+     * @param {GPUBuffer} source - Tree buffer holding the previous state (read-only)
+     * @param {GPUBuffer} destination - Tree buffer receiving the next state
+     * @param {GPUBuffer} uniformBuffer - Uniform buffer
+     * @param {GPUTextureView} sdfView - Baked signed distance field
+     * @param {GPUBuffer} worldBuffer - Transform pass scratch, shared by both orientations
+     * @returns {GPUBindGroup} Compute bind group
+     */
+    createComputeBindGroup(source, destination, uniformBuffer, sdfView, worldBuffer) {
+        return this.device.createBindGroup({
             layout: this.computeBindGroupLayout,
             entries: [
-                { binding: 0, resource: { buffer: this.bufferManager?.getTreeBuffer() } },
-                { binding: 1, resource: { buffer: this.bufferManager?.getUniformBuffer() } }
+                { binding: 0, resource: { buffer: source } },
+                { binding: 1, resource: { buffer: uniformBuffer } },
+                { binding: 2, resource: { buffer: destination } },
+                { binding: 3, resource: sdfView },
+                { binding: 4, resource: { buffer: worldBuffer } }
             ]
         });
+    }
 
-        // Create render bind group (read-only tree buffer)
-        this.renderBindGroup = this.device.createBindGroup({
+    /**
+     * Create a render bind group drawing one tree buffer
+     * @param {GPUBuffer} treeBuffer - Tree buffer to draw (read-only)
+     * @param {GPUBuffer} uniformBuffer - Uniform buffer
+     * @returns {GPUBindGroup} Render bind group
+     */
+    createRenderBindGroup(treeBuffer, uniformBuffer) {
+        return this.device.createBindGroup({
             layout: this.renderBindGroupLayout,
             entries: [
-                { binding: 0, resource: { buffer: this.bufferManager?.getTreeBuffer() } },
-                { binding: 1, resource: { buffer: this.bufferManager?.getUniformBuffer() } }
+                { binding: 0, resource: { buffer: treeBuffer } },
+                { binding: 1, resource: { buffer: uniformBuffer } }
+            ]
+        });
+    }
+
+    /**
+     * Swap in the bind groups for the other ping-pong orientation
+     * Called once per dispatched physics step, together with BufferManager.swapTreeBuffers()
+     */
+    swapBindGroups() {
+        [this.computeBindGroup, this.nextComputeBindGroup] = [this.nextComputeBindGroup, this.computeBindGroup];
+        [this.renderBindGroup, this.nextRenderBindGroup] = [this.nextRenderBindGroup, this.renderBindGroup];
+        [this.scoreBindGroup, this.nextScoreBindGroup] = [this.nextScoreBindGroup, this.scoreBindGroup];
+    }
+
+    /**
+     * Create the grid bind group from the buffer manager's grid buffers
+     * @param {BufferManager} bufferManager - Buffer manager instance
+     * @returns {GPUBindGroup} Grid bind group
+     */
+    createGridBindGroup(bufferManager) {
+        const grid = bufferManager.getGridBuffers();
+        return this.device.createBindGroup({
+            layout: this.gridBindGroupLayout,
+            entries: [
+                { binding: 0, resource: { buffer: grid.cellCounts } },
+                { binding: 1, resource: { buffer: grid.cellStarts } },
+                { binding: 2, resource: { buffer: grid.cellCursors } },
+                { binding: 3, resource: { buffer: grid.sortedIndices } },
+                { binding: 4, resource: { buffer: grid.treeCells } }
+            ]
+        });
+    }
+
+    /**
+     * Create the score reduction bind group
+     * @param {BufferManager} bufferManager - Buffer manager instance
+     * @param {GPUBuffer} treeBuffer - Tree buffer to score (default: the latest)
+     * @returns {GPUBindGroup} Score bind group
+     */
+    createScoreBindGroup(bufferManager, treeBuffer = bufferManager.getTreeBuffer()) {
+        return this.device.createBindGroup({
+            layout: this.scoreBindGroupLayout,
+            entries: [
+                { binding: 0, resource: { buffer: treeBuffer } },
+                { binding: 1, resource: { buffer: bufferManager.getScoreResultBuffer() } },
+                { binding: 2, resource: { buffer: bufferManager.getUniformBuffer() } }
             ]
         });
     }
@@ -185,21 +429,15 @@ export class PipelineManager {
     updateBindGroup(bufferManager) {
         this.bufferManager = bufferManager;
         if (this.computeBindGroupLayout && this.renderBindGroupLayout) {
-            this.computeBindGroup = this.device.createBindGroup({
-                layout: this.computeBindGroupLayout,
-                entries: [
-                    { binding: 0, resource: { buffer: bufferManager.getTreeBuffer() } },
-                    { binding: 1, resource: { buffer: bufferManager.getUniformBuffer() } }
-                ]
-            });
-
-            this.renderBindGroup = this.device.createBindGroup({
-                layout: this.renderBindGroupLayout,
-                entries: [
-                    { binding: 0, resource: { buffer: bufferManager.getTreeBuffer() } },
-                    { binding: 1, resource: { buffer: bufferManager.getUniformBuffer() } }
-                ]
-            });
+            this.createTreeBindGroups(bufferManager);
+        }
+
+        if (this.gridBindGroupLayout) {
+            this.gridBindGroup = this.createGridBindGroup(bufferManager);
+        }
+        if (this.scoreBindGroupLayout) {
+            this.scoreBindGroup = this.createScoreBindGroup(bufferManager);
+            this.nextScoreBindGroup = this.createScoreBindGroup(bufferManager, bufferManager.getNextTreeBuffer());
         }
     }
 
@@ -211,6 +449,32 @@ export class PipelineManager {
         return this.computePipeline;
     }
 
+    /**
+     * Get the tiled brute-force pipeline
+     * Same result as the compute pipeline, but neighbours are staged through workgroup memory
+     * @returns {GPUComputePipeline} Tiled compute pipeline
+     */
+    getTiledPipeline() {
+        return this.tiledPipeline;
+    }
+
+    /**
+     * Get the invocations per workgroup of the per-tree passes
+     * @returns {number} Workgroup size; dispatch Math.ceil(treeCount / size) workgroups
+     */
+    getWorkgroupSize() {
+        return this.workgroupSize;
+    }
+
+    /**
+     * Get the transform pass pipeline
+     * Writes every tree's world-space outline and bounding box; dispatched before each physics step
+     * @returns {GPUComputePipeline} Transform pipeline
+     */
+    getTransformPipeline() {
+        return this.transformPipeline;
+    }
+
     /**
      * Get render pipeline
      * @returns {GPURenderPipeline} Render pipeline
@@ -227,6 +491,38 @@ export class PipelineManager {
         return this.computeBindGroup;
     }
 
+    /**
+     * Get grid broadphase pipelines
+     * @returns {{count: GPUComputePipeline, scan: GPUComputePipeline, scatter: GPUComputePipeline, physics: GPUComputePipeline}} Grid pipelines
+     */
+    getGridPipelines() {
+        return this.gridPipelines;
+    }
+
+    /**
+     * Get grid bind group
+     * @returns {GPUBindGroup} Grid bind group
+     */
+    getGridBindGroup() {
+        return this.gridBindGroup;
+    }
+
+    /**
+     * Get score reduction pipeline
+     * @returns {GPUComputePipeline} Score pipeline
+     */
+    getScorePipeline() {
+        return this.scorePipeline;
+    }
+
+    /**
+     * Get score reduction bind group
+     * @returns {GPUBindGroup} Score bind group
+     */
+    getScoreBindGroup() {
+        return this.scoreBindGroup;
+    }
+
     /**
      * Get render bind group
      * @returns {GPUBindGroup} Render bind group
@@ -235,6 +531,94 @@ export class PipelineManager {
         return this.renderBindGroup;
     }
 
+    /**
+     * Generate the WGSL Params struct from UNIFORM_FIELDS
+     * Trailing padding fills the struct to PARAMETERS_FLOAT_COUNT slots
+     * @returns {string} WGSL struct declaration
+     */
+    getParamsStructCode() {
+        const fields = UNIFORM_FIELDS.map(({ name, type }) => `${name}: ${type},`);
+        for (let index = UNIFORM_FIELDS.length; index < PARAMETERS_FLOAT_COUNT; index++) {
+            fields.push(`_pad${index}: f32,`);
+        }
+
+        return `struct Params {
+                ${fields.join('\n                ')}
+            };`;
+    }
+
+    /**
+     * Generate the WGSL tree polygon from TreeGeometry
+     * Every shader embeds this, so the collision shape, the rendered outline and
+     * the CPU score all use the same closed polygon (last point repeats the first)
+     * @returns {string} WGSL constants TREE_POLY_POINTS, TREE_POLY_EDGES and the tree_poly array
+     */
+    getTreePolygonCode() {
+        const polygon = this.treeGeometry.getPolygon();
+        const pointCount = polygon.length / 2;
+
+        const points = [];
+        for (let i = 0; i < polygon.length; i += 2) {
+            points.push(`vec2f(${this.formatWgslFloat(polygon[i])}, ${this.formatWgslFloat(polygon[i + 1])})`);
+        }
+
+        return `const TREE_POLY_POINTS = ${pointCount}u;
+            const TREE_POLY_EDGES = ${pointCount - 1}u;
+            var<private> tree_poly: array<vec2f, ${pointCount}> = array<vec2f, ${pointCount}>(
+                ${points.join(', ')}
+            );`;
+    }
+
+    /**
+     * Generate the WGSL convex parts of the tree polygon from TreeGeometry
+     * The points of every part are concatenated in part_points; part_ranges holds
+     * each part's (start, count) and part_bounds its bounding circle (centre, radius)
+     * @returns {string} WGSL constant CONVEX_PART_COUNT and the part_points, part_ranges and part_bounds arrays
+     */
+    getConvexPartsCode() {
+        const parts = this.treeGeometry.getConvexParts();
+        const f = (value) => this.formatWgslFloat(Math.fround(value));
+
+        const points = [];
+        const ranges = [];
+        const bounds = [];
+        for (const part of parts) {
+            ranges.push(`vec2u(${points.length}u, ${part.points.length / 2}u)`);
+            for (let i = 0; i < part.points.length; i += 2) {
+                points.push(`vec2f(${f(part.points[i])}, ${f(part.points[i + 1])})`);
+            }
+            bounds.push(`vec3f(${f(part.centerX)}, ${f(part.centerY)}, ${f(part.radius)})`);
+        }
+
+        return `const CONVEX_PART_COUNT = ${parts.length}u;
+            var<private> part_points: array<vec2f, ${points.length}> = array<vec2f, ${points.length}>(
+                ${points.join(', ')}
+            );
+            var<private> part_ranges: array<vec2u, ${parts.length}> = array<vec2u, ${parts.length}>(
+                ${ranges.join(', ')}
+            );
+            var<private> part_bounds: array<vec3f, ${parts.length}> = array<vec3f, ${parts.length}>(
+                ${bounds.join(', ')}
+            );`;
+    }
+
+    /**
+     * Format a float32 as the shortest WGSL literal that parses back to the same value
+     * @param {number} value - Float32 value
+     * @returns {string} WGSL float literal (always contains a decimal point or exponent)
+     */
+    formatWgslFloat(value) {
+        let text = String(value);
+        for (let precision = 1; precision <= 9; precision++) {
+            const candidate = String(Number(value.toPrecision(precision)));
+            if (Math.fround(Number(candidate)) === Math.fround(value)) {
+                text = candidate;
+                break;
+            }
+        }
+        return /[.e]/.test(text) ? text : `${text}.0`;
+    }
+
     /**
      * Get compute shader code
      * @returns {string} WGSL compute shader code
@@ -252,26 +636,43 @@ export class PipelineManager {
                 _pad: f32,
             };
 
-            struct Params {
-                zoom: f32,
-                compression: f32,
-                probX: f32,
-                time: f32,
-                aspect: f32,
-                _pad1: f32,
-                _pad2: f32,
-                _pad3: f32,
-            };
+            ${this.getParamsStructCode()}
 
-            @group(0) @binding(0) var<storage, read_write> trees: array<Tree>;
+            // Ping-pong tree state: every invocation reads the previous step and writes the next,
+            // so results do not depend on workgroup scheduling
+            @group(0) @binding(0) var<storage, read> trees: array<Tree>;
             @group(0) @binding(1) var<uniform> params: Params;
+            @group(0) @binding(2) var<storage, read_write> trees_out: array<Tree>;
+            // Signed distance field of the shape: (distance, gradient.x, gradient.y, 0) per texel
+            @group(0) @binding(3) var sdf_tex: texture_2d<f32>;
+            // Transform pass output, WORLD_STRIDE slots per tree: AABB min, AABB max, then the outline
+            @group(0) @binding(4) var<storage, read_write> world: array<vec2f>;
 
-            var<private> tree_poly: array<vec2f, 16> = array<vec2f, 16>(
-                vec2f(0.0, 0.8), vec2f(0.125, 0.5), vec2f(0.0625, 0.5), vec2f(0.2, 0.25),
-                vec2f(0.1, 0.25), vec2f(0.35, 0.0), vec2f(0.075, 0.0), vec2f(0.075, -0.2),
-                vec2f(-0.075, -0.2), vec2f(-0.075, 0.0), vec2f(-0.35, 0.0), vec2f(-0.1, 0.25),
-                vec2f(-0.2, 0.25), vec2f(-0.0625, 0.5), vec2f(-0.125, 0.5), vec2f(0.0, 0.8)
-            );
+            // Spatial grid (broadphase entry points only)
+            @group(1) @binding(0) var<storage, read_write> cell_counts: array<atomic<u32>>;
+            @group(1) @binding(1) var<storage, read_write> cell_starts: array<u32>;
+            @group(1) @binding(2) var<storage, read_write> cell_cursors: array<atomic<u32>>;
+            @group(1) @binding(3) var<storage, read_write> sorted_indices: array<u32>;
+            @group(1) @binding(4) var<storage, read_write> tree_cells: array<u32>;
+
+            const GRID_DIM = ${GRID_DIMENSION}u;
+            const GRID_CELLS = ${GRID_CELL_COUNT}u;
+            const GRID_CELL_SIZE = ${GRID_CELL_SIZE.toFixed(4)};
+            const GRID_SCAN_SIZE = ${GRID_SCAN_WORKGROUP_SIZE}u;
+            const WORKGROUP_SIZE = ${this.workgroupSize}u;
+            const MAX_PULL_REACH = ${this.formatWgslFloat(MAX_PULL_REACH)};
+            const WORLD_STRIDE = ${WORLD_SLOTS_PER_TREE}u;
+            const SDF_EXTENT = ${this.formatWgslFloat(Math.fround(SignedDistanceField.getExtent(this.treeGeometry)))};
+
+            ${this.getTreePolygonCode()}
+
+            ${this.getConvexPartsCode()}
+
+            var<workgroup> scan_sums: array<u32, ${GRID_SCAN_WORKGROUP_SIZE}>;
+
+            // One block of neighbours for the tiled step: state and bounding box (min, max)
+            var<workgroup> tile_trees: array<Tree, ${this.workgroupSize}>;
+            var<workgroup> tile_bounds: array<vec4f, ${this.workgroupSize}>;
 
             fn hash(u: u32) -> f32 {
                 var x = u * 747796405u + 2891336453u;
@@ -287,7 +688,7 @@ export class PipelineManager {
 
             fn isInside(p: vec2f) -> bool {
                 var wn = 0;
-                for (var i = 0u; i < 15u; i++) {
+                for (var i = 0u; i < TREE_POLY_EDGES; i++) {
                     let a = tree_poly[i]; let b = tree_poly[i+1];
                     if (a.y <= p.y) {
                         if (b.y > p.y && (b.x - a.x) * (p.y - a.y) - (b.y - a.y) * (p.x - a.x) > 0.0) { wn++; }
@@ -298,85 +699,539 @@ export class PipelineManager {
                 return wn != 0;
             }
 
-            @compute @workgroup_size(64)
-            fn main(@builtin(global_invocation_id) id: vec3u) {
-                let i = id.x;
-                if (i >= arrayLength(&trees)) { return; }
-                var t = trees[i];
+            // Grid cell of a position; trees outside the grid are clamped into edge cells
+            fn grid_cell(p: vec2f) -> vec2i {
+                let half_extent = f32(GRID_DIM) * GRID_CELL_SIZE * 0.5;
+                let cell = vec2i(floor((p + vec2f(half_extent)) / GRID_CELL_SIZE));
+                return clamp(cell, vec2i(0), vec2i(i32(GRID_DIM) - 1));
+            }
 
-                // 1. STABILIZED GRAVITY
-                let rnd = hash(i + u32(params.time));
+            // 1. STABILIZED GRAVITY toward the centre of the scoring square
+            fn apply_gravity(i: u32, t: ptr<function, Tree>) {
+                let rnd = hash((i + u32(params.time)) ^ params.seed);
 
                 // Limit the distance effect
                 // REDUCED SCALE BY 10 (was 0.05) to compress slower
                 let gravity_strength = clamp(params.compression * 0.005, 0.0, 0.2);
-                let x_pull = clamp(t.pos.x, -20.0, 20.0) * gravity_strength;
-                let y_pull = clamp(t.pos.y, -20.0, 20.0) * gravity_strength;
+                let rel = clamp((*t).pos - vec2f(params.centerX, params.centerY), vec2f(-20.0), vec2f(20.0));
+
+                // Anisotropic: trees far out along the long side are pulled harder than trees near the centre
+                var boost = vec2f(1.0);
+                if (params.targetHalfSide > 0.0) {
+                    boost += params.pullAnisotropy * min(abs(rel) / params.targetHalfSide, vec2f(MAX_PULL_REACH));
+                }
+                let x_pull = rel.x * gravity_strength * boost.x;
+                let y_pull = rel.y * gravity_strength * boost.y;
 
                 if (rnd < params.probX) {
-                    t.vel.x -= x_pull;
-                    t.vel.y += (hash(i*2u + u32(params.time)) - 0.5) * gravity_strength * 0.5;
+                    (*t).vel.x -= x_pull;
+                    (*t).vel.y += (hash((i*2u + u32(params.time)) ^ params.seed) - 0.5) * gravity_strength * 0.5;
+                } else {
+                    (*t).vel.y -= y_pull;
+                    (*t).vel.x += (hash((i*2u + u32(params.time)) ^ params.seed) - 0.5) * gravity_strength * 0.5;
+                }
+            }
+
+            // Clamped push for a contact that is depth past the threshold, scaled by the relaxation rate
+            fn contact_force(depth: f32) -> f32 {
+                return min(depth * params.forceGain, params.forceClamp) * params.relaxationRate;
+            }
+
+            // World-space vertex v of tree i, from the transform pass
+            fn world_vertex(i: u32, v: u32) -> vec2f {
+                return world[i * WORLD_STRIDE + 2u + v];
+            }
+
+            // Bounding box of tree i from the transform pass, as (min, max)
+            fn tree_bounds(i: u32) -> vec4f {
+                return vec4f(world[i * WORLD_STRIDE], world[i * WORLD_STRIDE + 1u]);
+            }
+
+            // Bounding boxes overlap once both are grown by the contact threshold
+            fn bounds_overlap(a: vec4f, b: vec4f) -> bool {
+                let margin = params.contactThreshold;
+                return all(a.xy - margin <= b.zw + margin) && all(b.xy - margin <= a.zw + margin);
+            }
+
+            // 2. Collision of tree i against neighbour j with the selected contact solver
+            fn collide(t: ptr<function, Tree>, i: u32, j: u32) {
+                collide_tree(t, i, trees[j], tree_bounds(j));
+            }
+
+            // Collision against a neighbour already loaded, with its bounding box
+            fn collide_tree(t: ptr<function, Tree>, i: u32, other: Tree, other_bounds: vec4f) {
+                if (distance((*t).pos, other.pos) > params.searchRadius) { return; }
+                if (!bounds_overlap(tree_bounds(i), other_bounds)) { return; }
+
+                if (params.contactSolver == 1u) {
+                    collide_sat(t, other);
+                } else if (params.contactSolver == 2u) {
+                    collide_sdf(t, i, other);
                 } else {
-                    t.vel.y -= y_pull;
-                    t.vel.x += (hash(i*2u + u32(params.time)) - 0.5) * gravity_strength * 0.5;
+                    collide_vertices(t, i, other);
+                }
+            }
+
+            // Vertex penalty solver: push every vertex of mine that is near or inside the neighbour
+            fn collide_vertices(t: ptr<function, Tree>, i: u32, other: Tree) {
+                let c = cos(-other.rot); let s = sin(-other.rot);
+
+                for (var v = 0u; v < TREE_POLY_EDGES; v++) {
+                    let my_world_v = world_vertex(i, v);
+                    let diff = my_world_v - other.pos;
+                    let other_local_p = vec2f(diff.x * c - diff.y * s, diff.x * s + diff.y * c);
+
+                    var dist = 1000.0;
+                    for (var k = 0u; k < TREE_POLY_EDGES; k++) { dist = min(dist, sdSegment(other_local_p, tree_poly[k], tree_poly[k+1])); }
+                    if (isInside(other_local_p)) { dist = -dist; }
+
+                    if (dist < params.contactThreshold) {
+                        // Only real penetration counts as a collision; the margin just pushes
+                        if (dist < 0.0) { (*t).col = 1.0; }
+                        let contact_vec = normalize(my_world_v - other.pos);
+
+                        // Force Clamp
+                        let safe_force = contact_force(params.contactThreshold - dist);
+
+                        (*t).vel += contact_vec * safe_force;
+
+                        // Torque Damping
+                        let arm = my_world_v - (*t).pos;
+                        let torque = (arm.x * contact_vec.y - arm.y * contact_vec.x);
+                        (*t).ang_vel += clamp(torque * safe_force * params.torqueGain, -1.0, 1.0);
+                    }
+                }
+            }
+
+            // Bilinear lookup in the baked field at a tree-local point: (distance, gradient)
+            // Points outside the field are further than its margin from the shape
+            fn sample_sdf(p: vec2f) -> vec3f {
+                let size = vec2f(textureDimensions(sdf_tex));
+                let uv = (p + vec2f(SDF_EXTENT)) / (2.0 * SDF_EXTENT) * (size - 1.0);
+                if (any(uv < vec2f(0.0)) || any(uv > size - 1.0)) { return vec3f(1000.0, 0.0, 0.0); }
+
+                let base = min(vec2u(uv), vec2u(size) - 2u);
+                let f = uv - vec2f(base);
+                let bottom = mix(textureLoad(sdf_tex, base, 0).xyz, textureLoad(sdf_tex, base + vec2u(1u, 0u), 0).xyz, f.x);
+                let top = mix(textureLoad(sdf_tex, base + vec2u(0u, 1u), 0).xyz, textureLoad(sdf_tex, base + vec2u(1u, 1u), 0).xyz, f.x);
+                return mix(bottom, top, f.y);
+            }
+
+            // Distance field solver: vertex contacts with the distance and smooth normal read from the field
+            fn collide_sdf(t: ptr<function, Tree>, i: u32, other: Tree) {
+                let c = cos(-other.rot); let s = sin(-other.rot);
+
+                for (var v = 0u; v < TREE_POLY_EDGES; v++) {
+                    let my_world_v = world_vertex(i, v);
+                    let diff = my_world_v - other.pos;
+                    let other_local_p = vec2f(diff.x * c - diff.y * s, diff.x * s + diff.y * c);
+
+                    let field = sample_sdf(other_local_p);
+                    if (field.x >= params.contactThreshold) { continue; }
+                    if (field.x < 0.0) { (*t).col = 1.0; }
+
+                    // Smooth normal: the field gradient rotated back to world space
+                    let normal = vec2f(field.y * c + field.z * s, -field.y * s + field.z * c);
+                    if (dot(normal, normal) == 0.0) { continue; }
+                    let contact_vec = normalize(normal);
+
+                    let safe_force = contact_force(params.contactThreshold - field.x);
+                    (*t).vel += contact_vec * safe_force;
+
+                    let arm = my_world_v - (*t).pos;
+                    let torque = (arm.x * contact_vec.y - arm.y * contact_vec.x);
+                    (*t).ang_vel += clamp(torque * safe_force * params.torqueGain, -1.0, 1.0);
+                }
+            }
+
+            // Rotate (by the cos/sin pair rot) and translate a local point into world space
+            fn to_world(p: vec2f, pos: vec2f, rot: vec2f) -> vec2f {
+                return pos + vec2f(p.x * rot.x - p.y * rot.y, p.x * rot.y + p.y * rot.x);
+            }
+
+            // Largest gap between the faces of part a and part b, as (separation, outward normal of a)
+            fn face_separation(a: u32, pos_a: vec2f, rot_a: vec2f, b: u32, pos_b: vec2f, rot_b: vec2f) -> vec3f {
+                let range_a = part_ranges[a];
+                let range_b = part_ranges[b];
+                var best = vec3f(-1000.0, 0.0, 0.0);
+
+                for (var i = 0u; i < range_a.y; i++) {
+                    let p = to_world(part_points[range_a.x + i], pos_a, rot_a);
+                    let q = to_world(part_points[range_a.x + (i + 1u) % range_a.y], pos_a, rot_a);
+                    let n = normalize(vec2f(q.y - p.y, p.x - q.x));
+
+                    var min_b = 1000.0;
+                    for (var j = 0u; j < range_b.y; j++) {
+                        min_b = min(min_b, dot(to_world(part_points[range_b.x + j], pos_b, rot_b), n));
+                    }
+                    let separation = min_b - dot(p, n);
+                    if (separation > best.x) { best = vec3f(separation, n); }
+                }
+                return best;
+            }
+
+            // Vertex of part k that reaches furthest against direction n
+            fn deepest_point(k: u32, pos: vec2f, rot: vec2f, n: vec2f) -> vec2f {
+                let range = part_ranges[k];
+                var best = to_world(part_points[range.x], pos, rot);
+                for (var i = 1u; i < range.y; i++) {
+                    let p = to_world(part_points[range.x + i], pos, rot);
+                    if (dot(p, n) < dot(best, n)) { best = p; }
+                }
+                return best;
+            }
+
+            // Separating-axis solver: resolve each pair of convex parts along its minimum translation vector
+            fn collide_sat(t: ptr<function, Tree>, other: Tree) {
+                let my_rot = vec2f(cos((*t).rot), sin((*t).rot));
+                let other_rot = vec2f(cos(other.rot), sin(other.rot));
+
+                for (var a = 0u; a < CONVEX_PART_COUNT; a++) {
+                    let center_a = to_world(part_bounds[a].xy, (*t).pos, my_rot);
+                    for (var b = 0u; b < CONVEX_PART_COUNT; b++) {
+                        let center_b = to_world(part_bounds[b].xy, other.pos, other_rot);
+                        if (distance(center_a, center_b) > part_bounds[a].z + part_bounds[b].z + params.contactThreshold) { continue; }
+
+                        // Reference face on the neighbour: push along its normal from my deepest vertex
+                        let theirs = face_separation(b, other.pos, other_rot, a, (*t).pos, my_rot);
+                        var separation = theirs.x;
+                        var normal = theirs.yz;
+                        var contact = deepest_point(a, (*t).pos, my_rot, normal);
+
+                        // Reference face on me: push against my normal at the neighbour's deepest vertex
+                        let mine = face_separation(a, (*t).pos, my_rot, b, other.pos, other_rot);
+                        if (mine.x > separation) {
+                            separation = mine.x;
+                            normal = -mine.yz;
+                            contact = deepest_point(b, other.pos, other_rot, mine.yz);
+                        }
+
+                        if (separation >= params.contactThreshold) { continue; }
+                        if (separation < 0.0) { (*t).col = 1.0; }
+
+                        let safe_force = contact_force(params.contactThreshold - separation);
+                        (*t).vel += normal * safe_force;
+
+                        let arm = contact - (*t).pos;
+                        let torque = (arm.x * normal.y - arm.y * normal.x);
+                        (*t).ang_vel += clamp(torque * safe_force * params.torqueGain, -1.0, 1.0);
+                    }
                 }
+            }
+
+            // Square container: push a vertex within the contact margin of a wall back inside
+            fn wall_contact(t: ptr<function, Tree>, world_v: vec2f, normal: vec2f, gap: f32) {
+                if (gap >= params.contactThreshold) { return; }
+                if (gap < 0.0) { (*t).col = 1.0; }
+
+                let safe_force = contact_force(params.contactThreshold - gap);
+                (*t).vel += normal * safe_force;
+
+                let arm = world_v - (*t).pos;
+                let torque = (arm.x * normal.y - arm.y * normal.x);
+                (*t).ang_vel += clamp(torque * safe_force * params.torqueGain, -1.0, 1.0);
+            }
+
+            fn apply_walls(t: ptr<function, Tree>, i: u32) {
+                let center = vec2f(params.wallCenterX, params.wallCenterY);
+
+                for (var v = 0u; v < TREE_POLY_EDGES; v++) {
+                    let world_v = world_vertex(i, v);
+                    let rel = world_v - center;
+                    wall_contact(t, world_v, vec2f(-sign(rel.x), 0.0), params.wallHalf - abs(rel.x));
+                    wall_contact(t, world_v, vec2f(0.0, -sign(rel.y)), params.wallHalf - abs(rel.y));
+                }
+            }
+
+            // 3. Integration
+            fn integrate(t: ptr<function, Tree>) {
+                let dt = params.timeStep;
+                (*t).vel *= params.linearDamping;
+                if (length((*t).vel) > 2.0) { (*t).vel = normalize((*t).vel) * 2.0; }
+                (*t).pos += (*t).vel * dt;
+
+                (*t).ang_vel *= params.angularDamping;
+                (*t).ang_vel = clamp((*t).ang_vel, -5.0, 5.0);
+                (*t).rot += (*t).ang_vel * dt;
+
+                if (abs((*t).pos.x) > 100.0 || abs((*t).pos.y) > 100.0) { (*t).pos = vec2f(0.0); (*t).vel = vec2f(0.0); }
+            }
+
+            // Transform pass: world-space outline and bounding box of every tree, read by the
+            // collision passes instead of re-rotating the outline for each neighbour
+            @compute @workgroup_size(${this.workgroupSize})
+            fn transform_trees(@builtin(global_invocation_id) id: vec3u) {
+                let i = id.x;
+                if (i >= arrayLength(&trees)) { return; }
+                let t = trees[i];
+                let rot = vec2f(cos(t.rot), sin(t.rot));
+
+                var lo = vec2f(1e30);
+                var hi = vec2f(-1e30);
+                for (var v = 0u; v < TREE_POLY_EDGES; v++) {
+                    let p = to_world(tree_poly[v], t.pos, rot);
+                    world[i * WORLD_STRIDE + 2u + v] = p;
+                    lo = min(lo, p);
+                    hi = max(hi, p);
+                }
+                world[i * WORLD_STRIDE] = lo;
+                world[i * WORLD_STRIDE + 1u] = hi;
+            }
+
+            // Brute-force step: every tree tests every other tree
+            @compute @workgroup_size(${this.workgroupSize})
+            fn main(@builtin(global_invocation_id) id: vec3u) {
+                let i = id.x;
+                if (i >= arrayLength(&trees)) { return; }
+                var t = trees[i];
+
+                // The square container replaces the gravity pull
+                if (params.wallHalf <= 0.0) { apply_gravity(i, &t); }
 
-                // 2. Collision (Analytic)
-                let search_rad = 2.5;
                 let count = arrayLength(&trees);
                 t.col = 0.0;
 
                 if (length(t.pos) < 50.0) {
                     for (var j = 0u; j < count; j++) {
                         if (i == j) { continue; }
-                        let other = trees[j];
-                        if (distance(t.pos, other.pos) > search_rad) { continue; }
+                        collide(&t, i, j);
+                    }
+                }
+
+                if (params.wallHalf > 0.0) { apply_walls(&t, i); }
+
+                integrate(&t);
+                trees_out[i] = t;
+            }
+
+            // Tiled brute-force step: the workgroup loads WORKGROUP_SIZE neighbours at a time into
+            // workgroup memory, so each tree is fetched from storage once per workgroup instead of
+            // once per invocation. Invocations past the last tree still help load the tiles, keeping
+            // the barriers in uniform control flow.
+            @compute @workgroup_size(${this.workgroupSize})
+            fn main_tiled(@builtin(global_invocation_id) id: vec3u, @builtin(local_invocation_id) lid: vec3u) {
+                let i = id.x;
+                let count = arrayLength(&trees);
+                let active = i < count;
+
+                var t: Tree;
+                if (active) {
+                    t = trees[i];
+                    // The square container replaces the gravity pull
+                    if (params.wallHalf <= 0.0) { apply_gravity(i, &t); }
+                    t.col = 0.0;
+                }
+                let colliding = active && length(t.pos) < 50.0;
 
-                        let c = cos(-other.rot); let s = sin(-other.rot);
+                for (var base = 0u; base < count; base += WORKGROUP_SIZE) {
+                    let k = base + lid.x;
+                    if (k < count) {
+                        tile_trees[lid.x] = trees[k];
+                        tile_bounds[lid.x] = tree_bounds(k);
+                    }
+                    workgroupBarrier();
 
-                        for (var v = 0u; v < 15u; v++) {
-                            let my_local_v = tree_poly[v];
-                            let mc = cos(t.rot); let ms = sin(t.rot);
-                            let my_world_v = t.pos + vec2f(my_local_v.x * mc - my_local_v.y * ms, my_local_v.x * ms + my_local_v.y * mc);
-                            let diff = my_world_v - other.pos;
-                            let other_local_p = vec2f(diff.x * c - diff.y * s, diff.x * s + diff.y * c);
+                    if (colliding) {
+                        let tile_size = min(WORKGROUP_SIZE, count - base);
+                        for (var m = 0u; m < tile_size; m++) {
+                            if (base + m == i) { continue; }
+                            collide_tree(&t, i, tile_trees[m], tile_bounds[m]);
+                        }
+                    }
+                    workgroupBarrier();
+                }
 
-                            var dist = 1000.0;
-                            for (var k = 0u; k < 15u; k++) { dist = min(dist, sdSegment(other_local_p, tree_poly[k], tree_poly[k+1])); }
-                            if (isInside(other_local_p)) { dist = -dist; }
+                if (!active) { return; }
+                if (params.wallHalf > 0.0) { apply_walls(&t, i); }
 
-                            if (dist < 0.02) {
-                                t.col = 1.0;
-                                let contact_vec = normalize(my_world_v - other.pos);
+                integrate(&t);
+                trees_out[i] = t;
+            }
 
-                                // Force Clamp
-                                let force_mag = (0.02 - dist) * 30.0;
-                                let safe_force = min(force_mag, 1.0);
+            // Grid pass 1: bin each tree into its cell
+            @compute @workgroup_size(${this.workgroupSize})
+            fn grid_count(@builtin(global_invocation_id) id: vec3u) {
+                let i = id.x;
+                if (i >= arrayLength(&trees)) { return; }
+                let cell = grid_cell(trees[i].pos);
+                let index = u32(cell.y) * GRID_DIM + u32(cell.x);
+                tree_cells[i] = index;
+                atomicAdd(&cell_counts[index], 1u);
+            }
 
-                                t.vel += contact_vec * safe_force;
+            // Grid pass 2: exclusive prefix sum of cell counts in a single workgroup
+            @compute @workgroup_size(${GRID_SCAN_WORKGROUP_SIZE})
+            fn grid_scan(@builtin(local_invocation_id) lid: vec3u) {
+                let per_thread = (GRID_CELLS + GRID_SCAN_SIZE - 1u) / GRID_SCAN_SIZE;
+                let first = lid.x * per_thread;
 
-                                // Torque Damping
-                                let arm = my_world_v - t.pos;
-                                let torque = (arm.x * contact_vec.y - arm.y * contact_vec.x);
-                                t.ang_vel += clamp(torque * safe_force * 3.0, -1.0, 1.0);
+                var total = 0u;
+                for (var k = 0u; k < per_thread; k++) {
+                    let cell = first + k;
+                    if (cell < GRID_CELLS) { total += atomicLoad(&cell_counts[cell]); }
+                }
+                scan_sums[lid.x] = total;
+                workgroupBarrier();
+
+                // Inclusive Hillis-Steele scan over the per-thread totals
+                for (var offset = 1u; offset < GRID_SCAN_SIZE; offset *= 2u) {
+                    var addend = 0u;
+                    if (lid.x >= offset) { addend = scan_sums[lid.x - offset]; }
+                    workgroupBarrier();
+                    scan_sums[lid.x] += addend;
+                    workgroupBarrier();
+                }
+
+                var running = scan_sums[lid.x] - total;
+                for (var k = 0u; k < per_thread; k++) {
+                    let cell = first + k;
+                    if (cell < GRID_CELLS) {
+                        cell_starts[cell] = running;
+                        atomicStore(&cell_cursors[cell], running);
+                        running += atomicLoad(&cell_counts[cell]);
+                    }
+                }
+                if (lid.x == GRID_SCAN_SIZE - 1u) { cell_starts[GRID_CELLS] = scan_sums[lid.x]; }
+            }
+
+            // Grid pass 3: scatter tree indices into cell order
+            @compute @workgroup_size(${this.workgroupSize})
+            fn grid_scatter(@builtin(global_invocation_id) id: vec3u) {
+                let i = id.x;
+                if (i >= arrayLength(&trees)) { return; }
+                let slot = atomicAdd(&cell_cursors[tree_cells[i]], 1u);
+                sorted_indices[slot] = i;
+            }
+
+            // Grid step: narrowphase only against trees in the 3x3 neighbouring cells
+            @compute @workgroup_size(${this.workgroupSize})
+            fn main_grid(@builtin(global_invocation_id) id: vec3u) {
+                let i = id.x;
+                if (i >= arrayLength(&trees)) { return; }
+                var t = trees[i];
+
+                // The square container replaces the gravity pull
+                if (params.wallHalf <= 0.0) { apply_gravity(i, &t); }
+
+                t.col = 0.0;
+
+                if (length(t.pos) < 50.0) {
+                    let cell = grid_cell(t.pos);
+                    for (var dy = -1; dy <= 1; dy++) {
+                        for (var dx = -1; dx <= 1; dx++) {
+                            let n = cell + vec2i(dx, dy);
+                            if (any(n < vec2i(0)) || any(n >= vec2i(i32(GRID_DIM)))) { continue; }
+                            let index = u32(n.y) * GRID_DIM + u32(n.x);
+                            for (var k = cell_starts[index]; k < cell_starts[index + 1u]; k++) {
+                                let j = sorted_indices[k];
+                                if (i == j) { continue; }
+                                collide(&t, i, j);
                             }
                         }
                     }
                 }
 
-                // 3. Integration
-                let dt = 0.016;
-                t.vel *= 0.90;
-                if (length(t.vel) > 2.0) { t.vel = normalize(t.vel) * 2.0; }
-                t.pos += t.vel * dt;
+                if (params.wallHalf > 0.0) { apply_walls(&t, i); }
 
-                t.ang_vel *= 0.80;
-                t.ang_vel = clamp(t.ang_vel, -5.0, 5.0);
-                t.rot += t.ang_vel * dt;
+                integrate(&t);
+                trees_out[i] = t;
+            }
+        `;
+    }
 
-                if (abs(t.pos.x) > 100.0 || abs(t.pos.y) > 100.0) { t.pos = vec2f(0.0); t.vel = vec2f(0.0); }
+    /**
+     * Get score reduction shader code
+     * One workgroup strides over all trees, rotating each polygon, then reduces
+     * bounds, wind and collision count in workgroup memory
+     * @returns {string} WGSL compute shader code
+     */
+    getScoreShaderCode() {
+        return `
+// Score shader v${Date.now()} - force cache invalidation
+            struct Tree {
+                pos: vec2f,
+                vel: vec2f,
+                rot: f32,
+                ang_vel: f32,
+                col: f32,
+                _pad: f32,
+            };
+
+            // Matches SCORE_RESULT_FLOAT_COUNT: 8 x 4 bytes
+            struct ScoreResult {
+                min_x: f32,
+                max_x: f32,
+                min_y: f32,
+                max_y: f32,
+                wind_x: f32,
+                wind_y: f32,
+                collisions: u32,
+                _pad: u32,
+            };
+
+            ${this.getParamsStructCode()}
+
+            @group(0) @binding(0) var<storage, read_write> trees: array<Tree>;
+            @group(0) @binding(1) var<storage, read_write> result: ScoreResult;
+            @group(0) @binding(2) var<uniform> params: Params;
+
+            const REDUCE_SIZE = ${SCORE_REDUCE_WORKGROUP_SIZE}u;
+
+            ${this.getTreePolygonCode()}
+
+            var<workgroup> reduce_lo: array<vec2f, ${SCORE_REDUCE_WORKGROUP_SIZE}>;
+            var<workgroup> reduce_hi: array<vec2f, ${SCORE_REDUCE_WORKGROUP_SIZE}>;
+            var<workgroup> reduce_wind: array<vec2f, ${SCORE_REDUCE_WORKGROUP_SIZE}>;
+            var<workgroup> reduce_collisions: array<u32, ${SCORE_REDUCE_WORKGROUP_SIZE}>;
+
+            @compute @workgroup_size(${SCORE_REDUCE_WORKGROUP_SIZE})
+            fn reduce_score(@builtin(local_invocation_id) lid: vec3u) {
+                // Only the trees in use; never past the buffer while a resize catches up
+                let count = min(params.treeCount, arrayLength(&trees));
+                var lo = vec2f(3.0e38);
+                var hi = vec2f(-3.0e38);
+                var wind = vec2f(0.0);
+                var collisions = 0u;
 
-                trees[i] = t;
+                for (var i = lid.x; i < count; i += REDUCE_SIZE) {
+                    let t = trees[i];
+                    let c = cos(t.rot); let s = sin(t.rot);
+                    for (var v = 0u; v < TREE_POLY_POINTS; v++) {
+                        let p = tree_poly[v];
+                        let world = t.pos + vec2f(p.x * c - p.y * s, p.x * s + p.y * c);
+                        lo = min(lo, world);
+                        hi = max(hi, world);
+                    }
+                    // Wind: direction of the pointy end (rot + pi/2)
+                    wind += vec2f(-s, c);
+                    if (t.col > 0.5) { collisions++; }
+                }
+
+                reduce_lo[lid.x] = lo;
+                reduce_hi[lid.x] = hi;
+                reduce_wind[lid.x] = wind;
+                reduce_collisions[lid.x] = collisions;
+                workgroupBarrier();
+
+                for (var stride = REDUCE_SIZE / 2u; stride > 0u; stride /= 2u) {
+                    if (lid.x < stride) {
+                        reduce_lo[lid.x] = min(reduce_lo[lid.x], reduce_lo[lid.x + stride]);
+                        reduce_hi[lid.x] = max(reduce_hi[lid.x], reduce_hi[lid.x + stride]);
+                        reduce_wind[lid.x] += reduce_wind[lid.x + stride];
+                        reduce_collisions[lid.x] += reduce_collisions[lid.x + stride];
+                    }
+                    workgroupBarrier();
+                }
+
+                if (lid.x == 0u) {
+                    result.min_x = reduce_lo[0].x;
+                    result.max_x = reduce_hi[0].x;
+                    result.min_y = reduce_lo[0].y;
+                    result.max_y = reduce_hi[0].y;
+                    result.wind_x = reduce_wind[0].x;
+                    result.wind_y = reduce_wind[0].y;
+                    result.collisions = reduce_collisions[0];
+                }
             }
         `;
     }
@@ -398,26 +1253,12 @@ export class PipelineManager {
                 _pad: f32,
             };
 
-            struct Params {
-                zoom: f32,
-                compression: f32,
-                probX: f32,
-                time: f32,
-                aspect: f32,
-                _pad1: f32,
-                _pad2: f32,
-                _pad3: f32,
-            };
+            ${this.getParamsStructCode()}
 
             @group(0) @binding(0) var<storage, read> trees: array<Tree>;
             @group(0) @binding(1) var<uniform> params: Params;
 
-            var<private> tree_poly: array<vec2f, 16> = array<vec2f, 16>(
-                vec2f(0.0, 0.8), vec2f(0.125, 0.5), vec2f(0.0625, 0.5), vec2f(0.2, 0.25),
-                vec2f(0.1, 0.25), vec2f(0.35, 0.0), vec2f(0.075, 0.0), vec2f(0.075, -0.2),
-                vec2f(-0.075, -0.2), vec2f(-0.075, 0.0), vec2f(-0.35, 0.0), vec2f(-0.1, 0.25),
-                vec2f(-0.2, 0.25), vec2f(-0.0625, 0.5), vec2f(-0.125, 0.5), vec2f(0.0, 0.8)
-            );
+            ${this.getTreePolygonCode()}
 
             struct VertexOut {
                 @builtin(position) pos: vec4f,
@@ -426,7 +1267,7 @@ export class PipelineManager {
 
             @vertex fn vert(@builtin(vertex_index) vIdx: u32, @builtin(instance_index) iIdx: u32) -> VertexOut {
                 let t = trees[iIdx];
-                let local = tree_poly[vIdx % 16];
+                let local = tree_poly[vIdx % TREE_POLY_POINTS];
                 let c = cos(t.rot); let s = sin(t.rot);
                 let world = t.pos + vec2f(local.x * c - local.y * s, local.x * s + local.y * c);
 
@@ -450,6 +1291,8 @@ export class PipelineManager {
         if (this.computePipeline) {
             this.computePipeline = null;
         }
+        this.transformPipeline = null;
+        this.tiledPipeline = null;
         if (this.renderPipeline) {
             this.renderPipeline = null;
         }
@@ -459,11 +1302,20 @@ export class PipelineManager {
         if (this.renderBindGroup) {
             this.renderBindGroup = null;
         }
+        this.nextComputeBindGroup = null;
+        this.nextRenderBindGroup = null;
+        this.nextScoreBindGroup = null;
         if (this.computeBindGroupLayout) {
             this.computeBindGroupLayout = null;
         }
         if (this.renderBindGroupLayout) {
             this.renderBindGroupLayout = null;
         }
+        this.gridPipelines = null;
+        this.gridBindGroup = null;
+        this.gridBindGroupLayout = null;
+        this.scorePipeline = null;
+        this.scoreBindGroup = null;
+        this.scoreBindGroupLayout = null;
     }
 }
@@ -0,0 +1,91 @@
+import { SCORE_RESULT_FLOAT_COUNT, BYTES_PER_FLOAT } from '../constants.js';
+
+/**
+ * Reads the score reduction back from the GPU
+ * Each request dispatches the reduction and copies its small result struct into
+ * a free staging buffer. With two staging buffers one can be mapped while the
+ * next is filled; when both are in flight the request is skipped instead of waiting.
+ */
+export class ScoreReducer {
+    /**
+     * @param {DeviceManager} deviceManager - Device manager
+     * @param {PipelineManager} pipelineManager - Provides the reduction pipeline and bind group
+     * @param {BufferManager} bufferManager - Provides the result and staging buffers
+     */
+    constructor(deviceManager, pipelineManager, bufferManager) {
+        this.device = deviceManager.getDevice();
+        this.pipelineManager = pipelineManager;
+        this.bufferManager = bufferManager;
+
+        // Staging buffers currently waiting on mapAsync
+        this.pendingSlots = new Set();
+    }
+
+    /**
+     * Dispatch the reduction and read its result
+     * @returns {Promise<Object|null>} Reduction {minX, maxX, minY, maxY, windX, windY, collisionCount},
+     *   or null when every staging buffer is still in flight
+     */
+    async reduce() {
+        const readBuffers = this.bufferManager.getScoreReadBuffers();
+        const slot = readBuffers.findIndex((_, index) => !this.pendingSlots.has(index));
+        if (slot === -1) {
+            return null;
+        }
+
+        this.pendingSlots.add(slot);
+        try {
+            const readBuffer = readBuffers[slot];
+            this.encodeAndSubmit(readBuffer);
+
+            await readBuffer.mapAsync(GPUMapMode.READ);
+            try {
+                return ScoreReducer.parseResult(readBuffer.getMappedRange().slice(0));
+            } finally {
+                readBuffer.unmap();
+            }
+        } finally {
+            this.pendingSlots.delete(slot);
+        }
+    }
+
+    /**
+     * Encode the reduction pass plus the copy into a staging buffer and submit
+     * @param {GPUBuffer} readBuffer - Staging buffer receiving the result
+     */
+    encodeAndSubmit(readBuffer) {
+        const encoder = this.device.createCommandEncoder();
+
+        const pass = encoder.beginComputePass();
+        pass.setPipeline(this.pipelineManager.getScorePipeline());
+        pass.setBindGroup(0, this.pipelineManager.getScoreBindGroup());
+        pass.dispatchWorkgroups(1);
+        pass.end();
+
+        encoder.copyBufferToBuffer(
+            this.bufferManager.getScoreResultBuffer(), 0,
+            readBuffer, 0,
+            SCORE_RESULT_FLOAT_COUNT * BYTES_PER_FLOAT
+        );
+        this.device.queue.submit([encoder.finish()]);
+    }
+
+    /**
+     * Decode the ScoreResult struct
+     * @param {ArrayBuffer} data - SCORE_RESULT_FLOAT_COUNT words copied from the GPU
+     * @returns {Object} Reduction {minX, maxX, minY, maxY, windX, windY, collisionCount}
+     */
+    static parseResult(data) {
+        const floats = new Float32Array(data, 0, SCORE_RESULT_FLOAT_COUNT);
+        const words = new Uint32Array(data, 0, SCORE_RESULT_FLOAT_COUNT);
+        return {
+            minX: floats[0],
+            maxX: floats[1],
+            minY: floats[2],
+            maxY: floats[3],
+            windX: floats[4],
+            windY: floats[5],
+            collisionCount: words[6]
+        };
+    }
+}
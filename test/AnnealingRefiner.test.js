@@ -0,0 +1,101 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { AnnealingRefiner } from '../demos/packing2/js/simulation/AnnealingRefiner.js';
+import { OverlapValidator } from '../demos/packing2/js/geometry/OverlapValidator.js';
+import { TreeGeometry } from '../demos/packing2/js/geometry/TreeGeometry.js';
+import { makeTreeData } from './helpers.js';
+
+describe('AnnealingRefiner', () => {
+  let geometry;
+  let refiner;
+  let validator;
+
+  // Loose 2x2 grid of upright trees
+  const looseLayout = () => makeTreeData([[0, 0, 0], [1.5, 0, 0], [0, 1.5, 0], [1.5, 1.5, 0]]);
+
+  beforeEach(() => {
+    geometry = new TreeGeometry();
+    refiner = new AnnealingRefiner(geometry, { yieldInterval: 0 });
+    validator = new OverlapValidator(geometry);
+  });
+
+  describe('refine', () => {
+    it('should shrink the bounding square of a loose layout', async () => {
+      const result = await refiner.refine(looseLayout(), 4, { iterations: 2000 });
+
+      expect(result.initialSide).toBeCloseTo(2.5, 6);
+      expect(result.side).toBeLessThan(result.initialSide);
+      expect(result.accepted).toBeGreaterThan(0);
+    });
+
+    it('should never introduce overlaps', async () => {
+      const result = await refiner.refine(looseLayout(), 4, { iterations: 2000 });
+
+      expect(validator.validate(result.layout, 4).valid).toBe(true);
+    });
+
+    it('should report the side of the returned layout', async () => {
+      const result = await refiner.refine(looseLayout(), 4, { iterations: 500 });
+      const { minX, maxX, minY, maxY } = geometry.getLayoutBounds(result.layout, 4);
+
+      expect(Math.max(maxX - minX, maxY - minY)).toBeCloseTo(result.side, 5);
+    });
+
+    it('should return trees at rest without collision flags', async () => {
+      const treeData = looseLayout();
+      treeData[2] = 3; // velocity
+      treeData[6] = 1; // stale collision flag
+
+      const { layout } = await refiner.refine(treeData, 4, { iterations: 100 });
+
+      expect(layout[2]).toBe(0);
+      expect(layout[6]).toBe(0);
+      expect(layout).toHaveLength(32);
+    });
+
+    it('should be reproducible for the same seed', async () => {
+      const a = await refiner.refine(looseLayout(), 4, { iterations: 300, seed: 5 });
+      const b = await refiner.refine(looseLayout(), 4, { iterations: 300, seed: 5 });
+
+      expect(a.layout).toEqual(b.layout);
+    });
+
+    it('should leave the layout unchanged with no iterations', async () => {
+      const treeData = looseLayout();
+      const result = await refiner.refine(treeData, 4, { iterations: 0 });
+
+      expect(result.side).toBe(result.initialSide);
+      expect(result.layout).toEqual(treeData);
+    });
+
+    it('should reject overlapping starting layouts', async () => {
+      const overlapping = makeTreeData([[0, 0, 0], [0.1, 0, 0]]);
+
+      await expect(refiner.refine(overlapping, 2)).rejects.toThrow('Starting layout has overlapping trees');
+    });
+
+    it('should reject non-positive temperatures', async () => {
+      await expect(refiner.refine(looseLayout(), 4, { endTemperature: 0 })).rejects.toThrow('temperatures must be positive');
+    });
+
+    it('should yield to the event loop between chunks', async () => {
+      let ticks = 0;
+      const timer = setInterval(() => ticks++, 0);
+
+      await refiner.refine(looseLayout(), 4, { iterations: 200, yieldInterval: 50 });
+      clearInterval(timer);
+
+      expect(ticks).toBeGreaterThan(0);
+    });
+  });
+
+  describe('squareSide', () => {
+    it('should use the larger extent of the combined bounds', () => {
+      const side = AnnealingRefiner.squareSide([
+        { minX: 0, maxX: 1, minY: 0, maxY: 1 },
+        { minX: 2, maxX: 3, minY: -0.5, maxY: 0.5 }
+      ]);
+
+      expect(side).toBe(3);
+    });
+  });
+});
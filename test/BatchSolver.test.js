@@ -0,0 +1,197 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { BatchSolver } from '../demos/packing2/js/simulation/BatchSolver.js';
+import { TreeGeometry } from '../demos/packing2/js/geometry/TreeGeometry.js';
+import { OverlapValidator } from '../demos/packing2/js/geometry/OverlapValidator.js';
+import { makeTreeData } from './helpers.js';
+
+// Minimal in-memory Storage implementation
+const createMockStorage = () => {
+  const items = new Map();
+  return {
+    getItem: vi.fn((key) => (items.has(key) ? items.get(key) : null)),
+    setItem: vi.fn((key, value) => items.set(key, String(value))),
+    removeItem: vi.fn((key) => items.delete(key))
+  };
+};
+
+describe('BatchSolver', () => {
+  let mockApp;
+  let storage;
+  let solver;
+  let treeCount;
+
+  beforeEach(() => {
+    treeCount = 10;
+    mockApp = {
+      logger: { info: vi.fn(), success: vi.fn(), warn: vi.fn(), error: vi.fn() },
+      parameters: {
+        get: vi.fn(() => treeCount),
+        set: vi.fn((key, value) => { treeCount = value; }),
+        getPhysics: vi.fn(() => ({ forceGain: 30, contactSolver: 'vertex' }))
+      },
+      treeGeometry: new TreeGeometry(),
+      physicsSimulator: {
+        overlapValidator: new OverlapValidator(new TreeGeometry()),
+        readLayout: vi.fn(() => Promise.resolve(makeTreeData(Array.from({ length: treeCount }, (_, i) => [i, 0, 0]))))
+      },
+      reset: vi.fn(),
+      start: vi.fn(),
+      stop: vi.fn()
+    };
+    storage = createMockStorage();
+    solver = new BatchSolver(mockApp, { storage, stagnationLimit: 3, maxScoreUpdates: 10, maxTreeCount: 3 });
+  });
+
+  describe('start', () => {
+    it('should begin at the first puzzle size', () => {
+      expect(solver.start()).toBe(true);
+
+      expect(solver.isActive).toBe(true);
+      expect(mockApp.parameters.set).toHaveBeenCalledWith('treeCount', 1);
+      expect(mockApp.reset).toHaveBeenCalled();
+      expect(mockApp.start).toHaveBeenCalled();
+    });
+
+    it('should resume from the first unsolved size in storage', () => {
+      storage.setItem('treePacker.batchResults', JSON.stringify({
+        version: 1,
+        results: { 1: { score: 1, side: 1, trees: [[0, 0, 0]] } }
+      }));
+
+      solver.start();
+
+      expect(solver.currentTreeCount).toBe(2);
+    });
+
+    it('should not start when every size is solved', () => {
+      solver.results = { 1: {}, 2: {}, 3: {} };
+      solver.load = vi.fn();
+
+      expect(solver.start()).toBe(false);
+      expect(solver.isActive).toBe(false);
+    });
+  });
+
+  describe('load', () => {
+    it('should ignore unreadable stored results', () => {
+      storage.setItem('treePacker.batchResults', '{not json');
+
+      expect(solver.load()).toEqual({});
+      expect(mockApp.logger.warn).toHaveBeenCalled();
+    });
+  });
+
+  describe('onScoreUpdate', () => {
+    beforeEach(() => {
+      solver.start();
+    });
+
+    it('should ignore updates while inactive', () => {
+      solver.isActive = false;
+      solver.onScoreUpdate({ score: 1, collisionCount: 0, stagnationCount: 0 });
+
+      expect(solver.scoreUpdates).toBe(0);
+    });
+
+    it('should capture collision-free improvements', async () => {
+      solver.onScoreUpdate({ score: 1, collisionCount: 0, stagnationCount: 0 });
+      await vi.waitFor(() => expect(solver.currentBest).not.toBeNull());
+
+      // One upright tree spans 0.7 x 1.0, so side = 1.0
+      expect(solver.currentBest.side).toBeCloseTo(1.0, 5);
+      expect(solver.currentBest.score).toBeCloseTo(1.0, 5);
+    });
+
+    it('should not capture layouts with collisions', () => {
+      solver.onScoreUpdate({ score: 1, collisionCount: 2, stagnationCount: 0 });
+
+      expect(mockApp.physicsSimulator.readLayout).not.toHaveBeenCalled();
+    });
+
+    it('should reject captured layouts with overlapping trees', async () => {
+      solver.beginTreeCount(2);
+      mockApp.physicsSimulator.readLayout.mockResolvedValueOnce(makeTreeData([[0, 0, 0], [0.5, 0, 0]]));
+
+      await solver.captureLayout();
+
+      expect(solver.currentBest).toBeNull();
+    });
+
+    it('should finish the size and advance when stagnation reaches the limit', async () => {
+      await solver.captureLayout();
+      await solver.onScoreUpdate({ score: 5, collisionCount: 1, stagnationCount: 3 });
+
+      expect(solver.results[1].trees).toEqual([[0, 0, 0]]);
+      expect(solver.results[1].physics).toEqual({ forceGain: 30, contactSolver: 'vertex' });
+      expect(solver.currentTreeCount).toBe(2);
+      expect(storage.setItem).toHaveBeenCalled();
+    });
+
+    it('should advance after the maximum number of score updates', async () => {
+      for (let i = 0; i < 10; i++) {
+        await solver.onScoreUpdate({ score: 5, collisionCount: 1, stagnationCount: 0 });
+      }
+
+      expect(solver.currentTreeCount).toBe(2);
+      expect(solver.results[1]).toBeUndefined();
+      expect(mockApp.logger.warn).toHaveBeenCalled();
+    });
+
+    it('should keep an improvement still being captured when the size finishes', async () => {
+      let resolveRead;
+      mockApp.physicsSimulator.readLayout.mockReturnValueOnce(new Promise(resolve => { resolveRead = resolve; }));
+
+      solver.onScoreUpdate({ score: 1, collisionCount: 0, stagnationCount: 0 });
+      const finishing = solver.onScoreUpdate({ score: 1, collisionCount: 0, stagnationCount: 3 });
+      solver.onScoreUpdate({ score: 1, collisionCount: 0, stagnationCount: 4 });
+      expect(solver.currentTreeCount).toBe(1);
+
+      resolveRead(makeTreeData([[0, 0, 0]]));
+      await finishing;
+
+      expect(solver.results[1].trees).toEqual([[0, 0, 0]]);
+      expect(solver.currentTreeCount).toBe(2);
+      expect(mockApp.physicsSimulator.readLayout).toHaveBeenCalledTimes(1);
+    });
+
+    it('should stop after the last size', async () => {
+      solver.results = { 1: { score: 1 }, 2: { score: 1 } };
+      solver.beginTreeCount(3);
+      await solver.captureLayout();
+
+      solver.finishTreeCount();
+
+      expect(solver.isActive).toBe(false);
+      expect(mockApp.stop).toHaveBeenCalled();
+      expect(solver.getSolvedCount()).toBe(3);
+    });
+  });
+
+  describe('getTotalScore', () => {
+    it('should sum the scores of all finished sizes', () => {
+      solver.results = { 1: { score: 0.5 }, 2: { score: 0.25 } };
+
+      expect(solver.getTotalScore()).toBeCloseTo(0.75, 10);
+    });
+  });
+
+  describe('clear', () => {
+    it('should remove results from memory and storage', () => {
+      solver.results = { 1: { score: 1 } };
+      solver.clear();
+
+      expect(solver.results).toEqual({});
+      expect(storage.removeItem).toHaveBeenCalledWith('treePacker.batchResults');
+    });
+  });
+
+  describe('packTrees/unpackTrees', () => {
+    it('should round-trip positions and rotations', () => {
+      const layout = makeTreeData([[1, 2, 0.5], [-1, 3, 1.5]]);
+
+      const trees = BatchSolver.packTrees(layout, 2);
+      expect(trees).toEqual([[1, 2, 0.5], [-1, 3, 1.5]]);
+      expect(BatchSolver.unpackTrees(trees)).toEqual(layout);
+    });
+  });
+});
@@ -0,0 +1,85 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { BottomLeftFill } from '../demos/packing2/js/simulation/BottomLeftFill.js';
+import { AnnealingRefiner } from '../demos/packing2/js/simulation/AnnealingRefiner.js';
+import { SpawnPlanner } from '../demos/packing2/js/simulation/SpawnPlanner.js';
+import { OverlapValidator } from '../demos/packing2/js/geometry/OverlapValidator.js';
+import { TreeGeometry } from '../demos/packing2/js/geometry/TreeGeometry.js';
+
+describe('BottomLeftFill', () => {
+  let geometry;
+  let placer;
+  let validator;
+
+  // Bounding square side of a layout
+  const sideOf = (layout, treeCount) => {
+    const polygons = [];
+    for (let i = 0; i < treeCount; i++) {
+      polygons.push(validator.transformPolygon(layout[i * 8], layout[i * 8 + 1], layout[i * 8 + 4]));
+    }
+    return AnnealingRefiner.squareSide(polygons);
+  };
+
+  beforeEach(() => {
+    geometry = new TreeGeometry();
+    placer = new BottomLeftFill(geometry, { rotations: 4, columns: 3 });
+    validator = new OverlapValidator(geometry);
+  });
+
+  describe('createLayout', () => {
+    it('should place every tree without overlaps', () => {
+      const layout = placer.createLayout(20, 1);
+
+      expect(layout).toBeInstanceOf(Float32Array);
+      expect(layout).toHaveLength(20 * 8);
+      expect(validator.validate(layout, 20).valid).toBe(true);
+    });
+
+    it('should start at rest and centred on the origin', () => {
+      const layout = placer.createLayout(12, 1);
+      const polygons = [];
+      for (let i = 0; i < 12; i++) {
+        expect([layout[i * 8 + 2], layout[i * 8 + 3], layout[i * 8 + 5], layout[i * 8 + 6]]).toEqual([0, 0, 0, 0]);
+        polygons.push(validator.transformPolygon(layout[i * 8], layout[i * 8 + 1], layout[i * 8 + 4]));
+      }
+
+      const minX = Math.min(...polygons.map(p => p.minX));
+      const maxX = Math.max(...polygons.map(p => p.maxX));
+      const minY = Math.min(...polygons.map(p => p.minY));
+      const maxY = Math.max(...polygons.map(p => p.maxY));
+      expect(minX + maxX).toBeCloseTo(0, 5);
+      expect(minY + maxY).toBeCloseTo(0, 5);
+    });
+
+    it('should pack tighter than the random spawn', () => {
+      const layout = placer.createLayout(30, 1);
+
+      expect(sideOf(layout, 30)).toBeLessThan(sideOf(SpawnPlanner.createRandomLayout(30, 1), 30) / 2);
+    });
+
+    it('should grow a roughly square layout', () => {
+      const layout = placer.createLayout(50, 1);
+      const polygons = [];
+      for (let i = 0; i < 50; i++) {
+        polygons.push(validator.transformPolygon(layout[i * 8], layout[i * 8 + 1], layout[i * 8 + 4]));
+      }
+
+      const width = Math.max(...polygons.map(p => p.maxX)) - Math.min(...polygons.map(p => p.minX));
+      const height = Math.max(...polygons.map(p => p.maxY)) - Math.min(...polygons.map(p => p.minY));
+      expect(width / height).toBeGreaterThan(0.8);
+      expect(width / height).toBeLessThan(1.25);
+    });
+
+    it('should only use the candidate rotations', () => {
+      const upright = new BottomLeftFill(geometry, { rotations: 2, columns: 3 }).createLayout(10, 1);
+
+      for (let i = 0; i < 10; i++) {
+        expect([0, Math.fround(Math.PI)]).toContain(upright[i * 8 + 4]);
+      }
+    });
+
+    it('should be reproducible for a seed', () => {
+      expect(placer.createLayout(10, 3)).toEqual(placer.createLayout(10, 3));
+      expect(placer.createLayout(10, 3)).not.toEqual(placer.createLayout(10, 4));
+    });
+  });
+});
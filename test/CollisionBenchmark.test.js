@@ -0,0 +1,71 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { CollisionBenchmark } from '../demos/packing2/js/monitoring/CollisionBenchmark.js';
+import { TreeGeometry } from '../demos/packing2/js/geometry/TreeGeometry.js';
+
+describe('CollisionBenchmark', () => {
+  let benchmark;
+  let mockDevice;
+  let mockDeviceManager;
+
+  beforeEach(() => {
+    mockDevice = createMockGPUDevice();
+    mockDevice.queue.onSubmittedWorkDone = vi.fn().mockResolvedValue();
+    mockDeviceManager = {
+      getDevice: vi.fn().mockReturnValue(mockDevice),
+      getContext: vi.fn().mockReturnValue(null),
+      getPreferredFormat: vi.fn().mockReturnValue('bgra8unorm')
+    };
+
+    benchmark = new CollisionBenchmark(mockDeviceManager, new TreeGeometry());
+  });
+
+  it('should measure every kernel at every tree count', async () => {
+    const onResult = vi.fn();
+
+    const results = await benchmark.run({ treeCounts: [200, 1000], steps: 2, onResult });
+
+    expect(results.map(({ treeCount, kernel }) => [treeCount, kernel])).toEqual([
+      [200, 'brute'], [200, 'tiled'], [1000, 'brute'], [1000, 'tiled']
+    ]);
+    expect(results.every(({ workgroupSize, steps, msPerStep }) => workgroupSize === 64 && steps === 2 && msPerStep >= 0)).toBe(true);
+    expect(onResult).toHaveBeenCalledTimes(4);
+    expect(onResult).toHaveBeenCalledWith(results[0]);
+  });
+
+  it('should build the pipelines once with the requested workgroup size', async () => {
+    await benchmark.run({ treeCounts: [200, 1000], kernels: ['tiled'], workgroupSize: 128, steps: 1 });
+
+    const tiledCalls = mockDevice.createComputePipeline.mock.calls.filter(([descriptor]) => descriptor.compute.entryPoint === 'main_tiled');
+    expect(tiledCalls).toHaveLength(1);
+    const [{ code }] = mockDevice.createShaderModule.mock.calls[0];
+    expect(code).toContain('@compute @workgroup_size(128)');
+  });
+
+  it('should dispatch the selected kernel with the grid off', async () => {
+    const spy = vi.spyOn(benchmark, '_encodeSteps');
+
+    await benchmark.run({ treeCounts: [200], steps: 3 });
+
+    expect(spy.mock.calls.map(([, params, steps]) => [params, steps])).toEqual([
+      [{ treeCount: 200, gridBroadphase: false, tiledCollisions: false }, 5],
+      [{ treeCount: 200, gridBroadphase: false, tiledCollisions: false }, 3],
+      [{ treeCount: 200, gridBroadphase: false, tiledCollisions: true }, 5],
+      [{ treeCount: 200, gridBroadphase: false, tiledCollisions: true }, 3]
+    ]);
+    expect(mockDevice.queue.onSubmittedWorkDone).toHaveBeenCalledTimes(4);
+  });
+
+  it('should start every kernel from the same spawn', async () => {
+    await benchmark.run({ treeCounts: [200], steps: 1 });
+
+    const layouts = mockDevice.queue.writeBuffer.mock.calls
+      .map(([, , data]) => data)
+      .filter(data => data.length === 200 * 8);
+    expect(layouts).toHaveLength(2);
+    expect(layouts[0]).toEqual(layouts[1]);
+  });
+
+  it('should reject unknown kernels', async () => {
+    await expect(benchmark.run({ kernels: ['grid'] })).rejects.toThrow('Unknown benchmark kernel: grid');
+  });
+});
@@ -0,0 +1,341 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { CpuPhysicsKernel } from '../demos/packing2/js/simulation/CpuPhysicsKernel.js';
+import { TreeGeometry } from '../demos/packing2/js/geometry/TreeGeometry.js';
+import { OverlapValidator } from '../demos/packing2/js/geometry/OverlapValidator.js';
+import { PARAMETERS_FLOAT_COUNT, UNIFORM_INDEX, CONTACT_SOLVERS } from '../demos/packing2/js/constants.js';
+import { SimulationParameters } from '../demos/packing2/js/simulation/SimulationParameters.js';
+import { makeTreeData } from './helpers.js';
+
+// Uniforms laid out as UNIFORM_FIELDS, with the default physics unless overridden
+const makeUniforms = ({
+  compression = 1.0, probX = 0.5, time = 0, seed = 0,
+  wallHalf = 0, wallCenterX = 0, wallCenterY = 0,
+  centerX = 0, centerY = 0, targetHalfSide = 0, pullAnisotropy = 0, physics = {}
+} = {}) => {
+  const uniforms = new Float32Array(PARAMETERS_FLOAT_COUNT);
+  // The distance field resolution is a kernel option, not a uniform
+  const { contactSolver, sdfResolution, ...values } = { ...new SimulationParameters().getPhysics(), ...physics };
+  Object.entries({
+    zoom: 2.0, compression, probX, time, aspect: 1.0,
+    wallHalf, wallCenterX, wallCenterY, centerX, centerY, targetHalfSide, pullAnisotropy, ...values
+  })
+    .forEach(([name, value]) => { uniforms[UNIFORM_INDEX[name]] = value; });
+  const words = new Uint32Array(uniforms.buffer);
+  words[UNIFORM_INDEX.seed] = seed;
+  words[UNIFORM_INDEX.contactSolver] = CONTACT_SOLVERS.indexOf(contactSolver);
+  return uniforms;
+};
+
+// Reference WGSL u32 hash using BigInt arithmetic
+const referenceHash = (u) => {
+  const mask = 0xFFFFFFFFn;
+  let x = (BigInt(u) * 747796405n + 2891336453n) & mask;
+  x = ((((x >> ((x >> 28n) + 4n)) ^ x)) * 277803737n) & mask;
+  return Number(x ^ (x >> 22n)) / 4294967295.0;
+};
+
+describe('CpuPhysicsKernel', () => {
+  let kernel;
+
+  beforeEach(() => {
+    kernel = new CpuPhysicsKernel(new TreeGeometry());
+  });
+
+  describe('hash', () => {
+    it('should match 32-bit unsigned shader arithmetic', () => {
+      [0, 1, 2, 63, 1000, 123456, 0xFFFFFFFF].forEach((u) => {
+        expect(CpuPhysicsKernel.hash(u)).toBe(referenceHash(u));
+      });
+    });
+  });
+
+  describe('step', () => {
+    it('should pull an isolated tree toward the origin along one axis', () => {
+      const trees = makeTreeData([[5, 5, 0]]);
+
+      // probX = 1 always pulls in x, 0 always in y
+      kernel.step(trees, makeUniforms({ compression: 5.0, probX: 1.0 }));
+
+      expect(trees[2]).toBeLessThan(0); // vel.x toward origin
+      expect(trees[0]).toBeLessThan(5);
+      expect(trees[6]).toBe(0); // no collision
+    });
+
+    it('should pull toward the compression target instead of the origin', () => {
+      const trees = makeTreeData([[5, 5, 0]]);
+
+      kernel.step(trees, makeUniforms({ compression: 5.0, probX: 1.0, centerX: 8, centerY: 5 }));
+
+      expect(trees[2]).toBeGreaterThan(0); // vel.x toward x = 8
+    });
+
+    it('should pull trees far out along the long side harder', () => {
+      // Same offset from the target; only the reach relative to the half side differs
+      const near = makeTreeData([[2, 0, 0]]);
+      const far = makeTreeData([[2, 0, 0]]);
+
+      kernel.step(near, makeUniforms({ compression: 5.0, probX: 1.0, targetHalfSide: 10, pullAnisotropy: 1 }));
+      kernel.step(far, makeUniforms({ compression: 5.0, probX: 1.0, targetHalfSide: 2, pullAnisotropy: 1 }));
+
+      // vel.x = -2 * 0.025 * (1 + reach) * 0.9 damping
+      expect(near[2]).toBeCloseTo(-2 * 0.025 * 1.2 * 0.9, 6);
+      expect(far[2]).toBeCloseTo(-2 * 0.025 * 2.0 * 0.9, 6);
+    });
+
+    it('should salt the gravity hash with the seed', () => {
+      // Isolated trees far apart so only gravity acts
+      const spawn = () => makeTreeData(Array.from({ length: 16 }, (_, i) => [i * 3 - 24, 5, 0]));
+      const a = spawn();
+      const b = spawn();
+      const c = spawn();
+
+      kernel.step(a, makeUniforms({ seed: 1 }));
+      kernel.step(b, makeUniforms({ seed: 1 }));
+      kernel.step(c, makeUniforms({ seed: 2 }));
+
+      expect(a).toEqual(b);
+      expect(a).not.toEqual(c);
+    });
+
+    it('should not move a tree at rest without compression', () => {
+      const trees = makeTreeData([[1, 2, 0.5]]);
+
+      kernel.step(trees, makeUniforms({ compression: 0 }));
+
+      expect(Array.from(trees.slice(0, 6))).toEqual([1, 2, 0, 0, 0.5, 0]);
+    });
+
+    it('should flag and push apart overlapping trees', () => {
+      const trees = makeTreeData([[0, 0, 0], [0.3, 0, 0]]);
+
+      kernel.step(trees, makeUniforms({ compression: 0 }));
+
+      expect(trees[6]).toBe(1);
+      expect(trees[14]).toBe(1);
+      expect(trees[2]).toBeLessThan(0); // left tree pushed left
+      expect(trees[10]).toBeGreaterThan(0); // right tree pushed right
+    });
+
+    it('should push a tree within the threshold without flagging it', () => {
+      // Upright branches reach x = +-0.35, so the gap is 0.01
+      const trees = makeTreeData([[0, 0, 0], [0.71, 0, 0]]);
+
+      kernel.step(trees, makeUniforms({ compression: 0 }));
+
+      expect(trees[2]).toBeLessThan(0);
+      expect(trees[6]).toBe(0);
+      expect(trees[14]).toBe(0);
+    });
+
+    it('should separate overlapping trees over repeated steps', () => {
+      const trees = makeTreeData([[0, 0, 0], [0.3, 0.2, 1.0]]);
+
+      for (let i = 0; i < 200; i++) {
+        kernel.step(trees, makeUniforms({ compression: 0, time: i }));
+      }
+
+      expect(trees[6]).toBe(0);
+      expect(trees[14]).toBe(0);
+      expect(new OverlapValidator(new TreeGeometry()).validate(trees, 2).valid).toBe(true);
+    });
+
+    it('should read neighbours from the start of the step', () => {
+      const forward = makeTreeData([[0, 0, 0], [0.3, 0.1, 0.2]]);
+      const reversed = makeTreeData([[0.3, 0.1, 0.2], [0, 0, 0]]);
+
+      kernel.step(forward, makeUniforms({ compression: 0 }));
+      kernel.step(reversed, makeUniforms({ compression: 0 }));
+
+      expect(Array.from(forward.slice(0, 8))).toEqual(Array.from(reversed.slice(8, 16)));
+    });
+
+    it('should respawn trees that escape the simulation area', () => {
+      const trees = makeTreeData([[100.01, 0, 0]]);
+      trees[2] = 2.0;
+
+      kernel.step(trees, makeUniforms({ compression: 0 }));
+
+      expect(Array.from(trees.slice(0, 4))).toEqual([0, 0, 0, 0]);
+    });
+  });
+
+  describe('physics parameters', () => {
+    it('should ignore neighbours beyond the search radius', () => {
+      const trees = makeTreeData([[0, 0, 0], [0.3, 0, 0]]);
+
+      kernel.step(trees, makeUniforms({ compression: 0, physics: { searchRadius: 0.2 } }));
+
+      expect(trees[6]).toBe(0);
+      expect(trees[14]).toBe(0);
+    });
+
+    it('should skip the narrowphase for pairs whose grown bounding boxes are apart', () => {
+      const distance = vi.spyOn(kernel, '_distanceToPolygon');
+
+      kernel.step(makeTreeData([[0, 0, 0], [0.75, 0, 0]]), makeUniforms({ compression: 0 }));
+      expect(distance).not.toHaveBeenCalled();
+
+      kernel.step(makeTreeData([[0, 0, 0], [0.75, 0, 0]]), makeUniforms({ compression: 0, physics: { contactThreshold: 0.1 } }));
+      expect(distance).toHaveBeenCalled();
+    });
+
+    it('should scale the contact push with the relaxation rate', () => {
+      const full = makeTreeData([[0, 0, 0], [0.3, 0, 0]]);
+      const half = makeTreeData([[0, 0, 0], [0.3, 0, 0]]);
+
+      kernel.step(full, makeUniforms({ compression: 0 }));
+      kernel.step(half, makeUniforms({ compression: 0, physics: { relaxationRate: 0.5 } }));
+
+      expect(half[2]).toBeCloseTo(full[2] / 2, 5);
+    });
+
+    it('should damp and integrate with the given step', () => {
+      const trees = makeTreeData([[0, 0, 0]]);
+      trees[2] = 1.0;
+      trees[5] = 1.0;
+
+      kernel.step(trees, makeUniforms({ compression: 0, physics: { timeStep: 0.01, linearDamping: 0.5, angularDamping: 0.25 } }));
+
+      expect(trees[2]).toBeCloseTo(0.5, 6);
+      expect(trees[0]).toBeCloseTo(0.005, 6);
+      expect(trees[5]).toBeCloseTo(0.25, 6);
+      expect(trees[4]).toBeCloseTo(0.0025, 6);
+    });
+  });
+
+  describe('separating-axis solver', () => {
+    const sat = (options = {}) => makeUniforms({ compression: 0, ...options, physics: { contactSolver: 'sat', ...options.physics } });
+
+    it('should push overlapping trees apart along the contact normal', () => {
+      const trees = makeTreeData([[0, 0, 0], [0.3, 0.05, 0]]);
+
+      kernel.step(trees, sat());
+
+      expect(trees[6]).toBe(1);
+      expect(trees[14]).toBe(1);
+      expect(trees[2]).toBeLessThan(0);
+      expect(trees[10]).toBeGreaterThan(0);
+      expect(Math.abs(trees[3])).toBeLessThan(Math.abs(trees[2])); // mostly sideways
+    });
+
+    it('should push a tree within the threshold without flagging it', () => {
+      // Upright branches reach x = +-0.35, so the gap is 0.01
+      const trees = makeTreeData([[0, 0, 0], [0.71, 0, 0]]);
+
+      kernel.step(trees, sat());
+
+      expect(trees[2]).toBeLessThan(0);
+      expect(trees[6]).toBe(0);
+    });
+
+    it('should ignore trees further apart than the threshold', () => {
+      const trees = makeTreeData([[0, 0, 0], [0.75, 0, 0]]);
+
+      kernel.step(trees, sat());
+
+      expect(Array.from(trees.slice(0, 7))).toEqual([0, 0, 0, 0, 0, 0, 0]);
+    });
+
+    it('should give mirrored trees equal and opposite pushes', () => {
+      const trees = makeTreeData([[-0.15, 0, 0], [0.15, 0, 0]]);
+
+      kernel.step(trees, sat());
+
+      expect(trees[2]).toBeCloseTo(-trees[10], 5);
+      expect(trees[5]).toBeCloseTo(-trees[13], 5);
+    });
+
+    it('should separate overlapping trees over repeated steps', () => {
+      const trees = makeTreeData([[0, 0, 0], [0.3, 0.2, 1.0]]);
+
+      for (let i = 0; i < 200; i++) {
+        kernel.step(trees, sat({ time: i }));
+      }
+
+      expect(trees[6]).toBe(0);
+      expect(trees[14]).toBe(0);
+      expect(new OverlapValidator(new TreeGeometry()).validate(trees, 2).valid).toBe(true);
+    });
+  });
+
+  describe('distance field solver', () => {
+    const sdf = (options = {}) => makeUniforms({ compression: 0, ...options, physics: { contactSolver: 'sdf', ...options.physics } });
+
+    beforeEach(() => {
+      kernel = new CpuPhysicsKernel(new TreeGeometry(), { sdfResolution: 128 });
+    });
+
+    it('should push overlapping trees apart and flag them', () => {
+      const trees = makeTreeData([[0, 0, 0], [0.3, 0, 0]]);
+
+      kernel.step(trees, sdf());
+
+      expect(trees[6]).toBe(1);
+      expect(trees[14]).toBe(1);
+      expect(trees[2]).toBeLessThan(0);
+      expect(trees[10]).toBeGreaterThan(0);
+    });
+
+    it('should ignore trees further apart than the threshold', () => {
+      const trees = makeTreeData([[0, 0, 0], [0.75, 0, 0]]);
+
+      kernel.step(trees, sdf());
+
+      expect(Array.from(trees.slice(0, 7))).toEqual([0, 0, 0, 0, 0, 0, 0]);
+    });
+
+    it('should follow the exact vertex solver closely at a fine resolution', () => {
+      const exact = makeTreeData([[0, 0, 0], [0.5, 0.1, 0.3]]);
+      const baked = makeTreeData([[0, 0, 0], [0.5, 0.1, 0.3]]);
+
+      kernel.step(exact, makeUniforms({ compression: 0 }));
+      kernel.sdfResolution = 512;
+      kernel.step(baked, sdf());
+
+      expect(baked[6]).toBe(exact[6]);
+      expect(Math.sign(baked[2])).toBe(Math.sign(exact[2]));
+    });
+
+    it('should bake the field once per shape and resolution', () => {
+      const trees = makeTreeData([[0, 0, 0], [0.3, 0, 0]]);
+
+      kernel.step(trees, sdf());
+      const field = kernel.signedDistanceField;
+      kernel.step(trees, sdf());
+
+      expect(kernel.signedDistanceField).toBe(field);
+      kernel.sdfResolution = 64;
+      kernel.step(trees, sdf());
+      expect(kernel.signedDistanceField.resolution).toBe(64);
+    });
+  });
+
+  describe('square container', () => {
+    it('should replace gravity with the walls', () => {
+      const trees = makeTreeData([[1, 2, 0]]);
+
+      kernel.step(trees, makeUniforms({ compression: 5, wallHalf: 10 }));
+
+      expect(Array.from(trees.slice(0, 4))).toEqual([1, 2, 0, 0]);
+    });
+
+    it('should push a tree near a wall back inside without flagging it', () => {
+      // Upright tree spans x in [-0.35, 0.35]; the right wall is 0.01 beyond its edge
+      const trees = makeTreeData([[0, 0, 0]]);
+
+      kernel.step(trees, makeUniforms({ compression: 0, wallHalf: 2, wallCenterX: -1.64 }));
+
+      expect(trees[2]).toBeLessThan(0);
+      expect(trees[6]).toBe(0);
+    });
+
+    it('should flag a tree that crosses a wall', () => {
+      const trees = makeTreeData([[0, 0, 0]]);
+
+      kernel.step(trees, makeUniforms({ compression: 0, wallHalf: 2, wallCenterY: 1.9 }));
+
+      expect(trees[3]).toBeGreaterThan(0); // bottom wall pushes up
+      expect(trees[6]).toBe(1);
+    });
+  });
+});
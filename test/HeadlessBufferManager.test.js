@@ -0,0 +1,68 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { HeadlessBufferManager } from '../demos/packing2/js/headless/HeadlessBufferManager.js';
+import { PARAMETERS_FLOAT_COUNT } from '../demos/packing2/js/constants.js';
+
+describe('HeadlessBufferManager', () => {
+  let kernel;
+  let bufferManager;
+
+  beforeEach(() => {
+    kernel = { step: vi.fn() };
+    bufferManager = new HeadlessBufferManager(kernel);
+    bufferManager.initBuffers(3);
+  });
+
+  it('should allocate tree and uniform buffers', () => {
+    expect(bufferManager.getTreeBuffer()).toHaveLength(24);
+    expect(bufferManager.getUniformBuffer()).toHaveLength(PARAMETERS_FLOAT_COUNT);
+  });
+
+  it('should write data at a byte offset', () => {
+    bufferManager.writeBuffer(bufferManager.getTreeBuffer(), new Float32Array([1, 2]), 8);
+
+    expect(Array.from(bufferManager.getTreeBuffer().slice(0, 4))).toEqual([0, 0, 1, 2]);
+  });
+
+  it('should run the kernel on the tree and uniform buffers', () => {
+    bufferManager.dispatchCompute();
+
+    expect(kernel.step).toHaveBeenCalledWith(bufferManager.getTreeBuffer(), bufferManager.getUniformBuffer());
+  });
+
+  it('should return a copy of the tree buffer', async () => {
+    const data = await bufferManager.readTreeBuffer();
+    data[0] = 5;
+
+    expect(bufferManager.getTreeBuffer()[0]).toBe(0);
+  });
+
+  it('should only resize when the tree count changes', () => {
+    expect(bufferManager.resizeTreeBuffers(3)).toBe(false);
+    expect(bufferManager.resizeTreeBuffers(5)).toBe(true);
+    expect(bufferManager.getTreeBuffer()).toHaveLength(40);
+    expect(bufferManager.getBestTreeBuffer()).toHaveLength(40);
+  });
+
+  it('should pack the kept runs into the resized tree buffer', () => {
+    bufferManager.getTreeBuffer().set([1, 2, 3].flatMap(value => new Array(8).fill(value)));
+
+    expect(bufferManager.resizeTreeBuffersPreserving(4, [{ start: 0, count: 1 }, { start: 2, count: 1 }])).toBe(true);
+
+    const treeBuffer = bufferManager.getTreeBuffer();
+    expect(treeBuffer).toHaveLength(32);
+    expect(Array.from(treeBuffer.subarray(0, 8))).toEqual(new Array(8).fill(1));
+    expect(Array.from(treeBuffer.subarray(8, 16))).toEqual(new Array(8).fill(3));
+    expect(Array.from(treeBuffer.subarray(16))).toEqual(new Array(16).fill(0));
+  });
+
+  it('should copy and read back the best layout buffer', async () => {
+    bufferManager.getTreeBuffer()[0] = 3;
+
+    bufferManager.copyBuffer(bufferManager.getTreeBuffer(), bufferManager.getBestTreeBuffer());
+    const data = await bufferManager.readBestTreeBuffer();
+    data[1] = 5;
+
+    expect(data[0]).toBe(3);
+    expect(bufferManager.getBestTreeBuffer()[1]).toBe(0);
+  });
+});
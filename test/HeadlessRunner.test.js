@@ -0,0 +1,99 @@
+import { describe, it, expect, vi } from 'vitest';
+import { HeadlessRunner } from '../demos/packing2/js/headless/HeadlessRunner.js';
+import { UNIFORM_INDEX, ORIGIN_ANCHOR } from '../demos/packing2/js/constants.js';
+
+const quietLogger = { info: vi.fn(), success: vi.fn(), warn: vi.fn(), error: vi.fn() };
+
+describe('HeadlessRunner', () => {
+  it('should spawn the requested number of trees', () => {
+    const runner = new HeadlessRunner({ treeCount: 4, seed: 1, logger: quietLogger });
+
+    expect(runner.getLayout()).toHaveLength(32);
+  });
+
+  it('should reject invalid tree counts', () => {
+    expect(() => new HeadlessRunner({ treeCount: 0, logger: quietLogger })).toThrow('Invalid tree count');
+  });
+
+  it('should apply physics overrides and report them with the result', async () => {
+    const runner = new HeadlessRunner({ treeCount: 3, seed: 1, physics: { forceGain: 45 }, logger: quietLogger });
+
+    const result = await runner.run(1);
+
+    expect(runner.bufferManager.getUniformBuffer()[UNIFORM_INDEX.forceGain]).toBe(45);
+    expect(result.physics).toEqual(runner.parameters.getPhysics());
+    expect(result.physics.forceGain).toBe(45);
+  });
+
+  it('should reject invalid physics overrides', () => {
+    expect(() => new HeadlessRunner({ treeCount: 3, physics: { timeStep: 0 }, logger: quietLogger }))
+      .toThrow('Invalid physics parameter timeStep: 0');
+  });
+
+  it('should reproduce the same run for the same seed', async () => {
+    const a = await new HeadlessRunner({ treeCount: 5, seed: 9, logger: quietLogger }).run(50);
+    const b = await new HeadlessRunner({ treeCount: 5, seed: 9, logger: quietLogger }).run(50);
+
+    expect(a.layout).toEqual(b.layout);
+    expect(a.score).toBe(b.score);
+  });
+
+  it('should spawn differently for different seeds', () => {
+    const a = new HeadlessRunner({ treeCount: 5, seed: 1, logger: quietLogger });
+    const b = new HeadlessRunner({ treeCount: 5, seed: 2, logger: quietLogger });
+
+    expect(a.getLayout()).not.toEqual(b.getLayout());
+  });
+
+  it('should report score updates every 10 frames', async () => {
+    const runner = new HeadlessRunner({ treeCount: 3, seed: 1, logger: quietLogger });
+    const onScoreUpdate = vi.fn();
+
+    await runner.run(30, onScoreUpdate);
+
+    expect(onScoreUpdate).toHaveBeenCalledTimes(3);
+    expect(runner.frameCount).toBe(30);
+  });
+
+  it('should send the centre of the latest scoring square as the compression target', async () => {
+    const runner = new HeadlessRunner({ treeCount: 3, seed: 1, logger: quietLogger });
+
+    await runner.run(2); // frame 0 scores, frame 1 uploads the target
+    const { bounds, side } = runner.currentScoreData;
+    const uniforms = runner.bufferManager.getUniformBuffer();
+
+    expect(uniforms[UNIFORM_INDEX.centerX]).toBeCloseTo((bounds.minX + bounds.maxX) / 2 * (1 - ORIGIN_ANCHOR), 5);
+    expect(uniforms[UNIFORM_INDEX.centerY]).toBeCloseTo((bounds.minY + bounds.maxY) / 2 * (1 - ORIGIN_ANCHOR), 5);
+    expect(uniforms[UNIFORM_INDEX.targetHalfSide]).toBeCloseTo(side / 2, 5);
+  });
+
+  it('should compress a small layout into a valid packing', async () => {
+    const runner = new HeadlessRunner({ treeCount: 6, seed: 3, logger: quietLogger });
+    const initial = runner.getResult();
+
+    const result = await runner.run(1500);
+
+    expect(result.valid).toBe(true);
+    expect(result.overlaps).toBe(0);
+    expect(result.score).toBeLessThan(initial.score);
+    expect(result.side * result.side / result.treeCount).toBeCloseTo(result.score, 10);
+  });
+
+  it('should keep an annealed layout that shrinks the bounding square', async () => {
+    const runner = new HeadlessRunner({ treeCount: 4, seed: 2, logger: quietLogger });
+    const before = await runner.run(600);
+
+    const refined = await runner.refine({ iterations: 1500 });
+    const after = runner.getResult();
+
+    expect(refined.side).toBeLessThan(refined.initialSide);
+    expect(after.valid).toBe(true);
+    expect(after.side).toBeLessThan(before.side);
+  });
+
+  it('should not refine before an overlap-free layout exists', async () => {
+    const runner = new HeadlessRunner({ treeCount: 4, seed: 2, logger: quietLogger });
+
+    expect(await runner.refine({ iterations: 10 })).toBeNull();
+  });
+});
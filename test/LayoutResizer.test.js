@@ -0,0 +1,132 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { LayoutResizer } from '../demos/packing2/js/simulation/LayoutResizer.js';
+import { AnnealingRefiner } from '../demos/packing2/js/simulation/AnnealingRefiner.js';
+import { SpawnPlanner } from '../demos/packing2/js/simulation/SpawnPlanner.js';
+import { OverlapValidator } from '../demos/packing2/js/geometry/OverlapValidator.js';
+import { TreeGeometry } from '../demos/packing2/js/geometry/TreeGeometry.js';
+
+describe('LayoutResizer', () => {
+  let geometry;
+  let resizer;
+  let planner;
+  let validator;
+
+  const polygonsOf = (layout, treeCount) => {
+    const polygons = [];
+    for (let i = 0; i < treeCount; i++) {
+      polygons.push(validator.transformPolygon(layout[i * 8], layout[i * 8 + 1], layout[i * 8 + 4]));
+    }
+    return polygons;
+  };
+
+  // Bounding square side of a layout
+  const sideOf = (layout, treeCount) => AnnealingRefiner.squareSide(polygonsOf(layout, treeCount));
+
+  // Layout holding only the given trees, in order
+  const keep = (layout, indices) => {
+    const kept = new Float32Array(indices.length * 8);
+    indices.forEach((index, i) => kept.set(layout.subarray(index * 8, index * 8 + 8), i * 8));
+    return kept;
+  };
+
+  const withAdded = (layout, treeCount, added) => {
+    const combined = new Float32Array(layout.length + added.length);
+    combined.set(layout.subarray(0, treeCount * 8));
+    combined.set(added, treeCount * 8);
+    return combined;
+  };
+
+  beforeEach(() => {
+    geometry = new TreeGeometry();
+    resizer = new LayoutResizer(geometry, { rotations: 4 });
+    planner = new SpawnPlanner(geometry);
+    validator = new OverlapValidator(geometry);
+  });
+
+  describe('selectSurvivors', () => {
+    it('should return the ascending indices of the kept trees', () => {
+      const layout = planner.createPairLayout(12);
+
+      const survivors = resizer.selectSurvivors(layout, 12, 9);
+
+      expect(survivors).toHaveLength(9);
+      expect(survivors).toEqual([...survivors].sort((a, b) => a - b));
+      expect(new Set(survivors).size).toBe(9);
+    });
+
+    it('should drop a stray tree first', () => {
+      const layout = new Float32Array(13 * 8);
+      layout.set(planner.createPairLayout(12));
+      layout[12 * 8] = 10;
+      layout[12 * 8 + 1] = -10;
+
+      expect(resizer.selectSurvivors(layout, 13, 12)).toEqual([0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11]);
+    });
+
+    it('should never grow the bounding square', () => {
+      const layout = planner.createHexagonalLayout(20);
+
+      const survivors = resizer.selectSurvivors(layout, 20, 14);
+
+      expect(sideOf(keep(layout, survivors), 14)).toBeLessThanOrEqual(sideOf(layout, 20) + 1e-9);
+    });
+  });
+
+  describe('placeNewTrees', () => {
+    it('should add trees at rest without overlapping the existing ones', () => {
+      const layout = planner.createPairLayout(10);
+
+      const added = resizer.placeNewTrees(layout, 10, 14);
+
+      expect(added).toBeInstanceOf(Float32Array);
+      expect(added).toHaveLength(4 * 8);
+      for (let i = 0; i < 4; i++) {
+        expect([added[i * 8 + 2], added[i * 8 + 3], added[i * 8 + 5], added[i * 8 + 6]]).toEqual([0, 0, 0, 0]);
+      }
+      expect(validator.validate(withAdded(layout, 10, added), 14).valid).toBe(true);
+    });
+
+    it('should fill a gap before growing the square', () => {
+      const full = planner.createHexagonalLayout(25);
+      const polygons = polygonsOf(full, 25);
+      const side = sideOf(full, 25);
+
+      // Take out the tree furthest from every edge of the layout
+      const bounds = {
+        minX: Math.min(...polygons.map(p => p.minX)),
+        maxX: Math.max(...polygons.map(p => p.maxX)),
+        minY: Math.min(...polygons.map(p => p.minY)),
+        maxY: Math.max(...polygons.map(p => p.maxY))
+      };
+      const margin = p => Math.min(p.minX - bounds.minX, bounds.maxX - p.maxX, p.minY - bounds.minY, bounds.maxY - p.maxY);
+      const hole = polygons.reduce((best, p, i) => (margin(p) > margin(polygons[best]) ? i : best), 0);
+      const layout = keep(full, [...Array(25).keys()].filter(i => i !== hole));
+
+      const added = resizer.placeNewTrees(layout, 24, 25);
+      const grown = withAdded(layout, 24, added);
+
+      expect(validator.validate(grown, 25).valid).toBe(true);
+      expect(sideOf(grown, 25)).toBeLessThanOrEqual(side + 1e-6);
+    });
+
+    it('should compute the pole and rotations once per shape', () => {
+      const poleSpy = vi.spyOn(resizer, '_pole');
+      const layout = planner.createPairLayout(6);
+
+      resizer.placeNewTrees(layout, 6, 7);
+      resizer.placeNewTrees(layout, 6, 8);
+      expect(poleSpy).toHaveBeenCalledTimes(1);
+
+      geometry.setPolygon([0.5, 0.5, -0.5, 0.5, -0.5, -0.5, 0.5, -0.5]);
+      resizer.placeNewTrees(new Float32Array(0), 0, 2);
+      expect(poleSpy).toHaveBeenCalledTimes(2);
+    });
+
+    it('should start an empty layout at the origin', () => {
+      const added = resizer.placeNewTrees(new Float32Array(0), 0, 3);
+
+      expect(added).toHaveLength(3 * 8);
+      expect(validator.validate(added, 3).valid).toBe(true);
+    });
+  });
+});
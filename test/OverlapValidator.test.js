@@ -0,0 +1,108 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { OverlapValidator } from '../demos/packing2/js/geometry/OverlapValidator.js';
+import { TreeGeometry } from '../demos/packing2/js/geometry/TreeGeometry.js';
+import { makeTreeData } from './helpers.js';
+
+describe('OverlapValidator', () => {
+  let validator;
+
+  beforeEach(() => {
+    validator = new OverlapValidator(new TreeGeometry());
+  });
+
+  describe('validate', () => {
+    it('should accept trees that are far apart', () => {
+      const report = validator.validate(makeTreeData([[0, 0, 0], [2, 0, 0], [0, 2, 0]]), 3);
+
+      expect(report.valid).toBe(true);
+      expect(report.overlaps).toEqual([]);
+      expect(report.maxDepth).toBe(0);
+    });
+
+    it('should accept trees whose branch tips only touch', () => {
+      // Branch tips sit at x = ±0.35, so trees 0.7 apart meet at a single point
+      const report = validator.validate(makeTreeData([[0, 0, 0], [0.7, 0, 0]]), 2);
+
+      expect(report.valid).toBe(true);
+    });
+
+    it('should report overlapping branches with a penetration depth', () => {
+      const report = validator.validate(makeTreeData([[0, 0, 0], [0.6, 0, 0]]), 2);
+
+      expect(report.valid).toBe(false);
+      expect(report.overlaps).toHaveLength(1);
+      expect(report.overlaps[0]).toMatchObject({ i: 0, j: 1 });
+      expect(report.overlaps[0].depth).toBeGreaterThan(0);
+      expect(report.maxDepth).toBe(report.overlaps[0].depth);
+    });
+
+    it('should report coincident trees', () => {
+      const report = validator.validate(makeTreeData([[1, 1, 0.5], [1, 1, 0.5]]), 2);
+
+      expect(report.valid).toBe(false);
+    });
+
+    it('should report a tiny overlap the GPU threshold would miss', () => {
+      const report = validator.validate(makeTreeData([[0, 0, 0], [0.699, 0, 0]]), 2);
+
+      expect(report.valid).toBe(false);
+      expect(report.maxDepth).toBeLessThan(0.02);
+    });
+
+    it('should list only the overlapping pairs in index order', () => {
+      const report = validator.validate(makeTreeData([[0.5, 0, 0], [5, 5, 0], [0, 0, 0]]), 3);
+
+      expect(report.overlaps.map(({ i, j }) => [i, j])).toEqual([[0, 2]]);
+    });
+
+    it('should ignore trees beyond the tree count', () => {
+      const report = validator.validate(makeTreeData([[0, 0, 0], [0, 0, 0]]), 1);
+
+      expect(report.valid).toBe(true);
+    });
+  });
+
+  describe('checkPair', () => {
+    it('should detect crossing edges of polygons with no vertex inside the other', () => {
+      // Thin bar crossed by the same bar rotated 90 degrees
+      const bar = new OverlapValidator({ getPolygon: () => new Float32Array([-1, -0.1, 1, -0.1, 1, 0.1, -1, 0.1]) });
+
+      const result = bar.checkPair(bar.transformPolygon(0, 0, 0), bar.transformPolygon(0, 0, Math.PI / 2));
+
+      expect(result.overlapping).toBe(true);
+    });
+
+    it('should treat shared edges as touching', () => {
+      const square = new OverlapValidator({ getPolygon: () => new Float32Array([0, 0, 1, 0, 1, 1, 0, 1]) });
+
+      const result = square.checkPair(square.transformPolygon(0, 0, 0), square.transformPolygon(1, 0, 0));
+
+      expect(result).toEqual({ overlapping: false, depth: 0 });
+    });
+  });
+
+  describe('transformPolygon', () => {
+    it('should drop the repeated closing vertex', () => {
+      const polygon = validator.transformPolygon(0, 0, 0);
+
+      expect(polygon.points.length).toBe(30);
+      expect(polygon.maxY).toBeCloseTo(0.8, 6);
+      expect(polygon.minX).toBeCloseTo(-0.35, 6);
+    });
+  });
+
+  describe('overlapsAny', () => {
+    it('should find an overlap against any polygon in the set', () => {
+      const polygons = [validator.transformPolygon(0, 0, 0), validator.transformPolygon(3, 0, 0)];
+
+      expect(validator.overlapsAny(validator.transformPolygon(3.1, 0, 0), polygons)).toBe(true);
+      expect(validator.overlapsAny(validator.transformPolygon(1.5, 0, 0), polygons)).toBe(false);
+    });
+
+    it('should ignore the skipped index', () => {
+      const polygons = [validator.transformPolygon(0, 0, 0), validator.transformPolygon(3, 0, 0)];
+
+      expect(validator.overlapsAny(validator.transformPolygon(3.1, 0, 0), polygons, 1)).toBe(false);
+    });
+  });
+});
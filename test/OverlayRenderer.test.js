@@ -93,6 +93,37 @@ describe('OverlayRenderer', () => {
     });
   });
 
+  describe('drawOverlay', () => {
+    const bounds = { minX: -2, maxX: 2, minY: -1, maxY: 1 };
+
+    beforeEach(() => {
+      mockSimulationParameters.get.mockReturnValue(2.0); // zoom
+      mockCtx.canvas = mockCanvas;
+      mockCtx.setLineDash = vi.fn();
+      mockCtx.closePath = vi.fn();
+    });
+
+    it('should draw compression arrows in gravity mode', () => {
+      overlayRenderer.drawOverlay(bounds, 0.7);
+
+      expect(mockCtx.strokeRect).toHaveBeenCalledTimes(2); // bounds and scoring square
+      expect(mockCtx.closePath).toHaveBeenCalled();
+    });
+
+    it('should draw the container walls instead of arrows', () => {
+      overlayRenderer.drawOverlay(bounds, 0.7, [], 0, null, { centerX: 0, centerY: 0, side: 5 });
+
+      // Side 5 at zoom 2 covers 300 px on both axes of the 800x600 canvas, centred
+      expect(mockCtx.strokeRect).toHaveBeenCalledTimes(3);
+      const [x, y, w, h] = mockCtx.strokeRect.mock.calls[2];
+      expect(w).toBeCloseTo(300, 6);
+      expect(h).toBeCloseTo(300, 6);
+      expect(x).toBeCloseTo(250, 6);
+      expect(y).toBeCloseTo(150, 6);
+      expect(mockCtx.closePath).not.toHaveBeenCalled();
+    });
+  });
+
   describe('drawCrosshair', () => {
     it('should draw center crosshair with correct styling', () => {
       overlayRenderer.drawCrosshair(800, 600);
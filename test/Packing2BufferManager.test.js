@@ -1,5 +1,6 @@
 import { describe, it, expect, beforeEach, vi } from 'vitest';
 import { BufferManager } from '../demos/packing2/js/webgpu/BufferManager.js';
+import { GRID_CELL_COUNT, SCORE_READ_BUFFER_COUNT, PARAMETERS_FLOAT_COUNT, WORLD_SLOTS_PER_TREE, MAX_SUBSTEPS } from '../demos/packing2/js/constants.js';
 
 describe('BufferManager (Packing2)', () => {
   let bufferManager;
@@ -65,6 +66,33 @@ describe('BufferManager (Packing2)', () => {
       });
       expect(bufferManager.treeBuffer).toBeDefined();
     });
+
+    it('should create a second buffer of the same size for the next state', () => {
+      mockDevice.createBuffer.mockImplementation(({ size }) => createMockGPUBuffer(size));
+
+      bufferManager.createTreeBuffer(5);
+
+      expect(mockDevice.createBuffer).toHaveBeenCalledTimes(2);
+      expect(bufferManager.getNextTreeBuffer()).toBeDefined();
+      expect(bufferManager.getNextTreeBuffer()).not.toBe(bufferManager.getTreeBuffer());
+    });
+  });
+
+  describe('swapTreeBuffers', () => {
+    it('should make the next buffer the latest one and back', () => {
+      mockDevice.createBuffer.mockImplementation(({ size }) => createMockGPUBuffer(size));
+      bufferManager.createTreeBuffer(5);
+      const [latest, next] = [bufferManager.getTreeBuffer(), bufferManager.getNextTreeBuffer()];
+
+      bufferManager.swapTreeBuffers();
+
+      expect(bufferManager.getTreeBuffer()).toBe(next);
+      expect(bufferManager.getNextTreeBuffer()).toBe(latest);
+
+      bufferManager.swapTreeBuffers();
+
+      expect(bufferManager.getTreeBuffer()).toBe(latest);
+    });
   });
 
   describe('createReadBuffer', () => {
@@ -86,13 +114,23 @@ describe('BufferManager (Packing2)', () => {
     it('should create uniform buffer with correct size', () => {
       bufferManager.createUniformBuffer();
 
-      // 8 floats * 4 bytes = 32 bytes
+      // One 4-byte slot per uniform field, padded to 16 bytes
       expect(mockDevice.createBuffer).toHaveBeenCalledWith({
-        size: 32,
+        size: PARAMETERS_FLOAT_COUNT * 4,
         usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST
       });
       expect(bufferManager.uniformBuffer).toBeDefined();
     });
+
+    it('should create a copy source holding one uniform block per substep', () => {
+      bufferManager.createUniformBuffer();
+
+      expect(mockDevice.createBuffer).toHaveBeenCalledWith({
+        size: MAX_SUBSTEPS * PARAMETERS_FLOAT_COUNT * 4,
+        usage: GPUBufferUsage.COPY_SRC | GPUBufferUsage.COPY_DST
+      });
+      expect(bufferManager.getSubstepUniformBuffer()).toBe(bufferManager.substepUniformBuffer);
+    });
   });
 
   describe('createGeometryBuffers', () => {
@@ -159,6 +197,188 @@ describe('BufferManager (Packing2)', () => {
     });
   });
 
+  describe('createSdfTexture', () => {
+    const field = { resolution: 4, data: new Float32Array(4 * 4 * 4) };
+
+    it('should upload the field as an rgba32float texture', () => {
+      bufferManager.createSdfTexture(field);
+
+      expect(mockDevice.createTexture).toHaveBeenCalledWith({
+        size: [4, 4],
+        format: 'rgba32float',
+        usage: GPUTextureUsage.TEXTURE_BINDING | GPUTextureUsage.COPY_DST
+      });
+      expect(mockDevice.queue.writeTexture).toHaveBeenCalledWith(
+        { texture: bufferManager.sdfTexture },
+        field.data,
+        { bytesPerRow: 64, rowsPerImage: 4 },
+        [4, 4]
+      );
+      expect(bufferManager.getSdfTextureView()).toBe(bufferManager.sdfTexture.createView.mock.results[0].value);
+    });
+
+    it('should upload a placeholder reading as far from the shape without a field', () => {
+      bufferManager.createSdfTexture();
+
+      expect(mockDevice.createTexture).toHaveBeenCalledWith(expect.objectContaining({ size: [2, 2] }));
+      expect(Array.from(mockDevice.queue.writeTexture.mock.calls[0][1])).toEqual(new Array(16).fill(1000));
+    });
+
+    it('should destroy the previous texture', () => {
+      bufferManager.createSdfTexture(field);
+      const previous = bufferManager.sdfTexture;
+
+      bufferManager.createSdfTexture(field);
+
+      expect(previous.destroy).toHaveBeenCalled();
+      expect(bufferManager.sdfTexture).not.toBe(previous);
+    });
+
+    it('should be released by destroy', () => {
+      bufferManager.createSdfTexture(field);
+      const texture = bufferManager.sdfTexture;
+
+      bufferManager.destroy();
+
+      expect(texture.destroy).toHaveBeenCalled();
+      expect(bufferManager.getSdfTextureView()).toBeNull();
+    });
+  });
+
+  describe('createGridBuffers', () => {
+    it('should size cell buffers by the grid and index buffers by the tree count', () => {
+      bufferManager.createGridBuffers(7);
+
+      expect(mockDevice.createBuffer).toHaveBeenCalledWith({
+        size: GRID_CELL_COUNT * 4,
+        usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST
+      });
+      expect(mockDevice.createBuffer).toHaveBeenCalledWith({
+        size: (GRID_CELL_COUNT + 1) * 4,
+        usage: GPUBufferUsage.STORAGE
+      });
+      expect(mockDevice.createBuffer).toHaveBeenCalledWith({
+        size: 7 * 4,
+        usage: GPUBufferUsage.STORAGE
+      });
+      expect(mockDevice.createBuffer).toHaveBeenCalledTimes(5);
+    });
+
+    it('should only recreate per-tree buffers once cell buffers exist', () => {
+      bufferManager.createGridBuffers(7);
+      const { cellCounts } = bufferManager.getGridBuffers();
+      mockDevice.createBuffer.mockClear();
+
+      bufferManager.createGridBuffers(12);
+
+      expect(mockDevice.createBuffer).toHaveBeenCalledTimes(2);
+      expect(bufferManager.getGridBuffers().cellCounts).toBe(cellCounts);
+    });
+
+    it('should be created by initBuffers and resizeTreeBuffers', () => {
+      const createGridBuffersSpy = vi.spyOn(bufferManager, 'createGridBuffers');
+
+      bufferManager.initBuffers(10, mockTreeGeometry);
+      bufferManager.resizeTreeBuffers(20);
+
+      expect(createGridBuffersSpy).toHaveBeenCalledWith(10);
+      expect(createGridBuffersSpy).toHaveBeenCalledWith(20);
+    });
+  });
+
+  describe('world transform buffer', () => {
+    it('should give every tree WORLD_SLOTS_PER_TREE vec2f slots', () => {
+      bufferManager.createWorldBuffer(10);
+
+      expect(mockDevice.createBuffer).toHaveBeenCalledWith({
+        size: 10 * WORLD_SLOTS_PER_TREE * 2 * 4,
+        usage: GPUBufferUsage.STORAGE
+      });
+      expect(bufferManager.getWorldBuffer()).toBe(bufferManager.worldBuffer);
+    });
+
+    it('should be created by initBuffers and resizeTreeBuffers and released by destroy', () => {
+      const createWorldSpy = vi.spyOn(bufferManager, 'createWorldBuffer');
+
+      bufferManager.initBuffers(10, mockTreeGeometry);
+      bufferManager.resizeTreeBuffers(20);
+      const worldBuffer = bufferManager.getWorldBuffer();
+      bufferManager.destroy();
+
+      expect(createWorldSpy).toHaveBeenCalledWith(10);
+      expect(createWorldSpy).toHaveBeenCalledWith(20);
+      expect(worldBuffer.destroy).toHaveBeenCalled();
+      expect(bufferManager.getWorldBuffer()).toBeNull();
+    });
+  });
+
+  describe('best layout buffer', () => {
+    it('should create a tree-sized buffer that can be copied both ways', () => {
+      bufferManager.createBestTreeBuffer(10);
+
+      expect(mockDevice.createBuffer).toHaveBeenCalledWith({
+        size: 10 * 8 * 4,
+        usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST | GPUBufferUsage.COPY_SRC
+      });
+      expect(bufferManager.getBestTreeBuffer()).toBe(bufferManager.bestTreeBuffer);
+    });
+
+    it('should be created by initBuffers and resizeTreeBuffers', () => {
+      const createBestSpy = vi.spyOn(bufferManager, 'createBestTreeBuffer');
+
+      bufferManager.initBuffers(10, mockTreeGeometry);
+      bufferManager.resizeTreeBuffers(20);
+
+      expect(createBestSpy).toHaveBeenCalledWith(10);
+      expect(createBestSpy).toHaveBeenCalledWith(20);
+    });
+
+    it('should copy between buffers and submit', () => {
+      const source = createMockGPUBuffer(96);
+      const destination = createMockGPUBuffer(96);
+      const mockEncoder = createMockGPUCommandEncoder();
+      mockDevice.createCommandEncoder.mockReturnValue(mockEncoder);
+
+      bufferManager.copyBuffer(source, destination);
+
+      expect(mockEncoder.copyBufferToBuffer).toHaveBeenCalledWith(source, 0, destination, 0, 96);
+      expect(mockDevice.queue.submit).toHaveBeenCalled();
+    });
+
+    it('should read the best buffer through the shared read buffer', async () => {
+      bufferManager.bestTreeBuffer = createMockGPUBuffer(16);
+      bufferManager.readBuffer = {
+        ...createMockGPUBuffer(16),
+        mapAsync: vi.fn().mockResolvedValue(),
+        getMappedRange: vi.fn().mockReturnValue(new Float32Array([7, 8, 9, 10]).buffer)
+      };
+      const mockEncoder = createMockGPUCommandEncoder();
+      mockDevice.createCommandEncoder.mockReturnValue(mockEncoder);
+
+      const data = await bufferManager.readBestTreeBuffer();
+
+      expect(mockEncoder.copyBufferToBuffer).toHaveBeenCalledWith(bufferManager.bestTreeBuffer, 0, bufferManager.readBuffer, 0, 16);
+      expect(Array.from(data)).toEqual([7, 8, 9, 10]);
+    });
+  });
+
+  describe('createScoreBuffers', () => {
+    it('should create a copyable result buffer and mappable staging buffers', () => {
+      bufferManager.createScoreBuffers();
+
+      expect(mockDevice.createBuffer).toHaveBeenCalledWith({
+        size: 32,
+        usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_SRC
+      });
+      expect(mockDevice.createBuffer).toHaveBeenCalledWith({
+        size: 32,
+        usage: GPUBufferUsage.COPY_DST | GPUBufferUsage.MAP_READ
+      });
+      expect(bufferManager.getScoreResultBuffer()).not.toBeNull();
+      expect(bufferManager.getScoreReadBuffers()).toHaveLength(SCORE_READ_BUFFER_COUNT);
+    });
+  });
+
   describe('writeBuffer', () => {
     it('should write data to buffer using device queue', () => {
       const mockBuffer = createMockGPUBuffer();
@@ -205,6 +425,57 @@ describe('BufferManager (Packing2)', () => {
     });
   });
 
+  describe('readTreeBuffer', () => {
+    beforeEach(() => {
+      bufferManager.treeBuffer = createMockGPUBuffer(64);
+      bufferManager.readBuffer = {
+        ...createMockGPUBuffer(64),
+        mapAsync: vi.fn().mockResolvedValue(),
+        getMappedRange: vi.fn().mockReturnValue(new Float32Array([1, 2, 3, 4]).buffer)
+      };
+    });
+
+    it('should copy the tree buffer and return a CPU copy', async () => {
+      const data = await bufferManager.readTreeBuffer();
+
+      expect(mockDevice.queue.submit).toHaveBeenCalled();
+      expect(bufferManager.readBuffer.mapAsync).toHaveBeenCalledWith(GPUMapMode.READ);
+      expect(bufferManager.readBuffer.unmap).toHaveBeenCalled();
+      expect(Array.from(data)).toEqual([1, 2, 3, 4]);
+    });
+
+    it('should read the latest of the ping-pong buffers', async () => {
+      const latest = createMockGPUBuffer(64);
+      bufferManager.nextTreeBuffer = latest;
+      bufferManager.swapTreeBuffers();
+
+      await bufferManager.readTreeBuffer();
+
+      expect(mockDevice.createCommandEncoder.mock.results[0].value.copyBufferToBuffer)
+        .toHaveBeenCalledWith(latest, 0, bufferManager.readBuffer, 0, 64);
+    });
+
+    it('should serialize concurrent reads', async () => {
+      const order = [];
+      bufferManager.readBuffer.mapAsync = vi.fn(async () => { order.push('map'); });
+      bufferManager.readBuffer.unmap = vi.fn(() => { order.push('unmap'); });
+
+      await Promise.all([bufferManager.readTreeBuffer(), bufferManager.readTreeBuffer()]);
+
+      expect(order).toEqual(['map', 'unmap', 'map', 'unmap']);
+    });
+
+    it('should unmap and keep serving reads after a failure', async () => {
+      bufferManager.readBuffer.getMappedRange = vi.fn(() => { throw new Error('mapping lost'); });
+
+      await expect(bufferManager.readTreeBuffer()).rejects.toThrow('mapping lost');
+      expect(bufferManager.readBuffer.unmap).toHaveBeenCalled();
+
+      bufferManager.readBuffer.getMappedRange = vi.fn().mockReturnValue(new Float32Array([5]).buffer);
+      await expect(bufferManager.readTreeBuffer()).resolves.toEqual(new Float32Array([5]));
+    });
+  });
+
   describe('getter methods', () => {
     beforeEach(() => {
       bufferManager.treeBuffer = createMockGPUBuffer();
@@ -258,6 +529,45 @@ describe('BufferManager (Packing2)', () => {
       expect(result).toBe(true);
     });
 
+    it('should destroy the buffers it replaces', async () => {
+      mockDevice.createBuffer.mockImplementation(({ size }) => createMockGPUBuffer(size));
+      bufferManager.initBuffers(10, mockTreeGeometry);
+      const replaced = [
+        bufferManager.treeBuffer,
+        bufferManager.nextTreeBuffer,
+        bufferManager.readBuffer,
+        bufferManager.bestTreeBuffer,
+        bufferManager.worldBuffer,
+        bufferManager.sortedIndexBuffer,
+        bufferManager.treeCellBuffer
+      ];
+      const { cellCounts } = bufferManager.getGridBuffers();
+
+      bufferManager.resizeTreeBuffers(20);
+      await bufferManager.pendingRead;
+
+      replaced.forEach(buffer => expect(buffer.destroy).toHaveBeenCalled());
+      expect(cellCounts.destroy).not.toHaveBeenCalled();
+      expect(bufferManager.treeBuffer.destroy).not.toHaveBeenCalled();
+    });
+
+    it('should keep the old read buffer until queued reads finish', async () => {
+      mockDevice.createBuffer.mockImplementation(({ size }) => createMockGPUBuffer(size));
+      bufferManager.initBuffers(10, mockTreeGeometry);
+      const oldRead = bufferManager.readBuffer;
+      let finishRead;
+      bufferManager.pendingRead = new Promise(resolve => { finishRead = resolve; });
+
+      bufferManager.resizeTreeBuffers(20);
+      await Promise.resolve();
+      expect(oldRead.destroy).not.toHaveBeenCalled();
+
+      finishRead();
+      await bufferManager.pendingRead;
+      await Promise.resolve();
+      expect(oldRead.destroy).toHaveBeenCalled();
+    });
+
     it('should not resize when size is the same', () => {
       // 3 trees * 8 floats * 4 bytes = 96 bytes
       bufferManager.treeBuffer = createMockGPUBuffer(96);
@@ -273,6 +583,39 @@ describe('BufferManager (Packing2)', () => {
     });
   });
 
+  describe('resizeTreeBuffersPreserving', () => {
+    it('should copy the kept runs back to back into the new buffer and destroy the old pair', () => {
+      const oldTree = createMockGPUBuffer(5 * 32);
+      const oldNext = createMockGPUBuffer(5 * 32);
+      bufferManager.treeBuffer = oldTree;
+      bufferManager.nextTreeBuffer = oldNext;
+      mockDevice.createBuffer.mockImplementation(({ size }) => createMockGPUBuffer(size));
+      const encoder = mockDevice.createCommandEncoder();
+
+      const result = bufferManager.resizeTreeBuffersPreserving(3, [{ start: 0, count: 2 }, { start: 4, count: 1 }]);
+
+      expect(result).toBe(true);
+      expect(bufferManager.treeBuffer.size).toBe(3 * 32);
+      expect(encoder.copyBufferToBuffer.mock.calls).toEqual([
+        [oldTree, 0, bufferManager.treeBuffer, 0, 64],
+        [oldTree, 128, bufferManager.treeBuffer, 64, 32]
+      ]);
+      expect(mockDevice.queue.submit).toHaveBeenCalled();
+      expect(oldTree.destroy).toHaveBeenCalled();
+      expect(oldNext.destroy).toHaveBeenCalled();
+    });
+
+    it('should leave the buffers alone when the tree count is unchanged', () => {
+      const oldTree = createMockGPUBuffer(96);
+      bufferManager.treeBuffer = oldTree;
+
+      expect(bufferManager.resizeTreeBuffersPreserving(3, [{ start: 0, count: 3 }])).toBe(false);
+      expect(bufferManager.treeBuffer).toBe(oldTree);
+      expect(mockDevice.queue.submit).not.toHaveBeenCalled();
+      expect(oldTree.destroy).not.toHaveBeenCalled();
+    });
+  });
+
   describe('destroy', () => {
     it('should destroy all buffers and clear references', () => {
       const buffers = [
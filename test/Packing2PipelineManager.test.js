@@ -1,5 +1,6 @@
 import { describe, it, expect, beforeEach, vi } from 'vitest';
 import { PipelineManager } from '../demos/packing2/js/webgpu/PipelineManager.js';
+import { TreeGeometry } from '../demos/packing2/js/geometry/TreeGeometry.js';
 
 describe('PipelineManager (Packing2)', () => {
   let pipelineManager;
@@ -14,7 +15,7 @@ describe('PipelineManager (Packing2)', () => {
       getPreferredFormat: vi.fn().mockReturnValue('bgra8unorm')
     };
 
-    mockTreeGeometry = {};
+    mockTreeGeometry = new TreeGeometry();
 
     pipelineManager = new PipelineManager(mockDeviceManager, mockTreeGeometry);
   });
@@ -30,6 +31,13 @@ describe('PipelineManager (Packing2)', () => {
       expect(pipelineManager.renderBindGroupLayout).toBeNull();
       expect(pipelineManager.computeBindGroup).toBeNull();
       expect(pipelineManager.renderBindGroup).toBeNull();
+      expect(pipelineManager.getWorkgroupSize()).toBe(64);
+    });
+
+    it('should accept the supported workgroup sizes only', () => {
+      expect(new PipelineManager(mockDeviceManager, mockTreeGeometry, 256).getWorkgroupSize()).toBe(256);
+      expect(() => new PipelineManager(mockDeviceManager, mockTreeGeometry, 96)).toThrow('Unsupported workgroup size: 96');
+      expect(() => new PipelineManager(mockDeviceManager, mockTreeGeometry, 512)).toThrow('Unsupported workgroup size: 512');
     });
   });
 
@@ -120,6 +128,30 @@ describe('PipelineManager (Packing2)', () => {
       });
       expect(pipelineManager.computePipeline).toBe(mockPipeline);
     });
+
+    it('should create the transform pipeline from the same module', async () => {
+      const mockPipeline = {};
+      mockDevice.createComputePipeline.mockReturnValue(mockPipeline);
+
+      await pipelineManager.createComputePipeline();
+
+      expect(mockDevice.createComputePipeline).toHaveBeenCalledWith({
+        layout: expect.any(Object),
+        compute: {
+          module: expect.any(Object),
+          entryPoint: 'transform_trees'
+        }
+      });
+      expect(pipelineManager.getTransformPipeline()).toBe(mockPipeline);
+    });
+
+    it('should create the tiled pipeline from the same module', async () => {
+      await pipelineManager.createComputePipeline();
+
+      const entryPoints = mockDevice.createComputePipeline.mock.calls.map(([descriptor]) => descriptor.compute.entryPoint);
+      expect(entryPoints).toEqual(['main', 'transform_trees', 'main_tiled']);
+      expect(pipelineManager.getTiledPipeline()).toBe(pipelineManager.tiledPipeline);
+    });
   });
 
   describe('createRenderPipeline', () => {
@@ -201,7 +233,7 @@ describe('PipelineManager (Packing2)', () => {
   });
 
   describe('createBindGroupLayout', () => {
-    it('should create compute bind group layout with storage and uniform bindings', () => {
+    it('should create compute bind group layout with previous state, uniform, next state and distance field bindings', () => {
       const mockComputeLayout = {};
       const mockRenderLayout = {};
 
@@ -216,12 +248,27 @@ describe('PipelineManager (Packing2)', () => {
           {
             binding: 0,
             visibility: GPUShaderStage.COMPUTE,
-            buffer: { type: 'storage' }
+            buffer: { type: 'read-only-storage' }
           },
           {
             binding: 1,
             visibility: GPUShaderStage.COMPUTE,
             buffer: { type: 'uniform' }
+          },
+          {
+            binding: 2,
+            visibility: GPUShaderStage.COMPUTE,
+            buffer: { type: 'storage' }
+          },
+          {
+            binding: 3,
+            visibility: GPUShaderStage.COMPUTE,
+            texture: { sampleType: 'unfilterable-float' }
+          },
+          {
+            binding: 4,
+            visibility: GPUShaderStage.COMPUTE,
+            buffer: { type: 'storage' }
           }
         ]
       });
@@ -254,6 +301,41 @@ describe('PipelineManager (Packing2)', () => {
       });
       expect(pipelineManager.renderBindGroupLayout).toBe(mockRenderLayout);
     });
+
+    it('should create grid bind group layout with five storage bindings', () => {
+      pipelineManager.createBindGroupLayout();
+
+      const entries = [0, 1, 2, 3, 4].map(binding => ({
+        binding,
+        visibility: GPUShaderStage.COMPUTE,
+        buffer: { type: 'storage' }
+      }));
+      expect(mockDevice.createBindGroupLayout).toHaveBeenCalledWith({ entries });
+      expect(pipelineManager.gridBindGroupLayout).not.toBeNull();
+    });
+  });
+
+  describe('createGridPipelines', () => {
+    beforeEach(() => {
+      pipelineManager.computeBindGroupLayout = { id: 'compute' };
+      pipelineManager.gridBindGroupLayout = { id: 'grid' };
+    });
+
+    it('should bind the grid layout as group 1', async () => {
+      await pipelineManager.createGridPipelines();
+
+      expect(mockDevice.createPipelineLayout).toHaveBeenCalledWith({
+        bindGroupLayouts: [pipelineManager.computeBindGroupLayout, pipelineManager.gridBindGroupLayout]
+      });
+    });
+
+    it('should create count, scan, scatter and physics pipelines', async () => {
+      await pipelineManager.createGridPipelines();
+
+      const entryPoints = mockDevice.createComputePipeline.mock.calls.map(([desc]) => desc.compute.entryPoint);
+      expect(entryPoints).toEqual(['grid_count', 'grid_scan', 'grid_scatter', 'main_grid']);
+      expect(Object.keys(pipelineManager.getGridPipelines())).toEqual(['count', 'scan', 'scatter', 'physics']);
+    });
   });
 
   describe('createBindGroup', () => {
@@ -262,6 +344,9 @@ describe('PipelineManager (Packing2)', () => {
       pipelineManager.renderBindGroupLayout = {};
       pipelineManager.bufferManager = {
         getTreeBuffer: vi.fn().mockReturnValue(createMockGPUBuffer()),
+        getNextTreeBuffer: vi.fn().mockReturnValue(createMockGPUBuffer()),
+        getSdfTextureView: vi.fn().mockReturnValue({ label: 'sdf' }),
+        getWorldBuffer: vi.fn().mockReturnValue(createMockGPUBuffer()),
         getUniformBuffer: vi.fn().mockReturnValue(createMockGPUBuffer()),
         getGeometryBuffer: vi.fn().mockReturnValue(createMockGPUBuffer())
       };
@@ -277,7 +362,10 @@ describe('PipelineManager (Packing2)', () => {
         layout: pipelineManager.computeBindGroupLayout,
         entries: [
           { binding: 0, resource: { buffer: pipelineManager.bufferManager.getTreeBuffer() } },
-          { binding: 1, resource: { buffer: pipelineManager.bufferManager.getUniformBuffer() } }
+          { binding: 1, resource: { buffer: pipelineManager.bufferManager.getUniformBuffer() } },
+          { binding: 2, resource: { buffer: pipelineManager.bufferManager.getNextTreeBuffer() } },
+          { binding: 3, resource: pipelineManager.bufferManager.getSdfTextureView() },
+          { binding: 4, resource: { buffer: pipelineManager.bufferManager.getWorldBuffer() } }
         ]
       });
       expect(pipelineManager.computeBindGroup).toBe(mockBindGroup);
@@ -302,12 +390,76 @@ describe('PipelineManager (Packing2)', () => {
     });
   });
 
+  describe('ping-pong bind groups', () => {
+    let latest;
+    let next;
+
+    beforeEach(() => {
+      pipelineManager.computeBindGroupLayout = { id: 'compute' };
+      pipelineManager.renderBindGroupLayout = { id: 'render' };
+      latest = createMockGPUBuffer();
+      next = createMockGPUBuffer();
+      mockDevice.createBindGroup.mockImplementation(descriptor => ({ ...descriptor }));
+      pipelineManager.updateBindGroup({
+        getTreeBuffer: vi.fn().mockReturnValue(latest),
+        getNextTreeBuffer: vi.fn().mockReturnValue(next),
+        getSdfTextureView: vi.fn().mockReturnValue({ label: 'sdf' }),
+        getWorldBuffer: vi.fn().mockReturnValue(createMockGPUBuffer()),
+        getUniformBuffer: vi.fn().mockReturnValue(createMockGPUBuffer())
+      });
+    });
+
+    it('should read the latest buffer and write the other one', () => {
+      const entries = pipelineManager.getBindGroup().entries;
+
+      expect(entries[0].resource.buffer).toBe(latest);
+      expect(entries[2].resource.buffer).toBe(next);
+      expect(pipelineManager.getRenderBindGroup().entries[0].resource.buffer).toBe(latest);
+    });
+
+    it('should bind the distance field in both directions', () => {
+      expect(pipelineManager.getBindGroup().entries[3].resource).toEqual({ label: 'sdf' });
+
+      pipelineManager.swapBindGroups();
+
+      expect(pipelineManager.getBindGroup().entries[3].resource).toEqual({ label: 'sdf' });
+    });
+
+    it('should reverse the direction after a swap', () => {
+      pipelineManager.swapBindGroups();
+
+      const entries = pipelineManager.getBindGroup().entries;
+      expect(entries[0].resource.buffer).toBe(next);
+      expect(entries[2].resource.buffer).toBe(latest);
+      expect(pipelineManager.getRenderBindGroup().entries[0].resource.buffer).toBe(next);
+    });
+
+    it('should swap the score bind group too', () => {
+      pipelineManager.scoreBindGroupLayout = { id: 'score' };
+      pipelineManager.updateBindGroup({
+        getTreeBuffer: vi.fn().mockReturnValue(latest),
+        getNextTreeBuffer: vi.fn().mockReturnValue(next),
+        getSdfTextureView: vi.fn().mockReturnValue({ label: 'sdf' }),
+        getWorldBuffer: vi.fn().mockReturnValue(createMockGPUBuffer()),
+        getUniformBuffer: vi.fn().mockReturnValue(createMockGPUBuffer()),
+        getScoreResultBuffer: vi.fn().mockReturnValue(createMockGPUBuffer(32))
+      });
+
+      pipelineManager.swapBindGroups();
+
+      expect(pipelineManager.getScoreBindGroup().entries[0].resource.buffer).toBe(next);
+    });
+  });
+
   describe('updateBindGroup', () => {
     beforeEach(() => {
       pipelineManager.computeBindGroupLayout = {};
       pipelineManager.renderBindGroupLayout = {};
       const mockBufferManager = {
         getTreeBuffer: vi.fn().mockReturnValue(createMockGPUBuffer()),
+        getNextTreeBuffer: vi.fn().mockReturnValue(createMockGPUBuffer()),
+        getSdfTextureView: vi.fn().mockReturnValue({ label: 'sdf' }),
+        getWorldBuffer: vi.fn().mockReturnValue(createMockGPUBuffer()),
         getUniformBuffer: vi.fn().mockReturnValue(createMockGPUBuffer()),
         getGeometryBuffer: vi.fn().mockReturnValue(createMockGPUBuffer())
       };
@@ -320,6 +472,9 @@ describe('PipelineManager (Packing2)', () => {
     it('should update compute bind group with new buffer manager', () => {
       const mockBufferManager = {
         getTreeBuffer: vi.fn().mockReturnValue(createMockGPUBuffer()),
+        getNextTreeBuffer: vi.fn().mockReturnValue(createMockGPUBuffer()),
+        getSdfTextureView: vi.fn().mockReturnValue({ label: 'sdf' }),
+        getWorldBuffer: vi.fn().mockReturnValue(createMockGPUBuffer()),
         getUniformBuffer: vi.fn().mockReturnValue(createMockGPUBuffer()),
         getGeometryBuffer: vi.fn().mockReturnValue(createMockGPUBuffer())
       };
@@ -330,14 +485,55 @@ describe('PipelineManager (Packing2)', () => {
         layout: pipelineManager.computeBindGroupLayout,
         entries: [
           { binding: 0, resource: { buffer: mockBufferManager.getTreeBuffer() } },
-          { binding: 1, resource: { buffer: mockBufferManager.getUniformBuffer() } }
+          { binding: 1, resource: { buffer: mockBufferManager.getUniformBuffer() } },
+          { binding: 2, resource: { buffer: mockBufferManager.getNextTreeBuffer() } },
+          { binding: 3, resource: mockBufferManager.getSdfTextureView() },
+          { binding: 4, resource: { buffer: mockBufferManager.getWorldBuffer() } }
+        ]
+      });
+    });
+
+    it('should create the grid bind group once the grid layout exists', () => {
+      const grid = {
+        cellCounts: createMockGPUBuffer(),
+        cellStarts: createMockGPUBuffer(),
+        cellCursors: createMockGPUBuffer(),
+        sortedIndices: createMockGPUBuffer(),
+        treeCells: createMockGPUBuffer()
+      };
+      const mockBufferManager = {
+        getTreeBuffer: vi.fn().mockReturnValue(createMockGPUBuffer()),
+        getNextTreeBuffer: vi.fn().mockReturnValue(createMockGPUBuffer()),
+        getSdfTextureView: vi.fn().mockReturnValue({ label: 'sdf' }),
+        getWorldBuffer: vi.fn().mockReturnValue(createMockGPUBuffer()),
+        getUniformBuffer: vi.fn().mockReturnValue(createMockGPUBuffer()),
+        getGridBuffers: vi.fn().mockReturnValue(grid)
+      };
+      const mockGridBindGroup = {};
+      pipelineManager.gridBindGroupLayout = {};
+      mockDevice.createBindGroup.mockReturnValue(mockGridBindGroup);
+
+      pipelineManager.updateBindGroup(mockBufferManager);
+
+      expect(mockDevice.createBindGroup).toHaveBeenCalledWith({
+        layout: pipelineManager.gridBindGroupLayout,
+        entries: [
+          { binding: 0, resource: { buffer: grid.cellCounts } },
+          { binding: 1, resource: { buffer: grid.cellStarts } },
+          { binding: 2, resource: { buffer: grid.cellCursors } },
+          { binding: 3, resource: { buffer: grid.sortedIndices } },
+          { binding: 4, resource: { buffer: grid.treeCells } }
         ]
       });
+      expect(pipelineManager.getGridBindGroup()).toBe(mockGridBindGroup);
     });
 
     it('should update render bind group with new buffer manager', () => {
       const mockBufferManager = {
         getTreeBuffer: vi.fn().mockReturnValue(createMockGPUBuffer()),
+        getNextTreeBuffer: vi.fn().mockReturnValue(createMockGPUBuffer()),
+        getSdfTextureView: vi.fn().mockReturnValue({ label: 'sdf' }),
+        getWorldBuffer: vi.fn().mockReturnValue(createMockGPUBuffer()),
         getUniformBuffer: vi.fn().mockReturnValue(createMockGPUBuffer()),
         getGeometryBuffer: vi.fn().mockReturnValue(createMockGPUBuffer())
       };
@@ -390,10 +586,230 @@ describe('PipelineManager (Packing2)', () => {
       expect(code).toContain('struct Params');
     });
 
+    it('should stage neighbours through workgroup memory in the tiled step', () => {
+      const code = new PipelineManager(mockDeviceManager, mockTreeGeometry, 128).getComputeShaderCode();
+
+      expect(code).not.toContain('@workgroup_size(64)');
+      expect(code.match(/@compute @workgroup_size\(128\)/g)).toHaveLength(6);
+      expect(code).toContain('var<workgroup> tile_trees: array<Tree, 128>;');
+      expect(code).toContain('var<workgroup> tile_bounds: array<vec4f, 128>;');
+      expect(code).toContain('fn main_tiled(@builtin(global_invocation_id) id: vec3u, @builtin(local_invocation_id) lid: vec3u)');
+      expect(code.match(/workgroupBarrier\(\);/g).length).toBeGreaterThanOrEqual(2);
+      expect(code).toContain('collide_tree(&t, i, tile_trees[m], tile_bounds[m]);');
+    });
+
+    it('should read the previous state and write the next one', () => {
+      const code = pipelineManager.getComputeShaderCode();
+
+      expect(code).toContain('@group(0) @binding(0) var<storage, read> trees: array<Tree>;');
+      expect(code).toContain('@group(0) @binding(2) var<storage, read_write> trees_out: array<Tree>;');
+      expect(code).not.toContain('trees[i] = t;');
+      expect(code.match(/trees_out\[i\] = t;/g)).toHaveLength(3);
+    });
+
     it('should include timestamp for cache invalidation', () => {
       const code = pipelineManager.getComputeShaderCode();
 
       expect(code).toContain('Compute shader v');
+      expect(code).toContain('seed: u32');
+      expect(code).toContain('hash((i + u32(params.time)) ^ params.seed)');
+    });
+
+    it('should include the grid broadphase entry points', () => {
+      const code = pipelineManager.getComputeShaderCode();
+
+      expect(code).toContain('fn grid_count(');
+      expect(code).toContain('fn grid_scan(');
+      expect(code).toContain('fn grid_scatter(');
+      expect(code).toContain('fn main_grid(');
+      expect(code).toContain('@group(1) @binding(3) var<storage, read_write> sorted_indices: array<u32>;');
+      expect(code).toContain('const GRID_DIM = 42u;');
+    });
+
+    it('should dispatch collisions to the selected contact solver', () => {
+      const code = pipelineManager.getComputeShaderCode();
+
+      expect(code).toContain('fn collide_vertices(t: ptr<function, Tree>, i: u32, other: Tree)');
+      expect(code).toContain('fn collide_sat(t: ptr<function, Tree>, other: Tree)');
+      expect(code).toContain('if (params.contactSolver == 1u) {');
+      expect(code).toContain('fn face_separation(');
+      expect(code).toContain('fn deepest_point(');
+    });
+
+    it('should flag only penetrating contacts as collisions, for trees and walls alike', () => {
+      const code = pipelineManager.getComputeShaderCode();
+
+      expect(code).toContain('if (dist < 0.0) { (*t).col = 1.0; }');
+      expect(code).toContain('if (field.x < 0.0) { (*t).col = 1.0; }');
+      expect(code).toContain('if (separation < 0.0) { (*t).col = 1.0; }');
+      expect(code).toContain('if (gap < 0.0) { (*t).col = 1.0; }');
+      expect(code.match(/\(\*t\)\.col = 1\.0;/g)).toHaveLength(4);
+    });
+
+    it('should sample the baked distance field for the sdf solver', () => {
+      const code = pipelineManager.getComputeShaderCode();
+
+      expect(code).toContain('@group(0) @binding(3) var sdf_tex: texture_2d<f32>;');
+      expect(code).toContain('const SDF_EXTENT = 1.05;'); // 0.8 reach plus the 0.25 margin
+      expect(code).toContain('fn sample_sdf(p: vec2f) -> vec3f');
+      expect(code).toContain('} else if (params.contactSolver == 2u) {');
+      expect(code).toContain('fn collide_sdf(t: ptr<function, Tree>, i: u32, other: Tree)');
+    });
+
+    it('should squeeze with the container walls instead of gravity when they are set', () => {
+      const code = pipelineManager.getComputeShaderCode();
+
+      expect(code).toContain('fn apply_walls(t: ptr<function, Tree>, i: u32)');
+      expect(code).toContain('if (params.wallHalf <= 0.0) { apply_gravity(i, &t); }');
+      expect(code.match(/if \(params\.wallHalf > 0\.0\) \{ apply_walls\(&t, i\); \}/g)).toHaveLength(3);
+    });
+
+    it('should read world vertices from the transform pass and reject pairs by bounding box', () => {
+      const code = pipelineManager.getComputeShaderCode();
+
+      expect(code).toContain('@group(0) @binding(4) var<storage, read_write> world: array<vec2f>;');
+      expect(code).toContain('const WORLD_STRIDE = 66u;'); // AABB min and max plus 64 outline slots
+      expect(code).toContain('fn transform_trees(@builtin(global_invocation_id) id: vec3u)');
+      expect(code).toContain('if (!bounds_overlap(tree_bounds(i), other_bounds)) { return; }');
+      expect(code).toContain('if (distance((*t).pos, other.pos) > params.searchRadius) { return; }');
+      expect(code.match(/collide\(&t, i, j\);/g)).toHaveLength(2);
+      expect(code.match(/let my_world_v = world_vertex\(i, v\);/g)).toHaveLength(2);
+    });
+  });
+
+  describe('getParamsStructCode', () => {
+    it('should declare every uniform field in order and pad to the buffer size', () => {
+      const code = pipelineManager.getParamsStructCode();
+      const fields = [...code.matchAll(/(\w+): (f32|u32),/g)].map(match => match[1]);
+
+      expect(fields).toEqual([
+        'zoom', 'compression', 'probX', 'time', 'aspect', 'seed',
+        'wallHalf', 'wallCenterX', 'wallCenterY', 'centerX', 'centerY', 'targetHalfSide', 'pullAnisotropy',
+        'contactThreshold', 'forceGain', 'forceClamp', 'torqueGain', 'relaxationRate',
+        'searchRadius', 'timeStep', 'linearDamping', 'angularDamping', 'contactSolver', 'treeCount'
+      ]);
+      expect(code).toContain('seed: u32,');
+      expect(code).toContain('contactSolver: u32,');
+      expect(code).toContain('treeCount: u32,');
+    });
+  });
+
+  describe('createScorePipeline', () => {
+    it('should create the reduction pipeline on the score layout', async () => {
+      const mockPipeline = {};
+      pipelineManager.scoreBindGroupLayout = { id: 'score' };
+      mockDevice.createComputePipeline.mockReturnValue(mockPipeline);
+
+      await pipelineManager.createScorePipeline();
+
+      expect(mockDevice.createPipelineLayout).toHaveBeenCalledWith({
+        bindGroupLayouts: [pipelineManager.scoreBindGroupLayout]
+      });
+      expect(mockDevice.createComputePipeline).toHaveBeenCalledWith({
+        layout: expect.any(Object),
+        compute: {
+          module: expect.any(Object),
+          entryPoint: 'reduce_score'
+        }
+      });
+      expect(pipelineManager.getScorePipeline()).toBe(mockPipeline);
+    });
+
+    it('should bind the tree buffer, the result buffer and the uniforms', () => {
+      const mockBufferManager = {
+        getTreeBuffer: vi.fn().mockReturnValue(createMockGPUBuffer()),
+        getScoreResultBuffer: vi.fn().mockReturnValue(createMockGPUBuffer(32)),
+        getUniformBuffer: vi.fn().mockReturnValue(createMockGPUBuffer(112))
+      };
+      pipelineManager.scoreBindGroupLayout = {};
+
+      pipelineManager.createScoreBindGroup(mockBufferManager);
+
+      expect(mockDevice.createBindGroup).toHaveBeenCalledWith({
+        layout: pipelineManager.scoreBindGroupLayout,
+        entries: [
+          { binding: 0, resource: { buffer: mockBufferManager.getTreeBuffer() } },
+          { binding: 1, resource: { buffer: mockBufferManager.getScoreResultBuffer() } },
+          { binding: 2, resource: { buffer: mockBufferManager.getUniformBuffer() } }
+        ]
+      });
+    });
+  });
+
+  describe('getScoreShaderCode', () => {
+    it('should reduce bounds, wind and collisions in one workgroup', () => {
+      const code = pipelineManager.getScoreShaderCode();
+
+      expect(code).toContain('@compute @workgroup_size(256)');
+      expect(code).toContain('fn reduce_score(@builtin(local_invocation_id) lid: vec3u)');
+      expect(code).toContain('struct ScoreResult');
+      expect(code).toContain('workgroupBarrier()');
+    });
+
+    it('should stop at the tree count rather than the buffer length', () => {
+      const code = pipelineManager.getScoreShaderCode();
+
+      expect(code).toContain('@group(0) @binding(2) var<uniform> params: Params;');
+      expect(code).toContain('let count = min(params.treeCount, arrayLength(&trees));');
+    });
+  });
+
+  describe('tree polygon generation', () => {
+    /**
+     * Pull the tree_poly points out of generated WGSL
+     */
+    const parseTreePoly = (code) => {
+      const body = code.match(/var<private> tree_poly: array<vec2f, (\d+)> = array<vec2f, \d+>\(([^;]*)\);/);
+      const points = [...body[2].matchAll(/vec2f\(([^,]+), ([^)]+)\)/g)]
+        .flatMap(([, x, y]) => [Math.fround(Number(x)), Math.fround(Number(y))]);
+      return { size: Number(body[1]), points };
+    };
+
+    it('should embed exactly the TreeGeometry polygon in every shader', () => {
+      const expected = Array.from(mockTreeGeometry.getPolygon());
+      const shaders = [
+        pipelineManager.getComputeShaderCode(),
+        pipelineManager.getRenderShaderCode(),
+        pipelineManager.getScoreShaderCode()
+      ];
+
+      shaders.forEach(code => {
+        const { size, points } = parseTreePoly(code);
+        expect(size).toBe(expected.length / 2);
+        expect(points).toEqual(expected);
+      });
+    });
+
+    it('should follow a different polygon, including its point and edge counts', () => {
+      pipelineManager.treeGeometry = new TreeGeometry([0, 1, 0.3, -0.2, -0.3, -0.2, 0, 1]);
+
+      const code = pipelineManager.getComputeShaderCode();
+
+      expect(parseTreePoly(code).points).toEqual(Array.from(new Float32Array([0, 1, 0.3, -0.2, -0.3, -0.2, 0, 1])));
+      expect(code).toContain('const TREE_POLY_POINTS = 4u;');
+      expect(code).toContain('const TREE_POLY_EDGES = 3u;');
+      expect(code).not.toContain('15u');
+    });
+
+    it('should embed the convex parts with their ranges and bounds', () => {
+      const parts = mockTreeGeometry.getConvexParts();
+      const pointCount = parts.reduce((sum, part) => sum + part.points.length / 2, 0);
+
+      const code = pipelineManager.getConvexPartsCode();
+
+      expect(code).toContain(`const CONVEX_PART_COUNT = ${parts.length}u;`);
+      expect(code).toContain(`var<private> part_points: array<vec2f, ${pointCount}>`);
+      expect(code).toContain(`var<private> part_ranges: array<vec2u, ${parts.length}>`);
+      expect(code).toContain(`vec2u(0u, ${parts[0].points.length / 2}u), vec2u(${parts[0].points.length / 2}u,`);
+      expect(code).toContain(`var<private> part_bounds: array<vec3f, ${parts.length}>`);
+      expect(pipelineManager.getComputeShaderCode()).toContain(code);
+    });
+
+    it('should format float32 values as round-tripping WGSL literals', () => {
+      expect(pipelineManager.formatWgslFloat(0)).toBe('0.0');
+      expect(pipelineManager.formatWgslFloat(-3)).toBe('-3.0');
+      expect(pipelineManager.formatWgslFloat(Math.fround(0.1))).toBe('0.1');
+      expect(Math.fround(Number(pipelineManager.formatWgslFloat(Math.fround(1 / 3))))).toBe(Math.fround(1 / 3));
     });
   });
 
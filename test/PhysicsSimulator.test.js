@@ -1,12 +1,17 @@
 import { describe, it, expect, beforeEach, vi } from 'vitest';
 import { PhysicsSimulator } from '../demos/packing2/js/simulation/PhysicsSimulator.js';
+import { SpawnPlanner } from '../demos/packing2/js/simulation/SpawnPlanner.js';
+import { ORIGIN_ANCHOR, PARAMETERS_FLOAT_COUNT, UNIFORM_INDEX } from '../demos/packing2/js/constants.js';
 
 // Mock dependencies
 const mockBufferManager = {
   writeBuffer: vi.fn(),
   getTreeBuffer: vi.fn().mockReturnValue('mock-tree-buffer'),
   getUniformBuffer: vi.fn().mockReturnValue('mock-uniform-buffer'),
-  getReadBuffer: vi.fn().mockReturnValue('mock-read-buffer')
+  getSubstepUniformBuffer: vi.fn().mockReturnValue('mock-substep-uniform-buffer'),
+  getReadBuffer: vi.fn().mockReturnValue('mock-read-buffer'),
+  getBestTreeBuffer: vi.fn().mockReturnValue('mock-best-buffer'),
+  copyBuffer: vi.fn()
 };
 
 const mockSimulationParameters = {
@@ -71,6 +76,39 @@ describe('PhysicsSimulator', () => {
       expect(mockLogger.info).toHaveBeenCalledWith('Simulation reset');
     });
 
+    it('should build the spawn for the selected strategy', () => {
+      const values = { treeCount: 4, seed: 9, spawnStrategy: 'pairs' };
+      mockSimulationParameters.get.mockImplementation(key => values[key]);
+      const layout = new Float32Array(32);
+      const spy = vi.spyOn(simulator.spawnPlanner, 'createLayout').mockReturnValue(layout);
+
+      simulator.reset();
+
+      expect(spy).toHaveBeenCalledWith('pairs', 4, 9);
+      expect(mockBufferManager.writeBuffer).toHaveBeenCalledWith('mock-tree-buffer', layout);
+    });
+
+    it('should extend the stored best layout for one tree fewer', () => {
+      const values = { treeCount: 4, seed: 9, spawnStrategy: 'extendBest' };
+      mockSimulationParameters.get.mockImplementation(key => values[key]);
+      const previous = new Float32Array(24);
+      simulator.bestLayouts.set(3, { polygon: mockTreeGeometry.polygon, layout: previous });
+      const spy = vi.spyOn(simulator.spawnPlanner, 'createLayout').mockReturnValue(new Float32Array(32));
+
+      simulator.reset();
+
+      expect(spy).toHaveBeenCalledWith('extendBest', 4, 9, previous);
+    });
+
+    it('should fall back to a random spawn without a best layout for one tree fewer', () => {
+      const values = { treeCount: 4, seed: 9, spawnStrategy: 'extendBest' };
+      mockSimulationParameters.get.mockImplementation(key => values[key]);
+      simulator.bestLayouts.set(3, { polygon: [0, 0, 1, 0, 0, 1, 0, 0], layout: new Float32Array(24) }); // another shape
+
+      expect(simulator.createSpawnLayout(4, 9)).toEqual(SpawnPlanner.createRandomLayout(4, 9));
+      expect(mockLogger.info).toHaveBeenCalledWith('No best layout for 3 trees yet; spawning at random');
+    });
+
   it('should generate correct tree data structure', () => {
     mockSimulationParameters.get.mockReturnValue(2); // 2 trees
 
@@ -131,6 +169,51 @@ describe('PhysicsSimulator', () => {
     });
   });
 
+  describe('seeded spawning', () => {
+    const spawnWithSeed = (seed) => {
+      mockSimulationParameters.get.mockImplementation((key) => (key === 'seed' ? seed : 4));
+      mockBufferManager.writeBuffer.mockClear();
+      simulator.reset();
+      return mockBufferManager.writeBuffer.mock.calls[0][1];
+    };
+
+    it('should spawn the same layout for the same seed', () => {
+      expect(spawnWithSeed(42)).toEqual(spawnWithSeed(42));
+    });
+
+    it('should spawn different layouts for different seeds', () => {
+      expect(spawnWithSeed(42)).not.toEqual(spawnWithSeed(43));
+    });
+  });
+
+  describe('step counting', () => {
+    it('should count advanced steps and restart on reset', () => {
+      simulator.advanceStep();
+      simulator.advanceStep();
+      expect(simulator.stepCount).toBe(2);
+
+      simulator.reset();
+
+      expect(simulator.stepCount).toBe(0);
+    });
+
+    it('should count several substeps at once', () => {
+      simulator.advanceStep(4);
+      simulator.advanceStep();
+
+      expect(simulator.stepCount).toBe(5);
+    });
+
+    it('should restart the step count when a layout is loaded', () => {
+      mockSimulationParameters.get.mockReturnValue(1);
+      simulator.advanceStep();
+
+      simulator.loadLayout(new Float32Array(8));
+
+      expect(simulator.stepCount).toBe(0);
+    });
+  });
+
   describe('calculateCompressionProbabilities method', () => {
     it('should return default probabilities when autoPack is disabled', () => {
       mockSimulationParameters.get.mockReturnValue(false); // autoPack = false
@@ -212,7 +295,7 @@ describe('PhysicsSimulator', () => {
       expect(mockSimulationParameters.getUniforms).toHaveBeenCalledWith(
         deltaTime,
         frameCount,
-        additionalParams
+        { ...additionalParams, targetHalfSide: 0.0, wallHalf: 0.0, wallCenterX: 0.0, wallCenterY: 0.0 }
       );
       expect(mockBufferManager.writeBuffer).toHaveBeenCalledWith(
         'mock-uniform-buffer',
@@ -226,9 +309,471 @@ describe('PhysicsSimulator', () => {
       expect(mockSimulationParameters.getUniforms).toHaveBeenCalledWith(
         0.016,
         100,
-        { probX: 1.0, probY: 1.0, centerX: 0.0, centerY: 0.0 }
+        { probX: 1.0, probY: 1.0, centerX: 0.0, centerY: 0.0, targetHalfSide: 0.0, wallHalf: 0.0, wallCenterX: 0.0, wallCenterY: 0.0 }
       );
     });
+
+    it('should send the container walls once they are placed', () => {
+      simulator.squareContainer.fit({ minX: -1, maxX: 1, minY: -2, maxY: 2 });
+
+      simulator.updateUniforms(0.016, 100);
+
+      expect(mockSimulationParameters.getUniforms).toHaveBeenCalledWith(0.016, 100, expect.objectContaining({
+        wallHalf: 2 * 1.05,
+        wallCenterX: 0,
+        wallCenterY: 0
+      }));
+    });
+
+    it('should write one block per substep with the time advancing by one each', () => {
+      mockSimulationParameters.getUniforms.mockImplementation((deltaTime, frameCount) => {
+        const uniforms = new Float32Array(PARAMETERS_FLOAT_COUNT);
+        uniforms[UNIFORM_INDEX.time] = frameCount;
+        return uniforms;
+      });
+
+      simulator.updateUniforms(0.016, 100, { substeps: 3 });
+
+      const [buffer, blocks] = mockBufferManager.writeBuffer.mock.calls.at(-1);
+      expect(buffer).toBe('mock-substep-uniform-buffer');
+      expect(blocks).toHaveLength(3 * PARAMETERS_FLOAT_COUNT);
+      expect([0, 1, 2].map(k => blocks[k * PARAMETERS_FLOAT_COUNT + UNIFORM_INDEX.time])).toEqual([100, 101, 102]);
+      expect(mockSimulationParameters.getUniforms).not.toHaveBeenCalledWith(0.016, 100, expect.objectContaining({ substeps: 3 }));
+    });
+
+    it('should skip the substep blocks for a single step', () => {
+      simulator.updateUniforms(0.016, 100, { substeps: 1 });
+
+      expect(mockBufferManager.writeBuffer).not.toHaveBeenCalledWith('mock-substep-uniform-buffer', expect.anything());
+    });
+  });
+
+  describe('square container mode', () => {
+    let settings;
+
+    beforeEach(() => {
+      settings = { treeCount: 1, containerMode: 'square', compression: 1.0 };
+      mockSimulationParameters.get.mockImplementation(key => settings[key]);
+      mockTreeGeometry.getPolygon = vi.fn().mockReturnValue(new Float32Array([
+        -0.5, -0.5, 0.5, -0.5, 0.5, 0.5, -0.5, 0.5
+      ]));
+    });
+
+    it('should place the walls on the first score and score the box side afterwards', () => {
+      const treeData = new Float32Array(8);
+
+      const first = simulator.computeScore(treeData);
+      expect(first.side).toBeCloseTo(1, 6);
+      expect(simulator.getWalls().side).toBeCloseTo(1.05, 6);
+
+      const second = simulator.computeScore(treeData);
+      expect(second.side).toBeCloseTo(1.05, 6);
+      expect(second.score).toBeCloseTo(1.05 * 1.05, 6);
+      expect(simulator.getWalls().side).toBeLessThan(1.05);
+    });
+
+    it('should score the layout when trees have been pushed through a wall', () => {
+      simulator.squareContainer.fit({ minX: -0.25, maxX: 0.25, minY: -0.25, maxY: 0.25 });
+
+      expect(simulator.computeScore(new Float32Array(8)).side).toBeCloseTo(1, 6);
+    });
+
+    it('should drop the walls in gravity mode and after a reset', () => {
+      simulator.computeScore(new Float32Array(8));
+      simulator.reset();
+      expect(simulator.getWalls()).toBeNull();
+
+      simulator.computeScore(new Float32Array(8));
+      settings.containerMode = 'gravity';
+      expect(simulator.getWalls()).toBeNull();
+      simulator.computeScore(new Float32Array(8));
+      expect(simulator.squareContainer.isActive()).toBe(false);
+    });
+  });
+
+  describe('getCompressionTarget method', () => {
+    it('should target the centre of the scoring square, anchored towards the origin', () => {
+      const scoreData = { bounds: { minX: -1, maxX: 5, minY: 0, maxY: 2 }, side: 6 };
+
+      const target = simulator.getCompressionTarget(scoreData);
+
+      expect(target.centerX).toBeCloseTo(2 * (1 - ORIGIN_ANCHOR), 9);
+      expect(target.centerY).toBeCloseTo(1 * (1 - ORIGIN_ANCHOR), 9);
+      expect(target.targetHalfSide).toBe(3);
+    });
+
+    it('should leave a cluster centred on the origin where it is', () => {
+      const scoreData = { bounds: { minX: -3, maxX: 3, minY: -2, maxY: 2 }, side: 6 };
+
+      expect(simulator.getCompressionTarget(scoreData)).toEqual({ centerX: 0, centerY: 0, targetHalfSide: 3 });
+    });
+
+    it('should fall back to the origin before the first score', () => {
+      expect(simulator.getCompressionTarget(null)).toEqual({ centerX: 0, centerY: 0, targetHalfSide: 0 });
+    });
+  });
+
+  describe('computeScore method', () => {
+    beforeEach(() => {
+      // Unit square polygon centred on the tree position
+      mockTreeGeometry.getPolygon = vi.fn().mockReturnValue(new Float32Array([
+        -0.5, -0.5, 0.5, -0.5, 0.5, 0.5, -0.5, 0.5
+      ]));
+    });
+
+    it('should compute exact bounds and side²/n score', () => {
+      mockSimulationParameters.get.mockReturnValue(2); // treeCount = 2
+      const treeData = new Float32Array(16);
+      treeData[0] = 0; treeData[1] = 0;
+      treeData[8] = 2; treeData[9] = 0;
+
+      const result = simulator.computeScore(treeData);
+
+      expect(result.bounds).toEqual({ minX: -0.5, maxX: 2.5, minY: -0.5, maxY: 0.5 });
+      expect(result.side).toBeCloseTo(3, 6);
+      expect(result.score).toBeCloseTo(4.5, 6);
+      expect(result.probX).toBeCloseTo(0.75, 6);
+    });
+
+    it('should count collision flags without claiming a best score', () => {
+      mockSimulationParameters.get.mockReturnValue(1);
+      const treeData = new Float32Array(8);
+      treeData[6] = 1.0; // collision flag
+
+      const result = simulator.computeScore(treeData);
+
+      expect(result.collisionCount).toBe(1);
+      expect(result.bestScore).toBe(Infinity);
+      expect(simulator.computeScore(treeData).stagnationCount).toBe(2);
+    });
+
+    it('should track best score for collision-free layouts', () => {
+      mockSimulationParameters.get.mockReturnValue(1);
+      const treeData = new Float32Array(8);
+
+      const result = simulator.computeScore(treeData);
+
+      expect(result.bestScore).toBeCloseTo(1, 6);
+      expect(result.stagnationCount).toBe(0);
+      expect(simulator.computeScore(treeData).stagnationCount).toBe(1);
+    });
+
+    it('should not claim a best score when the exact validator finds overlaps', () => {
+      mockSimulationParameters.get.mockReturnValue(2);
+      const treeData = new Float32Array(16);
+      treeData[8] = 0.9; // squares overlap by 0.1 without GPU collision flags
+
+      const result = simulator.computeScore(treeData);
+
+      expect(result.collisionCount).toBe(0);
+      expect(result.bestScore).toBe(Infinity);
+    });
+
+    it('should score the trees in the buffer rather than the tree count parameter', () => {
+      mockSimulationParameters.get.mockReturnValue(2); // resize requested, buffers not swapped yet
+
+      const result = simulator.computeScore(new Float32Array(8));
+
+      expect(result.score).toBeCloseTo(1, 6);
+      expect(simulator.getStoredBestLayout(1)).toHaveLength(8);
+      expect(simulator.getStoredBestLayout(2)).toBeNull();
+    });
+
+    it('should throw on buffer underflow', () => {
+      mockSimulationParameters.get.mockReturnValue(2);
+
+      expect(() => simulator.reduceTrees(new Float32Array(8))).toThrow('Buffer underflow');
+    });
+  });
+
+  describe('best layout snapshot', () => {
+    beforeEach(() => {
+      mockSimulationParameters.get.mockReturnValue(1);
+      mockTreeGeometry.getPolygon = vi.fn().mockReturnValue(new Float32Array([
+        -0.5, -0.5, 0.5, -0.5, 0.5, 0.5, -0.5, 0.5
+      ]));
+    });
+
+    it('should upload the validated layout on a new best', () => {
+      const treeData = new Float32Array(8);
+      treeData[0] = 0.25;
+
+      simulator.computeScore(treeData);
+
+      expect(simulator.hasBestLayout).toBe(true);
+      const [buffer, data] = mockBufferManager.writeBuffer.mock.calls[0];
+      expect(buffer).toBe('mock-best-buffer');
+      expect(data).not.toBe(treeData);
+      expect(data.length).toBe(8);
+      expect(data[0]).toBeCloseTo(0.25, 6);
+    });
+
+    it('should keep a CPU copy of the best layout for its tree count', () => {
+      const treeData = new Float32Array(8);
+      treeData[0] = 0.25;
+
+      simulator.computeScore(treeData);
+      treeData[0] = 9;
+
+      expect(simulator.getStoredBestLayout(1)).toEqual(new Float32Array([0.25, 0, 0, 0, 0, 0, 0, 0]));
+      expect(simulator.getStoredBestLayout(2)).toBeNull();
+    });
+
+    it('should not snapshot layouts with collisions', () => {
+      const treeData = new Float32Array(8);
+      treeData[6] = 1.0;
+
+      simulator.computeScore(treeData);
+
+      expect(simulator.hasBestLayout).toBe(false);
+      expect(mockBufferManager.writeBuffer).not.toHaveBeenCalled();
+    });
+
+    it('should not snapshot scores that are not improvements', () => {
+      simulator.computeScore(new Float32Array(8));
+      mockBufferManager.writeBuffer.mockClear();
+
+      simulator.computeScore(new Float32Array(8));
+
+      expect(mockBufferManager.writeBuffer).not.toHaveBeenCalled();
+    });
+
+    it('should copy the snapshot back into the tree buffer', () => {
+      simulator.computeScore(new Float32Array(8));
+      simulator.stagnationCount = 7;
+
+      expect(simulator.restoreBestLayout()).toBe(true);
+
+      expect(mockBufferManager.copyBuffer).toHaveBeenCalledWith('mock-best-buffer', 'mock-tree-buffer');
+      expect(simulator.stagnationCount).toBe(0);
+    });
+
+    it('should not restore or read before a best layout exists', async () => {
+      mockBufferManager.readBestTreeBuffer = vi.fn();
+
+      expect(simulator.restoreBestLayout()).toBe(false);
+      expect(await simulator.readBestLayout()).toBeNull();
+      expect(mockBufferManager.copyBuffer).not.toHaveBeenCalled();
+      expect(mockBufferManager.readBestTreeBuffer).not.toHaveBeenCalled();
+    });
+
+    it('should read the snapshot trimmed to the tree count', async () => {
+      simulator.computeScore(new Float32Array(8));
+      mockBufferManager.readBestTreeBuffer = vi.fn().mockResolvedValue(new Float32Array(24));
+
+      expect((await simulator.readBestLayout()).length).toBe(8);
+    });
+
+    it('should forget the snapshot on reset and resize', () => {
+      simulator.computeScore(new Float32Array(8));
+      simulator.reset();
+      expect(simulator.hasBestLayout).toBe(false);
+
+      simulator.computeScore(new Float32Array(8));
+      mockBufferManager.resizeTreeBuffers = vi.fn().mockReturnValue(true);
+      simulator.handleTreeCountChange(2);
+      expect(simulator.hasBestLayout).toBe(false);
+    });
+  });
+
+  describe('applyLayout method', () => {
+    it('should write the layout and keep score tracking', () => {
+      mockSimulationParameters.get.mockReturnValue(1);
+      mockTreeGeometry.getPolygon = vi.fn().mockReturnValue(new Float32Array([
+        -0.5, -0.5, 0.5, -0.5, 0.5, 0.5, -0.5, 0.5
+      ]));
+      simulator.bestScore = 2;
+      const layout = new Float32Array(8);
+
+      const result = simulator.applyLayout(layout);
+
+      expect(mockBufferManager.writeBuffer).toHaveBeenCalledWith('mock-tree-buffer', layout);
+      expect(result.bestScore).toBeCloseTo(1, 6);
+      expect(simulator.hasBestLayout).toBe(true);
+    });
+
+    it('should reject layouts for a different tree count', () => {
+      mockSimulationParameters.get.mockReturnValue(2);
+
+      expect(() => simulator.applyLayout(new Float32Array(8))).toThrow('Layout size mismatch');
+    });
+  });
+
+  describe('replaceLayout method', () => {
+    it('should write the layout without touching score tracking', () => {
+      mockSimulationParameters.get.mockReturnValue(1);
+      simulator.bestScore = 2;
+      simulator.stagnationCount = 30;
+      const layout = new Float32Array(8);
+
+      simulator.replaceLayout(layout);
+
+      expect(mockBufferManager.writeBuffer).toHaveBeenCalledWith('mock-tree-buffer', layout);
+      expect(simulator.bestScore).toBe(2);
+      expect(simulator.stagnationCount).toBe(30);
+    });
+
+    it('should reject layouts for a different tree count', () => {
+      mockSimulationParameters.get.mockReturnValue(2);
+
+      expect(() => simulator.replaceLayout(new Float32Array(8))).toThrow('Layout size mismatch');
+    });
+  });
+
+  describe('updateScore method', () => {
+    it('should read the tree buffer and compute the score', async () => {
+      mockSimulationParameters.get.mockReturnValue(1);
+      mockTreeGeometry.getPolygon = vi.fn().mockReturnValue(new Float32Array([0, 0, 1, 1]));
+      mockBufferManager.readTreeBuffer = vi.fn().mockResolvedValue(new Float32Array(8));
+
+      const result = await simulator.updateScore();
+
+      expect(mockBufferManager.readTreeBuffer).toHaveBeenCalled();
+      expect(result.side).toBeCloseTo(1, 6);
+      expect(simulator.isProcessingFeedback).toBe(false);
+    });
+
+    it('should drop a readback that a reset overtook', async () => {
+      mockSimulationParameters.get.mockReturnValue(1);
+      mockTreeGeometry.getPolygon = vi.fn().mockReturnValue(new Float32Array([0, 0, 1, 1]));
+      let resolveRead;
+      mockBufferManager.readTreeBuffer = vi.fn(() => new Promise(resolve => { resolveRead = resolve; }));
+
+      const pending = simulator.updateScore();
+      simulator.reset();
+      resolveRead(new Float32Array(8));
+
+      expect(await pending).toBeNull();
+      expect(simulator.bestScore).toBe(Infinity);
+    });
+
+    it('should log and return null when the readback fails', async () => {
+      mockBufferManager.readTreeBuffer = vi.fn().mockRejectedValue(new Error('device lost'));
+
+      const result = await simulator.updateScore();
+
+      expect(result).toBeNull();
+      expect(mockLogger.error).toHaveBeenCalledWith('Score calculation error: device lost');
+    });
+  });
+
+  describe('updateScore with a score reducer', () => {
+    let reducer;
+
+    beforeEach(() => {
+      mockSimulationParameters.get.mockReturnValue(1);
+      mockTreeGeometry.getPolygon = vi.fn().mockReturnValue(new Float32Array([
+        -0.5, -0.5, 0.5, -0.5, 0.5, 0.5, -0.5, 0.5
+      ]));
+      mockBufferManager.readTreeBuffer = vi.fn().mockResolvedValue(new Float32Array(8));
+      reducer = { reduce: vi.fn() };
+      simulator.setScoreReducer(reducer);
+    });
+
+    const reduction = (collisionCount) => ({
+      minX: -1, maxX: 1, minY: -0.5, maxY: 0.5, windX: 0, windY: 1, collisionCount
+    });
+
+    it('should score from the reduction without reading the layout', async () => {
+      reducer.reduce.mockResolvedValue(reduction(1));
+
+      const result = await simulator.updateScore();
+
+      expect(mockBufferManager.readTreeBuffer).not.toHaveBeenCalled();
+      expect(result.score).toBeCloseTo(4, 6);
+      expect(result.probX).toBeCloseTo(2 / 3, 6);
+      expect(result.windMagnitude).toBeCloseTo(1, 6);
+      expect(result.bestScore).toBe(Infinity);
+      expect(result.stagnationCount).toBe(1);
+    });
+
+    it('should confirm a candidate best on the full layout', async () => {
+      reducer.reduce.mockResolvedValue(reduction(0));
+
+      const result = await simulator.updateScore();
+
+      expect(mockBufferManager.readTreeBuffer).toHaveBeenCalledTimes(1);
+      expect(result.bestScore).toBeCloseTo(1, 6);
+      expect(result.stagnationCount).toBe(0);
+    });
+
+    it('should drop a reduction that a resize overtook', async () => {
+      let resolveReduce;
+      reducer.reduce.mockReturnValue(new Promise(resolve => { resolveReduce = resolve; }));
+      mockBufferManager.resizeTreeBuffers = vi.fn().mockReturnValue(true);
+
+      const pending = simulator.updateScore();
+      simulator.handleTreeCountChange(2);
+      resolveReduce(reduction(1));
+
+      expect(await pending).toBeNull();
+      expect(simulator.stagnationCount).toBe(0);
+    });
+
+    it('should not store a candidate best read back across a resize', async () => {
+      reducer.reduce.mockResolvedValue(reduction(0));
+      let resolveRead;
+      mockBufferManager.readTreeBuffer = vi.fn(() => new Promise(resolve => { resolveRead = resolve; }));
+      mockBufferManager.resizeTreeBuffers = vi.fn().mockReturnValue(true);
+
+      const pending = simulator.updateScore();
+      await vi.waitFor(() => expect(mockBufferManager.readTreeBuffer).toHaveBeenCalled());
+      simulator.handleTreeCountChange(2);
+      resolveRead(new Float32Array(8));
+
+      expect(await pending).toBeNull();
+      expect(simulator.hasBestLayout).toBe(false);
+      expect(simulator.getStoredBestLayout(1)).toBeNull();
+    });
+
+    it('should return null when no staging buffer is free', async () => {
+      reducer.reduce.mockResolvedValue(null);
+
+      expect(await simulator.updateScore()).toBeNull();
+      expect(simulator.stagnationCount).toBe(0);
+    });
+
+    it('should log and return null when the reduction fails', async () => {
+      reducer.reduce.mockRejectedValue(new Error('device lost'));
+
+      expect(await simulator.updateScore()).toBeNull();
+      expect(mockLogger.error).toHaveBeenCalledWith('Score calculation error: device lost');
+    });
+  });
+
+  describe('loadLayout method', () => {
+    it('should write the layout and reset score tracking', () => {
+      mockSimulationParameters.get.mockReturnValue(2);
+      simulator.bestScore = 1.5;
+      simulator.stagnationCount = 12;
+      simulator.needsReset = true;
+      const layout = new Float32Array(16);
+
+      simulator.loadLayout(layout);
+
+      expect(mockBufferManager.writeBuffer).toHaveBeenCalledWith('mock-tree-buffer', layout);
+      expect(simulator.bestScore).toBe(Infinity);
+      expect(simulator.stagnationCount).toBe(0);
+      expect(simulator.needsReset).toBe(false);
+    });
+
+    it('should reject layouts for a different tree count', () => {
+      mockSimulationParameters.get.mockReturnValue(3);
+
+      expect(() => simulator.loadLayout(new Float32Array(16))).toThrow('Layout size mismatch');
+      expect(mockBufferManager.writeBuffer).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('readLayout method', () => {
+    it('should trim the tree buffer to the current tree count', async () => {
+      mockSimulationParameters.get.mockReturnValue(1);
+      mockBufferManager.readTreeBuffer = vi.fn().mockResolvedValue(new Float32Array(24));
+
+      const layout = await simulator.readLayout();
+
+      expect(layout.length).toBe(8);
+    });
   });
 
   describe('processFeedbackLoop method', () => {
@@ -288,6 +833,113 @@ describe('PhysicsSimulator', () => {
       });
     });
 
+    describe('resizeLayout', () => {
+      let treeCount;
+
+      beforeEach(() => {
+        treeCount = 5;
+        mockBufferManager.readTreeBuffer = vi.fn(async () => new Float32Array(treeCount * 8));
+        mockBufferManager.resizeTreeBuffersPreserving = vi.fn(newTreeCount => {
+          const resized = newTreeCount !== treeCount;
+          treeCount = newTreeCount;
+          return resized;
+        });
+        mockBufferManager.resizeTreeBuffers = vi.fn().mockReturnValue(true);
+        simulator.bestScore = 1.5;
+        simulator.hasBestLayout = true;
+      });
+
+      it('should keep the survivors as packed runs when shrinking', async () => {
+        const selectSpy = vi.spyOn(simulator.layoutResizer, 'selectSurvivors').mockReturnValue([0, 1, 3]);
+
+        const resized = await simulator.resizeLayout(3);
+
+        expect(resized).toBe(true);
+        expect(selectSpy).toHaveBeenCalledWith(expect.any(Float32Array), 5, 3);
+        expect(mockBufferManager.resizeTreeBuffersPreserving).toHaveBeenCalledWith(3, [
+          { start: 0, count: 2 },
+          { start: 3, count: 1 }
+        ]);
+        expect(simulator.needsReset).toBe(false);
+        expect(simulator.hasBestLayout).toBe(false);
+        expect(simulator.bestScore).toBe(Infinity);
+      });
+
+      it('should keep every tree and write the added ones after them when growing', async () => {
+        const added = new Float32Array(16);
+        const placeSpy = vi.spyOn(simulator.layoutResizer, 'placeNewTrees').mockReturnValue(added);
+
+        const resized = await simulator.resizeLayout(7);
+
+        expect(resized).toBe(true);
+        expect(placeSpy).toHaveBeenCalledWith(expect.any(Float32Array), 5, 7);
+        expect(mockBufferManager.resizeTreeBuffersPreserving).toHaveBeenCalledWith(7, [{ start: 0, count: 5 }]);
+        expect(mockBufferManager.writeBuffer).toHaveBeenCalledWith('mock-tree-buffer', added, 5 * 8 * 4);
+        expect(simulator.needsReset).toBe(false);
+      });
+
+      it('should do nothing when the tree count is unchanged', async () => {
+        expect(await simulator.resizeLayout(5)).toBe(false);
+        expect(mockBufferManager.resizeTreeBuffersPreserving).not.toHaveBeenCalled();
+        expect(simulator.hasBestLayout).toBe(true);
+      });
+
+      it('should report a resize as in progress until it settles', async () => {
+        vi.spyOn(simulator.layoutResizer, 'selectSurvivors').mockReturnValue([0, 1, 2]);
+
+        const resize = simulator.resizeLayout(3);
+        expect(simulator.isResizing()).toBe(true);
+
+        await resize;
+        expect(simulator.isResizing()).toBe(false);
+      });
+
+      it('should run queued resizes one after another', async () => {
+        const placeSpy = vi.spyOn(simulator.layoutResizer, 'placeNewTrees')
+          .mockImplementation((treeData, count, newCount) => new Float32Array((newCount - count) * 8));
+
+        const first = simulator.resizeLayout(6);
+        await vi.waitFor(() => expect(mockBufferManager.readTreeBuffer).toHaveBeenCalled());
+        await Promise.all([first, simulator.resizeLayout(8)]);
+
+        expect(placeSpy.mock.calls.map(([, count, newCount]) => [count, newCount])).toEqual([[5, 6], [6, 8]]);
+      });
+
+      it('should skip queued counts a later request supersedes', async () => {
+        const placeSpy = vi.spyOn(simulator.layoutResizer, 'placeNewTrees')
+          .mockImplementation((treeData, count, newCount) => new Float32Array((newCount - count) * 8));
+
+        const results = await Promise.all([6, 7, 8, 9].map(count => simulator.resizeLayout(count)));
+
+        expect(results).toEqual([false, false, false, true]);
+        expect(placeSpy.mock.calls.map(([, count, newCount]) => [count, newCount])).toEqual([[5, 9]]);
+        expect(mockBufferManager.readTreeBuffer).toHaveBeenCalledTimes(1);
+        expect(simulator.isResizing()).toBe(false);
+      });
+
+      it('should fall back to a respawn when the resize fails', async () => {
+        mockBufferManager.readTreeBuffer.mockRejectedValue(new Error('device lost'));
+
+        const resized = await simulator.resizeLayout(3);
+
+        expect(resized).toBe(true);
+        expect(mockLogger.error).toHaveBeenCalledWith('Layout resize failed, respawning: device lost');
+        expect(mockBufferManager.resizeTreeBuffers).toHaveBeenCalledWith(3);
+        expect(simulator.needsReset).toBe(true);
+      });
+    });
+
+    describe('toRuns', () => {
+      it('should group ascending indices into consecutive runs', () => {
+        expect(PhysicsSimulator.toRuns([0, 1, 2, 5, 7, 8])).toEqual([
+          { start: 0, count: 3 },
+          { start: 5, count: 1 },
+          { start: 7, count: 2 }
+        ]);
+        expect(PhysicsSimulator.toRuns([])).toEqual([]);
+      });
+    });
+
     describe('buffer operations', () => {
       it('should handle buffer write errors gracefully', async () => {
         mockBufferManager.getReadBuffer.mockImplementation(() => {
@@ -0,0 +1,34 @@
+import { describe, it, expect } from 'vitest';
+import { Random } from '../demos/packing2/js/utils/Random.js';
+
+describe('Random', () => {
+  it('should produce values in [0, 1)', () => {
+    const random = new Random(42);
+    for (let i = 0; i < 1000; i++) {
+      const value = random.next();
+      expect(value).toBeGreaterThanOrEqual(0);
+      expect(value).toBeLessThan(1);
+    }
+  });
+
+  it('should repeat the sequence for the same seed', () => {
+    const a = new Random(7);
+    const b = new Random(7);
+
+    expect(Array.from({ length: 5 }, () => a.next())).toEqual(Array.from({ length: 5 }, () => b.next()));
+  });
+
+  it('should differ between seeds', () => {
+    expect(new Random(1).next()).not.toBe(new Random(2).next());
+  });
+
+  it('should restart from the seed on reset', () => {
+    const random = new Random(3);
+    const first = random.next();
+    random.next();
+
+    random.reset();
+
+    expect(random.next()).toBe(first);
+  });
+});
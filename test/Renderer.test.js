@@ -1,5 +1,6 @@
 import { describe, it, expect, beforeEach, vi } from 'vitest';
 import { Renderer } from '../demos/packing2/js/rendering/Renderer.js';
+import { PARAMETERS_FLOAT_COUNT } from '../demos/packing2/js/constants.js';
 
 describe('Renderer', () => {
   let renderer;
@@ -27,17 +28,26 @@ describe('Renderer', () => {
 
     mockPipelineManager = {
       getComputePipeline: vi.fn().mockReturnValue({}),
+      getTransformPipeline: vi.fn().mockReturnValue({ id: 'transform' }),
+      getTiledPipeline: vi.fn().mockReturnValue({ id: 'tiled' }),
+      getWorkgroupSize: vi.fn().mockReturnValue(64),
       getBindGroup: vi.fn().mockReturnValue({}),
       getRenderPipeline: vi.fn().mockReturnValue({}),
-      getRenderBindGroup: vi.fn().mockReturnValue({})
+      getRenderBindGroup: vi.fn().mockReturnValue({}),
+      swapBindGroups: vi.fn()
     };
 
     mockBufferManager = {
       getTreeBuffer: vi.fn().mockReturnValue(createMockGPUBuffer()),
-      getReadBuffer: vi.fn().mockReturnValue(createMockGPUBuffer())
+      getReadBuffer: vi.fn().mockReturnValue(createMockGPUBuffer()),
+      getUniformBuffer: vi.fn().mockReturnValue({ id: 'uniforms' }),
+      getSubstepUniformBuffer: vi.fn().mockReturnValue({ id: 'substep-uniforms' }),
+      swapTreeBuffers: vi.fn()
     };
 
-    mockTreeGeometry = {};
+    mockTreeGeometry = {
+      getPolygonVertexCount: vi.fn().mockReturnValue(16)
+    };
 
     renderer = new Renderer(
       mockDeviceManager,
@@ -98,6 +108,45 @@ describe('Renderer', () => {
       expect(renderer.renderComputePass).toHaveBeenCalledWith(mockCommandEncoder, {});
     });
 
+    it('should encode one compute pass per substep', () => {
+      renderer.render(0.016, 1, { substeps: 4 }, false);
+
+      expect(renderer.renderComputePass).toHaveBeenCalledTimes(4);
+      expect(renderer.renderGraphicsPass).toHaveBeenCalledTimes(1);
+    });
+
+    it('should copy each later substep its own uniforms before its compute pass', () => {
+      const encoder = mockDevice.createCommandEncoder();
+      const order = [];
+      encoder.copyBufferToBuffer.mockImplementation((source, offset) => order.push(`copy ${offset}`));
+      renderer.renderComputePass.mockImplementation(() => order.push('pass'));
+      const blockSize = PARAMETERS_FLOAT_COUNT * 4;
+
+      renderer.render(0.016, 1, { substeps: 3 }, false);
+
+      expect(order).toEqual(['pass', `copy ${blockSize}`, 'pass', `copy ${2 * blockSize}`, 'pass']);
+      expect(encoder.copyBufferToBuffer).toHaveBeenCalledWith({ id: 'substep-uniforms' }, blockSize, { id: 'uniforms' }, 0, blockSize);
+    });
+
+    it('should swap the tree buffers and bind groups after every compute pass', () => {
+      renderer.render(0.016, 1, { substeps: 3 }, false);
+
+      expect(mockBufferManager.swapTreeBuffers).toHaveBeenCalledTimes(3);
+      expect(mockPipelineManager.swapBindGroups).toHaveBeenCalledTimes(3);
+    });
+
+    it('should not swap without physics', () => {
+      renderer.render(0.016, 1, {}, false, false);
+
+      expect(mockBufferManager.swapTreeBuffers).not.toHaveBeenCalled();
+    });
+
+    it('should skip every substep when physics is off', () => {
+      renderer.render(0.016, 1, { substeps: 4 }, false, false);
+
+      expect(renderer.renderComputePass).not.toHaveBeenCalled();
+    });
+
     it('should execute graphics pass', () => {
       renderer.render(0.016, 1, {}, false);
 
@@ -147,6 +196,16 @@ describe('Renderer', () => {
       expect(computePass.setPipeline).toHaveBeenCalledWith(mockPipelineManager.getComputePipeline());
     });
 
+    it('should run the transform pass before the physics step', () => {
+      renderer.renderComputePass(mockCommandEncoder, { treeCount: 100 });
+
+      const computePass = mockCommandEncoder.beginComputePass.mock.results[0].value;
+      expect(computePass.setPipeline.mock.calls.map(([pipeline]) => pipeline)).toEqual([
+        mockPipelineManager.getTransformPipeline(), mockPipelineManager.getComputePipeline()
+      ]);
+      expect(computePass.dispatchWorkgroups.mock.calls).toEqual([[2], [2]]);
+    });
+
     it('should set bind group', () => {
       renderer.renderComputePass(mockCommandEncoder, {});
 
@@ -164,6 +223,23 @@ describe('Renderer', () => {
       expect(computePass.dispatchWorkgroups).toHaveBeenCalledWith(expectedWorkgroups);
     });
 
+    it('should size the dispatch by the pipeline workgroup size', () => {
+      mockPipelineManager.getWorkgroupSize.mockReturnValue(128);
+
+      renderer.renderComputePass(mockCommandEncoder, { treeCount: 1000 });
+
+      const computePass = mockCommandEncoder.beginComputePass.mock.results[0].value;
+      expect(computePass.dispatchWorkgroups.mock.calls).toEqual([[8], [8]]);
+    });
+
+    it('should run the tiled step when tiled collisions are on', () => {
+      renderer.renderComputePass(mockCommandEncoder, { treeCount: 100, tiledCollisions: true });
+
+      const computePass = mockCommandEncoder.beginComputePass.mock.results[0].value;
+      expect(computePass.setPipeline).toHaveBeenLastCalledWith(mockPipelineManager.getTiledPipeline());
+      expect(computePass.setPipeline).not.toHaveBeenCalledWith(mockPipelineManager.getComputePipeline());
+    });
+
     it('should use default tree count of 3', () => {
       renderer.renderComputePass(mockCommandEncoder, {});
 
@@ -178,6 +254,45 @@ describe('Renderer', () => {
       const computePass = mockCommandEncoder.beginComputePass.mock.results[0].value;
       expect(computePass.end).toHaveBeenCalled();
     });
+
+    describe('with grid broadphase', () => {
+      let gridPipelines;
+      let gridBuffers;
+
+      beforeEach(() => {
+        gridPipelines = { count: { id: 'count' }, scan: { id: 'scan' }, scatter: { id: 'scatter' }, physics: { id: 'physics' } };
+        gridBuffers = { cellCounts: createMockGPUBuffer() };
+        mockPipelineManager.getGridPipelines = vi.fn().mockReturnValue(gridPipelines);
+        mockPipelineManager.getGridBindGroup = vi.fn().mockReturnValue({ id: 'grid' });
+        mockBufferManager.getGridBuffers = vi.fn().mockReturnValue(gridBuffers);
+      });
+
+      it('should clear cell counts before the pass', () => {
+        renderer.renderComputePass(mockCommandEncoder, { treeCount: 100, gridBroadphase: true });
+
+        expect(mockCommandEncoder.clearBuffer).toHaveBeenCalledWith(gridBuffers.cellCounts);
+      });
+
+      it('should run transform, count, scan, scatter and physics in order', () => {
+        renderer.renderComputePass(mockCommandEncoder, { treeCount: 100, gridBroadphase: true });
+
+        const computePass = mockCommandEncoder.beginComputePass.mock.results[0].value;
+        expect(computePass.setBindGroup).toHaveBeenCalledWith(1, mockPipelineManager.getGridBindGroup());
+        expect(computePass.setPipeline.mock.calls.map(([pipeline]) => pipeline)).toEqual([
+          mockPipelineManager.getTransformPipeline(),
+          gridPipelines.count, gridPipelines.scan, gridPipelines.scatter, gridPipelines.physics
+        ]);
+        expect(computePass.dispatchWorkgroups.mock.calls).toEqual([[2], [2], [1], [2], [2]]);
+      });
+
+      it('should not touch the grid when disabled', () => {
+        renderer.renderComputePass(mockCommandEncoder, { treeCount: 100, gridBroadphase: false });
+
+        const computePass = mockCommandEncoder.beginComputePass.mock.results[0].value;
+        expect(mockCommandEncoder.clearBuffer).not.toHaveBeenCalled();
+        expect(computePass.setPipeline).toHaveBeenCalledWith(mockPipelineManager.getComputePipeline());
+      });
+    });
   });
 
   describe('copyDataForFeedback', () => {
@@ -268,6 +383,15 @@ describe('Renderer', () => {
       expect(renderPass.draw).toHaveBeenCalledWith(16, 3);
     });
 
+    it('should draw one vertex per tree polygon point', () => {
+      mockTreeGeometry.getPolygonVertexCount.mockReturnValue(9);
+
+      renderer.renderGraphicsPass(mockCommandEncoder, { treeCount: 4 });
+
+      const renderPass = mockCommandEncoder.beginRenderPass.mock.results[0].value;
+      expect(renderPass.draw).toHaveBeenCalledWith(9, 4);
+    });
+
     it('should end render pass', () => {
       renderer.renderGraphicsPass(mockCommandEncoder, {});
 
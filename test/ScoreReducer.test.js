@@ -0,0 +1,114 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { ScoreReducer } from '../demos/packing2/js/webgpu/ScoreReducer.js';
+
+/**
+ * Staging buffer whose mapAsync resolves only when the test says so
+ */
+const createStagingBuffer = (values) => {
+  const data = new ArrayBuffer(32);
+  new Float32Array(data).set(values.slice(0, 6));
+  new Uint32Array(data)[6] = values[6];
+
+  let resolveMap;
+  return {
+    size: 32,
+    mapAsync: vi.fn(() => new Promise(resolve => { resolveMap = resolve; })),
+    getMappedRange: vi.fn(() => data),
+    unmap: vi.fn(),
+    finishMap: () => resolveMap()
+  };
+};
+
+describe('ScoreReducer', () => {
+  let reducer;
+  let mockDevice;
+  let mockPipelineManager;
+  let mockBufferManager;
+  let readBuffers;
+
+  beforeEach(() => {
+    mockDevice = createMockGPUDevice();
+    readBuffers = [
+      createStagingBuffer([-1, 2, -3, 4, 0.5, -0.5, 7]),
+      createStagingBuffer([-1, 2, -3, 4, 0.5, -0.5, 7])
+    ];
+    mockPipelineManager = {
+      getScorePipeline: vi.fn().mockReturnValue({ id: 'score-pipeline' }),
+      getScoreBindGroup: vi.fn().mockReturnValue({ id: 'score-bind-group' })
+    };
+    mockBufferManager = {
+      getScoreResultBuffer: vi.fn().mockReturnValue(createMockGPUBuffer(32)),
+      getScoreReadBuffers: vi.fn().mockReturnValue(readBuffers)
+    };
+
+    reducer = new ScoreReducer({ getDevice: () => mockDevice }, mockPipelineManager, mockBufferManager);
+  });
+
+  describe('parseResult', () => {
+    it('should decode floats and the u32 collision count', () => {
+      const data = new ArrayBuffer(32);
+      new Float32Array(data).set([-1, 2, -3, 4, 0.5, -0.5]);
+      new Uint32Array(data)[6] = 12;
+
+      expect(ScoreReducer.parseResult(data)).toEqual({
+        minX: -1, maxX: 2, minY: -3, maxY: 4, windX: 0.5, windY: -0.5, collisionCount: 12
+      });
+    });
+  });
+
+  describe('reduce', () => {
+    it('should dispatch one reduction workgroup and copy the result', async () => {
+      const pending = reducer.reduce();
+      readBuffers[0].finishMap();
+      await pending;
+
+      const encoder = mockDevice.createCommandEncoder.mock.results[0].value;
+      const pass = encoder.beginComputePass.mock.results[0].value;
+      expect(pass.setPipeline).toHaveBeenCalledWith(mockPipelineManager.getScorePipeline());
+      expect(pass.setBindGroup).toHaveBeenCalledWith(0, mockPipelineManager.getScoreBindGroup());
+      expect(pass.dispatchWorkgroups).toHaveBeenCalledWith(1);
+      expect(encoder.copyBufferToBuffer).toHaveBeenCalledWith(
+        mockBufferManager.getScoreResultBuffer(), 0, readBuffers[0], 0, 32
+      );
+      expect(mockDevice.queue.submit).toHaveBeenCalled();
+    });
+
+    it('should return the reduction and unmap the staging buffer', async () => {
+      const pending = reducer.reduce();
+      readBuffers[0].finishMap();
+
+      expect(await pending).toEqual({
+        minX: -1, maxX: 2, minY: -3, maxY: 4, windX: 0.5, windY: -0.5, collisionCount: 7
+      });
+      expect(readBuffers[0].unmap).toHaveBeenCalled();
+    });
+
+    it('should fill the second staging buffer while the first is mapping', async () => {
+      const first = reducer.reduce();
+      const second = reducer.reduce();
+
+      expect(readBuffers[0].mapAsync).toHaveBeenCalledTimes(1);
+      expect(readBuffers[1].mapAsync).toHaveBeenCalledTimes(1);
+
+      readBuffers[0].finishMap();
+      readBuffers[1].finishMap();
+      await Promise.all([first, second]);
+    });
+
+    it('should skip instead of waiting when both staging buffers are busy', async () => {
+      const first = reducer.reduce();
+      const second = reducer.reduce();
+
+      expect(await reducer.reduce()).toBeNull();
+
+      readBuffers[0].finishMap();
+      await first;
+      const third = reducer.reduce();
+      expect(readBuffers[0].mapAsync).toHaveBeenCalledTimes(2);
+
+      readBuffers[0].finishMap();
+      readBuffers[1].finishMap();
+      await Promise.all([second, third]);
+    });
+  });
+});
@@ -0,0 +1,82 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { ShapeEditor } from '../demos/packing2/js/ui/ShapeEditor.js';
+import { MAX_SHAPE_RADIUS } from '../demos/packing2/js/constants.js';
+
+describe('ShapeEditor', () => {
+  let canvas;
+  let ctx;
+  let editor;
+
+  beforeEach(() => {
+    ctx = {
+      clearRect: vi.fn(),
+      beginPath: vi.fn(),
+      moveTo: vi.fn(),
+      lineTo: vi.fn(),
+      stroke: vi.fn(),
+      arc: vi.fn(),
+      setLineDash: vi.fn(),
+      fillRect: vi.fn()
+    };
+    canvas = {
+      width: 200,
+      height: 200,
+      getContext: vi.fn().mockReturnValue(ctx),
+      getBoundingClientRect: vi.fn().mockReturnValue({ left: 10, top: 20, width: 100, height: 100 })
+    };
+    editor = new ShapeEditor(canvas);
+  });
+
+  describe('coordinate mapping', () => {
+    it('should map the canvas centre to the shape origin', () => {
+      expect(editor.canvasToShape(100, 100)).toEqual({ x: 0, y: 0 });
+    });
+
+    it('should map the canvas corners to the shape radius with y up', () => {
+      expect(editor.canvasToShape(200, 0)).toEqual({ x: MAX_SHAPE_RADIUS, y: MAX_SHAPE_RADIUS });
+      expect(editor.shapeToCanvas(-MAX_SHAPE_RADIUS, -MAX_SHAPE_RADIUS)).toEqual({ x: 0, y: 200 });
+    });
+  });
+
+  describe('editing', () => {
+    it('should snap added points to the grid', () => {
+      editor.addPoint(0.1234, -0.4987);
+      expect(editor.getPoints()).toEqual([0.125, -0.5]);
+    });
+
+    it('should convert clicks through the displayed canvas size', () => {
+      // Canvas is displayed at half size, so the click at the display centre is the origin
+      editor.handleClick({ clientX: 60, clientY: 70 });
+      expect(editor.getPoints()).toEqual([0, 0]);
+    });
+
+    it('should undo and clear points', () => {
+      editor.addPoint(0, 0);
+      editor.addPoint(0.5, 0);
+      editor.undo();
+      expect(editor.getPoints()).toEqual([0, 0]);
+
+      editor.clear();
+      expect(editor.getPoints()).toEqual([]);
+    });
+
+    it('should load outlines without the closing point', () => {
+      editor.setPoints([0, 0, 0.5, 0, 0, 0.5, 0, 0]);
+      expect(editor.getPoints()).toEqual([0, 0, 0.5, 0, 0, 0.5]);
+    });
+  });
+
+  describe('draw', () => {
+    it('should mark every point and draw the closing edge', () => {
+      editor.setPoints([0, 0, 0.5, 0, 0, 0.5]);
+      expect(ctx.fillRect).toHaveBeenCalledTimes(3);
+      expect(ctx.setLineDash).toHaveBeenCalledWith([4, 4]);
+    });
+
+    it('should do nothing without a 2D context', () => {
+      canvas.getContext.mockReturnValue(null);
+      const headless = new ShapeEditor(canvas);
+      expect(() => headless.addPoint(0, 0)).not.toThrow();
+    });
+  });
+});
@@ -0,0 +1,81 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { SignedDistanceField } from '../demos/packing2/js/geometry/SignedDistanceField.js';
+import { TreeGeometry } from '../demos/packing2/js/geometry/TreeGeometry.js';
+
+describe('SignedDistanceField', () => {
+  let geometry;
+  let field;
+
+  beforeEach(() => {
+    geometry = new TreeGeometry();
+    field = new SignedDistanceField(geometry, 64);
+  });
+
+  describe('constructor', () => {
+    it('should cover the shape plus the margin', () => {
+      expect(field.extent).toBeCloseTo(1.05, 6); // top point at y = 0.8
+      expect(field.spacing).toBeCloseTo(2.1 / 63, 6);
+      expect(field.data).toHaveLength(64 * 64 * 4);
+    });
+
+    it('should reject resolutions below two texels', () => {
+      expect(() => new SignedDistanceField(geometry, 1)).toThrow('Invalid SDF resolution: 1');
+      expect(() => new SignedDistanceField(geometry, 12.5)).toThrow('Invalid SDF resolution: 12.5');
+    });
+  });
+
+  describe('sample', () => {
+    it('should return the exact distance at texel centres', () => {
+      const x = -field.extent + 20 * field.spacing;
+      const y = -field.extent + 30 * field.spacing;
+
+      expect(field.sample(x, y)[0]).toBeCloseTo(geometry.signedDistance(x, y), 6);
+    });
+
+    it('should point the gradient away from the shape', () => {
+      const [distance, gradX, gradY] = field.sample(0, -0.35);
+
+      expect(distance).toBeCloseTo(0.15, 2);
+      expect(gradX).toBeCloseTo(0, 2);
+      expect(gradY).toBeCloseTo(-1, 2);
+    });
+
+    it('should report no contact outside the baked square', () => {
+      expect(field.sample(2, 0)).toEqual([1000, 0, 0]);
+      expect(field.sample(0, -1.1)).toEqual([1000, 0, 0]);
+    });
+  });
+
+  describe('matches', () => {
+    it('should match only the same shape and resolution', () => {
+      expect(field.matches(geometry, 64)).toBe(true);
+      expect(field.matches(geometry, 128)).toBe(false);
+
+      geometry.setPolygon([0.5, 0.5, -0.5, 0.5, -0.5, -0.5, 0.5, -0.5]);
+
+      expect(field.matches(geometry, 64)).toBe(false);
+    });
+  });
+
+  describe('measureError', () => {
+    it('should shrink as the resolution grows', () => {
+      const coarse = new SignedDistanceField(geometry, 32).measureError(50);
+      const fine = field.measureError(50);
+
+      expect(fine.resolution).toBe(64);
+      expect(fine.maxError).toBeLessThan(coarse.maxError);
+      expect(fine.meanError).toBeLessThan(coarse.meanError);
+      expect(fine.meanNormalError).toBeLessThan(coarse.meanNormalError);
+    });
+
+    it('should stay small for a square outline', () => {
+      // Distance to a square is linear except near the corners and the diagonals
+      geometry.setPolygon([0.5, 0.5, -0.5, 0.5, -0.5, -0.5, 0.5, -0.5]);
+
+      const report = new SignedDistanceField(geometry, 64).measureError(40);
+
+      expect(report.meanError).toBeLessThan(0.002);
+      expect(Math.abs(report.maxErrorAt.x)).toBeLessThanOrEqual(report.extent);
+    });
+  });
+});
@@ -19,7 +19,7 @@ describe('SimulationParameters', () => {
 
     it('should initialize with constraints', () => {
       const constraints = params.getConstraints('treeCount');
-      expect(constraints).toEqual({ min: 1, max: 200, step: 1 });
+      expect(constraints).toEqual({ min: 1, max: 5000, step: 1 });
 
       const boolConstraints = params.getConstraints('autoPack');
       expect(boolConstraints).toEqual({ type: 'boolean' });
@@ -54,7 +54,7 @@ describe('SimulationParameters', () => {
   });
 
   it('should reject invalid numeric values (too high)', () => {
-    expect(params.set('treeCount', 300)).toBe(false); // max is 200
+    expect(params.set('treeCount', 6000)).toBe(false); // max is 5000
     expect(params.get('treeCount')).toBe(10); // unchanged
   });
 
@@ -63,6 +63,56 @@ describe('SimulationParameters', () => {
       expect(params.get('autoPack')).toBe(true); // unchanged
     });
 
+    it('should toggle the grid broadphase as a boolean', () => {
+      expect(params.get('gridBroadphase')).toBe(true);
+      expect(params.set('gridBroadphase', false)).toBe(true);
+      expect(params.set('gridBroadphase', 0)).toBe(false);
+      expect(params.get('gridBroadphase')).toBe(false);
+    });
+
+    it('should toggle the tiled brute-force step as a boolean', () => {
+      expect(params.get('tiledCollisions')).toBe(false);
+      expect(params.set('tiledCollisions', true)).toBe(true);
+      expect(params.set('tiledCollisions', 1)).toBe(false);
+      expect(params.get('tiledCollisions')).toBe(true);
+    });
+
+    it('should only accept known spawn strategies', () => {
+      expect(params.get('spawnStrategy')).toBe('random');
+      expect(params.set('spawnStrategy', 'bottomLeftFill')).toBe(true);
+      expect(params.set('spawnStrategy', 'grid')).toBe(false);
+      expect(params.get('spawnStrategy')).toBe('bottomLeftFill');
+    });
+
+    it('should keep the layout on tree count changes by default', () => {
+      expect(params.get('preserveLayout')).toBe(true);
+      expect(params.set('preserveLayout', false)).toBe(true);
+      expect(params.set('preserveLayout', 'no')).toBe(false);
+      expect(params.get('preserveLayout')).toBe(false);
+    });
+
+    it('should validate the annealing schedule', () => {
+      expect(params.get('autoRefine')).toBe(false);
+      expect(params.set('annealIterations', 5000)).toBe(true);
+      expect(params.set('annealIterations', 50)).toBe(false);
+      expect(params.set('annealIterations', 1000.5)).toBe(false);
+      expect(params.set('annealStartTemperature', 0)).toBe(false);
+      expect(params.set('annealEndTemperature', 0.001)).toBe(true);
+    });
+
+    it('should only accept known container modes', () => {
+      expect(params.set('containerMode', 'square')).toBe(true);
+      expect(params.set('containerMode', 'circle')).toBe(false);
+      expect(params.get('containerMode')).toBe('square');
+    });
+
+    it('should only accept listed escape strategies', () => {
+      expect(params.set('escapeStrategy', 'reinsert')).toBe(true);
+      expect(params.set('escapeStrategy', 'teleport')).toBe(false);
+      expect(params.get('escapeStrategy')).toBe('reinsert');
+      expect(params.set('escapeThreshold', 2)).toBe(false);
+    });
+
     it('should reject NaN values', () => {
       expect(params.set('compression', NaN)).toBe(false);
       expect(params.get('compression')).toBe(1.0); // unchanged
@@ -91,7 +141,33 @@ describe('SimulationParameters', () => {
         relaxationRate: 1.0,
         autoPack: true,
         aspect: 1.0,
-        renderFrequency: 1
+        renderFrequency: 1,
+        seed: 1,
+        spawnStrategy: 'random',
+        preserveLayout: true,
+        gridBroadphase: true,
+        tiledCollisions: false,
+        autoRefine: false,
+        annealIterations: 20000,
+        annealStartTemperature: 0.05,
+        annealEndTemperature: 0.0001,
+        autoEscape: false,
+        escapeThreshold: 30,
+        escapeStrategy: 'cycle',
+        containerMode: 'gravity',
+        pullAnisotropy: 1.0,
+        contactSolver: 'vertex',
+        contactThreshold: 0.02,
+        forceGain: 30.0,
+        forceClamp: 1.0,
+        torqueGain: 3.0,
+        searchRadius: 2.5,
+        timeStep: 0.016,
+        linearDamping: 0.90,
+        angularDamping: 0.80,
+        sdfResolution: 256,
+        substeps: 1,
+        adaptiveSubsteps: false
       });
 
       // Verify it's a copy (not reference)
@@ -100,10 +176,55 @@ describe('SimulationParameters', () => {
     });
   });
 
+  describe('physics parameters', () => {
+    it('should return only the physics parameters', () => {
+      params.set('forceGain', 40);
+
+      const physics = params.getPhysics();
+
+      expect(Object.keys(physics)).toHaveLength(11);
+      expect(physics.forceGain).toBe(40);
+      expect(physics.relaxationRate).toBe(1.0);
+      expect(physics).not.toHaveProperty('treeCount');
+    });
+
+    it('should apply stored physics parameters', () => {
+      params.setPhysics({ timeStep: 0.01, linearDamping: 0.95 });
+
+      expect(params.get('timeStep')).toBe(0.01);
+      expect(params.get('linearDamping')).toBe(0.95);
+      expect(params.get('forceGain')).toBe(30.0);
+    });
+
+    it('should reject unknown keys and invalid values without applying any', () => {
+      expect(() => params.setPhysics({ forceGain: 40, treeCount: 5 })).toThrow('Invalid physics parameter treeCount: 5');
+      expect(() => params.setPhysics({ forceGain: 40, linearDamping: 2 })).toThrow('Invalid physics parameter linearDamping: 2');
+      expect(params.get('forceGain')).toBe(30.0);
+    });
+
+    it('should only accept known contact solvers', () => {
+      expect(params.set('contactSolver', 'sat')).toBe(true);
+      expect(params.set('contactSolver', 'impulse')).toBe(false);
+      expect(params.getPhysics().contactSolver).toBe('sat');
+    });
+
+    it('should keep the distance field resolution within bounds', () => {
+      expect(params.set('sdfResolution', 512)).toBe(true);
+      expect(params.set('sdfResolution', 1024)).toBe(false);
+      expect(params.set('sdfResolution', 8)).toBe(false);
+      expect(params.set('sdfResolution', 100.5)).toBe(false);
+    });
+
+    it('should cap the search radius at the grid cell size', () => {
+      expect(params.set('searchRadius', 2.5)).toBe(true);
+      expect(params.set('searchRadius', 2.6)).toBe(false);
+    });
+  });
+
   describe('getConstraints method', () => {
     it('should return a copy of constraints', () => {
       const constraints = params.getConstraints('treeCount');
-      expect(constraints).toEqual({ min: 1, max: 200, step: 1 });
+      expect(constraints).toEqual({ min: 1, max: 5000, step: 1 });
 
       // Verify it's a copy
       constraints.min = 0;
@@ -120,29 +241,71 @@ describe('SimulationParameters', () => {
       const uniforms = params.getUniforms(0.016, 42);
 
       expect(uniforms).toBeInstanceOf(Float32Array);
-      expect(uniforms.length).toBe(8);
+      expect(uniforms.length).toBe(24);
 
-      // Check parameter values (new structure: zoom, compression, probX, time, aspect, _pad1, _pad2, _pad3)
+      // Check parameter values (UNIFORM_FIELDS: zoom, compression, probX, time, aspect, seed, walls, compression target, physics)
       expect(uniforms[0]).toBe(2.0); // zoom
       expect(uniforms[1]).toBe(1.0); // compression
       expect(uniforms[2]).toBe(0.5); // probX (default)
       expect(uniforms[3]).toBe(42); // time (frameCount)
       expect(uniforms[4]).toBe(1.0); // aspect
-      expect(uniforms[5]).toBe(0.0); // _pad1
-      expect(uniforms[6]).toBe(0.0); // _pad2
-      expect(uniforms[7]).toBe(0.0); // _pad3
+      expect(new Uint32Array(uniforms.buffer)[5]).toBe(1); // seed bits
+      expect(uniforms[6]).toBe(0.0); // wallHalf (no walls)
+      expect(uniforms[7]).toBe(0.0); // wallCenterX
+      expect(uniforms[8]).toBe(0.0); // wallCenterY
+      expect(uniforms[9]).toBe(0.0); // centerX
+      expect(uniforms[10]).toBe(0.0); // centerY
+      expect(uniforms[11]).toBe(0.0); // targetHalfSide
+      expect(uniforms[12]).toBe(1.0); // pullAnisotropy
+      expect(uniforms[13]).toBeCloseTo(0.02, 6); // contactThreshold
+      expect(uniforms[14]).toBe(30.0); // forceGain
+      expect(uniforms[15]).toBe(1.0); // forceClamp
+      expect(uniforms[16]).toBe(3.0); // torqueGain
+      expect(uniforms[17]).toBe(1.0); // relaxationRate
+      expect(uniforms[18]).toBe(2.5); // searchRadius
+      expect(uniforms[19]).toBeCloseTo(0.016, 6); // timeStep
+      expect(uniforms[20]).toBeCloseTo(0.90, 6); // linearDamping
+      expect(uniforms[21]).toBeCloseTo(0.80, 6); // angularDamping
+      expect(new Uint32Array(uniforms.buffer)[22]).toBe(0); // contactSolver ('vertex')
+      expect(new Uint32Array(uniforms.buffer)[23]).toBe(10); // treeCount
+    });
+
+    it('should write the container walls', () => {
+      const uniforms = params.getUniforms(0.016, 42, { wallHalf: 3, wallCenterX: 0.5, wallCenterY: -0.5 });
+
+      expect(uniforms[6]).toBe(3);
+      expect(uniforms[7]).toBe(0.5);
+      expect(uniforms[8]).toBe(-0.5);
+    });
+
+    it('should write the contact solver as its index', () => {
+      params.set('contactSolver', 'sat');
+
+      const uniforms = params.getUniforms(0.016, 0);
+
+      expect(new Uint32Array(uniforms.buffer)[22]).toBe(1);
+    });
+
+    it('should store large seeds exactly as u32 bits', () => {
+      params.set('seed', 4294967295);
+
+      const uniforms = params.getUniforms(0.016, 0);
+
+      expect(new Uint32Array(uniforms.buffer)[5]).toBe(4294967295);
     });
 
     it('should use provided additional parameters', () => {
       const uniforms = params.getUniforms(0.016, 42, {
         probX: 0.7,
         probY: 0.8, // not used in new structure
-        centerX: 10, // not used in new structure
-        centerY: 20  // not used in new structure
+        centerX: 10,
+        centerY: 20
       });
 
       expect(uniforms[2]).toBeCloseTo(0.7, 5); // probX
-      // Other parameters (centerX, centerY, probY) are not used in new 8-float structure
+      expect(uniforms[9]).toBe(10); // centerX
+      expect(uniforms[10]).toBe(20); // centerY
+      // probY is not part of the uniform layout
     });
   });
 
@@ -230,9 +393,17 @@ describe('SimulationParameters', () => {
 
     it('should validate treeCount range', () => {
       expect(params.set('treeCount', 1)).toBe(true); // min
-      expect(params.set('treeCount', 200)).toBe(true); // max
+      expect(params.set('treeCount', 5000)).toBe(true); // max
       expect(params.set('treeCount', 0)).toBe(false); // below min
-      expect(params.set('treeCount', 201)).toBe(false); // above max
+      expect(params.set('treeCount', 5001)).toBe(false); // above max
+    });
+
+    it('should only accept whole seeds in the u32 range', () => {
+      expect(params.set('seed', 0)).toBe(true);
+      expect(params.set('seed', 4294967295)).toBe(true);
+      expect(params.set('seed', 1.5)).toBe(false);
+      expect(params.set('seed', -1)).toBe(false);
+      expect(params.set('seed', 4294967296)).toBe(false);
     });
 
     it('should validate boolean parameters', () => {
@@ -0,0 +1,194 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { SpawnPlanner } from '../demos/packing2/js/simulation/SpawnPlanner.js';
+import { OverlapValidator } from '../demos/packing2/js/geometry/OverlapValidator.js';
+import { TreeGeometry } from '../demos/packing2/js/geometry/TreeGeometry.js';
+import { SPAWN_STRATEGIES, SPAWN_GAP, BLF_CACHE_SIZE } from '../demos/packing2/js/constants.js';
+
+describe('SpawnPlanner', () => {
+  let geometry;
+  let planner;
+  let validator;
+
+  // Exact bounds of a layout
+  const boundsOf = (layout, treeCount) => geometry.getLayoutBounds(layout, treeCount);
+
+  beforeEach(() => {
+    geometry = new TreeGeometry();
+    planner = new SpawnPlanner(geometry);
+    validator = new OverlapValidator(geometry);
+  });
+
+  describe('createLayout', () => {
+    it('should give every strategy FLOATS_PER_TREE floats per tree at rest', () => {
+      const previous = planner.createLayout('hexagonal', 6, 1);
+
+      for (const strategy of SPAWN_STRATEGIES.filter(name => name !== 'bottomLeftFill')) {
+        const layout = planner.createLayout(strategy, 7, 1, previous);
+        expect(layout).toBeInstanceOf(Float32Array);
+        expect(layout).toHaveLength(7 * 8);
+        for (let i = 0; i < 7; i++) {
+          expect([layout[i * 8 + 2], layout[i * 8 + 3], layout[i * 8 + 5], layout[i * 8 + 6]]).toEqual([0, 0, 0, 0]);
+        }
+      }
+    });
+
+    it('should scatter at random for the random strategy', () => {
+      expect(planner.createLayout('random', 20, 5)).toEqual(SpawnPlanner.createRandomLayout(20, 5));
+    });
+
+    it('should need the smaller layout to extend the best one', () => {
+      expect(() => planner.createLayout('extendBest', 5, 1)).toThrow('Spawn strategy extendBest needs a layout of 4 trees');
+    });
+  });
+
+  describe('createBottomLeftFillLayout', () => {
+    beforeEach(() => {
+      vi.spyOn(planner.bottomLeftFill, 'createLayout').mockImplementation((treeCount, seed) => new Float32Array(treeCount * 8).fill(seed));
+    });
+
+    it('should build a size and seed once and hand out copies', () => {
+      const first = planner.createLayout('bottomLeftFill', 5, 2);
+      first[0] = 99;
+      const second = planner.createLayout('bottomLeftFill', 5, 2);
+
+      expect(planner.bottomLeftFill.createLayout).toHaveBeenCalledTimes(1);
+      expect(second).toEqual(new Float32Array(5 * 8).fill(2));
+    });
+
+    it('should rebuild for another seed or shape', () => {
+      planner.createLayout('bottomLeftFill', 5, 2);
+      planner.createLayout('bottomLeftFill', 5, 3);
+      geometry.polygon = [...geometry.polygon];
+      planner.createLayout('bottomLeftFill', 5, 2);
+
+      expect(planner.bottomLeftFill.createLayout).toHaveBeenCalledTimes(3);
+    });
+
+    it('should drop the least recently used layout once full', () => {
+      for (let n = 1; n <= BLF_CACHE_SIZE; n++) {
+        planner.createLayout('bottomLeftFill', n, 1);
+      }
+      planner.createLayout('bottomLeftFill', 1, 1);
+      planner.createLayout('bottomLeftFill', BLF_CACHE_SIZE + 1, 1);
+
+      expect(planner.bottomLeftFillCache.size).toBe(BLF_CACHE_SIZE);
+      expect(planner.bottomLeftFillCache.has('1:1')).toBe(true);
+      expect(planner.bottomLeftFillCache.has('2:1')).toBe(false);
+    });
+  });
+
+  describe('createRandomLayout', () => {
+    it('should spawn the same layout for the same seed', () => {
+      const layout = SpawnPlanner.createRandomLayout(50, 7);
+
+      expect(layout).toEqual(SpawnPlanner.createRandomLayout(50, 7));
+      expect(layout).not.toEqual(SpawnPlanner.createRandomLayout(50, 8));
+      for (let i = 0; i < 50; i++) {
+        expect(Math.abs(layout[i * 8])).toBeLessThanOrEqual(Math.sqrt(50));
+        expect(Math.abs(layout[i * 8 + 1])).toBeLessThanOrEqual(Math.sqrt(50));
+      }
+    });
+  });
+
+  describe('lattices', () => {
+    it.each(['hexagonal', 'pairs', 'ring'])('should start the %s spawn without overlaps', (strategy) => {
+      const layout = planner.createLayout(strategy, 40, 1);
+
+      expect(validator.validate(layout, 40).valid).toBe(true);
+    });
+
+    it.each(['hexagonal', 'pairs', 'spiral', 'ring'])('should centre the %s spawn on the origin', (strategy) => {
+      const { minX, maxX, minY, maxY } = boundsOf(planner.createLayout(strategy, 25, 1), 25);
+
+      expect(minX + maxX).toBeCloseTo(0, 4);
+      expect(minY + maxY).toBeCloseTo(0, 4);
+    });
+
+    it('should keep neighbours in a hexagonal row SPAWN_GAP apart', () => {
+      const layout = planner.createHexagonalLayout(2);
+      const left = validator.transformPolygon(layout[0], layout[1], 0);
+      const right = validator.transformPolygon(layout[8] - SPAWN_GAP * 1.01, layout[9], 0);
+
+      expect(layout[1]).toBe(layout[9]);
+      expect(validator.checkPair(left, right).overlapping).toBe(true);
+    });
+
+    it('should alternate upright and inverted trees in the pair lattice', () => {
+      const layout = planner.createPairLayout(4);
+
+      expect([layout[4], layout[12], layout[20], layout[28]]).toEqual([0, Math.fround(Math.PI), 0, Math.fround(Math.PI)]);
+    });
+
+    it('should keep the lattices roughly square', () => {
+      for (const strategy of ['hexagonal', 'pairs']) {
+        const { minX, maxX, minY, maxY } = boundsOf(planner.createLayout(strategy, 100, 1), 100);
+        const ratio = (maxX - minX) / (maxY - minY);
+        expect(ratio).toBeGreaterThan(0.7);
+        expect(ratio).toBeLessThan(1.4);
+      }
+    });
+
+    it('should pack the pair lattice tighter than the random spawn', () => {
+      const side = layout => {
+        const { minX, maxX, minY, maxY } = boundsOf(layout, 100);
+        return Math.max(maxX - minX, maxY - minY);
+      };
+
+      expect(side(planner.createPairLayout(100))).toBeLessThan(side(SpawnPlanner.createRandomLayout(100, 1)) / 2);
+    });
+  });
+
+  describe('spiral and rings', () => {
+    it('should place the spiral at radii growing with the square root of the index', () => {
+      const layout = planner.createSpiralLayout(50);
+      const centreX = layout.filter((_, k) => k % 8 === 0).reduce((a, b) => a + b) / 50;
+      const centreY = layout.filter((_, k) => k % 8 === 1).reduce((a, b) => a + b) / 50;
+      const fromCentre = i => Math.hypot(layout[i * 8] - centreX, layout[i * 8 + 1] - centreY);
+
+      expect(fromCentre(48) / fromCentre(12)).toBeCloseTo(Math.sqrt(48.5 / 12.5), 0);
+    });
+
+    it('should start the spiral overlap-free', () => {
+      for (const treeCount of [7, 50]) {
+        expect(validator.validate(planner.createSpiralLayout(treeCount), treeCount).valid).toBe(true);
+      }
+    });
+
+    it('should point ring trees away from the centre', () => {
+      const layout = planner.createRingLayout(5);
+
+      for (let i = 1; i < 5; i++) {
+        const dx = layout[i * 8] - layout[0];
+        const dy = layout[i * 8 + 1] - layout[1];
+        const tip = layout[i * 8 + 4] + Math.PI / 2;
+        expect(Math.cos(tip) * dx + Math.sin(tip) * dy).toBeCloseTo(Math.hypot(dx, dy), 4);
+      }
+    });
+  });
+
+  describe('extendLayout', () => {
+    it('should keep the existing trees and add one beside the shorter side', () => {
+      const previous = planner.createHexagonalLayout(10);
+      const before = boundsOf(previous, 10);
+
+      const layout = planner.extendLayout(previous, 11);
+
+      expect(layout.subarray(0, 80)).toEqual(previous);
+      expect(validator.validate(layout, 11).valid).toBe(true);
+      const added = validator.transformPolygon(layout[80], layout[81], layout[84]);
+      if (before.maxX - before.minX <= before.maxY - before.minY) {
+        expect(added.minX).toBeGreaterThan(before.maxX);
+      } else {
+        expect(added.minY).toBeGreaterThan(before.maxY);
+      }
+    });
+
+    it('should start a single tree at the origin', () => {
+      expect(planner.extendLayout(new Float32Array(0), 1)).toEqual(new Float32Array(8));
+    });
+
+    it('should reject a layout with too few trees', () => {
+      expect(() => planner.extendLayout(new Float32Array(16), 4)).toThrow('Layout size mismatch: expected 24 floats, got 16');
+    });
+  });
+});
@@ -0,0 +1,50 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { SquareContainer } from '../demos/packing2/js/simulation/SquareContainer.js';
+
+describe('SquareContainer', () => {
+  let container;
+  const bounds = { minX: -1, maxX: 3, minY: -1, maxY: 1 };
+
+  beforeEach(() => {
+    container = new SquareContainer({ shrinkRate: 0.01, backoffRate: 0.02, fitMargin: 0.1 });
+  });
+
+  it('should start without walls', () => {
+    expect(container.isActive()).toBe(false);
+    expect(container.getWalls()).toBeNull();
+    expect(container.getUniformParams()).toEqual({ wallHalf: 0, wallCenterX: 0, wallCenterY: 0 });
+  });
+
+  it('should place the walls around the layout on the first update', () => {
+    container.update({ bounds, collisionCount: 3 }, 1.0);
+
+    expect(container.getWalls()).toEqual({ centerX: 1, centerY: 0, side: 4.4 });
+    expect(container.getUniformParams().wallHalf).toBeCloseTo(2.2, 10);
+  });
+
+  it('should move in while collision-free, scaled by compression', () => {
+    container.fit(bounds);
+
+    container.update({ bounds, collisionCount: 0 }, 2.0);
+
+    expect(container.side).toBeCloseTo(4.4 * 0.98, 10);
+  });
+
+  it('should back off while there are collisions', () => {
+    container.fit(bounds);
+
+    container.update({ bounds, collisionCount: 1 }, 1.0);
+
+    expect(container.side).toBeCloseTo(4.4 * 1.02, 10);
+  });
+
+  it('should be placed again after a reset', () => {
+    container.fit(bounds);
+
+    container.reset();
+
+    expect(container.isActive()).toBe(false);
+    container.update({ bounds: { minX: 0, maxX: 1, minY: 0, maxY: 1 }, collisionCount: 0 }, 1.0);
+    expect(container.getWalls()).toEqual({ centerX: 0.5, centerY: 0.5, side: 1.1 });
+  });
+});
@@ -0,0 +1,213 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { StagnationEscaper } from '../demos/packing2/js/simulation/StagnationEscaper.js';
+import { SimulationParameters } from '../demos/packing2/js/simulation/SimulationParameters.js';
+import { OverlapValidator } from '../demos/packing2/js/geometry/OverlapValidator.js';
+import { TreeGeometry } from '../demos/packing2/js/geometry/TreeGeometry.js';
+import { ESCAPE_STRATEGIES } from '../demos/packing2/js/constants.js';
+import { makeTreeData } from './helpers.js';
+
+describe('StagnationEscaper', () => {
+  let geometry;
+  let validator;
+  let parameters;
+  let simulator;
+  let logger;
+  let escaper;
+
+  // 2x2 grid of upright trees plus one straggler far to the right
+  const stragglerLayout = () => makeTreeData([[0, 0, 0], [1.5, 0, 0], [0, 1.5, 0], [1.5, 1.5, 0], [6, 0, 0]]);
+
+  beforeEach(() => {
+    geometry = new TreeGeometry();
+    validator = new OverlapValidator(geometry);
+    parameters = new SimulationParameters();
+    parameters.set('treeCount', 5);
+    simulator = {
+      treeGeometry: geometry,
+      overlapValidator: validator,
+      bestScore: 2,
+      readLayout: vi.fn().mockResolvedValue(stragglerLayout()),
+      replaceLayout: vi.fn()
+    };
+    logger = { info: vi.fn(), warn: vi.fn(), error: vi.fn() };
+    escaper = new StagnationEscaper(simulator, parameters, logger);
+  });
+
+  describe('strategies', () => {
+    it('should kick every tree', () => {
+      const treeData = stragglerLayout();
+
+      escaper.kick(treeData, 5);
+
+      for (let i = 0; i < 5; i++) {
+        expect(Math.hypot(treeData[i * 8 + 2], treeData[i * 8 + 3])).toBeLessThanOrEqual(1.5);
+        expect(treeData[i * 8]).toBe(stragglerLayout()[i * 8]); // positions untouched
+      }
+      expect(treeData.some((value, k) => k % 8 === 5 && value !== 0)).toBe(true);
+    });
+
+    it('should rotate only a subset of trees', () => {
+      const treeData = stragglerLayout();
+
+      escaper.rotateSubset(treeData, 5);
+
+      const turned = [0, 1, 2, 3, 4].filter(i => treeData[i * 8 + 4] !== 0);
+      expect(turned.length).toBe(1); // 20% of 5 trees
+      expect(Math.abs(treeData[turned[0] * 8 + 4])).toBeLessThanOrEqual(Math.PI / 4);
+    });
+
+    it('should expand positions about the layout centre', () => {
+      const treeData = stragglerLayout();
+      const before = geometry.getLayoutBounds(treeData, 5);
+
+      escaper.expand(treeData, 5);
+
+      const after = geometry.getLayoutBounds(treeData, 5);
+      expect(after.maxX - after.minX).toBeGreaterThan(before.maxX - before.minX);
+      expect((after.minX + after.maxX) / 2).toBeCloseTo((before.minX + before.maxX) / 2, 1);
+    });
+
+    it('should move the straggler back inside the rest of the layout', () => {
+      const treeData = stragglerLayout();
+
+      expect(escaper.reinsertBoundaryTree(treeData, 5)).toBe(true);
+
+      const { minX, maxX } = geometry.getLayoutBounds(treeData, 5);
+      expect(maxX - minX).toBeLessThan(6);
+      expect(validator.validate(treeData, 5).valid).toBe(true);
+    });
+
+    it('should leave the layout alone when no free spot exists', () => {
+      escaper = new StagnationEscaper(simulator, parameters, logger, { reinsertAttempts: 0 });
+      const treeData = stragglerLayout();
+
+      expect(escaper.reinsertBoundaryTree(treeData, 5)).toBe(false);
+      expect(treeData).toEqual(stragglerLayout());
+    });
+
+    it('should throw on an unknown strategy', () => {
+      expect(() => escaper.applyStrategy('teleport', stragglerLayout(), 5)).toThrow('Unknown escape strategy: teleport');
+    });
+  });
+
+  describe('worstBoundaryTree', () => {
+    it('should pick the tree whose removal shrinks the square most', () => {
+      const treeData = stragglerLayout();
+      const polygons = [0, 1, 2, 3, 4].map(i => validator.transformPolygon(treeData[i * 8], treeData[i * 8 + 1], 0));
+
+      expect(StagnationEscaper.worstBoundaryTree(polygons)).toBe(4);
+    });
+  });
+
+  describe('nextStrategy', () => {
+    it('should cycle through every strategy', () => {
+      const picked = [0, 1, 2, 3, 4].map(() => escaper.nextStrategy());
+
+      expect(picked).toEqual(['kick', 'rotate', 'expand', 'reinsert', 'kick']);
+    });
+
+    it('should use a fixed strategy when one is selected', () => {
+      parameters.set('escapeStrategy', 'expand');
+
+      expect(escaper.nextStrategy()).toBe('expand');
+      expect(escaper.nextStrategy()).toBe('expand');
+    });
+  });
+
+  describe('reset', () => {
+    const kicks = () => {
+      const treeData = stragglerLayout();
+      escaper.kick(treeData, 5);
+      return treeData;
+    };
+
+    it('should replay the same perturbations for the same seed', () => {
+      escaper.reset(7);
+      const first = kicks();
+      kicks(); // state left over from an earlier run
+
+      escaper.reset(7);
+
+      expect(kicks()).toEqual(first);
+    });
+
+    it('should restart the strategy cycle and drop the pending escape', () => {
+      parameters.set('escapeStrategy', 'cycle');
+      escaper.nextStrategy();
+      escaper.pending = { strategy: 'kick', treeCount: 5, bestScore: 2 };
+
+      escaper.reset(7);
+
+      expect(escaper.nextStrategy()).toBe(ESCAPE_STRATEGIES[0]);
+      expect(escaper.pending).toBeNull();
+    });
+  });
+
+  describe('onScoreUpdate', () => {
+    const scoreData = { bestScore: 2, stagnationCount: 30 };
+
+    beforeEach(() => {
+      parameters.set('autoEscape', true);
+      parameters.set('escapeStrategy', 'kick');
+    });
+
+    it('should do nothing while auto escape is off', () => {
+      parameters.set('autoEscape', false);
+
+      expect(escaper.onScoreUpdate(scoreData)).toBeNull();
+      expect(simulator.readLayout).not.toHaveBeenCalled();
+    });
+
+    it('should fire only at multiples of the threshold', async () => {
+      expect(escaper.onScoreUpdate({ ...scoreData, stagnationCount: 0 })).toBeNull();
+      expect(escaper.onScoreUpdate({ ...scoreData, stagnationCount: 29 })).toBeNull();
+
+      expect(await escaper.onScoreUpdate(scoreData)).toBe('kick');
+      expect(simulator.replaceLayout).toHaveBeenCalledWith(expect.any(Float32Array));
+      expect(escaper.pending).toEqual({ strategy: 'kick', treeCount: 5, bestScore: 2 });
+    });
+
+    it('should count a new best as a success', async () => {
+      await escaper.onScoreUpdate(scoreData);
+
+      escaper.onScoreUpdate({ bestScore: 1.9, stagnationCount: 0 });
+
+      expect(escaper.getStats()).toEqual({ kick: { 5: { attempts: 1, successes: 1 } } });
+      expect(logger.info).toHaveBeenCalledWith("Escape 'kick' at n=5 helped: 1/1 successful (100%)");
+    });
+
+    it('should count reaching the next threshold as a failure', async () => {
+      await escaper.onScoreUpdate(scoreData);
+      await escaper.onScoreUpdate({ ...scoreData, stagnationCount: 60 });
+
+      expect(escaper.getStats().kick[5]).toEqual({ attempts: 1, successes: 0 });
+      expect(escaper.pending).not.toBeNull(); // the second escape is now pending
+    });
+
+    it('should drop the pending escape when score tracking restarts', async () => {
+      await escaper.onScoreUpdate(scoreData);
+
+      escaper.onScoreUpdate({ bestScore: Infinity, stagnationCount: 0 });
+
+      expect(escaper.pending).toBeNull();
+      expect(escaper.getStats()).toEqual({});
+    });
+
+    it('should warn and keep the layout when a strategy cannot be applied', async () => {
+      parameters.set('escapeStrategy', 'reinsert');
+      escaper.options.reinsertAttempts = 0;
+
+      expect(await escaper.onScoreUpdate(scoreData)).toBeNull();
+      expect(simulator.replaceLayout).not.toHaveBeenCalled();
+      expect(logger.warn).toHaveBeenCalledWith("Escape 'reinsert' could not be applied at n=5");
+    });
+
+    it('should log readback failures', async () => {
+      simulator.readLayout.mockRejectedValue(new Error('device lost'));
+
+      expect(await escaper.onScoreUpdate(scoreData)).toBeNull();
+      expect(logger.error).toHaveBeenCalledWith("Escape 'kick' failed: device lost");
+      expect(escaper.isEscaping).toBe(false);
+    });
+  });
+});
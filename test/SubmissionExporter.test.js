@@ -0,0 +1,119 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { SubmissionExporter } from '../demos/packing2/js/io/SubmissionExporter.js';
+import { TreeGeometry } from '../demos/packing2/js/geometry/TreeGeometry.js';
+import { makeTreeData } from './helpers.js';
+
+describe('SubmissionExporter', () => {
+  let exporter;
+
+  beforeEach(() => {
+    exporter = new SubmissionExporter(new TreeGeometry(), { precision: 6 });
+  });
+
+  describe('formatId', () => {
+    it('should zero-pad the puzzle size to three digits', () => {
+      expect(SubmissionExporter.formatId(7, 3)).toBe('007_3');
+      expect(SubmissionExporter.formatId(200, 199)).toBe('200_199');
+    });
+  });
+
+  describe('toDegrees', () => {
+    it('should convert radians to degrees', () => {
+      expect(SubmissionExporter.toDegrees(Math.PI / 2)).toBeCloseTo(90, 10);
+    });
+
+    it('should normalize into [0, 360)', () => {
+      expect(SubmissionExporter.toDegrees(-Math.PI / 2)).toBeCloseTo(270, 10);
+      expect(SubmissionExporter.toDegrees(5 * Math.PI)).toBeCloseTo(180, 10);
+    });
+  });
+
+  describe('formatValue', () => {
+    it('should prefix values with s', () => {
+      expect(exporter.formatValue(1.5)).toBe('s1.500000');
+    });
+
+    it('should not write negative zero', () => {
+      expect(exporter.formatValue(-0.0000001)).toBe('s0.000000');
+    });
+  });
+
+  describe('buildRows', () => {
+    it('should translate the layout so its bounds start at the origin', () => {
+      // Single upright tree: polygon spans x [-0.35, 0.35], y [-0.2, 0.8]
+      const rows = exporter.buildRows(makeTreeData([[5, -3, 0]]), 1);
+
+      expect(rows).toHaveLength(1);
+      expect(rows[0].id).toBe('001_0');
+      expect(rows[0].x).toBeCloseTo(0.35, 6);
+      expect(rows[0].y).toBeCloseTo(0.2, 6);
+      expect(rows[0].deg).toBeCloseTo(0, 6);
+    });
+
+    it('should use exact polygon bounds of rotated trees', () => {
+      // Tree rotated by 180°: polygon spans y [-0.8, 0.2] around its centre
+      const rows = exporter.buildRows(makeTreeData([[0, 0, Math.PI], [2, 0, 0]]), 2);
+
+      expect(rows[0].y).toBeCloseTo(0.8, 5);
+      expect(rows[0].deg).toBeCloseTo(180, 4);
+      expect(rows[1].x - rows[0].x).toBeCloseTo(2, 5);
+    });
+
+    it('should throw when the layout is shorter than the tree count', () => {
+      expect(() => exporter.buildRows(new Float32Array(8), 2)).toThrow('Layout too short');
+    });
+  });
+
+  describe('toCSV', () => {
+    it('should write the competition header and rows', () => {
+      const csv = exporter.toCSV([{ id: '002_0', x: 0.5, y: 0.25, deg: 90 }]);
+
+      expect(csv).toBe('id,x,y,deg\n002_0,s0.500000,s0.250000,s90.000000\n');
+    });
+
+    it('should omit the header when requested', () => {
+      const csv = exporter.toCSV([{ id: '001_0', x: 0, y: 0, deg: 0 }], false);
+
+      expect(csv.startsWith('001_0')).toBe(true);
+    });
+  });
+
+  describe('exportLayout', () => {
+    it('should produce one row per tree plus header', () => {
+      const csv = exporter.exportLayout(makeTreeData([[0, 0, 0], [1, 0, 0], [0, 1, 0]]), 3);
+      const lines = csv.trim().split('\n');
+
+      expect(lines).toHaveLength(4);
+      expect(lines[1].startsWith('003_0,s')).toBe(true);
+      expect(lines[3].startsWith('003_2,s')).toBe(true);
+    });
+  });
+
+  describe('download', () => {
+    it('should click a temporary link with the file name', () => {
+      const link = { click: vi.fn() };
+      const createElementSpy = vi.spyOn(document, 'createElement').mockReturnValue(link);
+      URL.createObjectURL = vi.fn().mockReturnValue('blob:mock');
+      URL.revokeObjectURL = vi.fn();
+
+      exporter.download('id,x,y,deg\n', 'submission.csv');
+
+      expect(link.download).toBe('submission.csv');
+      expect(link.click).toHaveBeenCalled();
+      expect(URL.revokeObjectURL).toHaveBeenCalledWith('blob:mock');
+      createElementSpy.mockRestore();
+    });
+
+    it('should use the given MIME type', () => {
+      const link = { click: vi.fn() };
+      const createElementSpy = vi.spyOn(document, 'createElement').mockReturnValue(link);
+      URL.createObjectURL = vi.fn().mockReturnValue('blob:mock');
+      URL.revokeObjectURL = vi.fn();
+
+      exporter.download('{}', 'submission.json', 'application/json');
+
+      expect(URL.createObjectURL.mock.calls[0][0].type).toBe('application/json');
+      createElementSpy.mockRestore();
+    });
+  });
+});
@@ -0,0 +1,125 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { SubmissionImporter } from '../demos/packing2/js/io/SubmissionImporter.js';
+import { SubmissionExporter } from '../demos/packing2/js/io/SubmissionExporter.js';
+import { TreeGeometry } from '../demos/packing2/js/geometry/TreeGeometry.js';
+
+const CSV = [
+  'id,x,y,deg',
+  '001_0,s0.35,s0.2,s0.0',
+  '002_0,s0.35,s0.2,s0.0',
+  '002_1,s1.35,s0.2,s90.0'
+].join('\n');
+
+describe('SubmissionImporter', () => {
+  let importer;
+  let geometry;
+
+  beforeEach(() => {
+    geometry = new TreeGeometry();
+    importer = new SubmissionImporter(geometry);
+  });
+
+  describe('parseValue', () => {
+    it('should strip the s prefix', () => {
+      expect(SubmissionImporter.parseValue('s1.25')).toBe(1.25);
+    });
+
+    it('should accept plain and quoted numbers', () => {
+      expect(SubmissionImporter.parseValue('-3.5')).toBe(-3.5);
+      expect(SubmissionImporter.parseValue('"s2"')).toBe(2);
+    });
+
+    it('should reject non-numeric values', () => {
+      expect(() => SubmissionImporter.parseValue('sabc')).toThrow('Invalid numeric value');
+    });
+  });
+
+  describe('parse', () => {
+    it('should group rows by puzzle size', () => {
+      const puzzles = importer.parse(CSV);
+
+      expect(puzzles.get(1)).toHaveLength(1);
+      expect(puzzles.get(2)).toHaveLength(2);
+      expect(importer.getTreeCounts()).toEqual([1, 2]);
+    });
+
+    it('should accept CRLF line endings and reordered columns', () => {
+      importer.parse('deg,id,y,x\r\ns90,001_0,s2,s1\r\n');
+
+      expect(importer.puzzles.get(1)[0]).toEqual({ index: 0, x: 1, y: 2, deg: 90 });
+    });
+
+    it('should reject a header without the competition columns', () => {
+      expect(() => importer.parse('id,x,y\n001_0,1,2')).toThrow('header must contain');
+    });
+
+    it('should reject malformed ids', () => {
+      expect(() => importer.parse('id,x,y,deg\nfoo,s0,s0,s0')).toThrow('Invalid id on line 2');
+    });
+
+    it('should reject empty input', () => {
+      expect(() => importer.parse('\n\n')).toThrow('Submission is empty');
+    });
+  });
+
+  describe('getLayout', () => {
+    beforeEach(() => {
+      importer.parse(CSV);
+    });
+
+    it('should convert degrees to radians', () => {
+      const layout = importer.getLayout(2);
+
+      expect(layout).toBeInstanceOf(Float32Array);
+      expect(layout.length).toBe(16);
+      expect(layout[12]).toBeCloseTo(Math.PI / 2, 6);
+    });
+
+    it('should centre the layout bounds on the origin', () => {
+      const layout = importer.getLayout(2);
+      const { minX, maxX, minY, maxY } = geometry.getLayoutBounds(layout, 2);
+
+      expect(minX + maxX).toBeCloseTo(0, 5);
+      expect(minY + maxY).toBeCloseTo(0, 5);
+    });
+
+    it('should keep relative tree positions', () => {
+      const layout = importer.getLayout(2);
+
+      expect(layout[8] - layout[0]).toBeCloseTo(1, 6);
+      expect(layout[9] - layout[1]).toBeCloseTo(0, 6);
+    });
+
+    it('should throw when the puzzle size is missing', () => {
+      expect(() => importer.getLayout(3)).toThrow('no rows for 3 trees');
+    });
+
+    it('should throw on duplicate tree indices', () => {
+      importer.parse('id,x,y,deg\n002_0,s0,s0,s0\n002_0,s1,s0,s0');
+
+      expect(() => importer.getLayout(2)).toThrow('Invalid tree index 0');
+    });
+  });
+
+  describe('round trip', () => {
+    it('should reproduce an exported layout up to translation', () => {
+      const exporter = new SubmissionExporter(geometry);
+      const original = new Float32Array(24);
+      [[0, 0, 0.3], [1.2, -0.4, 2.0], [-0.8, 0.9, 4.5]].forEach(([x, y, rot], i) => {
+        original[i * 8] = x;
+        original[i * 8 + 1] = y;
+        original[i * 8 + 4] = rot;
+      });
+
+      importer.parse(exporter.exportLayout(original, 3));
+      const layout = importer.getLayout(3);
+
+      for (let i = 1; i < 3; i++) {
+        expect(layout[i * 8] - layout[0]).toBeCloseTo(original[i * 8] - original[0], 5);
+        expect(layout[i * 8 + 1] - layout[1]).toBeCloseTo(original[i * 8 + 1] - original[1], 5);
+      }
+      expect(Math.cos(layout[12])).toBeCloseTo(Math.cos(original[12]), 5);
+      expect(Math.sin(layout[12])).toBeCloseTo(Math.sin(original[12]), 5);
+    });
+  });
+});
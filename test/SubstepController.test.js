@@ -0,0 +1,57 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { SubstepController } from '../demos/packing2/js/simulation/SubstepController.js';
+
+describe('SubstepController', () => {
+  let controller;
+
+  beforeEach(() => {
+    controller = new SubstepController({ budgetMs: 16, slack: 0.1, smoothing: 0.5, maxSubsteps: 8 });
+  });
+
+  it('should add a substep while frames fit the budget', () => {
+    expect(controller.update(10, 1)).toBe(2);
+    expect(controller.update(12, 2)).toBe(3);
+  });
+
+  it('should stop at the maximum', () => {
+    expect(controller.update(10, 8)).toBe(8);
+  });
+
+  it('should back off by a quarter once frames overrun the budget', () => {
+    expect(controller.update(30, 8)).toBe(6);
+    expect(controller.averageFrameTime).toBeNull();
+    expect(controller.update(30, 1)).toBe(1);
+  });
+
+  it('should smooth out a single slow frame', () => {
+    controller.update(14, 4);
+
+    expect(controller.update(20, 5)).toBe(6); // average 17 is inside the slack
+  });
+
+  it('should use the shortest frame interval as the budget when none is given', () => {
+    const measured = new SubstepController({ slack: 0.1, smoothing: 1, maxSubsteps: 8 });
+
+    measured.recordFrame(7);
+    measured.recordFrame(1000); // not a frame time
+
+    expect(measured.getBudget()).toBe(7);
+    expect(measured.update(7.5, 4)).toBe(5);
+    expect(measured.update(10, 5)).toBe(3);
+  });
+
+  it('should keep the measured refresh interval across resets', () => {
+    const measured = new SubstepController();
+    measured.update(8, 1);
+
+    measured.reset();
+
+    expect(measured.getBudget()).toBe(8);
+  });
+
+  it('should ignore gaps that are not frame times', () => {
+    expect(controller.update(0, 4)).toBe(4);
+    expect(controller.update(1000, 4)).toBe(4);
+    expect(controller.averageFrameTime).toBeNull();
+  });
+});
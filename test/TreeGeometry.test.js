@@ -1,6 +1,28 @@
 import { describe, it, expect } from 'vitest';
+import { MAX_SHAPE_POINTS } from '../demos/packing2/js/constants.js';
 import { TreeGeometry } from '../demos/packing2/js/geometry/TreeGeometry.js';
 
+// Sum of the absolute areas of all index triangles
+function triangleArea(geometry) {
+  const p = geometry.vertices;
+  let area = 0;
+  for (let i = 0; i < geometry.indices.length; i += 3) {
+    const [a, b, c] = geometry.indices.slice(i, i + 3);
+    area += Math.abs((p[b * 2] - p[a * 2]) * (p[c * 2 + 1] - p[a * 2 + 1]) -
+      (p[b * 2 + 1] - p[a * 2 + 1]) * (p[c * 2] - p[a * 2])) / 2;
+  }
+  return area;
+}
+
+// Shoelace area of a closed outline
+function polygonArea(polygon) {
+  let area = 0;
+  for (let i = 0; i < polygon.length - 2; i += 2) {
+    area += polygon[i] * polygon[i + 3] - polygon[i + 2] * polygon[i + 1];
+  }
+  return Math.abs(area) / 2;
+}
+
 describe('TreeGeometry', () => {
   let geometry;
 
@@ -60,6 +82,56 @@ describe('TreeGeometry', () => {
     });
   });
 
+  describe('signedDistance method', () => {
+    it('should be negative inside and positive outside', () => {
+      expect(geometry.signedDistance(0, 0.3)).toBeLessThan(0);
+      expect(geometry.signedDistance(0.5, 0.5)).toBeGreaterThan(0);
+    });
+
+    it('should measure the distance to the nearest edge', () => {
+      expect(geometry.signedDistance(0, -0.3)).toBeCloseTo(0.1, 12); // below the trunk
+      expect(geometry.signedDistance(0, -0.15)).toBeCloseTo(-0.05, 12); // inside the trunk
+      expect(geometry.signedDistance(0.075, -0.2)).toBe(0); // on a corner
+    });
+  });
+
+  describe('getTransformedPolygon method', () => {
+    it('should translate vertices without rotation', () => {
+      const world = geometry.getTransformedPolygon(2, -1, 0);
+      expect(world.length).toBe(32);
+      expect(world[0]).toBeCloseTo(2, 10);    // top center x
+      expect(world[1]).toBeCloseTo(-0.2, 10); // top center y
+    });
+
+    it('should rotate vertices counter-clockwise', () => {
+      const world = geometry.getTransformedPolygon(0, 0, Math.PI / 2);
+      // Top center (0, 0.8) rotates to (-0.8, 0)
+      expect(world[0]).toBeCloseTo(-0.8, 10);
+      expect(world[1]).toBeCloseTo(0, 10);
+    });
+  });
+
+  describe('getLayoutBounds method', () => {
+    it('should return exact polygon bounds over all trees', () => {
+      const treeData = new Float32Array(16);
+      treeData[8] = 2; // second tree at (2, 0)
+
+      const bounds = geometry.getLayoutBounds(treeData, 2);
+
+      expect(bounds.minX).toBeCloseTo(-0.35, 6);
+      expect(bounds.maxX).toBeCloseTo(2.35, 6);
+      expect(bounds.minY).toBeCloseTo(-0.2, 6);
+      expect(bounds.maxY).toBeCloseTo(0.8, 6);
+    });
+
+    it('should only consider the first treeCount trees', () => {
+      const treeData = new Float32Array(16);
+      treeData[8] = 50;
+
+      expect(geometry.getLayoutBounds(treeData, 1).maxX).toBeCloseTo(0.35, 6);
+    });
+  });
+
   describe('getVertices method', () => {
     it('should return Float32Array of vertex data', () => {
       const vertices = geometry.getVertices();
@@ -120,9 +192,176 @@ describe('TreeGeometry', () => {
       expect(geometry.indices.length).toBeGreaterThan(0);
       expect(geometry.indices.length % 3).toBe(0); // triangles only
 
-      // Check some specific triangulation patterns
-      // Top section (first few triangles)
-      expect(geometry.indices.slice(0, 6)).toEqual([0, 1, 2, 0, 2, 3]);
+      // Triangles exactly cover the polygon
+      expect(triangleArea(geometry)).toBeCloseTo(polygonArea(geometry.polygon), 10);
+      expect(geometry.indices.length / 3).toBe(13); // 15 distinct points -> 13 triangles
+    });
+  });
+
+  describe('getConvexParts method', () => {
+    // Turn at every corner of an open outline, positive when it bends left
+    const turns = (points) => {
+      const n = points.length / 2;
+      return Array.from({ length: n }, (_, k) => {
+        const [ax, ay] = [points[k * 2], points[k * 2 + 1]];
+        const [bx, by] = [points[((k + 1) % n) * 2], points[((k + 1) % n) * 2 + 1]];
+        const [cx, cy] = [points[((k + 2) % n) * 2], points[((k + 2) % n) * 2 + 1]];
+        return (bx - ax) * (cy - by) - (by - ay) * (cx - bx);
+      });
+    };
+    const closed = (points) => [...points, points[0], points[1]];
+
+    it('should split the tree into counter-clockwise convex parts', () => {
+      const parts = geometry.getConvexParts();
+
+      expect(parts.length).toBeGreaterThan(1);
+      expect(parts.length).toBeLessThan(13); // fewer than the triangles
+      parts.forEach(({ points }) => {
+        turns(points).forEach(turn => expect(turn).toBeGreaterThanOrEqual(0));
+      });
+    });
+
+    it('should cover exactly the polygon area', () => {
+      const total = geometry.getConvexParts().reduce((sum, { points }) => sum + polygonArea(closed(points)), 0);
+
+      expect(total).toBeCloseTo(polygonArea(geometry.polygon), 10);
+    });
+
+    it('should bound every part point by the part circle', () => {
+      geometry.getConvexParts().forEach(({ points, centerX, centerY, radius }) => {
+        for (let i = 0; i < points.length; i += 2) {
+          expect(Math.hypot(points[i] - centerX, points[i + 1] - centerY)).toBeLessThanOrEqual(radius + 1e-12);
+        }
+      });
+    });
+
+    it('should keep a convex clockwise outline as one counter-clockwise part', () => {
+      geometry.setPolygon([0.5, 0.5, 0.5, -0.5, -0.5, -0.5, -0.5, 0.5]);
+
+      const parts = geometry.getConvexParts();
+
+      expect(parts).toHaveLength(1);
+      expect(parts[0].points).toHaveLength(8);
+      turns(parts[0].points).forEach(turn => expect(turn).toBeGreaterThan(0));
+    });
+
+    it('should return copies', () => {
+      geometry.getConvexParts()[0].points[0] = 99;
+
+      expect(geometry.getConvexParts()[0].points[0]).not.toBe(99);
+    });
+  });
+
+  describe('setPolygon method', () => {
+    const square = [0.5, 0.5, -0.5, 0.5, -0.5, -0.5, 0.5, -0.5];
+
+    it('should close an open outline', () => {
+      geometry.setPolygon(square);
+      expect(geometry.polygon).toEqual([...square, 0.5, 0.5]);
+      expect(geometry.getPolygonVertexCount()).toBe(5);
+    });
+
+    it('should regenerate vertices and indices', () => {
+      geometry.setPolygon(square);
+      expect(geometry.vertices).toEqual(geometry.polygon);
+      expect(geometry.indices.length).toBe(6);
+      expect(triangleArea(geometry)).toBeCloseTo(1, 10);
+    });
+
+    it('should accept the constructor argument', () => {
+      expect(new TreeGeometry(square).getPolygonVertexCount()).toBe(5);
+    });
+
+    it('should triangulate clockwise and concave outlines', () => {
+      // Clockwise L shape with a reflex corner at the origin
+      const lShape = [0, 0, 0, 0.5, 0.5, 0.5, 0.5, -0.5, -0.5, -0.5, -0.5, 0];
+      geometry.setPolygon(lShape);
+      expect(geometry.indices.length / 3).toBe(4);
+      expect(triangleArea(geometry)).toBeCloseTo(0.75, 10);
+    });
+
+    it('should skip collinear points', () => {
+      geometry.setPolygon([0.5, 0.5, 0, 0.5, -0.5, 0.5, -0.5, -0.5, 0.5, -0.5]);
+      expect(triangleArea(geometry)).toBeCloseTo(1, 10);
+    });
+
+    it('should reject odd coordinate counts', () => {
+      expect(() => geometry.setPolygon([0, 0, 1])).toThrow('length must be even');
+    });
+
+    it('should reject non-numeric coordinates', () => {
+      expect(() => geometry.setPolygon([0, 0, 'a', 0, 0, 0.5])).toThrow('finite numbers');
+    });
+
+    it('should reject too few points', () => {
+      expect(() => geometry.setPolygon([0, 0, 0.5, 0])).toThrow('at least 3 distinct points');
+    });
+
+    it('should reject too many points', () => {
+      const circle = [];
+      for (let i = 0; i <= MAX_SHAPE_POINTS; i++) {
+        const angle = (i / (MAX_SHAPE_POINTS + 1)) * Math.PI * 2;
+        circle.push(Math.cos(angle), Math.sin(angle));
+      }
+      expect(() => geometry.setPolygon(circle)).toThrow(`at most ${MAX_SHAPE_POINTS} points`);
+    });
+
+    it('should reject points outside the collision radius', () => {
+      expect(() => geometry.setPolygon([0, 0, 2, 0, 0, 0.5])).toThrow('point 1 lies more than');
+    });
+
+    it('should reject repeated consecutive points', () => {
+      expect(() => geometry.setPolygon([0, 0, 0.5, 0, 0.5, 0, 0, 0.5])).toThrow('edge 1 has zero length');
+    });
+
+    it('should reject zero-area outlines', () => {
+      expect(() => geometry.setPolygon([0, 0, 0.5, 0, 0.25, 0])).toThrow();
+    });
+
+    it('should reject self-intersecting outlines', () => {
+      const bowtie = [0, 0, 0.5, 0.5, 0.5, 0, 0, 0.4];
+      expect(() => geometry.setPolygon(bowtie)).toThrow('edges 0 and 2 intersect');
+    });
+
+    it('should reject outlines that touch themselves', () => {
+      // Second lobe's tip touches the first edge
+      const touching = [-0.5, 0, 0.5, 0, 0.5, 0.5, 0, 0, -0.5, 0.5];
+      expect(() => geometry.setPolygon(touching)).toThrow('intersect');
+    });
+
+    it('should keep the previous shape when validation fails', () => {
+      const before = geometry.polygon;
+      expect(() => geometry.setPolygon([0, 0, 0.5, 0.5, 0.5, 0, 0, 0.4])).toThrow();
+      expect(geometry.polygon).toBe(before);
+    });
+  });
+
+  describe('parsePolygonJSON method', () => {
+    const expected = [0, 0, 0.5, 0, 0, 0.5];
+
+    it('should parse a flat coordinate list', () => {
+      expect(TreeGeometry.parsePolygonJSON('[0, 0, 0.5, 0, 0, 0.5]')).toEqual(expected);
+    });
+
+    it('should parse point pairs and objects', () => {
+      expect(TreeGeometry.parsePolygonJSON('[[0, 0], [0.5, 0], [0, 0.5]]')).toEqual(expected);
+      expect(TreeGeometry.parsePolygonJSON('[{"x": 0, "y": 0}, {"x": 0.5, "y": 0}, {"x": 0, "y": 0.5}]')).toEqual(expected);
+    });
+
+    it('should read the polygon or points property', () => {
+      expect(TreeGeometry.parsePolygonJSON('{"polygon": [[0, 0], [0.5, 0], [0, 0.5]]}')).toEqual(expected);
+      expect(TreeGeometry.parsePolygonJSON('{"points": [0, 0, 0.5, 0, 0, 0.5]}')).toEqual(expected);
+    });
+
+    it('should reject malformed JSON and unknown layouts', () => {
+      expect(() => TreeGeometry.parsePolygonJSON('[0, 0,')).toThrow('Invalid shape JSON');
+      expect(() => TreeGeometry.parsePolygonJSON('{"shape": []}')).toThrow('expected an array of points');
+      expect(() => TreeGeometry.parsePolygonJSON('[[0, 0, 1]]')).toThrow('unrecognized point');
+    });
+
+    it('should round-trip the default tree', () => {
+      const json = JSON.stringify({ polygon: TreeGeometry.treePolygon() });
+      expect(TreeGeometry.parsePolygonJSON(json)).toEqual(geometry.polygon);
     });
   });
 
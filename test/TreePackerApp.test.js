@@ -207,6 +207,7 @@ describe('TreePackerApp', () => {
 
     describe('parameter change propagation', () => {
       it('should trigger simulation reset when tree count changes', () => {
+        treePackerApp.parameters.set('preserveLayout', false);
         const resetSpy = vi.spyOn(treePackerApp.physicsSimulator, 'markForReset');
         const handleTreeCountSpy = vi.spyOn(treePackerApp, 'handleTreeCountChange');
 
@@ -233,22 +234,22 @@ describe('TreePackerApp', () => {
         await treePackerApp.init();
       });
 
-      it('should enforce tree count range of 1-200', () => {
+      it('should enforce tree count range of 1-5000', () => {
         // Test minimum value
         expect(treePackerApp.parameters.set('treeCount', 1)).toBe(true);
         expect(treePackerApp.parameters.get('treeCount')).toBe(1);
 
         // Test maximum value
-        expect(treePackerApp.parameters.set('treeCount', 200)).toBe(true);
-        expect(treePackerApp.parameters.get('treeCount')).toBe(200);
+        expect(treePackerApp.parameters.set('treeCount', 5000)).toBe(true);
+        expect(treePackerApp.parameters.get('treeCount')).toBe(5000);
 
         // Test invalid values below minimum
         expect(treePackerApp.parameters.set('treeCount', 0)).toBe(false);
-        expect(treePackerApp.parameters.get('treeCount')).toBe(200); // Should remain unchanged
+        expect(treePackerApp.parameters.get('treeCount')).toBe(5000); // Should remain unchanged
 
         // Test invalid values above maximum
-        expect(treePackerApp.parameters.set('treeCount', 201)).toBe(false);
-        expect(treePackerApp.parameters.get('treeCount')).toBe(200); // Should remain unchanged
+        expect(treePackerApp.parameters.set('treeCount', 5001)).toBe(false);
+        expect(treePackerApp.parameters.get('treeCount')).toBe(5000); // Should remain unchanged
       });
 
       it('should pause simulation when tree count changes', () => {
@@ -263,6 +264,7 @@ describe('TreePackerApp', () => {
       });
 
       it('should spawn new trees when play is pressed after tree count change', () => {
+        treePackerApp.parameters.set('preserveLayout', false);
         // Mock the physics simulator reset
         const resetSpy = vi.spyOn(treePackerApp.physicsSimulator, 'reset');
 
@@ -283,7 +285,8 @@ describe('TreePackerApp', () => {
         // We can't easily test the full render loop, but we can verify the setup is correct
       });
 
-      it('should update bind groups when tree count changes and buffers are resized', () => {
+      it('should update bind groups when tree count changes and buffers are resized', async () => {
+        treePackerApp.parameters.set('preserveLayout', false);
         const updateBindGroupSpy = vi.spyOn(treePackerApp.pipelineManager, 'updateBindGroup');
         const physicsHandleSpy = vi.spyOn(treePackerApp.physicsSimulator, 'handleTreeCountChange');
 
@@ -291,7 +294,7 @@ describe('TreePackerApp', () => {
         physicsHandleSpy.mockReturnValue(true);
 
         // Call handleTreeCountChange
-        treePackerApp.handleTreeCountChange(50);
+        await treePackerApp.handleTreeCountChange(50);
 
         // Should call physics simulator's handleTreeCountChange
         expect(physicsHandleSpy).toHaveBeenCalledWith(50);
@@ -299,7 +302,8 @@ describe('TreePackerApp', () => {
         expect(updateBindGroupSpy).toHaveBeenCalledWith(treePackerApp.bufferManager);
       });
 
-      it('should not update bind groups when buffers are not resized', () => {
+      it('should not update bind groups when buffers are not resized', async () => {
+        treePackerApp.parameters.set('preserveLayout', false);
         const updateBindGroupSpy = vi.spyOn(treePackerApp.pipelineManager, 'updateBindGroup');
         const physicsHandleSpy = vi.spyOn(treePackerApp.physicsSimulator, 'handleTreeCountChange');
 
@@ -307,13 +311,26 @@ describe('TreePackerApp', () => {
         physicsHandleSpy.mockReturnValue(false);
 
         // Call handleTreeCountChange
-        treePackerApp.handleTreeCountChange(50);
+        await treePackerApp.handleTreeCountChange(50);
 
         // Should call physics simulator's handleTreeCountChange
         expect(physicsHandleSpy).toHaveBeenCalledWith(50);
         // Should not update bind groups when buffers are not resized
         expect(updateBindGroupSpy).not.toHaveBeenCalled();
       });
+
+      it('should resize around the current layout when preserveLayout is on', async () => {
+        const updateBindGroupSpy = vi.spyOn(treePackerApp.pipelineManager, 'updateBindGroup');
+        const resizeSpy = vi.spyOn(treePackerApp.physicsSimulator, 'resizeLayout').mockResolvedValue(true);
+        const physicsHandleSpy = vi.spyOn(treePackerApp.physicsSimulator, 'handleTreeCountChange');
+
+        await treePackerApp.handleTreeCountChange(50);
+
+        expect(resizeSpy).toHaveBeenCalledWith(50);
+        expect(physicsHandleSpy).not.toHaveBeenCalled();
+        expect(updateBindGroupSpy).toHaveBeenCalledWith(treePackerApp.bufferManager);
+        expect(treePackerApp.physicsSimulator.needsResetSimulation()).toBe(false);
+      });
     });
 
     describe('UI integration', () => {
@@ -356,6 +373,37 @@ describe('TreePackerApp', () => {
 
         expect(resetSpy).toHaveBeenCalled();
       });
+
+      it('should skip the step while a layout resize is in progress', () => {
+        const resetSpy = vi.spyOn(treePackerApp.physicsSimulator, 'reset');
+        treePackerApp.physicsSimulator.isResizing = vi.fn().mockReturnValue(true);
+        treePackerApp.physicsSimulator.needsResetSimulation = vi.fn().mockReturnValue(true);
+        treePackerApp.renderer.renderFrame = vi.fn();
+
+        treePackerApp.step();
+
+        expect(resetSpy).not.toHaveBeenCalled();
+        expect(treePackerApp.renderer.renderFrame).not.toHaveBeenCalled();
+      });
+
+      it('should hold the reset and leave the trees alone in the render loop while resizing', () => {
+        const renderLoop = requestAnimationFrame.mock.calls.at(-1)[0];
+        const resetSpy = vi.spyOn(treePackerApp.physicsSimulator, 'reset');
+        const advanceSpy = vi.spyOn(treePackerApp.physicsSimulator, 'advanceStep');
+        treePackerApp.physicsSimulator.isResizing = vi.fn().mockReturnValue(true);
+        treePackerApp.physicsSimulator.markForReset();
+        treePackerApp.renderer.renderFrame = vi.fn();
+        treePackerApp.drawOverlay = vi.fn();
+        treePackerApp.isRunning = true;
+        treePackerApp.frameCount = 0;
+
+        renderLoop(1000);
+
+        expect(resetSpy).not.toHaveBeenCalled();
+        expect(treePackerApp.renderer.renderFrame).not.toHaveBeenCalled();
+        expect(advanceSpy).not.toHaveBeenCalled();
+        expect(treePackerApp.physicsSimulator.needsResetSimulation()).toBe(true);
+      });
     });
 
     describe('error handling', () => {
@@ -395,6 +443,424 @@ describe('TreePackerApp', () => {
     });
   });
 
+  describe('submission import/export', () => {
+    beforeEach(async () => {
+      await treePackerApp.init();
+    });
+
+    it('should export the current layout as CSV', async () => {
+      const layout = new Float32Array(10 * 8);
+      for (let i = 0; i < 10; i++) layout[i * 8] = i; // one tree per unit along x
+      treePackerApp.physicsSimulator.readLayout = vi.fn().mockResolvedValue(layout);
+      treePackerApp.submissionExporter.download = vi.fn();
+
+      const csv = await treePackerApp.exportSubmission();
+
+      expect(csv.split('\n')[0]).toBe('id,x,y,deg');
+      expect(treePackerApp.submissionExporter.download).toHaveBeenCalledWith(csv, 'submission_010_seed1.csv');
+    });
+
+    it('should save the run settings, physics included, next to the CSV', async () => {
+      const layout = new Float32Array(10 * 8);
+      for (let i = 0; i < 10; i++) layout[i * 8] = i;
+      treePackerApp.physicsSimulator.readLayout = vi.fn().mockResolvedValue(layout);
+      treePackerApp.submissionExporter.download = vi.fn();
+      treePackerApp.parameters.set('forceGain', 12);
+
+      await treePackerApp.exportSubmission();
+
+      const [json, filename, type] = treePackerApp.submissionExporter.download.mock.calls[1];
+      expect(filename).toBe('submission_010_seed1.json');
+      expect(type).toBe('application/json');
+      expect(JSON.parse(json)).toEqual({
+        treeCount: 10,
+        seed: 1,
+        spawnStrategy: 'random',
+        physics: treePackerApp.parameters.getPhysics()
+      });
+      expect(JSON.parse(json).physics.forceGain).toBe(12);
+    });
+
+    it('should refuse to export layouts with overlapping trees', async () => {
+      treePackerApp.physicsSimulator.readLayout = vi.fn().mockResolvedValue(new Float32Array(10 * 8));
+      treePackerApp.submissionExporter.download = vi.fn();
+      treePackerApp.parameters.set('treeCount', 10);
+      const warnSpy = vi.spyOn(treePackerApp.logger, 'warn');
+      const errorSpy = vi.spyOn(treePackerApp.logger, 'error');
+
+      // All ten trees sit on the origin
+      expect(await treePackerApp.exportSubmission()).toBeNull();
+      expect(treePackerApp.submissionExporter.download).not.toHaveBeenCalled();
+      expect(warnSpy).toHaveBeenCalledWith(expect.stringContaining('45 overlapping pairs'));
+      expect(errorSpy).toHaveBeenCalledWith('Export failed: layout has overlapping trees');
+    });
+
+    it('should return null and log when export fails', async () => {
+      treePackerApp.physicsSimulator.readLayout = vi.fn().mockRejectedValue(new Error('lost'));
+      const errorSpy = vi.spyOn(treePackerApp.logger, 'error');
+
+      expect(await treePackerApp.exportSubmission()).toBeNull();
+      expect(errorSpy).toHaveBeenCalledWith('Export failed: lost');
+    });
+
+    it('should export the best layout snapshot', async () => {
+      const layout = new Float32Array(10 * 8);
+      for (let i = 0; i < 10; i++) layout[i * 8] = i;
+      treePackerApp.physicsSimulator.readBestLayout = vi.fn().mockResolvedValue(layout);
+      treePackerApp.physicsSimulator.readLayout = vi.fn();
+      treePackerApp.submissionExporter.download = vi.fn();
+
+      const csv = await treePackerApp.exportBestSubmission();
+
+      expect(treePackerApp.physicsSimulator.readLayout).not.toHaveBeenCalled();
+      expect(treePackerApp.submissionExporter.download).toHaveBeenCalledWith(csv, 'submission_010_seed1_best.csv');
+    });
+
+    it('should refuse to export the best layout before one exists', async () => {
+      const errorSpy = vi.spyOn(treePackerApp.logger, 'error');
+
+      expect(await treePackerApp.exportBestSubmission()).toBeNull();
+      expect(errorSpy).toHaveBeenCalledWith('Export failed: no collision-free layout found yet');
+    });
+
+    it('should warn when there is no best layout to restore', () => {
+      const warnSpy = vi.spyOn(treePackerApp.logger, 'warn');
+
+      expect(treePackerApp.restoreBestLayout()).toBe(false);
+      expect(warnSpy).toHaveBeenCalledWith('No collision-free layout to restore yet');
+    });
+
+    it('should restore the best layout snapshot', () => {
+      treePackerApp.physicsSimulator.hasBestLayout = true;
+      const copySpy = vi.spyOn(treePackerApp.bufferManager, 'copyBuffer').mockImplementation(() => {});
+
+      expect(treePackerApp.restoreBestLayout()).toBe(true);
+      expect(copySpy).toHaveBeenCalledWith(
+        treePackerApp.bufferManager.getBestTreeBuffer(),
+        treePackerApp.bufferManager.getTreeBuffer()
+      );
+    });
+
+    it('should load the rows for the current tree count', () => {
+      treePackerApp.parameters.set('treeCount', 2);
+      const loadSpy = vi.spyOn(treePackerApp.physicsSimulator, 'loadLayout');
+
+      const loaded = treePackerApp.importSubmission('id,x,y,deg\n002_0,s0,s0,s0\n002_1,s1,s0,s0\n');
+
+      expect(loaded).toBe(true);
+      expect(loadSpy).toHaveBeenCalledWith(expect.any(Float32Array));
+      expect(treePackerApp.physicsSimulator.needsResetSimulation()).toBe(false);
+    });
+
+    it('should reject submissions without the current tree count', () => {
+      const errorSpy = vi.spyOn(treePackerApp.logger, 'error');
+
+      expect(treePackerApp.importSubmission('id,x,y,deg\n001_0,s0,s0,s0\n')).toBe(false);
+      expect(errorSpy).toHaveBeenCalledWith('Import failed: Submission has no rows for 10 trees');
+    });
+  });
+
+  describe('custom shapes', () => {
+    beforeEach(async () => {
+      await treePackerApp.init();
+    });
+
+    it('should rebuild geometry buffers and pipelines for a new shape', async () => {
+      const buffersSpy = vi.spyOn(treePackerApp.bufferManager, 'createGeometryBuffers');
+      const pipelinesSpy = vi.spyOn(treePackerApp.pipelineManager, 'initPipelines');
+      const square = [0.5, 0.5, -0.5, 0.5, -0.5, -0.5, 0.5, -0.5];
+
+      expect(await treePackerApp.setTreeShape(square)).toBe(true);
+
+      expect(treePackerApp.treeGeometry.getPolygonVertexCount()).toBe(5);
+      expect(buffersSpy).toHaveBeenCalledWith(treePackerApp.treeGeometry);
+      expect(pipelinesSpy).toHaveBeenCalled();
+      expect(treePackerApp.pipelineManager.getTreePolygonCode()).toContain('array<vec2f, 5>');
+      expect(treePackerApp.physicsSimulator.needsResetSimulation()).toBe(true);
+    });
+
+    it('should rebake the distance field for a new shape', async () => {
+      treePackerApp.parameters.set('contactSolver', 'sdf');
+      await vi.waitFor(() => expect(treePackerApp.signedDistanceField).not.toBeNull());
+      const textureSpy = vi.spyOn(treePackerApp.bufferManager, 'createSdfTexture');
+
+      await treePackerApp.setTreeShape([0.5, 0.5, -0.5, 0.5, -0.5, -0.5, 0.5, -0.5]);
+
+      expect(textureSpy).toHaveBeenCalledWith(expect.objectContaining({ extent: 0.75 }));
+    });
+
+    it('should keep the current shape when the new one is invalid', async () => {
+      const errorSpy = vi.spyOn(treePackerApp.logger, 'error');
+
+      expect(await treePackerApp.setTreeShape([0, 0, 0.5, 0.5, 0.5, 0, 0, 0.4])).toBe(false);
+      expect(treePackerApp.treeGeometry.getPolygonVertexCount()).toBe(16);
+      expect(errorSpy).toHaveBeenCalledWith(expect.stringContaining('Shape change failed: Invalid polygon: edges'));
+    });
+  });
+
+  describe('distance field', () => {
+    beforeEach(async () => {
+      await treePackerApp.init();
+    });
+
+    it('should bind a placeholder instead of baking during setup', () => {
+      expect(treePackerApp.bufferManager.getSdfTextureView()).not.toBeNull();
+      expect(treePackerApp.signedDistanceField).toBeNull();
+    });
+
+    it('should not bake for the other solvers', async () => {
+      const textureSpy = vi.spyOn(treePackerApp.bufferManager, 'createSdfTexture');
+
+      treePackerApp.parameters.set('sdfResolution', 32);
+
+      expect(await treePackerApp.updateSignedDistanceField()).toBe(false);
+      expect(textureSpy).not.toHaveBeenCalled();
+    });
+
+    it('should bake and rebind when the distance field solver is chosen', async () => {
+      const textureSpy = vi.spyOn(treePackerApp.bufferManager, 'createSdfTexture');
+      const bindSpy = vi.spyOn(treePackerApp.pipelineManager, 'updateBindGroup');
+      const infoSpy = vi.spyOn(treePackerApp.logger, 'info');
+
+      treePackerApp.parameters.set('sdfResolution', 32);
+      treePackerApp.parameters.set('contactSolver', 'sdf');
+
+      await vi.waitFor(() => expect(textureSpy).toHaveBeenCalledWith(expect.objectContaining({ resolution: 32 })));
+      expect(bindSpy).toHaveBeenCalledWith(treePackerApp.bufferManager);
+      expect(infoSpy).toHaveBeenCalledWith(expect.stringMatching(/^Distance field 32x32: max error \d/));
+    });
+
+    it('should rebake only when the resolution changes', async () => {
+      treePackerApp.parameters.set('sdfResolution', 32);
+      treePackerApp.parameters.set('contactSolver', 'sdf');
+      await vi.waitFor(() => expect(treePackerApp.signedDistanceField).not.toBeNull());
+      const textureSpy = vi.spyOn(treePackerApp.bufferManager, 'createSdfTexture');
+
+      expect(await treePackerApp.updateSignedDistanceField()).toBe(false);
+      treePackerApp.parameters.set('sdfResolution', 48);
+
+      await vi.waitFor(() => expect(textureSpy).toHaveBeenCalledWith(expect.objectContaining({ resolution: 48 })));
+      expect(textureSpy).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('seed', () => {
+    beforeEach(async () => {
+      await treePackerApp.init();
+    });
+
+    it('should restart the run when the seed changes', () => {
+      treePackerApp.physicsSimulator.reset();
+
+      treePackerApp.parameters.set('seed', 99);
+
+      expect(treePackerApp.physicsSimulator.needsResetSimulation()).toBe(true);
+    });
+
+    it('should reseed the stagnation escaper with the run', () => {
+      const escaperSpy = vi.spyOn(treePackerApp.stagnationEscaper, 'reset');
+      treePackerApp.parameters.set('seed', 99);
+
+      treePackerApp.resetSimulation();
+
+      expect(treePackerApp.physicsSimulator.needsResetSimulation()).toBe(false);
+      expect(escaperSpy).toHaveBeenCalledWith(99);
+    });
+
+    it('should include the seed in the export file name', async () => {
+      const layout = new Float32Array(10 * 8);
+      for (let i = 0; i < 10; i++) layout[i * 8] = i;
+      treePackerApp.physicsSimulator.readLayout = vi.fn().mockResolvedValue(layout);
+      treePackerApp.submissionExporter.download = vi.fn();
+      treePackerApp.parameters.set('seed', 1234);
+
+      await treePackerApp.exportSubmission();
+
+      expect(treePackerApp.submissionExporter.download).toHaveBeenCalledWith(expect.any(String), 'submission_010_seed1234.csv');
+    });
+  });
+
+  describe('annealing refinement', () => {
+    const looseLayout = () => {
+      const layout = new Float32Array(10 * 8);
+      for (let i = 0; i < 10; i++) layout[i * 8] = i * 1.5; // one tree every 1.5 units along x
+      return layout;
+    };
+
+    beforeEach(async () => {
+      await treePackerApp.init();
+      treePackerApp.parameters.set('annealIterations', 200);
+    });
+
+    it('should push a refined layout that beats the GPU best', async () => {
+      treePackerApp.physicsSimulator.readLayout = vi.fn().mockResolvedValue(looseLayout());
+      const applySpy = vi.spyOn(treePackerApp.physicsSimulator, 'applyLayout');
+
+      expect(await treePackerApp.refineLayout()).toBe(true);
+
+      expect(applySpy).toHaveBeenCalledWith(expect.any(Float32Array));
+      expect(treePackerApp.currentScoreData.bestScore).toBe(treePackerApp.physicsSimulator.bestScore);
+      expect(treePackerApp.isRefining).toBe(false);
+    });
+
+    it('should keep the GPU layout when it is already better', async () => {
+      treePackerApp.physicsSimulator.readLayout = vi.fn().mockResolvedValue(looseLayout());
+      treePackerApp.physicsSimulator.bestScore = 0.01;
+      const applySpy = vi.spyOn(treePackerApp.physicsSimulator, 'applyLayout');
+
+      expect(await treePackerApp.refineLayout()).toBe(false);
+      expect(applySpy).not.toHaveBeenCalled();
+    });
+
+    it('should fail without an overlap-free layout to start from', async () => {
+      treePackerApp.physicsSimulator.readLayout = vi.fn().mockResolvedValue(new Float32Array(10 * 8));
+      const errorSpy = vi.spyOn(treePackerApp.logger, 'error');
+
+      expect(await treePackerApp.refineLayout()).toBe(false);
+      expect(errorSpy).toHaveBeenCalledWith('Refinement failed: no collision-free layout to start from');
+    });
+
+    it('should refine automatically on stagnation when enabled', () => {
+      const refineSpy = vi.spyOn(treePackerApp, 'refineLayout').mockResolvedValue(false);
+      const scoreData = { score: 1, bestScore: 1, collisionCount: 0, stagnationCount: 50 };
+
+      treePackerApp.handleScoreUpdate(scoreData);
+      expect(refineSpy).not.toHaveBeenCalled();
+
+      treePackerApp.parameters.set('autoRefine', true);
+      treePackerApp.handleScoreUpdate(scoreData);
+      treePackerApp.handleScoreUpdate({ ...scoreData, stagnationCount: 51 });
+      expect(refineSpy).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('stagnation escapes', () => {
+    beforeEach(async () => {
+      await treePackerApp.init();
+    });
+
+    it('should forward score updates to the escaper', () => {
+      const escapeSpy = vi.spyOn(treePackerApp.stagnationEscaper, 'escape').mockResolvedValue('kick');
+      const scoreData = { score: 1, bestScore: 1, collisionCount: 0, stagnationCount: 30 };
+
+      treePackerApp.handleScoreUpdate(scoreData);
+      expect(escapeSpy).not.toHaveBeenCalled();
+
+      treePackerApp.parameters.set('autoEscape', true);
+      treePackerApp.handleScoreUpdate(scoreData);
+      expect(escapeSpy).toHaveBeenCalledWith('kick', 1);
+    });
+  });
+
+  describe('physics substeps', () => {
+    beforeEach(async () => {
+      await treePackerApp.init();
+    });
+
+    it('should dispatch and count the configured substeps per frame', () => {
+      treePackerApp.renderer.renderFrame = vi.fn();
+      treePackerApp.parameters.set('substeps', 3);
+      const before = treePackerApp.physicsSimulator.stepCount;
+
+      treePackerApp.step();
+
+      expect(treePackerApp.renderer.renderFrame.mock.calls[0][2].substeps).toBe(3);
+      expect(treePackerApp.physicsSimulator.stepCount).toBe(before + 3);
+    });
+
+    it('should leave the substeps alone unless adaptive mode is on and running', () => {
+      treePackerApp.isRunning = true;
+      treePackerApp.updateSubsteps(1000);
+      treePackerApp.updateSubsteps(1010);
+
+      expect(treePackerApp.parameters.get('substeps')).toBe(1);
+    });
+
+    it('should grow the substeps while frames fit the budget', () => {
+      treePackerApp.isRunning = true;
+      treePackerApp.parameters.set('adaptiveSubsteps', true);
+
+      treePackerApp.updateSubsteps(1000);
+      treePackerApp.updateSubsteps(1010);
+      treePackerApp.updateSubsteps(1020);
+
+      expect(treePackerApp.parameters.get('substeps')).toBe(3);
+    });
+
+    it('should measure the frame budget while paused too', () => {
+      treePackerApp.isRunning = false;
+
+      treePackerApp.updateSubsteps(1000);
+      treePackerApp.updateSubsteps(1007);
+
+      expect(treePackerApp.substepController.getBudget()).toBe(7);
+    });
+  });
+
+  describe('batch mode', () => {
+    beforeEach(async () => {
+      localStorage.clear();
+      await treePackerApp.init();
+    });
+
+    it('should start the batch at the first puzzle size', () => {
+      expect(treePackerApp.startBatch()).toBe(true);
+
+      expect(treePackerApp.batchSolver.isActive).toBe(true);
+      expect(treePackerApp.parameters.get('treeCount')).toBe(1);
+      expect(treePackerApp.isRunning).toBe(true);
+    });
+
+    it('should respawn rather than keep the layout when the batch changes size', () => {
+      const resizeSpy = vi.spyOn(treePackerApp.physicsSimulator, 'resizeLayout');
+      const plainSpy = vi.spyOn(treePackerApp.physicsSimulator, 'handleTreeCountChange');
+      treePackerApp.parameters.set('treeCount', 5);
+      resizeSpy.mockClear();
+
+      treePackerApp.startBatch();
+
+      expect(resizeSpy).not.toHaveBeenCalled();
+      expect(plainSpy).toHaveBeenCalledWith(1);
+      expect(treePackerApp.physicsSimulator.needsResetSimulation()).toBe(true);
+    });
+
+    it('should forward score updates to an active batch', () => {
+      treePackerApp.startBatch();
+      const updateSpy = vi.spyOn(treePackerApp.batchSolver, 'onScoreUpdate');
+      const scoreData = { score: 1, bestScore: 1, collisionCount: 1, stagnationCount: 0 };
+
+      treePackerApp.handleScoreUpdate(scoreData);
+
+      expect(updateSpy).toHaveBeenCalledWith(scoreData);
+    });
+
+    it('should export all finished batch results in one CSV', () => {
+      treePackerApp.batchSolver.results = {
+        2: { score: 1, side: 1, trees: [[0, 0, 0], [1, 0, 0]] },
+        1: { score: 0.5, side: 1, seed: 3, physics: { forceGain: 30 }, trees: [[0, 0, 0]] }
+      };
+      treePackerApp.submissionExporter.download = vi.fn();
+
+      const lines = treePackerApp.exportBatchSubmission().trim().split('\n');
+
+      expect(lines.map(line => line.split(',')[0])).toEqual(['id', '001_0', '002_0', '002_1']);
+      expect(treePackerApp.submissionExporter.download).toHaveBeenCalledWith(expect.any(String), 'submission.csv');
+      const [json, filename] = treePackerApp.submissionExporter.download.mock.calls[1];
+      expect(filename).toBe('submission.json');
+      expect(JSON.parse(json).results).toEqual({
+        1: { score: 0.5, seed: 3, physics: { forceGain: 30 } },
+        2: { score: 1 }
+      });
+    });
+
+    it('should log when there are no batch results to export', () => {
+      const errorSpy = vi.spyOn(treePackerApp.logger, 'error');
+
+      expect(treePackerApp.exportBatchSubmission()).toBeNull();
+      expect(errorSpy).toHaveBeenCalledWith('Batch export failed: no finished batch results');
+    });
+  });
+
   describe('Play/Pause/Step Controls', () => {
     beforeEach(async () => {
       await treePackerApp.init();
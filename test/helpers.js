@@ -0,0 +1,13 @@
+// Shared fixtures for the packing tests
+import { FLOATS_PER_TREE } from '../demos/packing2/js/constants.js';
+
+// Build tree data from [x, y, rot] triples (FLOATS_PER_TREE floats per tree, at rest)
+export const makeTreeData = (trees) => {
+  const data = new Float32Array(trees.length * FLOATS_PER_TREE);
+  trees.forEach(([x, y, rot], i) => {
+    data[i * FLOATS_PER_TREE] = x;
+    data[i * FLOATS_PER_TREE + 1] = y;
+    data[i * FLOATS_PER_TREE + 4] = rot;
+  });
+  return data;
+};
@@ -23,10 +23,14 @@ global.navigator = {
         createBindGroup: vi.fn(),
         createBindGroupLayout: vi.fn(),
         createPipelineLayout: vi.fn(),
-        createTexture: vi.fn(),
+        createTexture: vi.fn(() => ({
+          createView: vi.fn().mockReturnValue({}),
+          destroy: vi.fn()
+        })),
         createSampler: vi.fn(),
         queue: {
           writeBuffer: vi.fn(),
+          writeTexture: vi.fn(),
           submit: vi.fn()
         }
       })
@@ -58,12 +62,25 @@ global.GPUBufferUsage = {
   MAP_WRITE: 0x0002
 };
 
+global.GPUMapMode = {
+  READ: 0x0001,
+  WRITE: 0x0002
+};
+
 global.GPUShaderStage = {
   COMPUTE: 0x0001,
   FRAGMENT: 0x0002,
   VERTEX: 0x0004
 };
 
+global.GPUTextureUsage = {
+  COPY_SRC: 0x0001,
+  COPY_DST: 0x0002,
+  TEXTURE_BINDING: 0x0004,
+  STORAGE_BINDING: 0x0008,
+  RENDER_ATTACHMENT: 0x0010
+};
+
 // Mock console methods to avoid noise during testing
 const originalConsole = { ...console };
 beforeEach(() => {
@@ -151,6 +168,7 @@ const createMockGPUCommandEncoder = () => ({
     end: vi.fn()
   }),
   copyBufferToBuffer: vi.fn(),
+  clearBuffer: vi.fn(),
   finish: vi.fn().mockReturnValue({})
 });
 
@@ -162,12 +180,16 @@ const createMockGPUDevice = () => ({
   createBindGroup: vi.fn().mockReturnValue({}),
   createBindGroupLayout: vi.fn().mockReturnValue({}),
   createPipelineLayout: vi.fn().mockReturnValue({}),
-  createTexture: vi.fn().mockReturnValue({}),
+  createTexture: vi.fn(() => ({
+    createView: vi.fn().mockReturnValue({}),
+    destroy: vi.fn()
+  })),
   createSampler: vi.fn().mockReturnValue({}),
         createCommandEncoder: vi.fn().mockReturnValue(createMockGPUCommandEncoder()),
         destroy: vi.fn(),
         queue: {
           writeBuffer: vi.fn(),
+          writeTexture: vi.fn(),
           submit: vi.fn()
         }
 });